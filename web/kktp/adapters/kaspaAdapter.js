@@ -270,6 +270,17 @@ export class KaspaAdapter {
     return await this._portal.getKaspaBlocks(n);
   }
 
+  /**
+   * Blocks the intelligence indexer has recorded, persisted and in memory.
+   * Reaches further back than getKaspaBlocks(), whose buffer is short.
+   * @returns {Promise<Array<{hash: string, timestamp: number}>>}
+   */
+  async getIndexedBlocks() {
+    const cached = await this._portal.getCachedSnapshot();
+    const pending = this._portal.getInMemorySnapshot();
+    return [...(cached?.blocks ?? []), ...(pending?.blocks ?? [])];
+  }
+
   /**
    * Fetch recent Bitcoin block hashes for entropy.
    * @param {number} n - Number of blocks
@@ -0,0 +1,531 @@
+// kktp/adapters/simulatedBlockDag.js
+// In-process fake BlockDAG shared by SimulatedKaspaAdapter instances
+
+import { blake2b } from "https://esm.sh/@noble/hashes@1.3.0/blake2b";
+import { bytesToHex } from "../protocol/utils/conversions.js";
+import { Logger, LogModule } from "../core/logger.js";
+
+const log = Logger.create(LogModule.kktp.simulatedBlockDag);
+
+const SOMPI_PER_KAS = 100000000n;
+
+// Mirrors engine/kaspa/transport/tx_builder.js estimateFee()
+const FEE_PER_INPUT = 3000n;
+const FEE_PER_OUTPUT = 3000n;
+const BASE_FEE = 5000n;
+const FEE_PER_PAYLOAD_BYTE = 10n;
+
+const MAX_DEFERRALS = 3;
+
+/**
+ * Deterministic PRNG (mulberry32). Same seed, same run.
+ * @param {number} seed
+ * @returns {() => number} Float in [0, 1)
+ */
+export function createSeededRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Convert a KAS amount (string/number) or sompi bigint to sompi.
+ * @param {string|number|bigint} amount
+ * @returns {bigint}
+ */
+export function toSompi(amount) {
+  if (typeof amount === "bigint") return amount;
+  const [whole, frac = ""] = String(amount ?? "0").trim().split(".");
+  const fracPadded = (frac + "00000000").slice(0, 8);
+  return BigInt(whole || "0") * SOMPI_PER_KAS + BigInt(fracPadded || "0");
+}
+
+function hashHex(...parts) {
+  const text = parts.map((p) => String(p)).join("|");
+  return bytesToHex(blake2b(new TextEncoder().encode(text), { dkLen: 32 }));
+}
+
+function payloadByteLength(payloadHex) {
+  return payloadHex ? payloadHex.length / 2 : 0;
+}
+
+/**
+ * SimulatedBlockDag - A single-chain stand-in for the Kaspa BlockDAG.
+ *
+ * Transactions submitted by any attached adapter land in a mempool and are
+ * included in later blocks according to the configured latency, reordering
+ * and drop rate. All randomness comes from a seeded PRNG, and the clock is
+ * virtual unless `autoMine` is enabled, so runs are reproducible.
+ *
+ * @example
+ * ```javascript
+ * const dag = new SimulatedBlockDag({ seed: 7, latencyMs: [0, 2000] });
+ * const alice = new SimulatedKaspaAdapter({ dag, name: "alice" });
+ * const bob = new SimulatedKaspaAdapter({ dag, name: "bob" });
+ *
+ * await alice.manualSend({ toAddress: bob.address, amount: "1", payload });
+ * await dag.advance(3000); // mines 3 blocks and notifies scanners
+ * ```
+ */
+export class SimulatedBlockDag {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.blockIntervalMs=1000] - Time between blocks
+   * @param {number|number[]} [options.latencyMs=0] - Submit-to-inclusion delay, fixed or [min, max]
+   * @param {number} [options.reorderProbability=0] - Chance a ready tx slips to a later block; also shuffles block order
+   * @param {number} [options.dropProbability=0] - Chance a submitted tx is never included
+   * @param {bigint} [options.priorityFee=0n] - Extra fee charged on every tx
+   * @param {number} [options.seed=1] - PRNG seed
+   * @param {number} [options.startTime=1700000000000] - Virtual clock start (ms)
+   * @param {boolean} [options.autoMine=false] - Mine on a real-time interval
+   * @param {number} [options.maxBlocks=10000] - Oldest blocks are pruned past this
+   */
+  constructor({
+    blockIntervalMs = 1000,
+    latencyMs = 0,
+    reorderProbability = 0,
+    dropProbability = 0,
+    priorityFee = 0n,
+    seed = 1,
+    startTime = 1700000000000,
+    autoMine = false,
+    maxBlocks = 10000,
+  } = {}) {
+    this.blockIntervalMs = blockIntervalMs;
+    this.latencyMs = latencyMs;
+    this.reorderProbability = reorderProbability;
+    this.dropProbability = dropProbability;
+    this.priorityFee = BigInt(priorityFee);
+    this.maxBlocks = maxBlocks;
+    this.now = startTime;
+
+    this._seed = seed;
+    this._random = createSeededRandom(seed);
+    this._txCounter = 0;
+    this._blocks = [];
+    this._blockIndex = new Map();
+    this._mempool = [];
+    this._utxos = new Map(); // address -> Map(outpointKey -> entry)
+    this._listeners = new Set();
+    this._timer = null;
+    this._lastMinedAt = startTime;
+
+    this.stats = {
+      submitted: 0,
+      included: 0,
+      dropped: 0,
+      deferred: 0,
+      feesSompi: 0n,
+    };
+
+    this._appendBlock([]);
+
+    if (autoMine) this.start();
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Clock & Mining
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Mine blocks on a real-time interval.
+   */
+  start() {
+    if (this._timer) return;
+    this._timer = setInterval(() => {
+      this.now = Math.max(this.now + this.blockIntervalMs, Date.now());
+      this.mineBlock();
+    }, this.blockIntervalMs);
+  }
+
+  /**
+   * Stop real-time mining.
+   */
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Advance the virtual clock, mining a block at every interval boundary.
+   * Yields to the event loop after each block so async subscribers settle.
+   * @param {number} [ms=this.blockIntervalMs]
+   * @returns {Promise<Object[]>} Blocks mined
+   */
+  async advance(ms = this.blockIntervalMs) {
+    const target = this.now + ms;
+    const mined = [];
+    while (this._lastMinedAt + this.blockIntervalMs <= target) {
+      this.now = this._lastMinedAt + this.blockIntervalMs;
+      mined.push(this.mineBlock());
+      await this.settle();
+    }
+    this.now = target;
+    return mined;
+  }
+
+  /**
+   * Let pending promise chains in subscribers run.
+   * @returns {Promise<void>}
+   */
+  async settle() {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  /**
+   * Mine one block at the current clock from all ready mempool transactions.
+   * @returns {Object} The new block
+   */
+  mineBlock() {
+    const ready = [];
+    const waiting = [];
+
+    for (const entry of this._mempool) {
+      if (entry.includeAt > this.now) {
+        waiting.push(entry);
+        continue;
+      }
+      if (
+        this.reorderProbability > 0 &&
+        entry.deferrals < MAX_DEFERRALS &&
+        this._random() < this.reorderProbability
+      ) {
+        entry.deferrals++;
+        this.stats.deferred++;
+        waiting.push(entry);
+        continue;
+      }
+      ready.push(entry);
+    }
+
+    if (this.reorderProbability > 0) this._shuffle(ready);
+
+    this._mempool = waiting;
+    this._lastMinedAt = this.now;
+    this.stats.included += ready.length;
+
+    const block = this._appendBlock(ready.map((entry) => entry.tx));
+    this._notify(block);
+    return block;
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Transactions
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Estimate a fee the same way the real transport does.
+   * @param {number} inputCount
+   * @param {number} outputCount
+   * @param {number} [payloadBytes=0]
+   * @returns {bigint}
+   */
+  estimateFee(inputCount, outputCount, payloadBytes = 0) {
+    return (
+      BASE_FEE +
+      BigInt(inputCount) * FEE_PER_INPUT +
+      BigInt(outputCount) * FEE_PER_OUTPUT +
+      BigInt(payloadBytes) * FEE_PER_PAYLOAD_BYTE
+    );
+  }
+
+  /**
+   * Spend UTXOs from `fromAddresses` and queue the transaction for inclusion.
+   * @param {Object} options
+   * @param {string[]} options.fromAddresses - Addresses whose UTXOs may be spent
+   * @param {string} options.changeAddress
+   * @param {Array<{address: string, amount: bigint}>} options.outputs
+   * @param {string} [options.payloadHex=""]
+   * @param {bigint} [options.priorityFee=0n]
+   * @param {boolean} [options.spendAll=false] - Sweep every candidate UTXO
+   * @returns {Object} Result in the shape of transport manualSend()
+   */
+  submitTransaction({
+    fromAddresses,
+    changeAddress,
+    outputs,
+    payloadHex = "",
+    priorityFee = 0n,
+    spendAll = false,
+  }) {
+    const spendTotal = outputs.reduce((sum, o) => sum + o.amount, 0n);
+    const payloadBytes = payloadByteLength(payloadHex);
+
+    const candidates = fromAddresses
+      .flatMap((address) => this.getUtxos(address))
+      .sort((a, b) => (b.amount > a.amount ? 1 : b.amount < a.amount ? -1 : 0));
+
+    if (candidates.length === 0) {
+      throw new Error("No UTXOs available (all may be pending).");
+    }
+
+    const selected = [];
+    let selectedTotal = 0n;
+    let fee = 0n;
+    for (const entry of candidates) {
+      selected.push(entry);
+      selectedTotal += entry.amount;
+      fee =
+        this.estimateFee(selected.length, outputs.length + 1, payloadBytes) +
+        this.priorityFee +
+        BigInt(priorityFee);
+      if (!spendAll && selectedTotal >= spendTotal + fee) break;
+    }
+
+    if (selectedTotal < spendTotal + fee) {
+      throw new Error(
+        `Insufficient funds: have ${selectedTotal} sompi, need ${spendTotal + fee} sompi`,
+      );
+    }
+
+    const txid = hashHex(
+      "tx",
+      this._seed,
+      ++this._txCounter,
+      payloadHex,
+      ...selected.map((e) => e.key),
+    );
+
+    for (const entry of selected) this._removeUtxo(entry);
+
+    const change = selectedTotal - spendTotal - fee;
+    const created = [...outputs];
+    if (change > 0n) created.push({ address: changeAddress, amount: change });
+    created.forEach((output, index) =>
+      this._addUtxo(output.address, output.amount, txid, index),
+    );
+
+    this.stats.submitted++;
+    this.stats.feesSompi += fee;
+
+    const tx = {
+      payload: payloadHex,
+      inputs: selected.map((e) => e.outpoint),
+      outputs: created.map((o) => ({ address: o.address, amount: o.amount })),
+      verboseData: { transactionId: txid, blockTime: null },
+    };
+
+    if (this.dropProbability > 0 && this._random() < this.dropProbability) {
+      this.stats.dropped++;
+      log.debug(`SimulatedBlockDag: dropped tx ${txid.slice(0, 12)}...`);
+    } else {
+      this._mempool.push({
+        tx,
+        includeAt: this.now + this._sampleLatency(),
+        deferrals: 0,
+      });
+    }
+
+    return {
+      transactionId: txid,
+      inputCount: selected.length,
+      outputCount: created.length,
+      totalInput: selectedTotal,
+      totalOutput: spendTotal,
+      estimatedFee: fee,
+      change,
+      usedEntries: selected,
+    };
+  }
+
+  /**
+   * Number of transactions waiting for a block.
+   * @returns {number}
+   */
+  get mempoolSize() {
+    return this._mempool.length;
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // UTXO Ledger
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Credit an address with fresh UTXOs.
+   * @param {string} address
+   * @param {string|number|bigint} amount - Per-UTXO amount (KAS, or sompi as bigint)
+   * @param {number} [count=1]
+   */
+  fund(address, amount, count = 1) {
+    const sompi = toSompi(amount);
+    const txid = hashHex("fund", this._seed, ++this._txCounter, address);
+    for (let i = 0; i < count; i++) {
+      this._addUtxo(address, sompi, txid, i);
+    }
+  }
+
+  /**
+   * Unspent entries for an address, largest first.
+   * @param {string} address
+   * @returns {Object[]}
+   */
+  getUtxos(address) {
+    const entries = [...(this._utxos.get(address)?.values() || [])];
+    return entries.sort((a, b) =>
+      b.amount > a.amount ? 1 : b.amount < a.amount ? -1 : 0,
+    );
+  }
+
+  /**
+   * Total unspent balance of an address in sompi.
+   * @param {string} address
+   * @returns {bigint}
+   */
+  getBalance(address) {
+    return this.getUtxos(address).reduce((sum, e) => sum + e.amount, 0n);
+  }
+
+  _addUtxo(address, amount, transactionId, index) {
+    if (!this._utxos.has(address)) this._utxos.set(address, new Map());
+    const key = `${transactionId}:${index}`;
+    this._utxos.get(address).set(key, {
+      key,
+      address,
+      amount,
+      outpoint: { transactionId, index },
+      blockDaaScore: this.tip.daaScore,
+      isCoinbase: false,
+    });
+  }
+
+  _removeUtxo(entry) {
+    this._utxos.get(entry.address)?.delete(entry.key);
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Blocks
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Most recent block.
+   * @returns {Object}
+   */
+  get tip() {
+    return this._blocks[this._blocks.length - 1];
+  }
+
+  /**
+   * Look up a block by hash.
+   * @param {string} hash
+   * @returns {Object|null}
+   */
+  getBlock(hash) {
+    return this._blockIndex.get(hash) || null;
+  }
+
+  /**
+   * Blocks from `lowHash` (inclusive) to the tip, oldest first.
+   * @param {string} lowHash
+   * @returns {Object[]}
+   */
+  getBlocksFrom(lowHash) {
+    const start = this._blockIndex.get(lowHash);
+    if (!start) return [];
+    const offset = start.blueScore - this._blocks[0].blueScore;
+    return this._blocks.slice(offset);
+  }
+
+  /**
+   * The N most recent blocks, newest first.
+   * @param {number} n
+   * @returns {Object[]}
+   */
+  getRecentBlocks(n = 1) {
+    return this._blocks.slice(-n).reverse();
+  }
+
+  /**
+   * Register a listener called synchronously with each new block.
+   * @param {(block: Object) => void} listener
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    if (typeof listener !== "function") return () => {};
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  /**
+   * Pseudo-random bytes from the DAG's PRNG.
+   * @param {number} length
+   * @returns {Uint8Array}
+   */
+  randomBytes(length) {
+    const out = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+      out[i] = Math.floor(this._random() * 256);
+    }
+    return out;
+  }
+
+  _appendBlock(transactions) {
+    const parent = this.tip || null;
+    const blueScore = parent ? parent.blueScore + 1 : 0;
+    const hash = hashHex(
+      "block",
+      this._seed,
+      blueScore,
+      parent?.hash ?? "",
+      ...transactions.map((tx) => tx.verboseData.transactionId),
+    );
+
+    for (const tx of transactions) tx.verboseData.blockTime = this.now;
+
+    const block = {
+      header: {
+        hash,
+        timestamp: this.now,
+        blueScore,
+        daaScore: blueScore,
+        parents: parent ? [parent.hash] : [],
+      },
+      hash,
+      timestamp: this.now,
+      blueScore,
+      daaScore: blueScore,
+      transactions,
+      isChainBlock: true,
+    };
+
+    this._blocks.push(block);
+    this._blockIndex.set(hash, block);
+
+    if (this._blocks.length > this.maxBlocks) {
+      const pruned = this._blocks.shift();
+      this._blockIndex.delete(pruned.hash);
+    }
+
+    return block;
+  }
+
+  _notify(block) {
+    for (const listener of this._listeners) {
+      try {
+        listener(block);
+      } catch (err) {
+        log.error("SimulatedBlockDag listener error", err);
+      }
+    }
+  }
+
+  _sampleLatency() {
+    const latency = this.latencyMs;
+    if (Array.isArray(latency)) {
+      const [min = 0, max = min] = latency;
+      return min + Math.floor(this._random() * (max - min + 1));
+    }
+    return Number(latency) || 0;
+  }
+
+  _shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(this._random() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+  }
+}
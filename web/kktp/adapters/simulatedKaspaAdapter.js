@@ -0,0 +1,732 @@
+// kktp/adapters/simulatedKaspaAdapter.js
+// Drop-in KaspaAdapter backed by an in-process SimulatedBlockDag (no WASM, no network)
+
+import * as secp from "https://esm.sh/@noble/secp256k1@2.1.0";
+import { blake2b } from "https://esm.sh/@noble/hashes@1.3.0/blake2b";
+import { BLOCKCHAIN } from "../core/constants.js";
+import {
+  bytesToHex,
+  hexToBytes,
+  hexToString,
+} from "../protocol/utils/conversions.js";
+import { Logger, LogModule } from "../core/logger.js";
+import { SimulatedBlockDag, toSompi } from "./simulatedBlockDag.js";
+
+const log = Logger.create(LogModule.kktp.simulatedKaspaAdapter);
+
+const DUST_THRESHOLD = 100000n;
+const SMALL_THRESHOLD = 100000000n;
+const MEDIUM_THRESHOLD = 10000000000n;
+
+function utf8ToHex(text) {
+  return bytesToHex(new TextEncoder().encode(text));
+}
+
+function toPayloadHex(payload) {
+  if (!payload) return "";
+  let str = String(payload).trim();
+  if (str.startsWith("0x")) str = str.slice(2);
+  if (/^[0-9a-fA-F]*$/.test(str) && str.length % 2 === 0) {
+    return str.toLowerCase();
+  }
+  return utf8ToHex(str).toLowerCase();
+}
+
+function digest(text) {
+  return blake2b(new TextEncoder().encode(text), { dkLen: 32 });
+}
+
+function dehydrateBlock(block) {
+  return {
+    hash: block.hash,
+    timestamp: block.timestamp,
+    blueScore: block.blueScore,
+    daaScore: block.daaScore,
+    parents: [],
+    txCount: block.transactions.length,
+    isChainBlock: true,
+  };
+}
+
+function dehydrateTx(tx, block) {
+  let decodedPayload;
+  if (tx.payload) {
+    try {
+      decodedPayload = hexToString(tx.payload);
+    } catch {
+      decodedPayload = undefined;
+    }
+  }
+  const txData = {
+    txid: tx.verboseData.transactionId,
+    timestamp: tx.verboseData.blockTime,
+    payload: tx.payload,
+    blockHash: block.hash,
+    blueScore: block.blueScore,
+    blockDaaScore: block.daaScore,
+  };
+  if (decodedPayload) txData.decodedPayload = decodedPayload;
+  return txData;
+}
+
+/**
+ * SimulatedKaspaAdapter - Implements the KaspaAdapter surface on top of a
+ * shared SimulatedBlockDag so several peers can run in one process.
+ *
+ * Keys are real secp256k1 keys derived from the adapter name, so handshakes
+ * exercise the same KKTP crypto paths. Signatures are ECDSA over blake2b and
+ * only verify against other simulated adapters, not the Kaspa WASM signer.
+ * VRF proofs commit to simulated block hashes and are checked against the
+ * shared DAG.
+ *
+ * @example
+ * ```javascript
+ * const dag = new SimulatedBlockDag({ seed: 42 });
+ * const adapter = new SimulatedKaspaAdapter({ dag, name: "alice" });
+ * const facade = new SessionFacade(adapter);
+ * ```
+ */
+export class SimulatedKaspaAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {SimulatedBlockDag} [options.dag] - Shared DAG (a private one is created if omitted)
+   * @param {string} [options.name="peer"] - Seeds keys and address; must be unique per DAG
+   * @param {string|number|bigint} [options.balance="1000"] - Initial funding per UTXO
+   * @param {number} [options.utxoCount=10] - Number of initial UTXOs
+   */
+  constructor({
+    dag = new SimulatedBlockDag(),
+    name = "peer",
+    balance = "1000",
+    utxoCount = 10,
+  } = {}) {
+    this.dag = dag;
+    this.name = name;
+
+    this._address = `kaspasim:${bytesToHex(digest(`address:${name}`)).slice(0, 40)}`;
+    this._changeAddress = `kaspasim:${bytesToHex(digest(`change:${name}`)).slice(0, 40)}`;
+    this._connected = false;
+    this._walletOpen = true;
+    this._heartbeatAnchorsEnabled = true;
+    this._heartbeatConfig = null;
+    this._spent = new Set();
+
+    this._prefixes = new Set(); // hex, lowercase
+    this._scannerRunning = false;
+    this._dagUnsubscribe = null;
+    this._scannerOnBlock = null;
+    this._subscribers = new Map();
+
+    if (toSompi(balance) > 0n && utxoCount > 0) {
+      dag.fund(this._address, balance, utxoCount);
+    }
+  }
+
+  /**
+   * Enable or disable heartbeat anchor broadcasts.
+   * @param {boolean} enabled
+   */
+  setHeartbeatAnchorsEnabled(enabled = true) {
+    this._heartbeatAnchorsEnabled = enabled !== false;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // LIFECYCLE & STATE
+  // ═══════════════════════════════════════════════════════════════
+
+  async init() {}
+
+  async connect() {
+    this._connected = true;
+    return { connected: true, network: "simnet" };
+  }
+
+  async disconnect() {
+    this.stopScanner();
+    this._connected = false;
+  }
+
+  /**
+   * Simulated peers are always reachable; connect() is optional.
+   * @returns {boolean}
+   */
+  get isReady() {
+    return true;
+  }
+
+  get address() {
+    return this._address;
+  }
+
+  async getAddress() {
+    return this._address;
+  }
+
+  async getAllWallets() {
+    return [{ filename: this.name }];
+  }
+
+  get isWalletInitialized() {
+    return this._walletOpen;
+  }
+
+  async createOrOpenWallet() {
+    this._walletOpen = true;
+    return { address: this._address };
+  }
+
+  async getMnemonic() {
+    return `simulated wallet ${this.name}`;
+  }
+
+  async closeWallet() {
+    this._walletOpen = false;
+  }
+
+  async deleteWallet() {}
+
+  // ═══════════════════════════════════════════════════════════════
+  // IDENTITY & KEY MANAGEMENT
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Derive deterministic signing and DH key pairs for `index`.
+   * @param {number} index
+   * @returns {Promise<{sig: {publicKey: string, privateKey: string}, dh: {publicKey: string, privateKey: string}}>}
+   */
+  async generateIdentityKeys(index) {
+    if (!this._walletOpen) {
+      throw new Error("SimulatedKaspaAdapter: Wallet must be initialized.");
+    }
+    return {
+      sig: this._deriveKeyPair(0, index),
+      dh: this._deriveKeyPair(100, index),
+    };
+  }
+
+  _deriveKeyPair(branch, index) {
+    let counter = 0;
+    let priv;
+    do {
+      priv = digest(`key:${this.name}:${branch}:${index}:${counter++}`);
+    } while (!secp.utils.isValidPrivateKey(priv));
+    return {
+      privateKey: bytesToHex(priv),
+      publicKey: bytesToHex(secp.getPublicKey(priv, true)),
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // CRYPTOGRAPHY
+  // ═══════════════════════════════════════════════════════════════
+
+  async signMessage(privateKeyHex, message) {
+    const sig = await secp.signAsync(digest(message), hexToBytes(privateKeyHex));
+    return sig.toCompactHex();
+  }
+
+  async verifyMessage(publicKey, body, signature) {
+    try {
+      return secp.verify(signature, digest(body), publicKey);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * @param {number} keyIndex
+   * @param {string} [privateKey]
+   * @returns {Promise<{deriveSharedSecret: Function, setSessionKey: Function}>}
+   */
+  async startSession(keyIndex, privateKey) {
+    const priv = privateKey || (await this.generateIdentityKeys(keyIndex)).dh.privateKey;
+    const session = {
+      sessionKey: null,
+      deriveSharedSecret: (peerPublicKeyHex) =>
+        secp.getSharedSecret(hexToBytes(priv), peerPublicKeyHex, true),
+      setSessionKey: (key) => {
+        session.sessionKey = key;
+      },
+    };
+    return session;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // VRF & RANDOMNESS
+  // ═══════════════════════════════════════════════════════════════
+
+  async initVRF() {}
+
+  async generateFullRandomness() {
+    return bytesToHex(this.dag.randomBytes(32));
+  }
+
+  async generatePartialRandomness() {
+    return bytesToHex(this.dag.randomBytes(32));
+  }
+
+  /**
+   * Simulated VRF: output = blake2b(seed || recent block hashes).
+   * @param {Object} options
+   * @param {string|Uint8Array} options.seedInput
+   * @param {number} [options.kasBlocks=3]
+   * @returns {Promise<{finalOutput: string, proof: Object}>}
+   */
+  async prove({ seedInput, kasBlocks = 3 } = {}) {
+    const seed = typeof seedInput === "string" ? seedInput : bytesToHex(seedInput);
+    const blocks = this.dag.getRecentBlocks(kasBlocks).map((b) => b.hash);
+    const finalOutput = bytesToHex(digest(`vrf:${seed}:${blocks.join(",")}`));
+    return {
+      finalOutput,
+      proof: { simulated: true, seedInput: seed, kasBlocks: blocks },
+    };
+  }
+
+  /**
+   * @param {string|Object} valueOrResult - Output, or { finalOutput, proof }
+   * @param {string|Object} [optionalProof] - Proof object or hex-encoded JSON
+   * @param {string} [expectedInput]
+   * @returns {Promise<boolean>}
+   */
+  async verify(valueOrResult, optionalProof, expectedInput) {
+    try {
+      const value =
+        typeof valueOrResult === "object"
+          ? valueOrResult.finalOutput
+          : valueOrResult;
+      let proof = optionalProof ?? valueOrResult?.proof;
+      if (typeof proof === "string") proof = JSON.parse(hexToString(proof));
+      if (!proof?.simulated || !Array.isArray(proof.kasBlocks)) return false;
+      if (expectedInput && proof.seedInput !== expectedInput) return false;
+      if (!proof.kasBlocks.every((hash) => this.dag.getBlock(hash))) {
+        return false;
+      }
+      const expected = bytesToHex(
+        digest(`vrf:${proof.seedInput}:${proof.kasBlocks.join(",")}`),
+      );
+      return expected === value;
+    } catch {
+      return false;
+    }
+  }
+
+  async shuffle(array) {
+    const items = [...array];
+    const bytes = this.dag.randomBytes(items.length * 4);
+    for (let i = items.length - 1; i > 0; i--) {
+      const r = new DataView(bytes.buffer).getUint32(i * 4) / 4294967296;
+      const j = Math.floor(r * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+
+  /**
+   * Newest-first dehydrated blocks from the shared DAG.
+   * @param {number} n
+   * @returns {Promise<Array>}
+   */
+  async getKaspaBlocks(n) {
+    return this.dag.getRecentBlocks(n).map(dehydrateBlock);
+  }
+
+  /**
+   * Every block of the shared DAG, as if an indexer had recorded them all.
+   * @returns {Promise<Array>}
+   */
+  async getIndexedBlocks() {
+    return this.dag.getRecentBlocks(Infinity).map(dehydrateBlock);
+  }
+
+  async getBitcoinBlocks(n) {
+    return this.dag.getRecentBlocks(n).map((b) => ({
+      hash: bytesToHex(digest(`btc:${b.hash}`)),
+      time: Math.floor(b.timestamp / 1000),
+      source: "bitcoin-sim",
+    }));
+  }
+
+  async getQRNG(provider = "nist", length = 32) {
+    const tip = this.dag.tip;
+    return {
+      hash: bytesToHex(this.dag.randomBytes(length)),
+      source: `${provider}-sim`,
+      pulseIndex: tip.blueScore,
+      timeStamp: new Date(tip.timestamp).toISOString(),
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // TRANSACTION & BROADCASTING
+  // ═══════════════════════════════════════════════════════════════
+
+  async send({ toAddress, amount = "1", payload } = {}) {
+    return await this.manualSend({
+      fromAddress: this._address,
+      toAddress,
+      amount,
+      payload,
+    });
+  }
+
+  async getBalance() {
+    return (
+      this.dag.getBalance(this._address) +
+      this.dag.getBalance(this._changeAddress)
+    );
+  }
+
+  /**
+   * Key material is irrelevant to the simulation; returns opaque handles.
+   * @returns {Promise<Array>}
+   */
+  async getPrivateKeys({ keyCount = 10, changeKeyCount = 5 } = {}) {
+    return Array.from(
+      { length: keyCount + changeKeyCount },
+      (_, i) => `sim-key:${this.name}:${i}`,
+    );
+  }
+
+  /**
+   * Submit a payload transaction to the shared DAG.
+   * @param {Object} options
+   * @param {string} [options.fromAddress]
+   * @param {string} options.toAddress
+   * @param {string|bigint} options.amount
+   * @param {string} [options.payload]
+   * @param {bigint} [options.priorityFee=0n]
+   * @returns {Promise<Object>}
+   */
+  async manualSend(options = {}) {
+    const { toAddress, amount, payload, priorityFee = 0n } = options;
+    if (!toAddress) throw new Error("manualSend: toAddress required.");
+    if (amount === undefined || amount === null) {
+      throw new Error("manualSend: amount required.");
+    }
+
+    const payloadStr = typeof payload === "string" ? payload : "";
+    const payloadHex = toPayloadHex(payloadStr);
+    const isHeartbeatPayload =
+      payloadStr.startsWith(BLOCKCHAIN.PREFIX_HEARTBEAT) ||
+      payloadHex.startsWith(BLOCKCHAIN.PREFIX_HEARTBEAT_HEX);
+    if (isHeartbeatPayload && !this._heartbeatAnchorsEnabled) {
+      throw new Error("Heartbeat anchors disabled");
+    }
+
+    const result = this.dag.submitTransaction({
+      fromAddresses: this._walletAddresses(options.fromAddress),
+      changeAddress: this._changeAddress,
+      outputs: [{ address: toAddress, amount: toSompi(amount) }],
+      payloadHex,
+      priorityFee,
+    });
+
+    log.debug(
+      `SimulatedKaspaAdapter[${this.name}]: tx ${result.transactionId.slice(0, 12)}... payload=${payloadHex.length / 2}B`,
+    );
+    return result;
+  }
+
+  /**
+   * Split the largest UTXO into `splitCount` equal outputs.
+   * @param {Object} options
+   * @param {number} options.splitCount
+   * @returns {Promise<Object>}
+   */
+  async splitUtxos({ splitCount = 10, priorityFee = 0n } = {}) {
+    const [largest] = this._walletAddresses()
+      .flatMap((address) => this.dag.getUtxos(address))
+      .sort((a, b) => (b.amount > a.amount ? 1 : -1));
+    if (!largest) throw new Error("No UTXOs available to split.");
+
+    const fee = this.dag.estimateFee(1, splitCount, 0) + BigInt(priorityFee);
+    const each = (largest.amount - fee) / BigInt(splitCount);
+    if (each <= 0n) throw new Error("UTXO too small to split.");
+
+    return this.dag.submitTransaction({
+      fromAddresses: [largest.address],
+      changeAddress: this._changeAddress,
+      outputs: Array.from({ length: splitCount - 1 }, () => ({
+        address: this._address,
+        amount: each,
+      })),
+      priorityFee,
+    });
+  }
+
+  /**
+   * Merge all UTXOs into one (targetCount is accepted for API parity).
+   * @returns {Promise<Object>}
+   */
+  async consolidateUtxos({ priorityFee = 0n } = {}) {
+    const addresses = this._walletAddresses();
+    const entries = addresses.flatMap((address) => this.dag.getUtxos(address));
+    if (entries.length === 0) {
+      throw new Error("No UTXOs available to consolidate.");
+    }
+    return this.dag.submitTransaction({
+      fromAddresses: addresses,
+      changeAddress: this._address,
+      outputs: [],
+      priorityFee,
+      spendAll: true,
+    });
+  }
+
+  async buildManualTransaction() {
+    throw new Error("SimulatedKaspaAdapter: buildManualTransaction is not simulated");
+  }
+
+  async buildSplitUtxoTransaction() {
+    throw new Error("SimulatedKaspaAdapter: buildSplitUtxoTransaction is not simulated");
+  }
+
+  estimateFee(inputCount, outputCount, payloadBytes = 0) {
+    return this.dag.estimateFee(inputCount, outputCount, payloadBytes);
+  }
+
+  async getAddressWithLargestUtxo({ preferredAddress } = {}) {
+    const candidates = this._walletAddresses(preferredAddress);
+    let best = { address: candidates[0], amount: -1n };
+    for (const address of candidates) {
+      const [largest] = this.dag.getUtxos(address);
+      if (largest && largest.amount > best.amount) {
+        best = { address, amount: largest.amount };
+      }
+    }
+    return best.address;
+  }
+
+  async getUtxos(address, { excludeSpent = true } = {}) {
+    const entries = this.dag.getUtxos(address);
+    return excludeSpent
+      ? entries.filter((e) => !this._spent.has(e.key))
+      : entries;
+  }
+
+  async analyzeUtxos(address) {
+    const entries = this.dag.getUtxos(address);
+    const categories = { dust: [], small: [], medium: [], large: [] };
+    for (const e of entries) {
+      if (e.amount < DUST_THRESHOLD) categories.dust.push(e);
+      else if (e.amount < SMALL_THRESHOLD) categories.small.push(e);
+      else if (e.amount < MEDIUM_THRESHOLD) categories.medium.push(e);
+      else categories.large.push(e);
+    }
+    const total = (list) => list.reduce((sum, e) => sum + e.amount, 0n);
+    const totalBalance = total(entries);
+
+    return {
+      address,
+      totalBalance,
+      totalBalanceKas: (Number(totalBalance) / 1e8).toString(),
+      utxoCount: entries.length,
+      pendingSpent: this._spent.size,
+      categories: Object.fromEntries(
+        Object.entries(categories).map(([k, list]) => [
+          k,
+          { count: list.length, total: total(list) },
+        ]),
+      ),
+      entries,
+    };
+  }
+
+  markUtxosAsSpent(entries) {
+    for (const e of entries || []) if (e?.key) this._spent.add(e.key);
+  }
+
+  clearSpentUtxos(entries) {
+    if (!entries) {
+      this._spent.clear();
+      return;
+    }
+    for (const e of entries) if (e?.key) this._spent.delete(e.key);
+  }
+
+  invalidateUtxoCache() {}
+
+  async startHeartbeat(options = {}) {
+    this._heartbeatConfig = { ...options };
+  }
+
+  stopHeartbeat() {
+    this._heartbeatConfig = null;
+  }
+
+  get isHeartbeatRunning() {
+    return this._heartbeatConfig !== null;
+  }
+
+  get heartbeatConfig() {
+    return this._heartbeatConfig;
+  }
+
+  async triggerHeartbeat() {}
+
+  _walletAddresses(preferred) {
+    const list = [this._address, this._changeAddress];
+    if (preferred && !list.includes(preferred)) list.unshift(preferred);
+    return list;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // SCANNER & PREFIX MANAGEMENT
+  // ═══════════════════════════════════════════════════════════════
+
+  addPrefix(prefix) {
+    if (prefix) this._prefixes.add(utf8ToHex(prefix));
+  }
+
+  addPrefixHex(prefixHex) {
+    if (prefixHex) this._prefixes.add(String(prefixHex).toLowerCase());
+  }
+
+  removePrefix(prefix) {
+    if (prefix) this._prefixes.delete(utf8ToHex(prefix));
+  }
+
+  removePrefixHex(prefixHex) {
+    if (prefixHex) this._prefixes.delete(String(prefixHex).toLowerCase());
+  }
+
+  async subscribeToPrefix(prefix) {
+    this.addPrefix(prefix);
+  }
+
+  async unsubscribeFromPrefix(prefix) {
+    this.removePrefix(prefix);
+  }
+
+  setScannerPrefix(prefix) {
+    this._prefixes.clear();
+    this.addPrefix(prefix);
+  }
+
+  getScannerPrefix() {
+    const [first] = this._prefixes;
+    return first ? hexToString(first) : null;
+  }
+
+  /**
+   * Start delivering blocks and prefix matches from the shared DAG.
+   * @param {Function} [onBlock]
+   */
+  async startScanner(onBlock) {
+    if (typeof onBlock === "function") this._scannerOnBlock = onBlock;
+    if (this._scannerRunning) return;
+    this._scannerRunning = true;
+    this._dagUnsubscribe = this.dag.subscribe((block) => this._onBlock(block));
+  }
+
+  stopScanner() {
+    this._dagUnsubscribe?.();
+    this._dagUnsubscribe = null;
+    this._scannerRunning = false;
+  }
+
+  onNewBlock(cb) {
+    return this._addSubscriber("onNewBlock", cb);
+  }
+
+  onNewTransactionMatch(cb) {
+    return this._addSubscriber("onNewTransactionMatch", cb);
+  }
+
+  _addSubscriber(name, cb) {
+    if (typeof cb !== "function") return () => {};
+    if (!this._subscribers.has(name)) this._subscribers.set(name, new Set());
+    const set = this._subscribers.get(name);
+    set.add(cb);
+    return () => set.delete(cb);
+  }
+
+  _trigger(name, data) {
+    for (const cb of this._subscribers.get(name) || []) {
+      try {
+        cb(data);
+      } catch (err) {
+        log.error(`SimulatedKaspaAdapter ${name} subscriber error`, err);
+      }
+    }
+  }
+
+  _matchesPrefix(payloadHex) {
+    if (!payloadHex || this._prefixes.size === 0) return false;
+    for (const prefixHex of this._prefixes) {
+      if (payloadHex.startsWith(prefixHex)) return true;
+    }
+    return false;
+  }
+
+  _onBlock(block) {
+    const summary = dehydrateBlock(block);
+    this._scannerOnBlock?.(summary);
+    this._trigger("onNewBlock", summary);
+
+    for (const tx of block.transactions) {
+      if (!this._matchesPrefix(tx.payload)) continue;
+      this._trigger("onNewTransactionMatch", {
+        ...dehydrateTx(tx, block),
+        payloadMatch: true,
+        addressMatch: false,
+      });
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // BLOCKCHAIN SEARCH
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Walk the simulated DAG from startHash to endHash (or the tip).
+   * @param {Object} options
+   * @param {string} options.startHash
+   * @param {string} [options.endHash]
+   * @param {Array<string>} [options.prefixes]
+   * @param {function} options.onMatch - Return true to stop
+   * @param {number} [options.minTimestamp=0]
+   * @param {function} [options.logFn]
+   * @returns {Promise<void>}
+   */
+  async walkDagRange({
+    startHash,
+    endHash = null,
+    prefixes = [],
+    onMatch,
+    minTimestamp = 0,
+    logFn = () => {},
+  } = {}) {
+    const hexPrefixes = prefixes.map(toPayloadHex).filter(Boolean);
+    const stopScore = endHash
+      ? (this.dag.getBlock(endHash)?.blueScore ?? Infinity)
+      : Infinity;
+
+    const blocks = this.dag.getBlocksFrom(startHash);
+    if (blocks.length === 0) {
+      logFn("[walkDagRange] No blocks returned, breaking.");
+      return;
+    }
+
+    for (const block of blocks) {
+      if (block.blueScore > stopScore) return;
+      if (block.timestamp < minTimestamp) continue;
+
+      for (const tx of block.transactions) {
+        const payload = (tx.payload || "").toLowerCase();
+        if (
+          hexPrefixes.length > 0 &&
+          !hexPrefixes.some((prefixHex) => payload.startsWith(prefixHex))
+        ) {
+          continue;
+        }
+        if (
+          onMatch &&
+          (await onMatch(dehydrateTx(tx, block), dehydrateBlock(block))) === true
+        ) {
+          return;
+        }
+      }
+    }
+  }
+}
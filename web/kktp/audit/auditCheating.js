@@ -13,10 +13,18 @@ import {
   normalizeMoveHistory,
 } from "./cheating/normalize.js";
 import { formatOutcome } from "./cheating/outcome.js";
+import { resolvePacketSchema, verifyPacketSchema } from "./cheating/packetSchema.js";
 import { parseAnchorByType } from "./cheating/parsing.js";
+import { verifyAnchorSignatures } from "./cheating/signatures.js";
 import { addReason, addWarning, normalizeHex } from "./cheating/utils.js";
 import { verifyVrfChain } from "./cheating/vrfChain.js";
 
+/**
+ * @param {Object} input - Audit data with source "blockchain"
+ * @param {string} [input.signerPubKey] - Identity key the chain must be signed by
+ * @param {(pubKeyHex: string, body: string, sigHex: string) => Promise<boolean>} [input.verifySignature]
+ *   Anchor signature check; defaults to Kaspa personal-message signatures
+ */
 export async function auditCheating(input) {
   if (input?.source !== "blockchain") {
     return {
@@ -40,6 +48,7 @@ export async function auditCheating(input) {
 
   const reasons = [];
   const warnings = [];
+  const packetSchema = resolvePacketSchema(audit.packetSchema, reasons);
 
   const anchorsByTxId = new Map();
   const parsedByTxId = new Map();
@@ -60,7 +69,7 @@ export async function auditCheating(input) {
     if (type === "final") finalAnchors.push(anchor);
     if (type === "heartbeat") heartbeatAnchors.push(anchor);
 
-    const parsed = parseAnchorByType(type, anchor?.anchorHex || "");
+    const parsed = parseAnchorByType(type, anchor?.anchorHex || "", { packetSchema });
     if (parsed.error) {
       addReason(reasons, parsed.error);
     }
@@ -137,6 +146,15 @@ export async function auditCheating(input) {
   );
 
   const genesisData = parsedByTxId.get(genesisTxId) || {};
+  const signerPubKey = await verifyAnchorSignatures({
+    chainOrder,
+    genesisTxId,
+    parsedByTxId,
+    signerPubKey: input.signerPubKey ?? null,
+    verifySignature: input.verifySignature,
+    reasons,
+  });
+  await verifyPacketSchema({ genesisData, packetSchema, reasons, warnings });
   await verifyEntropySources({
     genesisData,
     heartbeats: orderedHeartbeats,
@@ -187,6 +205,8 @@ export async function auditCheating(input) {
     parsedByTxId,
     finalData,
     warnings,
+    // Schema leaves only apply to chains whose genesis committed a schema
+    packetSchema: genesisData.packetSchemaHash ? packetSchema : null,
   });
 
   for (const reason of merkleCheck.reasons) {
@@ -232,6 +252,7 @@ export async function auditCheating(input) {
     warnings,
     finalOutcomeCode: finalData.outcomeCode ?? null,
     finalOutcomeName: formatOutcome(finalData.outcomeCode),
+    finalScore: finalData.finalScore ?? null,
     finalTxId: finalAnchor?.txId || null,
     summary: {
       totalAnchors: chain.length,
@@ -239,6 +260,8 @@ export async function auditCheating(input) {
       heartbeatMoveSum,
       finalTotalMoves: finalData.totalMoves ?? null,
       linkedChainLength: chainOrder.length,
+      packetSchemaHash: genesisData.packetSchemaHash ?? null,
+      signerPubKey,
     },
   };
 }
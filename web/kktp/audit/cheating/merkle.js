@@ -19,6 +19,7 @@ export function verifyMerkleAndMoves({
   parsedByTxId,
   finalData,
   warnings,
+  packetSchema = null,
 }) {
   const reasons = [];
   const useMoveHistory = Array.isArray(moveHistory) && moveHistory.length > 0;
@@ -68,6 +69,12 @@ export function verifyMerkleAndMoves({
       continue;
     }
 
+    // Schema games never use the compact union encoding
+    if (packetSchema && parsed.compactMoves) {
+      addReason(reasons, "heartbeat_encoding_mismatch");
+      return { reasons };
+    }
+
     for (let i = 0; i < moveCount; i++) {
       const movePacket = parsed.moves[i];
       let leafMove = null;
@@ -79,12 +86,22 @@ export function verifyMerkleAndMoves({
           break;
         }
 
-        const actionCode = ACTION_TO_CODE[move.action] ?? null;
+        const actionCode = packetSchema
+          ? packetSchema.actionCode(move.action)
+          : (ACTION_TO_CODE[move.action] ?? null);
         if (actionCode !== movePacket.actionCode) {
           addReason(reasons, "heartbeat_action_mismatch");
         }
 
-        if (actionCode === MOVE_ACTION_CODE) {
+        if (packetSchema) {
+          // v6 — every schema field must match what was anchored
+          const fields = move.fields ?? {};
+          for (const [name, raw] of Object.entries(movePacket.fields ?? {})) {
+            if ((fields[name] ?? 0) !== raw) {
+              addReason(reasons, "heartbeat_field_mismatch");
+            }
+          }
+        } else if (actionCode === MOVE_ACTION_CODE) {
           // MOVE — check x/y/z instead of lane
           if (movePacket.xRaw != null && move.x !== movePacket.xRaw) {
             addReason(reasons, "heartbeat_x_mismatch");
@@ -112,9 +129,9 @@ export function verifyMerkleAndMoves({
           addWarning(warnings, "heartbeat_time_delta_mismatch");
         }
 
-        leafMove = buildLeafMove(move, warnings);
+        leafMove = buildLeafMove(move, warnings, packetSchema);
       } else {
-        leafMove = buildLeafFromPacket(movePacket, reasons);
+        leafMove = buildLeafFromPacket(movePacket, reasons, packetSchema);
       }
 
       if (leafMove) {
@@ -140,7 +157,7 @@ export function verifyMerkleAndMoves({
     while (cursor < totalMovesTarget) {
       const move = sortedMoves[cursor];
       if (!move) break;
-      const leafMove = buildLeafMove(move, warnings);
+      const leafMove = buildLeafMove(move, warnings, packetSchema);
       if (leafMove) {
         merkleTree.addMove(leafMove);
       } else {
@@ -162,10 +179,11 @@ export function verifyMerkleAndMoves({
 
 /**
  * Build a Merkle leaf from a move-history entry.
+ * Schema (v6):           { action, fields, timeDelta, vrfFragment }
  * MOVE (action code 1): { action, x, y, z, timeDelta, vrfFragment }
  * Standard:              { action, lane, timeDelta, vrfFragment }
  */
-export function buildLeafMove(move, warnings) {
+export function buildLeafMove(move, warnings, packetSchema = null) {
   const action = move?.action;
   const timeDelta = getTimeDelta(move);
   const vrfFragment = getVrfFragment(move);
@@ -175,6 +193,14 @@ export function buildLeafMove(move, warnings) {
     return null;
   }
 
+  if (packetSchema) {
+    if (!move.fields) {
+      addWarning(warnings, "missing_move_fields_for_merkle");
+      return null;
+    }
+    return { action, fields: move.fields, timeDelta, vrfFragment };
+  }
+
   const actionCode = ACTION_TO_CODE[action] ?? null;
 
   if (actionCode === MOVE_ACTION_CODE) {
@@ -198,10 +224,20 @@ export function buildLeafMove(move, warnings) {
 
 /**
  * Build a Merkle leaf from a parsed heartbeat move packet.
+ * Schema (v6):           { action, fields, timeDelta, vrfFragment }
  * MOVE (action code 1): { action, x, y, z, timeDelta, vrfFragment }
  * Standard:              { action, lane, timeDelta, vrfFragment }
  */
-export function buildLeafFromPacket(movePacket, reasons) {
+export function buildLeafFromPacket(movePacket, reasons, packetSchema = null) {
+  if (packetSchema) {
+    return {
+      action: movePacket.action,
+      fields: movePacket.fields ?? {},
+      timeDelta: movePacket.timeDelta ?? 0,
+      vrfFragment: movePacket.vrfFragment ?? "",
+    };
+  }
+
   const action = CODE_TO_ACTION[movePacket.actionCode] ?? null;
   if (!action) {
     addReason(reasons, "heartbeat_action_unknown");
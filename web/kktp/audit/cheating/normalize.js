@@ -11,6 +11,7 @@ export function normalizeAuditInput(input) {
       input?.context?.rawMoveHistory ??
       null,
     vrfProofs: input?.vrfProofs ?? input?.vrfProofArchive ?? null,
+    packetSchema: input?.packetSchema ?? null,
   };
 }
 
@@ -0,0 +1,45 @@
+/**
+ * packetSchema.js - Packet schema commitment check for cheating audit
+ *
+ * A v6 genesis commits the hash of the game's PacketSchema. The auditor's
+ * schema (from the audit input) must hash to that value, otherwise the
+ * heartbeats were decoded with rules the game did not use.
+ */
+
+import { PacketSchema } from "../../blockchain/protocol/PacketSchema.js";
+import { addReason, addWarning, equalsHex } from "./utils.js";
+
+/**
+ * Build the auditor's schema from audit input.
+ * @returns {PacketSchema|null} null when none was given or it is malformed
+ */
+export function resolvePacketSchema(spec, reasons) {
+  if (!spec) return null;
+  try {
+    return PacketSchema.from(spec);
+  } catch {
+    addReason(reasons, "packet_schema_invalid");
+    return null;
+  }
+}
+
+export async function verifyPacketSchema({
+  genesisData,
+  packetSchema,
+  reasons,
+  warnings,
+}) {
+  const committed = genesisData?.packetSchemaHash ?? null;
+
+  if (!committed) {
+    if (packetSchema) addWarning(warnings, "packet_schema_not_committed");
+    return;
+  }
+  if (!packetSchema) {
+    addReason(reasons, "packet_schema_missing");
+    return;
+  }
+  if (!equalsHex(committed, await packetSchema.hash())) {
+    addReason(reasons, "packet_schema_hash_mismatch");
+  }
+}
@@ -5,16 +5,33 @@
 import { ANCHOR, MOVE_ACTION_CODE, decodeCoord14, movePacketSize } from "../../core/constants.js";
 import { bytesToHex, hexToBytes } from "../../core/cryptoUtils.js";
 import { readBigUint64BE, readUint32BE } from "./utils.js";
+import { unpackCompactMoves } from "../../blockchain/protocol/CompactMoves.js";
+import { splitSignedAnchor } from "../../blockchain/protocol/AnchorSignature.js";
 
-export function parseAnchorByType(type, anchorHex) {
+/**
+ * Signed anchors are parsed from their unsigned layout; the signature parts
+ * (see AnchorSignature.js) are returned as `anchorSignature`, null if unsigned.
+ * @param {string} type - "genesis" | "heartbeat" | "final"
+ * @param {string} anchorHex
+ * @param {Object} [options]
+ * @param {Object} [options.packetSchema] - PacketSchema, required for v6 schema heartbeats
+ */
+export function parseAnchorByType(type, anchorHex, { packetSchema } = {}) {
   if (!anchorHex) {
     return { error: "missing_anchor_payload" };
   }
   try {
-    if (type === "genesis") return parseGenesisAnchor(anchorHex);
-    if (type === "heartbeat") return parseHeartbeatAnchor(anchorHex);
-    if (type === "final") return parseFinalAnchor(anchorHex);
-    return { error: "unknown_anchor_type" };
+    const split = splitSignedAnchor(hexToBytes(anchorHex));
+    if (!split) return { error: "anchor_signature_truncated" };
+    const bodyHex = bytesToHex(split.bytes);
+
+    let parsed;
+    if (type === "genesis") parsed = parseGenesisAnchor(bodyHex);
+    else if (type === "heartbeat") parsed = parseHeartbeatAnchor(bodyHex, packetSchema);
+    else if (type === "final") parsed = parseFinalAnchor(bodyHex);
+    else return { error: "unknown_anchor_type" };
+
+    return parsed.error ? parsed : { ...parsed, anchorSignature: split.signed ? split : null };
   } catch (err) {
     return { error: "anchor_payload_parse_failed" };
   }
@@ -50,6 +67,16 @@ export function parseGenesisAnchor(anchorHex) {
   const nistSignature = bytesToHex(bytes.slice(offset, offset + 512));
   offset += 512;
 
+  // v6: packet schema hash follows the NIST signature
+  let packetSchemaHash = null;
+  if (version >= ANCHOR.VERSION_V6) {
+    if (bytes.length < offset + ANCHOR.GENESIS_SCHEMA_HASH_SIZE) {
+      return { error: "genesis_schema_hash_missing" };
+    }
+    packetSchemaHash = bytesToHex(bytes.slice(offset, offset + ANCHOR.GENESIS_SCHEMA_HASH_SIZE));
+    offset += ANCHOR.GENESIS_SCHEMA_HASH_SIZE;
+  }
+
   return {
     version,
     anchorType,
@@ -61,10 +88,11 @@ export function parseGenesisAnchor(anchorHex) {
     nistPulseIndex,
     nistOutputHash,
     nistSignature,
+    packetSchemaHash,
   };
 }
 
-export function parseHeartbeatAnchor(anchorHex) {
+export function parseHeartbeatAnchor(anchorHex, packetSchema = null) {
   const bytes = hexToBytes(anchorHex);
 
   // Need at least the v4 header to check version
@@ -92,9 +120,34 @@ export function parseHeartbeatAnchor(anchorHex) {
     offset += 2;
   }
 
-  const moves = [];
+  let moves = [];
+  const compactMoves =
+    version >= ANCHOR.VERSION_V6 && (deltaFlags & ANCHOR.HEARTBEAT_FLAG_COMPACT) !== 0;
+
+  if (compactMoves) {
+    // v6 compact — same union packets as v5, run/varint encoded
+    const unpacked = unpackCompactMoves(bytes, offset, moveCount);
+    moves = unpacked.moves.map((m) =>
+      m.actionCode === MOVE_ACTION_CODE
+        ? {
+            ...m,
+            x: decodeCoord14(m.xRaw),
+            y: decodeCoord14(m.yRaw),
+            z: decodeCoord14(m.zRaw),
+          }
+        : { ...m, coinsTotal: m.value },
+    );
+    offset = unpacked.offset;
+  } else if (version >= ANCHOR.VERSION_V6) {
+    if (!packetSchema) {
+      return { error: "packet_schema_missing" };
+    }
+    const unpacked = packetSchema.unpackMoves(bytes, offset, moveCount);
+    moves = unpacked.moves;
+    offset = unpacked.offset;
+  }
 
-  for (let i = 0; i < moveCount; i++) {
+  for (let i = 0; version < ANCHOR.VERSION_V6 && i < moveCount; i++) {
     if (offset >= bytes.length) break;
 
     const actionByte = bytes[offset];
@@ -169,6 +222,7 @@ export function parseHeartbeatAnchor(anchorHex) {
     deltaFlags,
     moveCount,
     movesSectionLength,
+    compactMoves,
     moves,
     btcDeltaHash,
     nistDelta,
@@ -0,0 +1,57 @@
+/**
+ * signatures.js - Anchor signature checks for cheating audit
+ *
+ * Genesis commits the player's identity key and every linked anchor must
+ * be signed by it over its payload and prevTxId (see AnchorSignature.js).
+ */
+
+import { verifyAnchorSignature } from "../../blockchain/protocol/AnchorSignature.js";
+import { verifyKaspaMessage } from "../../protocol/integrity/sessionVerifier.js";
+import { addReason, equalsHex, normalizeHex } from "./utils.js";
+
+/**
+ * @returns {Promise<string|null>} The key genesis committed, if any
+ */
+export async function verifyAnchorSignatures({
+  chainOrder,
+  genesisTxId,
+  parsedByTxId,
+  signerPubKey = null,
+  verifySignature = verifyKaspaMessage,
+  reasons,
+}) {
+  if (!genesisTxId) return null;
+
+  const genesis = parsedByTxId.get(genesisTxId);
+  const committedKey = genesis?.anchorSignature?.signerPubKey ?? null;
+  if (!committedKey) {
+    addReason(reasons, "anchor_unsigned");
+    return null;
+  }
+  if (signerPubKey && !equalsHex(committedKey, signerPubKey)) {
+    addReason(reasons, "anchor_signer_mismatch");
+  }
+
+  const links = chainOrder.some((anchor) => normalizeHex(anchor?.txId) === genesisTxId)
+    ? chainOrder
+    : [{ txId: genesisTxId }, ...chainOrder];
+
+  for (const anchor of links) {
+    const txId = normalizeHex(anchor?.txId);
+    const parsed = parsedByTxId.get(txId) || {};
+    if (!parsed.anchorSignature) {
+      addReason(reasons, "anchor_unsigned");
+      continue;
+    }
+    const prevTxId = txId === genesisTxId ? null : normalizeHex(parsed.prevTxId);
+    const valid = await verifyAnchorSignature(
+      parsed.anchorSignature,
+      committedKey,
+      prevTxId,
+      verifySignature,
+    );
+    if (!valid) addReason(reasons, "anchor_signature_invalid");
+  }
+
+  return committedKey;
+}
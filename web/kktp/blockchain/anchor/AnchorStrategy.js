@@ -4,21 +4,20 @@
 
 import { Logger, LogModule } from "../../core/logger.js";
 import { bytesToHex, hexToBytes, sha256 } from "../../core/cryptoUtils.js";
-import {
-  BLOCKCHAIN, ANCHOR, ACTION_TO_CODE, ACTION_CODE,
-  MOVE_ACTION_CODE, encodeCoord14, movePacketSize,
-} from "../../core/constants.js";
+import { BLOCKCHAIN, ANCHOR } from "../../core/constants.js";
+import { signAnchor } from "../protocol/AnchorSignature.js";
 
 const log = Logger.create(LogModule.anchor.anchorHeartbeat);
 
 export class AnchorStrategy {
-  constructor({ kaspaLink, wallet, packer, merkleManager, vault, vrf, onEvent } = {}) {
+  constructor({ kaspaLink, wallet, packer, merkleManager, vault, vrf, signer, autoRetry, onEvent } = {}) {
     this._kaspaLink = kaspaLink ?? null;
     this._wallet = wallet ?? null;
     this._packer = packer;
     this._merkleManager = merkleManager;
     this._vault = vault;
     this._vrf = vrf;
+    this._signer = signer ?? null;
     this._onEvent = typeof onEvent === "function" ? onEvent : () => {};
 
     this._gameId = null;
@@ -40,6 +39,22 @@ export class AnchorStrategy {
     this._genesisEntropy = null;
 
     this._binaryAnchor = null;
+
+    // Anchors blocked by an unusable UTXO pool, resubmitted once it recovers
+    this._autoRetry = {
+      maxAttempts: autoRetry?.maxAttempts ?? BLOCKCHAIN.ANCHOR_AUTO_RETRY_MAX,
+      baseDelayMs: autoRetry?.baseDelayMs ?? BLOCKCHAIN.ANCHOR_AUTO_RETRY_BASE_MS,
+      maxDelayMs: autoRetry?.maxDelayMs ?? BLOCKCHAIN.ANCHOR_AUTO_RETRY_MAX_MS,
+      giveUpMs: autoRetry?.giveUpMs ?? BLOCKCHAIN.ANCHOR_AUTO_RETRY_GIVE_UP_MS,
+    };
+    this._queuedGenesis = null;
+    this._heartbeatDeferred = false;
+    this._autoRetryCount = 0;
+    this._autoRetryError = null;
+    this._autoRetryRunning = false;
+    this._autoRetryTimerId = null;
+    this._autoRetryGiveUpId = null;
+    this._unwatchPool = null;
   }
 
   setKaspaLink(kaspaLink) {
@@ -50,6 +65,19 @@ export class AnchorStrategy {
     this._wallet = wallet;
   }
 
+  /**
+   * Identity key that signs every anchor (see AnchorSignature.js); anchors
+   * are sent unsigned without one.
+   * @param {import("../protocol/AnchorSignature.js").AnchorSigner|null} signer
+   */
+  setSigner(signer) {
+    this._signer = signer ?? null;
+  }
+
+  get signer() {
+    return this._signer;
+  }
+
   setGameContext({ gameId, gameIdTagHex }) {
     this._gameId = gameId ?? null;
     this._gameIdTagHex = gameIdTagHex ?? null;
@@ -70,6 +98,9 @@ export class AnchorStrategy {
     this._anchorChain = [];
     this._genesisEntropy = null;
     this._binaryAnchor = null;
+
+    this._cancelAutoRetry();
+    this._queuedGenesis = null;
   }
 
   stop() {
@@ -77,6 +108,9 @@ export class AnchorStrategy {
     this._heartbeatDisabled = true;
     this._kaspaLink?.setHeartbeatAnchorsEnabled?.(false);
 
+    this._cancelAutoRetry();
+    this._queuedGenesis = null;
+
     if (this._anchorTimerId) {
       clearInterval(this._anchorTimerId);
       this._anchorTimerId = null;
@@ -90,6 +124,31 @@ export class AnchorStrategy {
     this._wallet?.stopHeartbeat?.();
   }
 
+  /**
+   * Continue an existing chain after a reload: the next heartbeat links to
+   * lastAnchorTxId and carries the vault moves after lastAnchoredMoveCount.
+   * The heartbeat timer waits for resumeHeartbeats().
+   */
+  restoreState({ genesisTxId, lastAnchorTxId, lastAnchoredMoveCount, anchorChain, genesisEntropy }) {
+    this._genesisTxId = genesisTxId ?? null;
+    this._lastAnchorTxId = lastAnchorTxId ?? genesisTxId ?? null;
+    this._lastAnchoredMoveCount = lastAnchoredMoveCount ?? 0;
+    this._anchorChain = [...(anchorChain ?? [])];
+    this._genesisEntropy = genesisEntropy ?? null;
+    this._lastAnchorTime = Date.now();
+    this._heartbeatDisabled = !this._genesisTxId;
+
+    if (genesisEntropy) {
+      this._vrf?.setGenesisEntropy(genesisEntropy);
+    }
+  }
+
+  resumeHeartbeats() {
+    if (!this._isActive || !this._genesisTxId) return;
+    this._heartbeatDisabled = false;
+    this._startHeartbeatTimer();
+  }
+
   getAnchorState() {
     return {
       genesisTxId: this._genesisTxId,
@@ -115,6 +174,10 @@ export class AnchorStrategy {
     return `${prefixHex}${this._gameIdTagHex ?? ""}${anchorHex}`;
   }
 
+  _signAnchor(bytes, prevTxIdHex) {
+    return this._signer ? signAnchor(bytes, this._signer, prevTxIdHex) : bytes;
+  }
+
   _startHeartbeatTimer() {
     if (!this._isActive || this._heartbeatDisabled) return;
     if (this._anchorTimerId) clearInterval(this._anchorTimerId);
@@ -223,12 +286,17 @@ export class AnchorStrategy {
     const gameIdBytes = new TextEncoder().encode(this._gameId ?? "unknown");
     const gameIdHash = await sha256(gameIdBytes);
 
-    const genesisBuffer = new ArrayBuffer(ANCHOR.GENESIS_BASE_SIZE);
+    // v6: commit the packet schema so auditors decode with the same rules
+    const packetSchemaHash = (await this._packer.packetSchema?.hash()) ?? null;
+
+    const genesisBuffer = new ArrayBuffer(
+      ANCHOR.GENESIS_BASE_SIZE + (packetSchemaHash ? ANCHOR.GENESIS_SCHEMA_HASH_SIZE : 0),
+    );
     const genesisView = new DataView(genesisBuffer);
     const genesisBytes = new Uint8Array(genesisBuffer);
 
     let offset = 0;
-    genesisBytes[offset++] = ANCHOR.VERSION;
+    genesisBytes[offset++] = this._packer.anchorVersion;
     genesisBytes[offset++] = ANCHOR.TYPE_GENESIS;
     genesisBytes.set(gameIdHash.slice(0, 32), offset);
     offset += 32;
@@ -262,13 +330,22 @@ export class AnchorStrategy {
     genesisBytes.set(signaturePadded, offset);
     offset += 512;
 
-    const genesisHex = bytesToHex(genesisBytes);
+    if (packetSchemaHash) {
+      genesisBytes.set(hexToBytes(packetSchemaHash), offset);
+      offset += ANCHOR.GENESIS_SCHEMA_HASH_SIZE;
+    }
+
+    const anchorBytes = await this._signAnchor(genesisBytes, null);
+    const genesisHex = bytesToHex(anchorBytes);
+    const signerPubKey = this._signer ? await this._signer.getPublicKey() : null;
 
     log.info("Genesis anchor built", {
-      bytes: genesisBytes.length,
+      bytes: anchorBytes.length,
       btcBlocks: btcBlockHashes.length,
       nistPulseIndex: nistPulse.pulseIndex,
       hasSignature: nistPulse.signature.some((b) => b !== 0),
+      packetSchemaHash: packetSchemaHash?.substring(0, 16) ?? null,
+      signed: !!signerPubKey,
     });
 
     this._genesisEntropy = {
@@ -278,19 +355,26 @@ export class AnchorStrategy {
       nistPulse,
       startDaaScore: Number(startDaa),
       endDaaScore: Number(endDaa),
-      binaryAnchor: genesisBytes,
+      packetSchemaHash,
+      signerPubKey,
+      binaryAnchor: anchorBytes,
       anchorHex: genesisHex,
     };
 
     this._vrf?.setGenesisEntropy({ btcBlockHashes, nistPulse });
 
+    const genesis = {
+      genesisHex,
+      sizeBytes: anchorBytes.length,
+      btcBlocks: btcBlockHashes.length,
+      nistPulseIndex: nistPulse.pulseIndex,
+    };
     const result = { success: false, txId: null, genesisData: this._genesisEntropy };
     const walletInfo = this._wallet?.getWalletInfo?.() ?? {};
 
-    if (!walletInfo.degradedMode && walletInfo.utxoReady && walletInfo.address && walletInfo.privateKeys) {
+    if (this._isPoolUsable(walletInfo)) {
       const maxAttempts = Number.isFinite(retryCount) ? Math.max(1, retryCount) : 5;
       const baseDelay = 1500;
-      const sendTimeoutMs = 30000;
 
       for (let attempt = 1; attempt <= maxAttempts; attempt++) {
         try {
@@ -301,92 +385,140 @@ export class AnchorStrategy {
             await new Promise((r) => setTimeout(r, delay));
           }
 
-          const message = this._buildAnchorPayload(BLOCKCHAIN.PREFIX_GAME_START_HEX, genesisHex);
-
-          const sendPromise = this._kaspaLink.manualSend({
-            fromAddress: walletInfo.address,
-            toAddress: walletInfo.address,
-            amount: BLOCKCHAIN.ANCHOR_AMOUNT,
-            privateKeys: walletInfo.privateKeys,
-            priorityFee: 0n,
-            payload: message,
-            janitorMode: false,
-          });
-
-          const timeoutPromise = new Promise((_, reject) =>
-            setTimeout(() => reject(new Error("manualSend timeout after 30s")), sendTimeoutMs),
-          );
-
-          const sendResult = await Promise.race([sendPromise, timeoutPromise]);
-
-          const txId = sendResult?.transactionId || sendResult?.txId;
-
-          if (txId) {
-            log.info("Genesis anchor sent successfully", { txId, attempt });
-
-            this._genesisTxId = txId;
-            this._lastAnchorTxId = txId;
-
-            this._anchorChain.push({
-              txId,
-              type: "genesis",
-              timestamp: Date.now(),
-              moveCount: 0,
-            });
+          const txId = await this._sendGenesis(genesis, walletInfo);
+          log.info("Genesis anchor sent successfully", { txId, attempt });
+          this._commitGenesis(genesis, txId, 0);
 
-            result.success = true;
-            result.txId = txId;
-            result.attempts = attempt;
-
-            this._onEvent("genesisAnchored", {
-              txId,
-              genesisHex,
-              sizeBytes: genesisBytes.length,
-              btcBlocks: btcBlockHashes.length,
-              nistPulseIndex: nistPulse.pulseIndex,
-            });
-
-            // Notify pool of successful TX for refresh
-            this._wallet?.notifyTxResult?.(true);
-
-            if (this._isActive) {
-              this._heartbeatDisabled = false;
-              this._startHeartbeatTimer();
-            }
-
-            break;
-          }
-          throw new Error("No transaction ID returned");
+          result.success = true;
+          result.txId = txId;
+          result.attempts = attempt;
+          break;
         } catch (e) {
           log.error(`Genesis anchor attempt ${attempt} failed`, e);
           this._wallet?.notifyTxResult?.(false);
 
           if (attempt === maxAttempts) {
+            this._queueGenesis(genesis, e.message);
+            result.queued = !!this._queuedGenesis;
             this._onEvent("genesisAnchorFailed", {
               error: e.message,
               attempts: attempt,
+              queued: result.queued,
             });
           }
         }
       }
     } else {
-      log.warn("Cannot send genesis anchor - degraded mode or no UTXOs ready");
+      log.warn("Cannot send genesis anchor - degraded mode or no UTXOs ready; queued until the pool recovers");
+      this._queueGenesis(genesis, "Degraded mode or UTXOs not ready");
+      result.queued = !!this._queuedGenesis;
       this._onEvent("genesisAnchorFailed", {
         error: "Degraded mode or UTXOs not ready",
         degradedMode: walletInfo.degradedMode,
         utxoReady: walletInfo.utxoReady,
+        queued: result.queued,
       });
     }
 
     return result;
   }
 
+  /**
+   * Send the queued genesis now (AnchorRetryModal, after automatic
+   * recovery gave up)
+   */
+  async retryGenesisAnchor() {
+    if (this._genesisTxId) {
+      return { success: true, txId: this._genesisTxId, alreadySent: true };
+    }
+    if (!this._queuedGenesis) {
+      return { success: false, error: "No genesis anchor to retry" };
+    }
+
+    const walletInfo = this._wallet?.getWalletInfo?.() ?? {};
+    if (!this._isPoolUsable(walletInfo)) {
+      return { success: false, error: "Degraded mode or UTXOs not ready" };
+    }
+
+    log.info("Retrying genesis anchor (user-initiated)...");
+
+    const genesis = this._queuedGenesis;
+    try {
+      const txId = await this._sendGenesis(genesis, walletInfo);
+      log.info("Genesis anchor retry succeeded", { txId });
+      this._commitGenesis(genesis, txId, this._autoRetryCount + 1);
+      return { success: true, txId };
+    } catch (e) {
+      const error = e?.message || String(e);
+      log.error("Genesis anchor retry failed", error);
+      this._wallet?.notifyTxResult?.(false);
+      return { success: false, error };
+    }
+  }
+
+  /** @private */
+  async _sendGenesis(genesis, walletInfo) {
+    const sendTimeoutMs = 30000;
+    const message = this._buildAnchorPayload(BLOCKCHAIN.PREFIX_GAME_START_HEX, genesis.genesisHex);
+
+    const sendPromise = this._kaspaLink.manualSend({
+      fromAddress: walletInfo.address,
+      toAddress: walletInfo.address,
+      amount: BLOCKCHAIN.ANCHOR_AMOUNT,
+      privateKeys: walletInfo.privateKeys,
+      priorityFee: 0n,
+      payload: message,
+      janitorMode: false,
+    });
+
+    const timeoutPromise = new Promise((_, reject) =>
+      setTimeout(() => reject(new Error("manualSend timeout after 30s")), sendTimeoutMs),
+    );
+
+    const sendResult = await Promise.race([sendPromise, timeoutPromise]);
+    const txId = sendResult?.transactionId || sendResult?.txId;
+    if (!txId) throw new Error("No transaction ID returned");
+    return txId;
+  }
+
+  /** @private */
+  _commitGenesis(genesis, txId, retryCount) {
+    this._queuedGenesis = null;
+    this._genesisTxId = txId;
+    this._lastAnchorTxId = txId;
+
+    this._anchorChain.push({
+      txId,
+      type: "genesis",
+      timestamp: Date.now(),
+      moveCount: 0,
+    });
+
+    this._onEvent("genesisAnchored", { txId, ...genesis, retryCount });
+    if (retryCount > 0) {
+      this._onEvent("anchorSent", { txId, moveCount: 0, anchorType: "genesis", retryCount });
+    }
+
+    // Notify pool of successful TX for refresh
+    this._wallet?.notifyTxResult?.(true);
+
+    if (this._isActive) {
+      this._heartbeatDisabled = false;
+      this._startHeartbeatTimer();
+    }
+
+    this._finishAutoRetry();
+  }
+
   async sendHeartbeatAnchor(options = {}) {
     if (!this._isActive || this._heartbeatDisabled) return;
 
     const walletInfo = this._wallet?.getWalletInfo?.() ?? {};
-    if (this._isSending || walletInfo.degradedMode || !walletInfo.utxoReady) return;
-    if (!walletInfo.address || !walletInfo.privateKeys) return;
+    if (this._isSending) return;
+    if (!this._isPoolUsable(walletInfo)) {
+      if (this._genesisTxId) this._deferHeartbeat();
+      return;
+    }
 
     const maxAttempts = Number.isFinite(options?.retryCount) ? Math.max(1, options.retryCount) : 1;
     const retryDelayMs = Number.isFinite(options?.retryDelayMs) ? Math.max(0, options.retryDelayMs) : 1000;
@@ -396,6 +528,9 @@ export class AnchorStrategy {
       return;
     }
 
+    // Sending a deferred heartbeat, from the timer or _runAutoRetry(), is a resubmit
+    const retryCount = this._heartbeatDeferred ? ++this._autoRetryCount : 0;
+
     let lastError = null;
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
       this._isSending = true;
@@ -410,14 +545,19 @@ export class AnchorStrategy {
         if (pending.btc) deltaFlags |= ANCHOR.DELTA_FLAG_BTC;
         if (pending.nist) deltaFlags |= ANCHOR.DELTA_FLAG_NIST;
 
-        // v5: compute variable-length moves section
-        const actionMaps = this._packer?._actionToCode ?? ACTION_TO_CODE;
-        let movesSectionLength = 0;
-        for (let i = 0; i < moveCount; i++) {
-          const ac = actionMaps[newMoves[i].action] ?? ACTION_CODE.NONE;
-          movesSectionLength += movePacketSize(ac);
-        }
+        const prevTimestamp =
+          moveHistory[this._lastAnchoredMoveCount - 1]?.timestamp ?? Date.now();
 
+        // v6: a packet schema lays out the moves itself; otherwise v5 union
+        // packets, fixed-size or compact
+        const batch = newMoves.slice(0, moveCount);
+        const packetSchema = this._packer.packetSchema;
+        const movesSection = packetSchema
+          ? packetSchema.packMoves(batch)
+          : this._packer.packHeartbeatMoves(this._packer.toHeartbeatPackets(batch, prevTimestamp));
+        if (this._packer.compactMoves) deltaFlags |= ANCHOR.HEARTBEAT_FLAG_COMPACT;
+
+        const movesSectionLength = movesSection.length;
         let totalSize = ANCHOR.HEARTBEAT_HEADER_SIZE + movesSectionLength;
         if (deltaFlags & ANCHOR.DELTA_FLAG_BTC) totalSize += ANCHOR.HEARTBEAT_DELTA_BTC_SIZE;
         if (deltaFlags & ANCHOR.DELTA_FLAG_NIST) totalSize += ANCHOR.HEARTBEAT_DELTA_NIST_SIZE;
@@ -427,7 +567,7 @@ export class AnchorStrategy {
         const heartbeatBytes = new Uint8Array(heartbeatBuffer);
 
         let offset = 0;
-        heartbeatBytes[offset++] = ANCHOR.VERSION;          // byte 0
+        heartbeatBytes[offset++] = this._packer.heartbeatVersion; // byte 0
         heartbeatBytes[offset++] = ANCHOR.TYPE_HEARTBEAT;   // byte 1
 
         const merkleRoot = this._packer.getMerkleRootBytes(this._merkleManager.getRoot());
@@ -445,72 +585,8 @@ export class AnchorStrategy {
         heartbeatBytes[offset++] = (movesSectionLength >> 8) & 0xff;
         heartbeatBytes[offset++] = movesSectionLength & 0xff;
 
-        let prevTimestamp =
-          moveHistory[this._lastAnchoredMoveCount - 1]?.timestamp ?? Date.now();
-
-        for (let i = 0; i < moveCount; i++) {
-          const move = newMoves[i];
-          const actionCode = actionMaps[move.action] ?? ACTION_CODE.NONE;
-
-          const deltaMs = Math.max(0, move.timestamp - prevTimestamp);
-          const timeDelta = Math.min(255, Math.floor(deltaMs / ANCHOR.TIME_DELTA_SCALE));
-          prevTimestamp = move.timestamp;
-
-          if (actionCode === MOVE_ACTION_CODE) {
-            // ── Extended 16-byte MOVE packet ──
-            heartbeatBytes[offset++] = ((actionCode & 0x0f) << 4) | 0; // byte 0: action + flags
-            heartbeatBytes[offset++] = timeDelta;                        // byte 1
-
-            // Bytes 2-7: X, Y, Z (uint16 BE each, 14-bit signed)
-            const xRaw = encodeCoord14(move.x);
-            heartbeatBytes[offset++] = (xRaw >> 8) & 0xff;
-            heartbeatBytes[offset++] = xRaw & 0xff;
-            const yRaw = encodeCoord14(move.y);
-            heartbeatBytes[offset++] = (yRaw >> 8) & 0xff;
-            heartbeatBytes[offset++] = yRaw & 0xff;
-            const zRaw = encodeCoord14(move.z);
-            heartbeatBytes[offset++] = (zRaw >> 8) & 0xff;
-            heartbeatBytes[offset++] = zRaw & 0xff;
-
-            // Bytes 8-11: VRF fragment (4 bytes)
-            if (move.vrfOutputBytes && move.vrfOutputBytes.length >= 4) {
-              heartbeatBytes.set(move.vrfOutputBytes.slice(0, 4), offset);
-            }
-            offset += 4;
-
-            // Bytes 12-13: value (coins / reserved)
-            const coinsClamped = Math.min(Math.max(move.coinsTotal ?? 65535, 0), 65535);
-            heartbeatBytes[offset++] = (coinsClamped >> 8) & 0xff;
-            heartbeatBytes[offset++] = coinsClamped & 0xff;
-
-            // Bytes 14-15: reserved
-            heartbeatBytes[offset++] = 0;
-            heartbeatBytes[offset++] = 0;
-          } else {
-            // ── Standard 8-byte packet ──
-            const lane = move.lane ?? 0;
-            heartbeatBytes[offset++] = ((actionCode & 0x0f) << 4) | (lane & 0x0f);
-            heartbeatBytes[offset++] = timeDelta;
-
-            if (move.vrfOutputBytes && move.vrfOutputBytes.length >= 4) {
-              heartbeatBytes.set(move.vrfOutputBytes.slice(0, 4), offset);
-            }
-            offset += 4;
-
-            // Bytes 6-7: value / subId
-            const isGameEvent = move.isGameEvent === true || move.eventData != null;
-            const coinsTotal = isGameEvent
-              ? (move.eventData?.total ??
-                move.eventData?.coinsRemaining ??
-                move.coinsTotal ??
-                move.coinsRemaining ??
-                0)
-              : (move.subId ?? 65535);
-            const coinsClamped = Math.min(Math.max(coinsTotal ?? 0, 0), 65535);
-            heartbeatBytes[offset++] = (coinsClamped >> 8) & 0xff;
-            heartbeatBytes[offset++] = coinsClamped & 0xff;
-          }
-        }
+        heartbeatBytes.set(movesSection, offset);
+        offset += movesSectionLength;
 
         if (deltaFlags & ANCHOR.DELTA_FLAG_BTC) {
           heartbeatBytes.set(pending.btc.slice(0, 32), offset);
@@ -543,13 +619,15 @@ export class AnchorStrategy {
           log.info("Including NIST delta in heartbeat", { pulseIndex: pending.nist.pulseIndex });
         }
 
-        const heartbeatHex = bytesToHex(heartbeatBytes);
+        const anchorBytes = await this._signAnchor(heartbeatBytes, bytesToHex(prevTxIdBytes));
+        const heartbeatHex = bytesToHex(anchorBytes);
         const message = this._buildAnchorPayload(BLOCKCHAIN.PREFIX_HEARTBEAT_HEX, heartbeatHex);
 
-        log.log("Sending v5 heartbeat anchor", {
+        log.log(`Sending v${this._packer.heartbeatVersion} heartbeat anchor`, {
           moveCount,
           deltaFlags,
-          bytes: heartbeatBytes.length,
+          compact: this._packer.compactMoves,
+          bytes: anchorBytes.length,
         });
 
         const result = await this._kaspaLink.manualSend({
@@ -584,12 +662,21 @@ export class AnchorStrategy {
             moveCount,
             deltaFlags,
             prevTxId: prevTxIdBytes ? bytesToHex(prevTxIdBytes) : null,
+            retryCount,
+          });
+          this._onEvent("anchorSent", {
+            txId,
+            moveCount: moveHistory.length,
+            anchorType: "heartbeat",
+            retryCount,
           });
-          this._onEvent("anchorSent", { txId, moveCount: moveHistory.length });
 
           // Notify pool of successful TX for refresh
           this._wallet?.notifyTxResult?.(true);
 
+          this._heartbeatDeferred = false;
+          this._finishAutoRetry();
+
           log.log("V4 heartbeat anchor sent", { txId, moveCount, deltaFlags });
           return { success: true, txId, moveCount, deltaFlags, attempt };
         }
@@ -630,6 +717,8 @@ export class AnchorStrategy {
         this._onEvent("anchorFailed", {
           error: lastError,
           failCount: this._anchorFailCount,
+          anchorType: "heartbeat",
+          retryCount,
         });
         if (attempt < maxAttempts && retryDelayMs > 0) {
           await new Promise((r) => setTimeout(r, retryDelayMs));
@@ -662,6 +751,10 @@ export class AnchorStrategy {
 
     this._wallet?.stopHeartbeat?.();
 
+    // The final anchor carries every move; nothing left to resubmit
+    this._cancelAutoRetry();
+    this._queuedGenesis = null;
+
     if (this._isSending) {
       log.info("Waiting for pending heartbeat to complete...");
       await new Promise((r) => setTimeout(r, 2000));
@@ -678,7 +771,7 @@ export class AnchorStrategy {
     const finalBytes = new Uint8Array(finalBuffer);
 
     let offset = 0;
-    finalBytes[offset++] = ANCHOR.VERSION;
+    finalBytes[offset++] = this._packer.anchorVersion;
     finalBytes[offset++] = ANCHOR.TYPE_FINAL;
 
     const merkleRootBytes = this._packer.getMerkleRootBytes(this._merkleManager.getRoot());
@@ -709,11 +802,11 @@ export class AnchorStrategy {
     finalBytes[offset++] = outcome;
     finalBytes[offset++] = totalMoves;
 
-    const anchorHex = bytesToHex(finalBytes);
-    this._binaryAnchor = finalBytes;
+    this._binaryAnchor = await this._signAnchor(finalBytes, bytesToHex(prevTxIdBytes));
+    const anchorHex = bytesToHex(this._binaryAnchor);
 
     log.info("V4 Final anchor built", {
-      bytes: finalBytes.length,
+      bytes: this._binaryAnchor.length,
       score: finalScore,
       coins: coinsCollected,
       raceTimeMs,
@@ -727,7 +820,7 @@ export class AnchorStrategy {
       binaryAnchor: this._binaryAnchor,
       anchorHex,
       sizeBytes: this._binaryAnchor.length,
-      version: ANCHOR.VERSION,
+      version: this._packer.anchorVersion,
     });
 
     const result = {
@@ -974,6 +1067,163 @@ export class AnchorStrategy {
       return { success: false, error };
     }
   }
+
+  /** @private */
+  _isPoolUsable(walletInfo = this._wallet?.getWalletInfo?.() ?? {}) {
+    return !walletInfo.degradedMode && !!walletInfo.utxoReady && !!walletInfo.address && !!walletInfo.privateKeys;
+  }
+
+  /**
+   * Hold a genesis the pool could not send; it is resubmitted once the pool
+   * recovers, and AnchorRetryModal is asked for only if that never works.
+   * @private
+   */
+  _queueGenesis(genesis, error) {
+    if (!this._isActive) return;
+    this._queuedGenesis = genesis;
+    this._autoRetryError = error;
+
+    if (!this._autoRetryGiveUpId) {
+      this._autoRetryGiveUpId = setTimeout(() => {
+        this._autoRetryGiveUpId = null;
+        this._giveUpAutoRetry();
+      }, this._autoRetry.giveUpMs);
+    }
+    this._watchPool();
+  }
+
+  /** @private */
+  _deferHeartbeat() {
+    if (!this._heartbeatDeferred) {
+      log.info("Heartbeat deferred until the UTXO pool recovers");
+      this._heartbeatDeferred = true;
+    }
+    this._watchPool();
+  }
+
+  /** @private */
+  _watchPool() {
+    if (!this._unwatchPool) {
+      this._unwatchPool = this._wallet?.onPoolChange?.(() => this._scheduleAutoRetry()) ?? null;
+    }
+    this._scheduleAutoRetry();
+  }
+
+  /**
+   * Backoff doubles with every resubmit; nothing is scheduled while the pool
+   * is unusable, the next pool event tries again.
+   * @private
+   */
+  _scheduleAutoRetry() {
+    if (this._autoRetryTimerId || this._autoRetryRunning) return;
+    if (!this._isActive || (!this._queuedGenesis && !this._heartbeatDeferred)) return;
+    if (!this._isPoolUsable()) return;
+
+    const { baseDelayMs, maxDelayMs } = this._autoRetry;
+    const delay = Math.min(baseDelayMs * Math.pow(2, this._autoRetryCount), maxDelayMs);
+    this._autoRetryTimerId = setTimeout(() => {
+      this._autoRetryTimerId = null;
+      this._runAutoRetry();
+    }, delay);
+  }
+
+  /** @private */
+  async _runAutoRetry() {
+    if (!this._isActive || this._isSending || !this._isPoolUsable()) return;
+
+    const anchorType = this._queuedGenesis ? "genesis" : "heartbeat";
+    this._autoRetryRunning = true;
+    log.info(`Resubmitting ${anchorType} anchor after UTXO recovery`, {
+      retryCount: this._autoRetryCount + 1,
+      maxAttempts: this._autoRetry.maxAttempts,
+    });
+
+    let error = null;
+    try {
+      if (anchorType === "genesis") {
+        const genesis = this._queuedGenesis;
+        this._autoRetryCount++;
+        try {
+          const txId = await this._sendGenesis(genesis, this._wallet.getWalletInfo());
+          log.info("Queued genesis anchor sent", { txId, retryCount: this._autoRetryCount });
+          this._commitGenesis(genesis, txId, this._autoRetryCount);
+          return;
+        } catch (e) {
+          error = e?.message || String(e);
+          this._anchorFailCount++;
+          this._wallet?.notifyTxResult?.(false);
+          this._onEvent("anchorFailed", {
+            error,
+            failCount: this._anchorFailCount,
+            anchorType,
+            retryCount: this._autoRetryCount,
+          });
+        }
+      } else {
+        const result = await this.sendHeartbeatAnchor();
+        if (result?.success || !this._heartbeatDeferred) return;
+        error = result?.error ?? "heartbeat_failed";
+      }
+    } finally {
+      this._autoRetryRunning = false;
+    }
+
+    this._autoRetryError = error;
+    if (this._autoRetryCount >= this._autoRetry.maxAttempts) {
+      this._giveUpAutoRetry();
+    } else {
+      this._scheduleAutoRetry();
+    }
+  }
+
+  /** @private */
+  _giveUpAutoRetry() {
+    if (!this._queuedGenesis && !this._heartbeatDeferred) return;
+
+    const anchorType = this._queuedGenesis ? "genesis" : "heartbeat";
+    const retryCount = this._autoRetryCount;
+    const error = this._autoRetryError ?? "Degraded mode or UTXOs not ready";
+    this._cancelAutoRetry();
+
+    log.error(`Automatic ${anchorType} anchor recovery gave up`, { retryCount, error });
+
+    // A missing heartbeat only delays moves until the next one; a missing
+    // genesis leaves the game without a chain, so ask the player
+    if (anchorType === "genesis") {
+      // retryGenesisAnchor() keeps counting from here
+      this._autoRetryCount = retryCount;
+      this._onEvent("anchorRetryNeeded", {
+        error,
+        reason: "auto_retry_exhausted",
+        anchorType,
+        retryCount,
+      });
+    }
+  }
+
+  /** @private */
+  _finishAutoRetry() {
+    if (!this._queuedGenesis && !this._heartbeatDeferred) {
+      this._cancelAutoRetry();
+    }
+  }
+
+  /** @private */
+  _cancelAutoRetry() {
+    if (this._autoRetryTimerId) {
+      clearTimeout(this._autoRetryTimerId);
+      this._autoRetryTimerId = null;
+    }
+    if (this._autoRetryGiveUpId) {
+      clearTimeout(this._autoRetryGiveUpId);
+      this._autoRetryGiveUpId = null;
+    }
+    this._unwatchPool?.();
+    this._unwatchPool = null;
+    this._heartbeatDeferred = false;
+    this._autoRetryCount = 0;
+    this._autoRetryError = null;
+  }
 }
 
 export default AnchorStrategy;
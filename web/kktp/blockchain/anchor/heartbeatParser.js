@@ -1,5 +1,5 @@
 /**
- * heartbeatParser.js - Parse inbound heartbeat anchor payloads (v4 + v5 Union Protocol)
+ * heartbeatParser.js - Parse inbound heartbeat anchor payloads (v4, v5 Union Protocol, v6)
  *
  * Pure-function module: no side-effects, no state, no imports beyond constants.
  * Extracts the same logic that AuditTrail._parseHeartbeatHex uses, so both
@@ -9,6 +9,15 @@
  *   - Action code 1 (MOVE): 16-byte extended packet with X/Y/Z
  *   - All other action codes: 8-byte standard packet
  *
+ * v6 heartbeats keep the v5 header but lay moves out with the game's
+ * PacketSchema, so they only decode when the caller passes that schema.
+ * With HEARTBEAT_FLAG_COMPACT set they carry v5 union packets in the
+ * compact run/varint encoding instead (see CompactMoves.js).
+ *
+ * Signed heartbeats (TYPE_FLAG_SIGNED) are parsed from their unsigned
+ * layout; the signature parts come back as `anchorSignature` so callers can
+ * check them against a player's key (see AnchorSignature.js).
+ *
  * @module heartbeatParser
  */
 
@@ -17,6 +26,8 @@ import {
   MOVE_ACTION_CODE, decodeCoord14, movePacketSize,
 } from "../../core/constants.js";
 import { hexToBytes, bytesToHex } from "../../core/cryptoUtils.js";
+import { unpackCompactMoves } from "../protocol/CompactMoves.js";
+import { splitSignedAnchor } from "../protocol/AnchorSignature.js";
 
 // ─────────────────────────────────────────────────────────────
 // Public API
@@ -31,9 +42,13 @@ import { hexToBytes, bytesToHex } from "../../core/cryptoUtils.js";
  * @param {string}  ctx.tagHex   - Game-ID tag hex (8 hex chars / 4 bytes).
  * @param {boolean} [ctx.allowNoPrefix=false] - If true, try parsing raw anchor hex when prefix/tag mismatch.
  * @param {Object}  [ctx.codeToAction] - Optional custom code→action map for resolving action strings.
- * @returns {{ header: HeartbeatHeader, moves: ParsedMove[] } | null}
+ * @param {import("../protocol/PacketSchema.js").PacketSchema} [ctx.packetSchema] - Required for v6 schema heartbeats.
+ * @returns {{ header: HeartbeatHeader, moves: ParsedMove[], anchorSignature: Object|null } | null}
  */
-export function parseHeartbeatHex(payloadHex, { prefixHex, tagHex, allowNoPrefix = false, codeToAction } = {}) {
+export function parseHeartbeatHex(
+  payloadHex,
+  { prefixHex, tagHex, allowNoPrefix = false, codeToAction, packetSchema } = {},
+) {
   if (!payloadHex || typeof payloadHex !== "string") return null;
 
   const resolver = codeToAction ?? CODE_TO_ACTION;
@@ -44,11 +59,11 @@ export function parseHeartbeatHex(payloadHex, { prefixHex, tagHex, allowNoPrefix
   
   if (expectedStart && payloadLower.startsWith(expectedStart)) {
     const anchorHex = payloadHex.slice(expectedStart.length);
-    return _parseAnchorHex(anchorHex, resolver);
+    return _parseAnchorHex(anchorHex, resolver, packetSchema);
   }
   
   if (allowNoPrefix) {
-    return _parseAnchorHex(payloadHex, resolver);
+    return _parseAnchorHex(payloadHex, resolver, packetSchema);
   }
   
   return null;
@@ -88,7 +103,11 @@ export function enrichMoves(parsed, { txId, playerId, timeAccumulator }) {
       txId,
     };
 
-    if (m.actionCode === MOVE_ACTION_CODE) {
+    if (m.fields) {
+      // v6 schema packet — raw integers and decoded values
+      base.fields = m.fields;
+      base.values = m.values;
+    } else if (m.actionCode === MOVE_ACTION_CODE) {
       // Extended MOVE — forward x, y, z
       base.x = m.x;
       base.y = m.y;
@@ -118,30 +137,48 @@ export function enrichMoves(parsed, { txId, playerId, timeAccumulator }) {
  *
  * v4 layout: fixed 8-byte packets, 68-byte header
  * v5 layout: union 8/16-byte packets, 70-byte header (movesSectionLength added)
+ * v6 layout: v5 header, packets defined by the game's PacketSchema,
+ *            or compact union packets when HEARTBEAT_FLAG_COMPACT is set
  *
  * @param {string} hex
  * @param {Object} codeToAction - code → action string map
- * @returns {{ header: HeartbeatHeader, moves: ParsedMove[] } | null}
+ * @param {Object} [packetSchema] - PacketSchema for v6
+ * @returns {{ header: HeartbeatHeader, moves: ParsedMove[], anchorSignature: Object|null } | null}
  * @private
  */
-function _parseAnchorHex(hex, codeToAction) {
+function _parseAnchorHex(hex, codeToAction, packetSchema) {
   if (!hex) return null;
   try {
-    const bytes = hexToBytes(hex);
+    const split = splitSignedAnchor(hexToBytes(hex));
+    if (!split) return null;
+    const parsed = _parseBytes(split.bytes, codeToAction, packetSchema);
+    return parsed && { ...parsed, anchorSignature: split.signed ? split : null };
+  } catch {
+    return null;
+  }
+}
 
-    // Need at least the v4 header size to check version
-    if (bytes.length < ANCHOR.HEARTBEAT_HEADER_SIZE_V4) return null;
+/**
+ * Dispatch unsigned heartbeat bytes to the parser for their version.
+ * @private
+ */
+function _parseBytes(bytes, codeToAction, packetSchema) {
+  // Need at least the v4 header size to check version
+  if (bytes.length < ANCHOR.HEARTBEAT_HEADER_SIZE_V4) return null;
 
-    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
-    const version = bytes[0];
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const version = bytes[0];
 
-    if (version >= 5) {
-      return _parseV5(bytes, view, codeToAction);
+  if (version >= ANCHOR.VERSION_V6) {
+    if (bytes[66] & ANCHOR.HEARTBEAT_FLAG_COMPACT) {
+      return _parseCompact(bytes, view, codeToAction);
     }
-    return _parseV4(bytes, view, codeToAction);
-  } catch {
-    return null;
+    return packetSchema ? _parseV6(bytes, view, packetSchema) : null;
   }
+  if (version >= 5) {
+    return _parseV5(bytes, view, codeToAction);
+  }
+  return _parseV4(bytes, view, codeToAction);
 }
 
 /**
@@ -271,7 +308,95 @@ function _parseV5(bytes, view, codeToAction) {
 }
 
 /**
- * Parse optional BTC / NIST delta sections (shared by v4 and v5).
+ * v6 parser — v5 header, schema-defined packets.
+ */
+function _parseV6(bytes, view, packetSchema) {
+  let off = 0;
+
+  const version = bytes[off++];
+  const anchorType = bytes[off++];
+  if (anchorType !== ANCHOR.TYPE_HEARTBEAT) return null;
+  if (bytes.length < ANCHOR.HEARTBEAT_HEADER_SIZE) return null;
+
+  const merkleRoot = bytesToHex(bytes.slice(off, off + 32)); off += 32;
+  const prevTxId   = bytesToHex(bytes.slice(off, off + 32)); off += 32;
+  const deltaFlags = bytes[off++];
+  const moveCount  = bytes[off++];
+  const movesSectionLength = (bytes[off] << 8) | bytes[off + 1]; off += 2;
+
+  const unpacked = packetSchema.unpackMoves(bytes, off, moveCount);
+  const moves = unpacked.moves.map((m) => ({
+    action: m.action,
+    actionCode: m.actionCode,
+    fields: m.fields,
+    values: m.values,
+    timeDeltaMs: m.timeDelta * ANCHOR.TIME_DELTA_SCALE,
+    rawDelta: m.timeDelta,
+    vrfFragment: m.vrfFragment,
+  }));
+
+  const deltas = _parseDeltas(bytes, unpacked.offset, deltaFlags, view);
+
+  return {
+    header: { version, merkleRoot, prevTxId, deltaFlags, moveCount, movesSectionLength, ...deltas },
+    moves,
+  };
+}
+
+/**
+ * v6 compact parser — v5 header, run/varint-encoded union packets.
+ */
+function _parseCompact(bytes, view, codeToAction) {
+  let off = 0;
+
+  const version = bytes[off++];
+  const anchorType = bytes[off++];
+  if (anchorType !== ANCHOR.TYPE_HEARTBEAT) return null;
+  if (bytes.length < ANCHOR.HEARTBEAT_HEADER_SIZE) return null;
+
+  const merkleRoot = bytesToHex(bytes.slice(off, off + 32)); off += 32;
+  const prevTxId   = bytesToHex(bytes.slice(off, off + 32)); off += 32;
+  const deltaFlags = bytes[off++];
+  const moveCount  = bytes[off++];
+  const movesSectionLength = (bytes[off] << 8) | bytes[off + 1]; off += 2;
+
+  const unpacked = unpackCompactMoves(bytes, off, moveCount);
+  const moves = unpacked.moves.map((m) => {
+    const base = {
+      actionCode: m.actionCode,
+      timeDeltaMs: m.timeDelta * ANCHOR.TIME_DELTA_SCALE,
+      rawDelta: m.timeDelta,
+      vrfFragment: m.vrfFragment,
+      value: m.value,
+    };
+    if (m.actionCode === MOVE_ACTION_CODE) {
+      return {
+        ...base,
+        action: codeToAction[m.actionCode] || "move",
+        x: decodeCoord14(m.xRaw),
+        y: decodeCoord14(m.yRaw),
+        z: decodeCoord14(m.zRaw),
+        xRaw: m.xRaw, yRaw: m.yRaw, zRaw: m.zRaw,
+      };
+    }
+    return {
+      ...base,
+      action: codeToAction[m.actionCode] || `unknown_${m.actionCode}`,
+      lane: m.lane,
+      coinsTotal: m.value,
+    };
+  });
+
+  const deltas = _parseDeltas(bytes, unpacked.offset, deltaFlags, view);
+
+  return {
+    header: { version, merkleRoot, prevTxId, deltaFlags, moveCount, movesSectionLength, ...deltas },
+    moves,
+  };
+}
+
+/**
+ * Parse optional BTC / NIST delta sections (shared by all versions).
  */
 function _parseDeltas(bytes, off, deltaFlags, view) {
   let deltaBtcHash = null;
@@ -307,7 +432,7 @@ function _parseDeltas(bytes, off, deltaFlags, view) {
  * @property {string} prevTxId
  * @property {number} deltaFlags
  * @property {number} moveCount
- * @property {number} [movesSectionLength] - v5 only
+ * @property {number} [movesSectionLength] - v5 and v6
  * @property {string|null} deltaBtcHash
  * @property {Object|null} deltaNistPulse
  */
@@ -328,6 +453,8 @@ function _parseDeltas(bytes, off, deltaFlags, view) {
  * @property {string} vrfFragment
  * @property {number} [coinsTotal]     - Standard packets
  * @property {number} [value]          - Raw uint16 value field
+ * @property {Object} [fields]         - v6 only: raw schema field integers
+ * @property {Object} [values]         - v6 only: decoded schema field values
  */
 
 /**
@@ -339,6 +466,8 @@ function _parseDeltas(bytes, off, deltaFlags, view) {
  * @property {number} [x]
  * @property {number} [y]
  * @property {number} [z]
+ * @property {Object} [fields] - v6 only
+ * @property {Object} [values] - v6 only
  * @property {number} timeDeltaMs
  * @property {number} rawDelta
  * @property {string} vrfFragment
@@ -3,25 +3,42 @@
  */
 
 import { ANCHOR, CODE_TO_ACTION, MOVE_ACTION_CODE, decodeCoord14, movePacketSize } from "../core/constants.js";
+import { unpackCompactMoves } from "./protocol/CompactMoves.js";
+import { splitSignedAnchor } from "./protocol/AnchorSignature.js";
 
-export function parseAnchor(anchorItem) {
-  return formatAnchorPayload(anchorItem);
+/**
+ * @param {Object} anchorItem - { type, txId, anchorHex }
+ * @param {Object} [options]
+ * @param {Object} [options.packetSchema] - PacketSchema, needed to list v6 heartbeat moves
+ * @returns {string}
+ */
+export function parseAnchor(anchorItem, options = {}) {
+  return formatAnchorPayload(anchorItem, options);
 }
 
-export function parseAnchorPayload(type, bytes) {
+export function parseAnchorPayload(type, bytes, { packetSchema } = {}) {
   if (!bytes || bytes.length === 0) {
     return { lines: ["parseError: empty payload"] };
   }
-  if (type === "genesis") {
-    return parseGenesisPayload(bytes);
+  const split = splitSignedAnchor(bytes);
+  if (!split) {
+    return { lines: ["parseError: payload too short for its signature"] };
   }
-  if (type === "heartbeat") {
-    return parseHeartbeatPayload(bytes);
-  }
-  if (type === "final") {
-    return parseFinalPayload(bytes);
+
+  let parsed;
+  if (type === "genesis") {
+    parsed = parseGenesisPayload(split.bytes);
+  } else if (type === "heartbeat") {
+    parsed = parseHeartbeatPayload(split.bytes, packetSchema);
+  } else if (type === "final") {
+    parsed = parseFinalPayload(split.bytes);
+  } else {
+    return { lines: ["parseError: unknown anchor type"] };
   }
-  return { lines: ["parseError: unknown anchor type"] };
+
+  if (split.signerPubKey) parsed.lines.push(`signerPubKey: ${split.signerPubKey}`);
+  parsed.lines.push(`signature: ${split.signature ?? "none"}`);
+  return parsed;
 }
 
 export function parseGenesisPayload(bytes) {
@@ -52,6 +69,7 @@ export function parseGenesisPayload(bytes) {
   const nistOutputHash = bytesToHex(bytes.slice(offset, offset + 64));
   offset += 64;
   const nistSignature = bytesToHex(bytes.slice(offset, offset + 512));
+  offset += 512;
 
   lines.push(`version: ${version}`);
   lines.push(`anchorType: ${anchorType}`);
@@ -68,10 +86,21 @@ export function parseGenesisPayload(bytes) {
     `nistSignature: ${truncateHex(nistSignature, 64)} (len=${nistSignature.length})`,
   );
 
+  if (version >= ANCHOR.VERSION_V6) {
+    if (offset + ANCHOR.GENESIS_SCHEMA_HASH_SIZE <= bytes.length) {
+      const packetSchemaHash = bytesToHex(
+        bytes.slice(offset, offset + ANCHOR.GENESIS_SCHEMA_HASH_SIZE),
+      );
+      lines.push(`packetSchemaHash: ${packetSchemaHash}`);
+    } else {
+      lines.push("packetSchemaHash: parseError (payload too short)");
+    }
+  }
+
   return { lines };
 }
 
-export function parseHeartbeatPayload(bytes) {
+export function parseHeartbeatPayload(bytes, packetSchema = null) {
   const lines = [];
   const minHeader = Math.min(ANCHOR.HEARTBEAT_HEADER_SIZE, ANCHOR.HEARTBEAT_HEADER_SIZE_V4);
   if (bytes.length < minHeader) {
@@ -102,7 +131,47 @@ export function parseHeartbeatPayload(bytes) {
     lines.push(`movesSectionLength: ${movesSectionLength}`);
   }
 
-  for (let i = 0; i < moveCount; i++) {
+  if (version >= ANCHOR.VERSION_V6 && deltaFlags & ANCHOR.HEARTBEAT_FLAG_COMPACT) {
+    try {
+      const unpacked = unpackCompactMoves(bytes, offset, moveCount);
+      unpacked.moves.forEach((move, i) => {
+        const actionName = CODE_TO_ACTION[move.actionCode] ?? "unknown";
+        const target =
+          move.actionCode === MOVE_ACTION_CODE
+            ? `x=${decodeCoord14(move.xRaw)} y=${decodeCoord14(move.yRaw)} z=${decodeCoord14(move.zRaw)}`
+            : `lane=${move.lane}`;
+        lines.push(
+          `move[${i}]: actionCode=${move.actionCode} (${actionName}) ${target} timeDeltaMs=${move.timeDelta * ANCHOR.TIME_DELTA_SCALE} vrfFragment=${move.vrfFragment} value=${move.value}`,
+        );
+      });
+      offset = unpacked.offset;
+    } catch (err) {
+      lines.push(`moves: parseError (${err.message})`);
+      return { lines };
+    }
+  } else if (version >= ANCHOR.VERSION_V6) {
+    if (!packetSchema) {
+      lines.push("moves: parseError (packet schema required)");
+      return { lines };
+    }
+    try {
+      const unpacked = packetSchema.unpackMoves(bytes, offset, moveCount);
+      unpacked.moves.forEach((move, i) => {
+        const values = Object.entries(move.values)
+          .map(([name, value]) => `${name}=${value}`)
+          .join(" ");
+        lines.push(
+          `move[${i}]: actionCode=${move.actionCode} (${move.action}) ${values ? `${values} ` : ""}timeDeltaMs=${move.timeDelta * ANCHOR.TIME_DELTA_SCALE} vrfFragment=${move.vrfFragment}`,
+        );
+      });
+      offset = unpacked.offset;
+    } catch (err) {
+      lines.push(`moves: parseError (${err.message})`);
+      return { lines };
+    }
+  }
+
+  for (let i = 0; version < ANCHOR.VERSION_V6 && i < moveCount; i++) {
     if (offset >= bytes.length) {
       lines.push(`move[${i}]: parseError (payload too short)`);
       break;
@@ -221,14 +290,14 @@ export function parseFinalPayload(bytes) {
   return { lines };
 }
 
-function formatAnchorPayload(anchorItem) {
+function formatAnchorPayload(anchorItem, options) {
   const hex = String(anchorItem?.anchorHex || "");
   if (!hex) {
     return "No payload available.";
   }
   const bytes = hexToBytes(hex);
   const type = String(anchorItem?.type || "unknown").toLowerCase();
-  const parsed = parseAnchorPayload(type, bytes);
+  const parsed = parseAnchorPayload(type, bytes, options);
   const groupedHex = groupHex(hex, 32);
   return [
     `type: ${anchorItem?.type || "unknown"}`,
@@ -278,6 +347,7 @@ function formatDeltaFlags(flags) {
   const parts = [];
   if (flags & ANCHOR.DELTA_FLAG_BTC) parts.push("btc");
   if (flags & ANCHOR.DELTA_FLAG_NIST) parts.push("nist");
+  if (flags & ANCHOR.HEARTBEAT_FLAG_COMPACT) parts.push("compact moves");
   return parts.length ? parts.join(", ") : "none";
 }
 
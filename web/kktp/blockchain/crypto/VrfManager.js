@@ -84,6 +84,22 @@ export class VrfManager {
     this._lastNistPulse = nistPulse ?? null;
   }
 
+  /**
+   * Pick the chain back up from a checkpoint.
+   * The baton is the last move's VRF output; null re-seeds lazily on the next move.
+   */
+  restoreState({ currentVrfState, genesisTxId, genesisReinforced }) {
+    this._currentVrfState = currentVrfState ?? null;
+    this._genesisTxId = genesisTxId ?? null;
+    this._genesisReinforced = !!genesisReinforced;
+    this._pendingBtcDelta = null;
+    this._pendingNistDelta = null;
+    log.info("VRF chain restored", {
+      genesisReinforced: this._genesisReinforced,
+      seeded: this._currentVrfState !== null,
+    });
+  }
+
   /**
    * Reset VRF state — called when game is stopped.
    * Ensures the next game starts with a fresh chain.
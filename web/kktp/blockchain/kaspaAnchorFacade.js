@@ -18,6 +18,8 @@ export class KaspaAnchorFacade {
      * @param {Object} [options.kaspaAdapter] - KaspaAdapter instance (alias)
    * @param {Object} [options.sessionController] - SessionController instance
    * @param {Object} [options.moveProcessorOptions] - Additional MoveProcessor options
+   * @param {Object} [options.packetSchema] - PacketSchema (or spec) for anchor v6
+   * @param {boolean} [options.compactMoves] - Compact heartbeat moves (anchor v6)
    */
   constructor(options = {}) {
       const {
@@ -25,6 +27,8 @@ export class KaspaAnchorFacade {
         // v5 custom action maps — forwarded to MoveProcessor
         customActionMap, customAbilitiesMap, customActionsMap,
         customItemsMap, customStatusMap, customEmotesMap, customSystemMap,
+        // v6 packet schema / compact moves — forwarded to MoveProcessor
+        packetSchema, compactMoves,
       } = options;
       const resolvedAdapter = adapter ?? kaspaAdapter ?? null;
 
@@ -38,6 +42,8 @@ export class KaspaAnchorFacade {
       customStatusMap,
       customEmotesMap,
       customSystemMap,
+      packetSchema,
+      compactMoves,
       ...(moveProcessorOptions || {}),
     });
   }
@@ -144,6 +150,13 @@ export class KaspaAnchorFacade {
     return this._processor.anchorFinalState(endState, options);
   }
 
+  /**
+   * Send a genesis anchor that automatic recovery gave up on
+   */
+  async retryGenesisAnchor() {
+    return this._processor.retryGenesisAnchor();
+  }
+
   // ──────────────────────────────────────────────────────────────
   // UTXO / Wallet Helpers
   // ──────────────────────────────────────────────────────────────
@@ -19,6 +19,7 @@ import { MoveVault } from "./protocol/MoveVault.js";
 import { StateSerializer } from "./protocol/StateSerializer.js";
 import { AuditTrail } from "./protocol/AuditTrail.js";
 import { AnchorStrategy } from "./anchor/AnchorStrategy.js";
+import { createIdentityAnchorSigner } from "./protocol/AnchorSignature.js";
 
 const log = Logger.create(LogModule.anchor.moveProcessor);
 
@@ -64,7 +65,11 @@ export class MoveProcessor extends EventEmitter {
 
     this._kaspaLink = new KaspaLink(this._adapter);
     this._vault = new MoveVault();
-    this._packer = new BinaryPacker({ actionMaps: this._actionMaps });
+    this._packer = new BinaryPacker({
+      actionMaps: this._actionMaps,
+      packetSchema: options.packetSchema,
+      compactMoves: options.compactMoves,
+    });
     this._merkleManager = new MerkleManager();
     this._opponentMerkleManager = new MerkleManager();
     this._entropyProvider = new EntropyProvider({
@@ -87,8 +92,12 @@ export class MoveProcessor extends EventEmitter {
       merkleManager: this._merkleManager,
       vault: this._vault,
       vrf: this._vrf,
+      signer: options.anchorSigner ?? null,
+      autoRetry: options.anchorAutoRetry,
       onEvent: (event, payload) => this.emit(event, payload),
     });
+    // Anchors are signed with identity key 0 unless the caller brings a signer
+    this._hasCustomSigner = !!options.anchorSigner;
     this._auditTrail = new AuditTrail({ kaspaLink: this._kaspaLink, packer: this._packer });
     this._stateSerializer = new StateSerializer();
 
@@ -124,9 +133,38 @@ export class MoveProcessor extends EventEmitter {
     this._wallet.setKaspaLink(this._kaspaLink);
     this._anchorStrategy.setKaspaLink(this._kaspaLink);
     this._auditTrail.setKaspaLink(this._kaspaLink);
+    if (!this._hasCustomSigner) {
+      this._anchorStrategy.setSigner(this._defaultAnchorSigner());
+    }
     log.debug("KaspaAdapter set");
   }
 
+  /**
+   * Sign anchors with another identity key (e.g. a lobby identity), or
+   * with null go back to the adapter's identity key 0.
+   * @param {import("./protocol/AnchorSignature.js").AnchorSigner|null} signer
+   */
+  setAnchorSigner(signer) {
+    this._hasCustomSigner = !!signer;
+    this._anchorStrategy.setSigner(signer ?? this._defaultAnchorSigner());
+  }
+
+  /**
+   * Public key our anchors are signed with
+   * @returns {Promise<string|null>}
+   */
+  async getAnchorSignerPublicKey() {
+    return (await this._anchorStrategy.signer?.getPublicKey()) ?? null;
+  }
+
+  /** @private */
+  _defaultAnchorSigner() {
+    const adapter = this._adapter;
+    return adapter?.generateIdentityKeys && adapter?.signMessage
+      ? createIdentityAnchorSigner(adapter)
+      : null;
+  }
+
   setSessionController(sessionController) {
     this._sessionController = sessionController;
     this._entropyProvider.setSessionController(sessionController);
@@ -293,6 +331,9 @@ export class MoveProcessor extends EventEmitter {
     const actionCode = this._actionMaps.actionToCode[action] ?? ACTION_CODE.NONE;
     const isMove = actionCode === MOVE_ACTION_CODE;
 
+    // v6: schema fields, encoded up front so an unknown action never reaches the VRF chain
+    const fields = this._packer.packetSchema?.encodeFields(action, data) ?? null;
+
     // For MOVE actions, encode x/y/z as 14-bit raw integers
     const xRaw = isMove ? encodeCoord14(data.x) : undefined;
     const yRaw = isMove ? encodeCoord14(data.y) : undefined;
@@ -351,10 +392,13 @@ export class MoveProcessor extends EventEmitter {
       ...data,
     };
 
-    // Dual-path merkle leaf: MOVE uses { action, x, y, z, timeDelta, vrfFragment }
-    const merkleLeaf = isMove
-      ? { action, x: xRaw, y: yRaw, z: zRaw, timeDelta, vrfFragment }
-      : { action, lane: data.lane ?? 0, timeDelta, vrfFragment };
+    // Merkle leaf: schema games hash { action, fields, timeDelta, vrfFragment },
+    // otherwise MOVE uses { action, x, y, z, timeDelta, vrfFragment }
+    const merkleLeaf = fields
+      ? { action, fields, timeDelta, vrfFragment }
+      : isMove
+        ? { action, x: xRaw, y: yRaw, z: zRaw, timeDelta, vrfFragment }
+        : { action, lane: data.lane ?? 0, timeDelta, vrfFragment };
     const merkleResult = this._merkleManager.addMove(merkleLeaf);
 
     move.merkleIndex = merkleResult.index;
@@ -385,6 +429,7 @@ export class MoveProcessor extends EventEmitter {
     } else {
       vaultEntry.lane = data.lane ?? 0;
     }
+    if (fields) vaultEntry.fields = fields;
 
     this._vault.addMove(vaultEntry);
 
@@ -405,6 +450,7 @@ export class MoveProcessor extends EventEmitter {
       } else {
         vrfProofEntry.lane = data.lane ?? 0;
       }
+      if (fields) vrfProofEntry.fields = fields;
       this._vault.addVrfProof(vrfProofEntry);
     }
 
@@ -431,6 +477,7 @@ export class MoveProcessor extends EventEmitter {
     const timestamp = Date.now();
     const sequence = this._vault.getMoveHistory().length;
     const eventCode = ACTION_TO_CODE[eventType] ?? ACTION_CODE.NONE;
+    const fields = this._packer.packetSchema?.encodeFields(eventType, data) ?? null;
     const currentBlock = this._entropyProvider.getCachedBlockHash();
 
     const event = {
@@ -455,6 +502,7 @@ export class MoveProcessor extends EventEmitter {
         duration: data.duration ?? 0,
       },
     };
+    if (fields) event.fields = fields;
 
     this._vault.addGameEvent(event);
     this._prevMoveTimestamp = timestamp;
@@ -507,24 +555,41 @@ export class MoveProcessor extends EventEmitter {
     const opponentTimeDelta = Math.min(255, Math.floor(opponentDeltaMs / ANCHOR.TIME_DELTA_SCALE));
     const opponentVrfFragment = typeof moveData.vrfOutput === "string" ? moveData.vrfOutput.slice(0, 8) : "";
 
+    const packetSchema = this._packer.packetSchema;
+    if (packetSchema && !packetSchema.hasAction(moveData.action)) {
+      log.warn("Opponent action not in packet schema", { action: moveData.action });
+      this.emit(MoveEvent.VALIDATION_FAILED, {
+        reason: "unknown_action",
+        move: moveData,
+      });
+      return { valid: false, reason: "unknown_action" };
+    }
+
     const oppActionCode = this._actionMaps.actionToCode[moveData.action] ?? ACTION_CODE.NONE;
     const oppIsMove = oppActionCode === MOVE_ACTION_CODE;
 
-    const oppMerkleLeaf = oppIsMove
+    const oppMerkleLeaf = packetSchema
       ? {
           action: moveData.action,
-          x: moveData.xRaw ?? (moveData.x != null ? encodeCoord14(moveData.x) : 0),
-          y: moveData.yRaw ?? (moveData.y != null ? encodeCoord14(moveData.y) : 0),
-          z: moveData.zRaw ?? (moveData.z != null ? encodeCoord14(moveData.z) : 0),
+          fields: moveData.fields ?? packetSchema.encodeFields(moveData.action, moveData),
           timeDelta: opponentTimeDelta,
           vrfFragment: opponentVrfFragment,
         }
-      : {
-          action: moveData.action,
-          lane: moveData.lane ?? 0,
-          timeDelta: opponentTimeDelta,
-          vrfFragment: opponentVrfFragment,
-        };
+      : oppIsMove
+        ? {
+            action: moveData.action,
+            x: moveData.xRaw ?? (moveData.x != null ? encodeCoord14(moveData.x) : 0),
+            y: moveData.yRaw ?? (moveData.y != null ? encodeCoord14(moveData.y) : 0),
+            z: moveData.zRaw ?? (moveData.z != null ? encodeCoord14(moveData.z) : 0),
+            timeDelta: opponentTimeDelta,
+            vrfFragment: opponentVrfFragment,
+          }
+        : {
+            action: moveData.action,
+            lane: moveData.lane ?? 0,
+            timeDelta: opponentTimeDelta,
+            vrfFragment: opponentVrfFragment,
+          };
 
     this._opponentMerkleManager.addMove(oppMerkleLeaf);
 
@@ -572,6 +637,142 @@ export class MoveProcessor extends EventEmitter {
     });
   }
 
+  /**
+   * Snapshot for resuming after a reload (seal with GameCheckpoint.js).
+   * Only meaningful once genesis is anchored.
+   */
+  exportCheckpoint() {
+    return this._stateSerializer.checkpoint({
+      gameId: this._gameId,
+      playerId: this._playerId,
+      opponentId: this._opponentId,
+      moveSequence: this._moveSequence,
+      merkleManager: this._merkleManager,
+      vault: this._vault,
+      anchorState: {
+        ...this._anchorStrategy.getAnchorState(),
+        lastAnchoredMoveCount: this._anchorStrategy.lastAnchoredMoveCount,
+      },
+      packer: this._packer,
+    });
+  }
+
+  /**
+   * Restore a checkpoint into a started processor, lined up with the chain
+   * as it stands on the DAG. If the anchored moves are a prefix of the
+   * checkpoint's history the game can go on: the next heartbeat links to
+   * the DAG tip and carries the moves that never made it. Otherwise (stale
+   * or foreign checkpoint) only what the DAG holds is restored, enough for
+   * a final anchor but not to keep playing.
+   *
+   * @param {Object} checkpoint - From exportCheckpoint()
+   * @param {Object} trace - From AuditTrail.traceAnchorChain() for the checkpoint's genesis
+   * @returns {{ continuable: boolean, anchoredMoves: number, pendingMoves: number }}
+   */
+  restoreCheckpoint(checkpoint, trace) {
+    if (!this._isActive) {
+      throw new Error("MoveProcessor not active");
+    }
+
+    const history = checkpoint.moveHistory ?? [];
+    const anchoredMoves = trace.moves.length;
+    const continuable = this._isAnchoredPrefix(trace.moves, history);
+
+    if (continuable) {
+      this._vault.restore(checkpoint);
+      this._merkleManager.restore(checkpoint.merkleMoves);
+      this._moveSequence = checkpoint.moveSequence ?? 0;
+
+      // The VRF baton is the last move's output, so it always agrees with the history
+      const lastMove = history.findLast((entry) => !entry.isGameEvent);
+      this._vrf.restoreState({
+        currentVrfState: lastMove?.vrfOutputBytes ?? null,
+        genesisTxId: trace.genesisTxId,
+        genesisReinforced: lastMove?.entropySnapshot?.isGenesisReinforced ?? false,
+      });
+    } else {
+      const restored = trace.moves.map((packet) => this._restoreAnchoredPacket(packet));
+      this._vault.restore({ moveHistory: restored.map(({ entry }) => entry) });
+      this._merkleManager.restore(restored.map(({ leaf }) => leaf));
+      this._moveSequence = anchoredMoves;
+      this._vrf.setGenesisTxId(trace.genesisTxId);
+    }
+
+    const moveHistory = this._vault.getMoveHistory();
+    this._prevMoveTimestamp = moveHistory[moveHistory.length - 1]?.timestamp ?? 0;
+
+    this._anchorStrategy.restoreState({
+      genesisTxId: trace.genesisTxId,
+      lastAnchorTxId: trace.tipTxId,
+      lastAnchoredMoveCount: anchoredMoves,
+      anchorChain: trace.links,
+      genesisEntropy: checkpoint.anchor?.genesisEntropy ?? null,
+    });
+
+    const result = {
+      continuable,
+      anchoredMoves,
+      pendingMoves: continuable ? history.length - anchoredMoves : 0,
+    };
+    log.info("MoveProcessor restored from checkpoint", {
+      gameId: this._gameId,
+      tipTxId: trace.tipTxId,
+      ...result,
+    });
+    return result;
+  }
+
+  /**
+   * Restart heartbeats after restoreCheckpoint()
+   */
+  resumeHeartbeats() {
+    this._anchorStrategy.resumeHeartbeats();
+  }
+
+  /** @private */
+  _isAnchoredPrefix(packets, history) {
+    if (packets.length > history.length) return false;
+    const packetSchema = this._packer.packetSchema;
+    return packets.every((packet, i) => {
+      const entry = history[i];
+      const actionCode = packetSchema
+        ? packetSchema.actionCode(entry.action)
+        : (this._actionMaps.actionToCode[entry.action] ?? ACTION_CODE.NONE);
+      const vrfFragment = bytesToHex((entry.vrfOutputBytes ?? new Uint8Array(4)).slice(0, 4));
+      return packet.actionCode === actionCode && packet.vrfFragment === vrfFragment;
+    });
+  }
+
+  /**
+   * Vault entry and merkle leaf for a move known only from its heartbeat packet
+   * @private
+   */
+  _restoreAnchoredPacket(packet) {
+    const timeDelta = packet.rawDelta ?? packet.timeDelta ?? 0;
+    const vrfFragment = packet.vrfFragment ?? "";
+    const entry = {
+      action: packet.action,
+      timeDelta,
+      vrfFragment,
+      vrfOutputBytes: hexToBytes(vrfFragment.padEnd(64, "0")),
+    };
+
+    let leaf;
+    if (packet.fields) {
+      entry.fields = packet.fields;
+      leaf = { action: packet.action, fields: packet.fields, timeDelta, vrfFragment };
+    } else if (packet.actionCode === MOVE_ACTION_CODE) {
+      entry.x = packet.xRaw ?? 0;
+      entry.y = packet.yRaw ?? 0;
+      entry.z = packet.zRaw ?? 0;
+      leaf = { action: packet.action, x: entry.x, y: entry.y, z: entry.z, timeDelta, vrfFragment };
+    } else {
+      entry.lane = packet.lane ?? 0;
+      leaf = { action: packet.action, lane: entry.lane, timeDelta, vrfFragment };
+    }
+    return { entry, leaf };
+  }
+
   async anchorGenesisSeed(options = {}) {
     return await this._anchorStrategy.anchorGenesisSeed(options);
   }
@@ -595,6 +796,10 @@ export class MoveProcessor extends EventEmitter {
     return await this._anchorStrategy.retryFinalAnchor();
   }
 
+  async retryGenesisAnchor() {
+    return await this._anchorStrategy.retryGenesisAnchor();
+  }
+
   async prepareForGame() {
     return await this._wallet.prepareForGame();
   }
@@ -0,0 +1,156 @@
+/**
+ * AnchorSignature.js - Identity signatures on game anchors
+ *
+ * A signed anchor has ANCHOR.TYPE_FLAG_SIGNED set on its type byte and ends
+ * with a signature by the player's KKTP identity key:
+ *
+ *   genesis:          body [signerPubKey 33] [signature 64]
+ *   heartbeat, final: body [signature 64]
+ *
+ * The signature covers anchorSigningBody(): every byte before it plus the
+ * txid of the previous anchor (empty for genesis), so a link cannot be
+ * replayed onto another chain. Genesis commits the key; every later link
+ * must verify against it.
+ */
+
+import { ANCHOR } from "../../core/constants.js";
+import { bytesToHex, hexToBytes } from "../../core/cryptoUtils.js";
+
+/**
+ * @typedef {Object} AnchorSigner
+ * @property {() => Promise<string>} getPublicKey - 33-byte compressed key, hex
+ * @property {(message: string) => Promise<string>} sign - 64-byte signature, hex
+ */
+
+/**
+ * Message an anchor's signature is made over
+ * @param {Uint8Array} signedBytes - Anchor bytes before the signature
+ * @param {string|null} prevTxIdHex - Previous anchor txid, null for genesis
+ * @returns {string}
+ */
+export function anchorSigningBody(signedBytes, prevTxIdHex) {
+  return `KKTP:ANCHOR:${String(prevTxIdHex ?? "").toLowerCase()}:${bytesToHex(signedBytes)}`;
+}
+
+/**
+ * Signer backed by one of the adapter's identity keys
+ * @param {Object} adapter - KaspaAdapter or SimulatedKaspaAdapter
+ * @param {number} [keyIndex=0]
+ * @returns {AnchorSigner}
+ */
+export function createIdentityAnchorSigner(adapter, keyIndex = 0) {
+  let keysPromise = null;
+  const keys = () => {
+    keysPromise ??= adapter.generateIdentityKeys(keyIndex).then(
+      ({ sig }) => sig,
+      (err) => {
+        keysPromise = null;
+        throw err;
+      },
+    );
+    return keysPromise;
+  };
+
+  return {
+    async getPublicKey() {
+      return (await keys()).publicKey;
+    },
+    async sign(message) {
+      return adapter.signMessage((await keys()).privateKey, message);
+    },
+  };
+}
+
+/**
+ * Flag, (for genesis) extend with the public key, and sign an anchor
+ * @param {Uint8Array} bytes - Unsigned anchor
+ * @param {AnchorSigner} signer
+ * @param {string|null} prevTxIdHex - Previous anchor txid, null for genesis
+ * @returns {Promise<Uint8Array>} Signed anchor
+ * @throws {Error} If the key or signature has the wrong size
+ */
+export async function signAnchor(bytes, signer, prevTxIdHex) {
+  const isGenesis = bytes[1] === ANCHOR.TYPE_GENESIS;
+
+  let pubKey = null;
+  if (isGenesis) {
+    pubKey = hexToBytes(await signer.getPublicKey());
+    if (pubKey.length !== ANCHOR.SIGNER_PUBKEY_SIZE) {
+      throw new Error(`Anchor signer key is ${pubKey.length} bytes, expected ${ANCHOR.SIGNER_PUBKEY_SIZE}`);
+    }
+  }
+
+  const signedLength = bytes.length + (pubKey?.length ?? 0);
+  const signed = new Uint8Array(signedLength + ANCHOR.ANCHOR_SIGNATURE_SIZE);
+  signed.set(bytes, 0);
+  signed[1] |= ANCHOR.TYPE_FLAG_SIGNED;
+  if (pubKey) signed.set(pubKey, bytes.length);
+
+  const signature = hexToBytes(
+    await signer.sign(anchorSigningBody(signed.subarray(0, signedLength), prevTxIdHex)),
+  );
+  if (signature.length !== ANCHOR.ANCHOR_SIGNATURE_SIZE) {
+    throw new Error(`Anchor signature is ${signature.length} bytes, expected ${ANCHOR.ANCHOR_SIGNATURE_SIZE}`);
+  }
+  signed.set(signature, signedLength);
+  return signed;
+}
+
+/**
+ * Separate an anchor into its unsigned layout and signature parts. Parsers
+ * read `bytes` exactly as they would an unsigned anchor.
+ * @param {Uint8Array} anchorBytes
+ * @returns {{ bytes: Uint8Array, anchorType: number, signed: boolean, signedBytes: Uint8Array|null, signerPubKey: string|null, signature: string|null }|null}
+ *   null if the anchor is flagged as signed but too short to hold the signature
+ */
+export function splitSignedAnchor(anchorBytes) {
+  const anchorType = anchorBytes[1] & ~ANCHOR.TYPE_FLAG_SIGNED & 0xff;
+  if (!(anchorBytes[1] & ANCHOR.TYPE_FLAG_SIGNED)) {
+    return {
+      bytes: anchorBytes,
+      anchorType,
+      signed: false,
+      signedBytes: null,
+      signerPubKey: null,
+      signature: null,
+    };
+  }
+
+  const keySize = anchorType === ANCHOR.TYPE_GENESIS ? ANCHOR.SIGNER_PUBKEY_SIZE : 0;
+  const signedLength = anchorBytes.length - ANCHOR.ANCHOR_SIGNATURE_SIZE;
+  const bodyLength = signedLength - keySize;
+  if (bodyLength < 2) return null;
+
+  const bytes = anchorBytes.slice(0, bodyLength);
+  bytes[1] = anchorType;
+
+  return {
+    bytes,
+    anchorType,
+    signed: true,
+    signedBytes: anchorBytes.slice(0, signedLength),
+    signerPubKey: keySize ? bytesToHex(anchorBytes.slice(bodyLength, signedLength)) : null,
+    signature: bytesToHex(anchorBytes.slice(signedLength)),
+  };
+}
+
+/**
+ * Verify a signed anchor against a public key
+ * @param {Object} split - From splitSignedAnchor()
+ * @param {string} pubKeyHex
+ * @param {string|null} prevTxIdHex - Previous anchor txid, null for genesis
+ * @param {(pubKeyHex: string, body: string, sigHex: string) => Promise<boolean>} verifySignature
+ * @returns {Promise<boolean>}
+ */
+export async function verifyAnchorSignature(split, pubKeyHex, prevTxIdHex, verifySignature) {
+  if (!split?.signed || !pubKeyHex) return false;
+  try {
+    return !!(await verifySignature(
+      pubKeyHex,
+      anchorSigningBody(split.signedBytes, prevTxIdHex),
+      split.signature,
+    ));
+  } catch {
+    return false;
+  }
+}
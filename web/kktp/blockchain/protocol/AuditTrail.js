@@ -5,6 +5,7 @@
 import { ANCHOR, BLOCKCHAIN, CODE_TO_ACTION } from "../../core/constants.js";
 import { hexToBytes, bytesToHex } from "../../core/cryptoUtils.js";
 import { parseHeartbeatHex as _sharedParseHB } from "../anchor/heartbeatParser.js";
+import { splitSignedAnchor } from "./AnchorSignature.js";
 
 export class AuditTrail {
   constructor({ kaspaLink, packer }) {
@@ -58,11 +59,13 @@ export class AuditTrail {
 
     const anchorChain = anchorState?.anchorChain ?? [];
     const genesisEntropy = anchorState?.genesisEntropy ?? null;
+    const packetSchema = this._packer.packetSchema;
 
     return {
-      version: ANCHOR.VERSION,
-      protocolVersion: "v5",
+      version: this._packer.anchorVersion,
+      protocolVersion: `v${this._packer.anchorVersion}`,
       gameId,
+      packetSchema: packetSchema?.toJSON() ?? null,
       playerId: anchorState?.playerId ?? null,
       anchorChain: {
         genesisTxId: anchorState?.genesisTxId ?? null,
@@ -84,6 +87,8 @@ export class AuditTrail {
             hasNistSignature: genesisEntropy.nistPulse?.signature?.some((b) => b !== 0) ?? false,
             startDaaScore: genesisEntropy.startDaaScore,
             endDaaScore: genesisEntropy.endDaaScore,
+            packetSchemaHash: genesisEntropy.packetSchemaHash ?? null,
+            signerPubKey: genesisEntropy.signerPubKey ?? null,
             binaryHex: genesisEntropy.anchorHex,
             binaryBytes: genesisEntropy.binaryAnchor?.length,
           }
@@ -91,7 +96,7 @@ export class AuditTrail {
       binaryAnchor: anchorHex,
       binaryBytes: binaryAnchor.length,
       header: {
-        version: ANCHOR.VERSION,
+        version: this._packer.anchorVersion,
         gameId,
         gameIdTagHex: resolvedGameIdTagHex,
         startBlockHash: startBlockHashHex,
@@ -124,6 +129,7 @@ export class AuditTrail {
         // v5: include x/y/z for MOVE actions, lane for standard
         if (m.x != null) { entry.x = m.x; entry.y = m.y; entry.z = m.z; }
         if (m.lane != null) entry.lane = m.lane;
+        if (m.fields) entry.fields = m.fields;
         return entry;
       }),
       context: {
@@ -146,6 +152,7 @@ export class AuditTrail {
         };
         if (p.x != null) { entry.x = p.x; entry.y = p.y; entry.z = p.z; }
         if (p.lane != null) entry.lane = p.lane;
+        if (p.fields) entry.fields = p.fields;
         return entry;
       }),
       opponent: anchorState?.opponentId
@@ -162,7 +169,9 @@ export class AuditTrail {
           "4. Replay game deterministically from anchored data",
           "5. Verify each move VRF was computed with the stated Kaspa block hash",
         ],
-        canonicalLeafHashFormula: "MOVE: simpleHashHex({action,x,y,z,timeDelta,vrfFragment}), Standard: simpleHashHex({action,lane,timeDelta,vrfFragment})",
+        canonicalLeafHashFormula: packetSchema
+          ? "Schema: simpleHashHex({action,fields,timeDelta,vrfFragment})"
+          : "MOVE: simpleHashHex({action,x,y,z,timeDelta,vrfFragment}), Standard: simpleHashHex({action,lane,timeDelta,vrfFragment})",
       },
     };
   }
@@ -282,6 +291,7 @@ export class AuditTrail {
       genesisBlockHashHex,
       endBlockHashHex: endBlockHashHex ?? null,
       disablePrefixFilter: !!disablePrefixFilter,
+      packetSchema: this._packer.packetSchema,
     });
   }
 
@@ -289,6 +299,62 @@ export class AuditTrail {
   // Static: DAG anchor parsing
   // ──────────────────────────────────────────────────────────────
 
+  /**
+   * Follow one player's chain through scanned anchors by prevTxId,
+   * starting at its genesis. Anchors of other chains under the same
+   * game tag are skipped.
+   * @param {Array<{txId: string, type: string, anchorHex: string, timestamp?: number}>} chain - anchorChain.chain from getAuditDataFromDag()
+   * @param {string} genesisTxId
+   * @param {Object} [options]
+   * @param {Object} [options.packetSchema] - PacketSchema, required for v6 schema heartbeats
+   * @returns {{ genesisTxId: string, tipTxId: string, links: Object[], moves: Object[], final: Object|null }|null}
+   *   null if the genesis is not among the anchors. `tipTxId` is the last
+   *   heartbeat (or genesis) and `moves` every packet linked heartbeats carry.
+   */
+  static traceAnchorChain(chain, genesisTxId, { packetSchema = null } = {}) {
+    const entries = Array.isArray(chain) ? chain : [];
+    const lower = (txId) => String(txId ?? "").toLowerCase();
+
+    const genesis = entries.find((e) => e.type === "genesis" && lower(e.txId) === lower(genesisTxId));
+    if (!genesis) return null;
+
+    const byPrevTxId = new Map();
+    for (const entry of entries) {
+      const parsed =
+        entry.type === "heartbeat"
+          ? AuditTrail._parseHeartbeatHex(entry.anchorHex, packetSchema)
+          : entry.type === "final"
+            ? AuditTrail._parseFinalHex(entry.anchorHex)
+            : null;
+      const prevTxId = lower(parsed?.prevTxId);
+      if (prevTxId && !byPrevTxId.has(prevTxId)) byPrevTxId.set(prevTxId, { entry, parsed });
+    }
+
+    const links = [{ txId: genesis.txId, type: "genesis", timestamp: genesis.timestamp ?? null, moveCount: 0 }];
+    const moves = [];
+    let tipTxId = genesis.txId;
+    let final = null;
+
+    for (let next = byPrevTxId.get(lower(tipTxId)); next; next = byPrevTxId.get(lower(tipTxId))) {
+      const { entry, parsed } = next;
+      if (entry.type === "final") {
+        final = { ...parsed, txId: entry.txId };
+        break;
+      }
+      moves.push(...parsed.moves);
+      links.push({
+        txId: entry.txId,
+        type: "heartbeat",
+        timestamp: entry.timestamp ?? null,
+        moveCount: parsed.moves.length,
+        deltaFlags: parsed.deltaFlags,
+      });
+      tipTxId = entry.txId;
+    }
+
+    return { genesisTxId: genesis.txId, tipTxId, links, moves, final };
+  }
+
   /**
    * Build a full audit data structure from parsed DAG chain entries.
    * Mirrors the shape returned by getAuditData() (in-memory mode)
@@ -296,7 +362,7 @@ export class AuditTrail {
    * receive the same data structure regardless of source.
    * @private
    */
-  static _buildFullAuditFromDag({ chain, genesisTxId, lastAnchorTxId, gameId, gameIdTagHex, genesisBlockHashHex, endBlockHashHex, disablePrefixFilter }) {
+  static _buildFullAuditFromDag({ chain, genesisTxId, lastAnchorTxId, gameId, gameIdTagHex, genesisBlockHashHex, endBlockHashHex, disablePrefixFilter, packetSchema = null }) {
     let genesis = null;
     const heartbeats = [];
     let final = null;
@@ -305,7 +371,7 @@ export class AuditTrail {
       if (entry.type === "genesis") {
         genesis = AuditTrail._parseGenesisHex(entry.anchorHex);
       } else if (entry.type === "heartbeat") {
-        const hb = AuditTrail._parseHeartbeatHex(entry.anchorHex);
+        const hb = AuditTrail._parseHeartbeatHex(entry.anchorHex, packetSchema);
         if (hb) {
           hb._txId = entry.txId;
           hb._timestamp = entry.timestamp;
@@ -333,6 +399,8 @@ export class AuditTrail {
           hasNistSignature: genesis.hasNistSignature,
           startDaaScore: genesis.startDaaScore,
           endDaaScore: genesis.endDaaScore,
+          packetSchemaHash: genesis.packetSchemaHash,
+          signerPubKey: genesis.signerPubKey,
         }
       : null;
 
@@ -391,6 +459,8 @@ export class AuditTrail {
         // v5: forward coordinate or lane data
         if (m.x != null) { moveEntry.x = m.xRaw ?? m.x; moveEntry.y = m.yRaw ?? m.y; moveEntry.z = m.zRaw ?? m.z; }
         if (m.lane != null) moveEntry.lane = m.lane;
+        // v6: schema fields (raw, as hashed) and their decoded values
+        if (m.fields) { moveEntry.fields = m.fields; moveEntry.values = m.values; }
         allMoves.push(moveEntry);
         globalIdx++;
       }
@@ -412,6 +482,7 @@ export class AuditTrail {
       };
       if (m.x != null) { vp.x = m.x; vp.y = m.y; vp.z = m.z; }
       if (m.lane != null) vp.lane = m.lane;
+      if (m.fields) vp.fields = m.fields;
       return vp;
     });
 
@@ -433,6 +504,7 @@ export class AuditTrail {
       };
       if (m.x != null) { mh.x = m.x; mh.y = m.y; mh.z = m.z; }
       if (m.lane != null) mh.lane = m.lane;
+      if (m.fields) mh.fields = m.fields;
       return mh;
     });
 
@@ -486,11 +558,14 @@ export class AuditTrail {
     // ── Game results from final anchor ──
     const totalMoves = final?.totalMoves ?? allMoves.length;
 
+    const version = genesis?.version ?? ANCHOR.VERSION;
+
     return {
-      version: ANCHOR.VERSION,
-      protocolVersion: "v5",
+      version,
+      protocolVersion: `v${version}`,
       source: "blockchain",
       gameId,
+      packetSchema: packetSchema?.toJSON() ?? null,
       timestamp: new Date().toISOString(),
       anchorChain: {
         genesisTxId,
@@ -549,12 +624,16 @@ export class AuditTrail {
    * Layout: version(1) + type(1) + gameIdHash(32) + hashedSeed(32)
    *       + btcHashes(6×32) + startDaa(8) + endDaa(8) + nistIndex(8)
    *       + nistOutputHash(64) + nistSignature(512) = 858 bytes
+   *       [+ packetSchemaHash(32) in v6]
+   *       [+ signerPubKey(33) + signature(64) when signed]
    * @private
    */
   static _parseGenesisHex(hex) {
     if (!hex) return null;
     try {
-      const bytes = hexToBytes(hex);
+      const split = splitSignedAnchor(hexToBytes(hex));
+      if (!split) return null;
+      const { bytes } = split;
       if (bytes.length < ANCHOR.GENESIS_BASE_SIZE) return null;
 
       const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
@@ -582,10 +661,18 @@ export class AuditTrail {
       const nistSignature = bytesToHex(bytes.slice(off, off + 512)); off += 512;
       const hasNistSignature = nistSignature !== "0".repeat(1024);
 
+      let packetSchemaHash = null;
+      if (version >= ANCHOR.VERSION_V6) {
+        if (bytes.length < off + ANCHOR.GENESIS_SCHEMA_HASH_SIZE) return null;
+        packetSchemaHash = bytesToHex(bytes.slice(off, off + ANCHOR.GENESIS_SCHEMA_HASH_SIZE));
+      }
+
       return {
         version, gameIdHash, hashedSeed, btcBlockHashes,
         startDaaScore, endDaaScore,
         nistPulseIndex, nistOutputHash, nistSignature, hasNistSignature,
+        packetSchemaHash,
+        signerPubKey: split.signerPubKey,
       };
     } catch { return null; }
   }
@@ -594,15 +681,18 @@ export class AuditTrail {
    * Parse a heartbeat anchor payload (hex after prefix+tag).
    * Delegates to the shared heartbeatParser and flattens into
    * the legacy shape that audit callers expect.
+   * @param {string} hex
+   * @param {Object} [packetSchema] - PacketSchema, required for v6 heartbeats
    * @private
    */
-  static _parseHeartbeatHex(hex) {
+  static _parseHeartbeatHex(hex, packetSchema = null) {
     // The shared parser expects a full payload (prefix+tag+anchor).
     // Audit callers pass just the anchor hex, so call it without prefix/tag.
     const result = _sharedParseHB(hex, {
       prefixHex: "",
       tagHex: "",
       allowNoPrefix: true,
+      packetSchema,
     });
     if (!result) return null;
 
@@ -624,12 +714,15 @@ export class AuditTrail {
    * Layout: version(1) + type(1) + finalMerkleRoot(32) + genesisTxId(32)
    *       + prevTxId(32) + resultLeafHash(32) + finalScore(4)
    *       + coinsCollected(4) + raceTimeMs(4) + outcome(1) + totalMoves(1) = 144
+   *       [+ signature(64) when signed]
    * @private
    */
   static _parseFinalHex(hex) {
     if (!hex) return null;
     try {
-      const bytes = hexToBytes(hex);
+      const split = splitSignedAnchor(hexToBytes(hex));
+      if (!split) return null;
+      const { bytes } = split;
       if (bytes.length < ANCHOR.FINAL_SIZE) return null;
 
       const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
@@ -3,29 +3,69 @@
  *
  * Action code 1 (MOVE) → 16-byte extended packet with X/Y/Z.
  * All other action codes → 8-byte standard packet.
+ *
+ * When the game registered a PacketSchema, anchors use format v6 and the
+ * schema decides every packet's layout instead. With compactMoves, v6
+ * heartbeats carry the same union packets in the CompactMoves.js encoding.
  */
 
 import { bytesToHex, hexToBytes } from "../../core/cryptoUtils.js";
 import {
   ANCHOR,
   ACTION_TO_CODE,
+  ACTION_CODE,
   CODE_TO_ACTION,
   MOVE_ACTION_CODE,
   encodeCoord14,
   decodeCoord14,
   movePacketSize,
 } from "../../core/constants.js";
+import { PacketSchema } from "./PacketSchema.js";
+import { packCompactMoves } from "./CompactMoves.js";
 
 export class BinaryPacker {
   /**
    * @param {Object} [options]
    * @param {Object} [options.actionMaps] - Merged maps from buildActionMaps()
+   * @param {PacketSchema|Object} [options.packetSchema] - Game packet schema (anchor v6)
+   * @param {boolean} [options.compactMoves=false] - Compact heartbeat moves (anchor v6)
    */
   constructor(options = {}) {
     this._actionToCode = options.actionMaps?.actionToCode ?? ACTION_TO_CODE;
     this._codeToAction = options.actionMaps?.codeToAction ?? CODE_TO_ACTION;
     this._subMaps      = options.actionMaps?.subMaps ?? {};
     this._reverseSubMaps = options.actionMaps?.reverseSubMaps ?? {};
+    this._packetSchema = options.packetSchema ? PacketSchema.from(options.packetSchema) : null;
+    this._compactMoves = !!options.compactMoves;
+  }
+
+  /** Registered packet schema, or null for the v5 union layout. */
+  get packetSchema() {
+    return this._packetSchema;
+  }
+
+  /** Version byte for genesis, heartbeat and final anchors. */
+  get anchorVersion() {
+    return this._packetSchema ? ANCHOR.VERSION_V6 : ANCHOR.VERSION;
+  }
+
+  /** Register (or clear, with null) the packet schema. */
+  setPacketSchema(packetSchema) {
+    this._packetSchema = packetSchema ? PacketSchema.from(packetSchema) : null;
+  }
+
+  /** Whether heartbeats use the compact encoding (ignored with a packet schema). */
+  get compactMoves() {
+    return this._compactMoves && !this._packetSchema;
+  }
+
+  setCompactMoves(enabled) {
+    this._compactMoves = !!enabled;
+  }
+
+  /** Version byte for heartbeat anchors. */
+  get heartbeatVersion() {
+    return this._packetSchema || this._compactMoves ? ANCHOR.VERSION_V6 : ANCHOR.VERSION;
   }
 
   /** Update action maps at runtime (e.g. when game starts with custom maps). */
@@ -256,6 +296,94 @@ export class BinaryPacker {
     return packet;
   }
 
+  // ──────────────────────────────────────────────────────────────────────────
+  // Heartbeat moves section (v5 union packets, fixed or compact)
+  // ──────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Turn vault moves into the union packets a heartbeat carries.
+   * @param {Object[]} moves - Vault entries, oldest first
+   * @param {number} prevTimestamp - Timestamp of the last move already anchored
+   * @returns {import("./CompactMoves.js").UnionPacket[]}
+   */
+  toHeartbeatPackets(moves, prevTimestamp) {
+    let prev = prevTimestamp;
+
+    return moves.map((move) => {
+      const actionCode = this._actionToCode[move.action] ?? ACTION_CODE.NONE;
+      const deltaMs = Math.max(0, move.timestamp - prev);
+      prev = move.timestamp;
+
+      const packet = {
+        actionCode,
+        timeDelta: Math.min(ANCHOR.TIME_DELTA_MAX, Math.floor(deltaMs / ANCHOR.TIME_DELTA_SCALE)),
+        vrfFragment:
+          move.vrfOutputBytes?.length >= ANCHOR.VRF_FRAGMENT_BYTES
+            ? move.vrfOutputBytes.slice(0, ANCHOR.VRF_FRAGMENT_BYTES)
+            : new Uint8Array(ANCHOR.VRF_FRAGMENT_BYTES),
+      };
+
+      if (actionCode === MOVE_ACTION_CODE) {
+        // Vault coordinates are already 14-bit raw (see MoveProcessor)
+        packet.xRaw = (move.x ?? 0) & 0x3fff;
+        packet.yRaw = (move.y ?? 0) & 0x3fff;
+        packet.zRaw = (move.z ?? 0) & 0x3fff;
+        packet.value = Math.min(Math.max(move.coinsTotal ?? 65535, 0), 65535);
+      } else {
+        packet.lane = (move.lane ?? 0) & 0x0f;
+        const isGameEvent = move.isGameEvent === true || move.eventData != null;
+        const value = isGameEvent
+          ? (move.eventData?.total ??
+            move.eventData?.coinsRemaining ??
+            move.coinsTotal ??
+            move.coinsRemaining ??
+            0)
+          : (move.subId ?? 65535);
+        packet.value = Math.min(Math.max(value ?? 0, 0), 65535);
+      }
+      return packet;
+    });
+  }
+
+  /**
+   * Lay out a heartbeat's moves section: 16/8-byte v5 packets, or the
+   * compact encoding when compactMoves is on.
+   * @param {import("./CompactMoves.js").UnionPacket[]} packets - From toHeartbeatPackets()
+   * @returns {Uint8Array}
+   */
+  packHeartbeatMoves(packets) {
+    if (this.compactMoves) return packCompactMoves(packets);
+
+    const out = new Uint8Array(
+      packets.reduce((sum, p) => sum + movePacketSize(p.actionCode), 0),
+    );
+    let off = 0;
+    for (const p of packets) {
+      if (p.actionCode === MOVE_ACTION_CODE) {
+        out[off] = (p.actionCode & 0x0f) << 4;
+        out[off + 1] = p.timeDelta;
+        out[off + 2] = (p.xRaw >> 8) & 0xff;
+        out[off + 3] = p.xRaw & 0xff;
+        out[off + 4] = (p.yRaw >> 8) & 0xff;
+        out[off + 5] = p.yRaw & 0xff;
+        out[off + 6] = (p.zRaw >> 8) & 0xff;
+        out[off + 7] = p.zRaw & 0xff;
+        out.set(p.vrfFragment, off + 8);
+        out[off + 12] = (p.value >> 8) & 0xff;
+        out[off + 13] = p.value & 0xff;
+        // Bytes 14-15: reserved
+      } else {
+        out[off] = ((p.actionCode & 0x0f) << 4) | p.lane;
+        out[off + 1] = p.timeDelta;
+        out.set(p.vrfFragment, off + 2);
+        out[off + 6] = (p.value >> 8) & 0xff;
+        out[off + 7] = p.value & 0xff;
+      }
+      off += movePacketSize(p.actionCode);
+    }
+    return out;
+  }
+
   // ──────────────────────────────────────────────────────────────────────────
   // Move unpacking (v4 legacy format — header-based binary anchor)
   // ──────────────────────────────────────────────────────────────────────────
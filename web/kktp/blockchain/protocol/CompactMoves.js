@@ -0,0 +1,176 @@
+/**
+ * CompactMoves.js - Compact heartbeat move encoding (anchor v6, HEARTBEAT_FLAG_COMPACT)
+ *
+ * Carries the same union packets as v5 (action, lane or x/y/z, timeDelta,
+ * vrfFragment, value) in fewer bytes. Moves are grouped into runs of one
+ * action code (and lane):
+ *
+ *   run  = [actionCode << 4 | lane] [varint runLength] move × runLength
+ *   move = [varint timeDelta] [vrfFragment (4)] [dx dy dz]? [dValue]
+ *
+ * dx/dy/dz are only present for MOVE and are zigzag varints of the signed
+ * 14-bit coordinate minus the previous MOVE's. dValue is the zigzag varint
+ * of the value field minus the previous move's. Both start from the
+ * defaults (0 and 0xFFFF) at every heartbeat, so a heartbeat decodes on its
+ * own. Runs never exceed one heartbeat.
+ */
+
+import { ANCHOR, MOVE_ACTION_CODE } from "../../core/constants.js";
+import { bytesToHex } from "../../core/cryptoUtils.js";
+
+const COORD_RANGE = 16384; // 14-bit two's complement
+const DEFAULT_VALUE = 0xffff;
+
+/**
+ * @typedef {Object} UnionPacket
+ * @property {number} actionCode
+ * @property {number} [lane]      - Standard packets (0-15)
+ * @property {number} [xRaw]      - MOVE packets, 14-bit raw as in v5
+ * @property {number} [yRaw]
+ * @property {number} [zRaw]
+ * @property {number} timeDelta   - 0-255, in TIME_DELTA_SCALE units
+ * @property {Uint8Array} vrfFragment - 4 bytes
+ * @property {number} value       - uint16 value field
+ */
+
+/**
+ * Encode union packets as a compact moves section
+ * @param {UnionPacket[]} packets
+ * @returns {Uint8Array}
+ */
+export function packCompactMoves(packets) {
+  const out = [];
+  let prevCoords = [0, 0, 0];
+  let prevValue = DEFAULT_VALUE;
+
+  for (let i = 0; i < packets.length; ) {
+    const key = runKey(packets[i]);
+    let end = i + 1;
+    while (end < packets.length && runKey(packets[end]) === key) end++;
+
+    out.push(key);
+    writeVarint(out, end - i);
+
+    for (; i < end; i++) {
+      const packet = packets[i];
+      writeVarint(out, packet.timeDelta);
+      for (let b = 0; b < ANCHOR.VRF_FRAGMENT_BYTES; b++) out.push(packet.vrfFragment?.[b] ?? 0);
+
+      if (packet.actionCode === MOVE_ACTION_CODE) {
+        const coords = [packet.xRaw, packet.yRaw, packet.zRaw].map(toSigned14);
+        coords.forEach((c, axis) => writeVarint(out, zigzag(c - prevCoords[axis])));
+        prevCoords = coords;
+      }
+      writeVarint(out, zigzag(packet.value - prevValue));
+      prevValue = packet.value;
+    }
+  }
+
+  return Uint8Array.from(out);
+}
+
+/**
+ * Decode `count` moves of a compact moves section
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} count
+ * @returns {{ moves: Array<UnionPacket & { vrfFragment: string }>, offset: number }}
+ *   vrfFragment is hex; offset is just past the last move
+ * @throws {Error} If the section is truncated or a run overruns `count`
+ */
+export function unpackCompactMoves(bytes, offset, count) {
+  const reader = { bytes, offset };
+  const moves = [];
+  let prevCoords = [0, 0, 0];
+  let prevValue = DEFAULT_VALUE;
+
+  while (moves.length < count) {
+    const key = readByte(reader);
+    const actionCode = key >> 4;
+    const runLength = readVarint(reader);
+    if (runLength === 0 || moves.length + runLength > count) {
+      throw new Error(`Run of ${runLength} moves does not fit moveCount ${count}`);
+    }
+
+    for (let r = 0; r < runLength; r++) {
+      const timeDelta = readVarint(reader);
+      if (reader.offset + ANCHOR.VRF_FRAGMENT_BYTES > bytes.length) {
+        throw new Error("Compact moves truncated");
+      }
+      const vrfFragment = bytesToHex(
+        bytes.slice(reader.offset, reader.offset + ANCHOR.VRF_FRAGMENT_BYTES),
+      );
+      reader.offset += ANCHOR.VRF_FRAGMENT_BYTES;
+
+      const move = { actionCode, timeDelta, vrfFragment };
+      if (actionCode === MOVE_ACTION_CODE) {
+        const coords = prevCoords.map((prev) => prev + unzigzag(readVarint(reader)));
+        [move.xRaw, move.yRaw, move.zRaw] = coords.map(toRaw14);
+        prevCoords = coords;
+      } else {
+        move.lane = key & 0x0f;
+      }
+      move.value = prevValue + unzigzag(readVarint(reader));
+      prevValue = move.value;
+      moves.push(move);
+    }
+  }
+
+  return { moves, offset: reader.offset };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Internal
+// ─────────────────────────────────────────────────────────────
+
+function runKey(packet) {
+  const lane = packet.actionCode === MOVE_ACTION_CODE ? 0 : packet.lane ?? 0;
+  return ((packet.actionCode & 0x0f) << 4) | (lane & 0x0f);
+}
+
+function toSigned14(raw) {
+  const v = (raw ?? 0) & 0x3fff;
+  return v >= COORD_RANGE / 2 ? v - COORD_RANGE : v;
+}
+
+function toRaw14(signed) {
+  if (signed < -COORD_RANGE / 2 || signed >= COORD_RANGE / 2) {
+    throw new Error(`Coordinate ${signed} out of 14-bit range`);
+  }
+  return signed < 0 ? signed + COORD_RANGE : signed;
+}
+
+function zigzag(n) {
+  return n < 0 ? -2 * n - 1 : 2 * n;
+}
+
+function unzigzag(n) {
+  return n % 2 === 1 ? -(n + 1) / 2 : n / 2;
+}
+
+/** LEB128, values up to 2^28 */
+function writeVarint(out, value) {
+  let v = value;
+  while (v >= 0x80) {
+    out.push((v & 0x7f) | 0x80);
+    v >>>= 7;
+  }
+  out.push(v);
+}
+
+function readVarint(reader) {
+  let value = 0;
+  for (let shift = 0; shift < 28; shift += 7) {
+    const byte = readByte(reader);
+    value |= (byte & 0x7f) << shift;
+    if (!(byte & 0x80)) return value;
+  }
+  throw new Error("Varint too long");
+}
+
+function readByte(reader) {
+  if (reader.offset >= reader.bytes.length) {
+    throw new Error("Compact moves truncated");
+  }
+  return reader.bytes[reader.offset++];
+}
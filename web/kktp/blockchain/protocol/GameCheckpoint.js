@@ -0,0 +1,67 @@
+/**
+ * GameCheckpoint.js - Sealed game checkpoints for resuming after a reload
+ *
+ * A checkpoint (MoveProcessor.exportCheckpoint()) holds what the page
+ * loses on reload: move history, merkle leaves, VRF baton, sequence and
+ * the anchor chain position. It is a sealed blob (core/sealedBlob.js) like
+ * lobby snapshots, under its own label, so only the wallet that saved it
+ * can open it. Byte arrays and bigints survive the JSON round trip.
+ */
+
+import { bytesToHex, hexToBytes } from "../../core/cryptoUtils.js";
+import { deriveSealKey, sealBlob, openBlob } from "../../core/sealedBlob.js";
+import { Logger, LogModule } from "../../core/logger.js";
+
+const log = Logger.create(LogModule.anchor.gameCheckpoint);
+
+const CHECKPOINT_KEY_LABEL = "KKTP:GAME:CHECKPOINT";
+
+/**
+ * Derive the key game checkpoints are sealed with
+ * @param {string} walletSecretHex - Private key only the wallet can re-derive
+ * @returns {Uint8Array} 32-byte key
+ */
+export function deriveCheckpointKey(walletSecretHex) {
+  return deriveSealKey(CHECKPOINT_KEY_LABEL, walletSecretHex);
+}
+
+/**
+ * Encrypt a checkpoint for storage
+ * @param {Object} checkpoint - From MoveProcessor.exportCheckpoint()
+ * @param {Uint8Array} key - From deriveCheckpointKey()
+ * @returns {{ version: number, nonce: string, ciphertext: string }}
+ */
+export function sealCheckpoint(checkpoint, key) {
+  return sealBlob(checkpoint, key, CHECKPOINT_KEY_LABEL, { replacer: _replacer });
+}
+
+/**
+ * Decrypt a sealed checkpoint
+ * @param {Object} sealed - From sealCheckpoint()
+ * @param {Uint8Array} key - From deriveCheckpointKey()
+ * @returns {Object|null} Checkpoint, or null if it is unreadable or another wallet's
+ */
+export function openCheckpoint(sealed, key) {
+  try {
+    return openBlob(sealed, key, CHECKPOINT_KEY_LABEL, { reviver: _reviver });
+  } catch (err) {
+    log.warn("Could not open game checkpoint", err?.message || err);
+    return null;
+  }
+}
+
+/** @private */
+function _replacer(_key, value) {
+  if (value instanceof Uint8Array) return { $bytes: bytesToHex(value) };
+  if (typeof value === "bigint") return { $bigint: value.toString() };
+  return value;
+}
+
+/** @private */
+function _reviver(_key, value) {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    if (typeof value.$bytes === "string") return hexToBytes(value.$bytes);
+    if (typeof value.$bigint === "string") return BigInt(value.$bigint);
+  }
+  return value;
+}
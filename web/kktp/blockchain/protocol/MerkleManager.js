@@ -13,6 +13,14 @@ export class MerkleManager {
     this._tree = new GameMerkleTree();
   }
 
+  /**
+   * Rebuild the tree from saved leaf moves (see getAllMoves())
+   */
+  restore(moves) {
+    this._tree = new GameMerkleTree();
+    for (const move of moves ?? []) this._tree.addMove(move);
+  }
+
   addMove(move) {
     return this._tree.addMove(move);
   }
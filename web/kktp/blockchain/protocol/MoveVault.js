@@ -20,6 +20,15 @@ export class MoveVault {
     this._processedMoves.clear();
   }
 
+  /**
+   * Replace the history with one saved in a checkpoint
+   */
+  restore({ moveHistory = [], vrfProofArchive = [] } = {}) {
+    this._moveHistory = [...moveHistory];
+    this._processedMoves.clear();
+    this._vrfProofArchive = [...vrfProofArchive];
+  }
+
   addMove(move) {
     this._moveHistory.push(move);
   }
@@ -0,0 +1,425 @@
+/**
+ * PacketSchema.js - Game-defined move packet layouts (anchor format v6)
+ *
+ * A schema names every action a game anchors and the fields its packet
+ * carries. Each packet is bit-packed MSB first and padded to a whole byte:
+ *
+ *   [action (actionBits)] [timeDelta (8)] [vrfFragment (32)] [fields...]
+ *
+ * The action code comes first, so a parser holding the schema knows the
+ * packet's length before reading the rest. Field values are stored as
+ * integers: numbers are multiplied by `scale` and rounded (clamped to the
+ * field's range, like encodeCoord14), enums by their index.
+ *
+ * The genesis anchor commits the SHA-256 of the normalized schema, so an
+ * auditor can prove it decodes heartbeats with exactly the game's rules.
+ *
+ * @example
+ * const schema = new PacketSchema({
+ *   name: "arena",
+ *   actionBits: 5,
+ *   actions: { none: 0, move: 1, fire: 2, reload: 3 },
+ *   packets: {
+ *     move: [
+ *       { name: "x", bits: 14, signed: true, scale: 100 },
+ *       { name: "y", bits: 14, signed: true, scale: 100 },
+ *     ],
+ *     fire: [{ name: "weapon", bits: 2, enum: ["pistol", "rifle", "rocket"] }],
+ *   },
+ * });
+ */
+
+import { bytesToHex, hexToBytes, sha256 } from "../../core/cryptoUtils.js";
+import { ANCHOR } from "../../core/constants.js";
+
+export const PACKET_SCHEMA_VERSION = 1;
+
+/** Field names the packet header already uses */
+const RESERVED_FIELD_NAMES = new Set(["action", "actionCode", "timeDelta", "vrfFragment"]);
+const TIME_DELTA_BITS = 8;
+const VRF_FRAGMENT_BITS = ANCHOR.VRF_FRAGMENT_BYTES * 8;
+const MAX_FIELD_BITS = 32;
+/** Keeps 255 packets inside the uint16 movesSectionLength */
+const MAX_PACKET_BYTES = 64;
+
+export class PacketSchema {
+  /**
+   * @param {Object} spec
+   * @param {string} [spec.name=""] - Label, part of the hash
+   * @param {number} [spec.actionBits=4] - Width of the action code (1-8)
+   * @param {Object<string, number>} spec.actions - Action name → code
+   * @param {Object<string, PacketField[]>} [spec.packets] - Action name → fields
+   * @param {PacketField[]} [spec.defaultPacket] - Fields of actions without their own packet
+   * @throws {Error} If the spec is malformed
+   */
+  constructor(spec = {}) {
+    this._spec = normalizeSpec(spec);
+    this._hash = null;
+
+    this._actionToCode = new Map(Object.entries(this._spec.actions));
+    this._codeToAction = new Map([...this._actionToCode].map(([name, code]) => [code, name]));
+    this._packetBytes = new Map();
+    for (const [name, code] of this._actionToCode) {
+      const bits = this._spec.actionBits + TIME_DELTA_BITS + VRF_FRAGMENT_BITS +
+        this.fieldsFor(code).reduce((sum, field) => sum + field.bits, 0);
+      const bytes = Math.ceil(bits / 8);
+      if (bytes > MAX_PACKET_BYTES) {
+        throw new Error(`Packet for "${name}" is ${bytes} bytes (max ${MAX_PACKET_BYTES})`);
+      }
+      this._packetBytes.set(code, bytes);
+    }
+  }
+
+  /**
+   * Accept a PacketSchema or a plain spec (e.g. from audit JSON)
+   * @param {PacketSchema|Object} specOrSchema
+   * @returns {PacketSchema}
+   */
+  static from(specOrSchema) {
+    return specOrSchema instanceof PacketSchema ? specOrSchema : new PacketSchema(specOrSchema);
+  }
+
+  get name() {
+    return this._spec.name;
+  }
+
+  get actionBits() {
+    return this._spec.actionBits;
+  }
+
+  /** Normalized spec, safe to serialize and pass back to the constructor. */
+  toJSON() {
+    return JSON.parse(JSON.stringify(this._spec));
+  }
+
+  /**
+   * SHA-256 of the normalized spec, as committed in the v6 genesis anchor
+   * @returns {Promise<string>} 64 hex chars
+   */
+  async hash() {
+    if (!this._hash) {
+      const bytes = new TextEncoder().encode(JSON.stringify(this._spec));
+      this._hash = bytesToHex(await sha256(bytes));
+    }
+    return this._hash;
+  }
+
+  hasAction(action) {
+    return this._actionToCode.has(action);
+  }
+
+  actionCode(action) {
+    return this._actionToCode.get(action) ?? null;
+  }
+
+  actionName(code) {
+    return this._codeToAction.get(code) ?? null;
+  }
+
+  /**
+   * @param {number} code - Action code
+   * @returns {PacketField[]}
+   */
+  fieldsFor(code) {
+    const action = this.actionName(code);
+    return this._spec.packets[action] ?? this._spec.defaultPacket;
+  }
+
+  /** Byte size of the packet for an action code (null if unknown). */
+  packetSize(code) {
+    return this._packetBytes.get(code) ?? null;
+  }
+
+  // ──────────────────────────────────────────────────────────────────────────
+  // Field values
+  // ──────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Turn move data into the integers a packet stores
+   * @param {string} action
+   * @param {Object} [data] - Move data; missing fields encode as 0
+   * @returns {Object<string, number>} Field name → raw integer, in schema order
+   * @throws {Error} If the action or an enum value is not in the schema
+   */
+  encodeFields(action, data = {}) {
+    const code = this.actionCode(action);
+    if (code === null) {
+      throw new Error(`Action "${action}" is not in the packet schema`);
+    }
+
+    const fields = {};
+    for (const field of this.fieldsFor(code)) {
+      const value = data?.[field.name];
+      if (field.enum) {
+        const index = typeof value === "number" ? value : value == null ? 0 : field.enum.indexOf(value);
+        if (!Number.isInteger(index) || index < 0 || index >= field.enum.length) {
+          throw new Error(`"${value}" is not a valid ${action}.${field.name}`);
+        }
+        fields[field.name] = index;
+      } else {
+        fields[field.name] = clampRaw(field, Math.round((Number(value) || 0) * field.scale));
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * Turn stored integers back into game values
+   * @param {number} code - Action code
+   * @param {Object<string, number>} fields - From encodeFields() or unpackMoves()
+   * @returns {Object<string, number|string>}
+   */
+  decodeFields(code, fields = {}) {
+    const values = {};
+    for (const field of this.fieldsFor(code)) {
+      const raw = fields[field.name] ?? 0;
+      values[field.name] = field.enum ? (field.enum[raw] ?? raw) : raw / field.scale;
+    }
+    return values;
+  }
+
+  // ──────────────────────────────────────────────────────────────────────────
+  // Packets
+  // ──────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Pack moves into a heartbeat moves section
+   * @param {Array<{action: string, timeDelta: number, fields?: Object,
+   *   vrfOutputBytes?: Uint8Array, vrfFragment?: string}>} moves
+   * @returns {Uint8Array}
+   */
+  packMoves(moves) {
+    const list = Array.isArray(moves) ? moves : [];
+    const codes = list.map((move) => {
+      const code = this.actionCode(move.action);
+      if (code === null) {
+        throw new Error(`Action "${move.action}" is not in the packet schema`);
+      }
+      return code;
+    });
+
+    const out = new Uint8Array(codes.reduce((sum, code) => sum + this.packetSize(code), 0));
+    let offset = 0;
+
+    list.forEach((move, i) => {
+      const code = codes[i];
+      const writer = new BitWriter(out, offset);
+      writer.write(code, this._spec.actionBits);
+      writer.write(Math.min(Math.max(move.timeDelta ?? 0, 0), ANCHOR.TIME_DELTA_MAX), TIME_DELTA_BITS);
+
+      const fragment =
+        move.vrfOutputBytes?.length >= 4
+          ? move.vrfOutputBytes.slice(0, 4)
+          : hexToBytes(move.vrfFragment || "00000000").slice(0, 4);
+      for (let b = 0; b < 4; b++) writer.write(fragment[b] ?? 0, 8);
+
+      for (const field of this.fieldsFor(code)) {
+        const raw = clampRaw(field, move.fields?.[field.name] ?? 0);
+        writer.write(raw < 0 ? raw + 2 ** field.bits : raw, field.bits);
+      }
+      offset += this.packetSize(code);
+    });
+
+    return out;
+  }
+
+  /**
+   * Read `count` packets starting at `offset`
+   * @param {Uint8Array} bytes
+   * @param {number} offset
+   * @param {number} count
+   * @returns {{ moves: SchemaMove[], offset: number }} offset is just past the last packet
+   * @throws {Error} On an unknown action code or a truncated packet
+   */
+  unpackMoves(bytes, offset, count) {
+    const moves = [];
+
+    for (let i = 0; i < count; i++) {
+      const code = new BitReader(bytes, offset).read(this._spec.actionBits);
+      const size = this.packetSize(code);
+      if (size === null) {
+        throw new Error(`Unknown action code ${code} in move ${i}`);
+      }
+      if (offset + size > bytes.length) {
+        throw new Error(`Move ${i} truncated`);
+      }
+
+      const reader = new BitReader(bytes, offset);
+      reader.read(this._spec.actionBits);
+      const timeDelta = reader.read(TIME_DELTA_BITS);
+      let vrfFragment = "";
+      for (let b = 0; b < 4; b++) vrfFragment += reader.read(8).toString(16).padStart(2, "0");
+
+      const fields = {};
+      for (const field of this.fieldsFor(code)) {
+        const value = reader.read(field.bits);
+        fields[field.name] = field.signed && value >= 2 ** (field.bits - 1) ? value - 2 ** field.bits : value;
+      }
+
+      moves.push({
+        action: this.actionName(code),
+        actionCode: code,
+        timeDelta,
+        vrfFragment,
+        fields,
+        values: this.decodeFields(code, fields),
+      });
+      offset += size;
+    }
+
+    return { moves, offset };
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Internal
+// ─────────────────────────────────────────────────────────────
+
+function normalizeSpec(spec) {
+  if (!spec || typeof spec !== "object") {
+    throw new Error("Packet schema must be an object");
+  }
+
+  const actionBits = spec.actionBits ?? 4;
+  if (!Number.isInteger(actionBits) || actionBits < 1 || actionBits > 8) {
+    throw new Error("actionBits must be an integer from 1 to 8");
+  }
+
+  const entries = Object.entries(spec.actions ?? {});
+  if (entries.length === 0) {
+    throw new Error("Packet schema needs at least one action");
+  }
+  const seenCodes = new Set();
+  for (const [name, code] of entries) {
+    if (!name) throw new Error("Action names must be non-empty");
+    if (!Number.isInteger(code) || code < 0 || code >= 2 ** actionBits) {
+      throw new Error(`Action "${name}" code must fit in ${actionBits} bits`);
+    }
+    if (seenCodes.has(code)) throw new Error(`Action code ${code} is used twice`);
+    seenCodes.add(code);
+  }
+  entries.sort((a, b) => a[1] - b[1]);
+
+  const packets = {};
+  for (const [name] of entries) {
+    if (spec.packets?.[name]) packets[name] = normalizeFields(spec.packets[name], name);
+  }
+  for (const name of Object.keys(spec.packets ?? {})) {
+    if (!packets[name]) throw new Error(`Packet "${name}" has no matching action`);
+  }
+
+  return {
+    version: PACKET_SCHEMA_VERSION,
+    name: String(spec.name ?? ""),
+    actionBits,
+    actions: Object.fromEntries(entries),
+    packets,
+    defaultPacket: normalizeFields(spec.defaultPacket ?? [], "default"),
+  };
+}
+
+function normalizeFields(fields, packetName) {
+  if (!Array.isArray(fields)) {
+    throw new Error(`Packet "${packetName}" must be an array of fields`);
+  }
+
+  const names = new Set();
+  return fields.map((field) => {
+    const { name, bits, signed = false, scale = 1 } = field ?? {};
+    const where = `${packetName}.${name}`;
+
+    if (typeof name !== "string" || !name || RESERVED_FIELD_NAMES.has(name)) {
+      throw new Error(`Invalid field name in packet "${packetName}": ${name}`);
+    }
+    if (names.has(name)) throw new Error(`Field ${where} is defined twice`);
+    names.add(name);
+
+    if (!Number.isInteger(bits) || bits < 1 || bits > MAX_FIELD_BITS) {
+      throw new Error(`Field ${where} bits must be an integer from 1 to ${MAX_FIELD_BITS}`);
+    }
+    if (!(Number.isFinite(scale) && scale > 0)) {
+      throw new Error(`Field ${where} scale must be a positive number`);
+    }
+
+    let values = null;
+    if (field.enum != null) {
+      values = field.enum;
+      if (
+        !Array.isArray(values) ||
+        values.length === 0 ||
+        values.some((v) => typeof v !== "string" || !v) ||
+        new Set(values).size !== values.length
+      ) {
+        throw new Error(`Field ${where} enum must list unique, non-empty strings`);
+      }
+      if (values.length > 2 ** bits) {
+        throw new Error(`Field ${where} enum has more values than ${bits} bits hold`);
+      }
+      if (signed || scale !== 1) {
+        throw new Error(`Field ${where} cannot combine enum with signed or scale`);
+      }
+    }
+
+    return { name, bits, signed: !!signed, scale, enum: values ? [...values] : null };
+  });
+}
+
+function clampRaw(field, raw) {
+  const min = field.signed ? -(2 ** (field.bits - 1)) : 0;
+  const max = field.signed ? 2 ** (field.bits - 1) - 1 : 2 ** field.bits - 1;
+  return Math.min(Math.max(Math.trunc(raw), min), max);
+}
+
+class BitWriter {
+  constructor(bytes, offset) {
+    this._bytes = bytes;
+    this._bit = offset * 8;
+  }
+
+  write(value, bits) {
+    for (let i = bits - 1; i >= 0; i--) {
+      if (Math.floor(value / 2 ** i) % 2) {
+        this._bytes[this._bit >> 3] |= 0x80 >> (this._bit & 7);
+      }
+      this._bit++;
+    }
+  }
+}
+
+class BitReader {
+  constructor(bytes, offset) {
+    this._bytes = bytes;
+    this._bit = offset * 8;
+  }
+
+  read(bits) {
+    let value = 0;
+    for (let i = 0; i < bits; i++) {
+      const bit = ((this._bytes[this._bit >> 3] ?? 0) >> (7 - (this._bit & 7))) & 1;
+      value = value * 2 + bit;
+      this._bit++;
+    }
+    return value;
+  }
+}
+
+/**
+ * @typedef {Object} PacketField
+ * @property {string} name
+ * @property {number} bits - 1-32
+ * @property {boolean} [signed=false] - Two's complement
+ * @property {number} [scale=1] - Fixed-point multiplier (100 → 0.01 precision)
+ * @property {string[]} [enum] - Allowed values, stored by index
+ */
+
+/**
+ * @typedef {Object} SchemaMove
+ * @property {string} action
+ * @property {number} actionCode
+ * @property {number} timeDelta - Raw 0-255 (× ANCHOR.TIME_DELTA_SCALE ms)
+ * @property {string} vrfFragment
+ * @property {Object<string, number>} fields - Raw integers, hashed into the merkle leaf
+ * @property {Object<string, number|string>} values - Decoded game values
+ */
+
+export default PacketSchema;
@@ -15,6 +15,29 @@ export class StateSerializer {
       merkleLeaves: merkleManager.getLeaves(),
     };
   }
+
+  /**
+   * Everything a reload loses, for sealing with GameCheckpoint.js
+   */
+  checkpoint({ gameId, playerId, opponentId, moveSequence, merkleManager, vault, anchorState, packer }) {
+    return {
+      gameId,
+      playerId,
+      opponentId,
+      moveSequence,
+      moveHistory: [...vault.getMoveHistory()],
+      vrfProofArchive: [...vault.getVrfProofArchive()],
+      merkleMoves: merkleManager.getAllMoves(),
+      anchor: {
+        genesisTxId: anchorState.genesisTxId,
+        lastAnchorTxId: anchorState.lastAnchorTxId,
+        lastAnchoredMoveCount: anchorState.lastAnchoredMoveCount,
+        genesisEntropy: anchorState.genesisEntropy,
+      },
+      packetSchema: packer.packetSchema?.toJSON() ?? null,
+      compactMoves: packer.compactMoves,
+    };
+  }
 }
 
 export default StateSerializer;
@@ -0,0 +1,138 @@
+// kktp/blockchain/tools/benchMoveEncoding.mjs
+// Compares heartbeat moves section sizes: fixed v5 union packets vs the
+// compact v6 encoding (CompactMoves.js), on synthetic move streams.
+// Usage:
+//   node --import ../../protocol/tests/vectors/esmShLoader.mjs benchMoveEncoding.mjs [--moves <n>] [--batch <n>] [--seed <n>]
+import { BinaryPacker } from "../protocol/BinaryPacker.js";
+import { ANCHOR } from "../../core/constants.js";
+
+const USAGE = `Usage: benchMoveEncoding.mjs [--moves <n>] [--batch <n>] [--seed <n>]
+  --moves <n>   Moves per stream (default: 2000)
+  --batch <n>   Moves per heartbeat (default: 10, max ${ANCHOR.MAX_MOVES})
+  --seed <n>    PRNG seed (default: 1)`;
+
+function parseArgs(argv) {
+  const args = { moves: 2000, batch: 10, seed: 1 };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${flag} needs a value`);
+      const n = Number(argv[++i]);
+      if (!Number.isInteger(n) || n <= 0) throw new Error(`${flag} needs a positive integer`);
+      return n;
+    };
+    if (flag === "--moves") args.moves = value();
+    else if (flag === "--batch") args.batch = value();
+    else if (flag === "--seed") args.seed = value();
+    else if (flag === "--help" || flag === "-h") args.help = true;
+    else throw new Error(`Unknown option ${flag}`);
+  }
+  if (args.batch > ANCHOR.MAX_MOVES) throw new Error(`--batch is at most ${ANCHOR.MAX_MOVES}`);
+  return args;
+}
+
+/** mulberry32 */
+function prng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Vault-shaped moves. Coordinates are 14-bit raw like MoveProcessor stores
+ * them; vrfOutputBytes are random since they never compress.
+ */
+function buildStreams(count, rand) {
+  const vrf = () => Uint8Array.from({ length: 32 }, () => Math.floor(rand() * 256));
+  const step = () => 80 + Math.floor(rand() * 120);
+  const raw14 = (v) => Math.round(v) & 0x3fff;
+
+  const runner = [];
+  let t = 0;
+  let lane = 1;
+  let coins = 0;
+  for (let i = 0; i < count; i++) {
+    t += step();
+    if (rand() < 0.3) lane = Math.max(0, Math.min(2, lane + (rand() < 0.5 ? -1 : 1)));
+    if (rand() < 0.2) coins++;
+    runner.push({
+      action: rand() < 0.7 ? "jump" : rand() < 0.5 ? "left" : "right",
+      lane,
+      timestamp: t,
+      vrfOutputBytes: vrf(),
+      coinsTotal: coins,
+      isGameEvent: false,
+    });
+  }
+
+  const movement = [];
+  t = 0;
+  let x = 0;
+  let y = 0;
+  for (let i = 0; i < count; i++) {
+    t += step();
+    x += (rand() - 0.5) * 40;
+    y += (rand() - 0.5) * 40;
+    movement.push({
+      action: "move",
+      x: raw14(x),
+      y: raw14(y),
+      z: 0,
+      timestamp: t,
+      vrfOutputBytes: vrf(),
+    });
+  }
+
+  const mixed = runner.map((move, i) =>
+    i % 3 === 0 ? { ...movement[i], timestamp: move.timestamp } : move,
+  );
+
+  return { runner, movement, mixed };
+}
+
+function measure(packer, moves, batchSize) {
+  let bytes = 0;
+  let prevTimestamp = moves[0]?.timestamp ?? 0;
+  for (let i = 0; i < moves.length; i += batchSize) {
+    const batch = moves.slice(i, i + batchSize);
+    bytes += packer.packHeartbeatMoves(packer.toHeartbeatPackets(batch, prevTimestamp)).length;
+    prevTimestamp = batch[batch.length - 1].timestamp;
+  }
+  return bytes;
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const streams = buildStreams(args.moves, prng(args.seed));
+  const fixed = new BinaryPacker();
+  const compact = new BinaryPacker({ compactMoves: true });
+
+  console.log(`${args.moves} moves per stream, ${args.batch} moves per heartbeat\n`);
+  console.log("stream      v5 B/move  compact B/move  saved");
+  for (const [name, moves] of Object.entries(streams)) {
+    const v5 = measure(fixed, moves, args.batch);
+    const v6 = measure(compact, moves, args.batch);
+    console.log(
+      `${name.padEnd(10)}  ${(v5 / moves.length).toFixed(2).padStart(9)}  ` +
+        `${(v6 / moves.length).toFixed(2).padStart(14)}  ${((1 - v6 / v5) * 100).toFixed(1).padStart(4)}%`,
+    );
+  }
+}
+
+main();
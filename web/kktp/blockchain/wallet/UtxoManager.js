@@ -33,6 +33,7 @@ export class UtxoManager {
     this._splitInProgress = false;
     this._balanceKas = 0;
     this._backgroundHeartbeatActive = false;
+    this._poolListeners = new Set();
   }
 
   setKaspaLink(kaspaLink) {
@@ -84,6 +85,18 @@ export class UtxoManager {
     return this._pool.getStatus();
   }
 
+  /**
+   * Subscribe to raw pool events (PoolEvent).
+   * AnchorStrategy uses this to resubmit blocked anchors once the pool recovers.
+   * @param {(event: string, data: Object) => void} listener
+   * @returns {Function} Unsubscribe
+   */
+  onPoolChange(listener) {
+    if (typeof listener !== "function") return () => {};
+    this._poolListeners.add(listener);
+    return () => this._poolListeners.delete(listener);
+  }
+
   // ─────────────────────────────────────────────────────────────
   // Lobby Phase: Ensure Pool Ready (Async, Called During Lobby Join)
   // ─────────────────────────────────────────────────────────────
@@ -391,6 +404,14 @@ export class UtxoManager {
   // ─────────────────────────────────────────────────────────────
 
   _handlePoolEvent(event, data) {
+    for (const listener of this._poolListeners) {
+      try {
+        listener(event, data);
+      } catch (e) {
+        log.warn("Pool listener failed", e);
+      }
+    }
+
     switch (event) {
       case PoolEvent.POOL_READY:
         this._poolReady = true;
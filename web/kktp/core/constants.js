@@ -170,9 +170,21 @@ export function decodeCoord14(raw) {
 
 export const ANCHOR = Object.freeze({
   VERSION: 5,
+  /**
+   * v6: genesis of a game with a PacketSchema commits its hash, and heartbeat
+   * moves use that schema or, with HEARTBEAT_FLAG_COMPACT, CompactMoves.js
+   */
+  VERSION_V6: 6,
   TYPE_GENESIS: 1,
   TYPE_HEARTBEAT: 2,
   TYPE_FINAL: 3,
+  /**
+   * Set on the type byte of anchors signed by the player's identity key.
+   * The payload then ends with [signerPubKey (genesis only)][signature].
+   */
+  TYPE_FLAG_SIGNED: 0x80,
+  SIGNER_PUBKEY_SIZE: 33,
+  ANCHOR_SIGNATURE_SIZE: 64,
 
   HEADER_SIZE: 55,
   GAME_ID_BYTES: 8,
@@ -197,6 +209,8 @@ export const ANCHOR = Object.freeze({
   BTC_BLOCK_COUNT: 6,
 
   GENESIS_BASE_SIZE: 858,
+  /** v6 genesis: schema hash appended after the NIST signature */
+  GENESIS_SCHEMA_HASH_SIZE: 32,
   /** v5 header: +2 bytes for movesSectionLength (was 68 in v4) */
   HEARTBEAT_HEADER_SIZE: 70,
   /** v4 header size — used for backward-compatible parsing */
@@ -207,6 +221,8 @@ export const ANCHOR = Object.freeze({
   DELTA_FLAG_NONE: 0,
   DELTA_FLAG_BTC: 1,
   DELTA_FLAG_NIST: 2,
+  /** v6 heartbeat: moves section uses the compact run/varint encoding */
+  HEARTBEAT_FLAG_COMPACT: 0x80,
 
   FINAL_SIZE: 144,
 
@@ -237,6 +253,12 @@ export const BLOCKCHAIN = Object.freeze({
   UTXO_HEARTBEAT_MS: 2000,
   UTXO_USABLE_THRESHOLD_KAS: 0.6,
   UTXO_HEARTBEAT_FIRST_DELAY_MS: 0,
+
+  // Anchor auto-retry once a blocked pool recovers
+  ANCHOR_AUTO_RETRY_MAX: 5,
+  ANCHOR_AUTO_RETRY_BASE_MS: 1000,
+  ANCHOR_AUTO_RETRY_MAX_MS: 15000,
+  ANCHOR_AUTO_RETRY_GIVE_UP_MS: 60000,
 });
 
 /**
@@ -96,6 +96,8 @@ export const LogModule = Object.freeze({
     root: "kktp",
     kkGameEngine: "kktp.kkGameEngine",
     kaspaPortal: "kktp.kaspaPortal",
+    simulatedBlockDag: "kktp.simulatedBlockDag",
+    simulatedKaspaAdapter: "kktp.simulatedKaspaAdapter",
   }),
   protocol: Object.freeze({
     root: "protocol",
@@ -117,16 +119,25 @@ export const LogModule = Object.freeze({
     parts: Object.freeze({
       root: "lobby.parts",
       index: "lobby.parts.index",
+      lobbyAccess: "lobby.parts.lobbyAccess",
       lobbyContext: "lobby.parts.lobbyContext",
+      lobbyDirectory: "lobby.parts.lobbyDirectory",
       lobbyDiscovery: "lobby.parts.lobbyDiscovery",
       lobbyDmBuffer: "lobby.parts.lobbyDmBuffer",
       lobbyJoins: "lobby.parts.lobbyJoins",
       lobbyKeys: "lobby.parts.lobbyKeys",
       lobbyMessaging: "lobby.parts.lobbyMessaging",
+      lobbyMatchmaking: "lobby.parts.lobbyMatchmaking",
+      lobbyMigration: "lobby.parts.lobbyMigration",
+      lobbyModeration: "lobby.parts.lobbyModeration",
       lobbyPersistence: "lobby.parts.lobbyPersistence",
       lobbyRoster: "lobby.parts.lobbyRoster",
       lobbyRouting: "lobby.parts.lobbyRouting",
+      lobbySenderKeys: "lobby.parts.lobbySenderKeys",
+      lobbyChat: "lobby.parts.lobbyChat",
+      lobbyResume: "lobby.parts.lobbyResume",
       lobbySessionEnd: "lobby.parts.lobbySessionEnd",
+      lobbyStateRoots: "lobby.parts.lobbyStateRoots",
       lobbySubscriptions: "lobby.parts.lobbySubscriptions",
       lobbyUtils: "lobby.parts.lobbyUtils",
       lobbyUtxo: "lobby.parts.lobbyUtxo",
@@ -139,6 +150,7 @@ export const LogModule = Object.freeze({
     anchorHeartbeat: "anchor.anchorHeartbeat",
     auditTrail: "anchor.auditTrail",
     binaryPacking: "anchor.binaryPacking",
+    gameCheckpoint: "anchor.gameCheckpoint",
     hashing: "anchor.hashing",
     kaspaAnchorFacade: "anchor.kaspaAnchorFacade",
     moveProcessor: "anchor.moveProcessor",
@@ -0,0 +1,74 @@
+/**
+ * sealedBlob.js - Wallet-bound encrypted blobs for local persistence
+ *
+ * Lobby snapshots and game checkpoints are both stored as
+ * { version, nonce, ciphertext }: XChaCha20-Poly1305 under a key derived
+ * from the wallet and a per-use label, with the label and version as AAD
+ * so one kind of blob cannot be opened as another.
+ */
+
+import { xchacha20poly1305 } from "https://esm.sh/v135/@noble/ciphers/chacha";
+import { blake2b } from "https://esm.sh/@noble/hashes@1.3.0/blake2b";
+import { bytesToHex, hexToBytes } from "./cryptoUtils.js";
+
+export const SEALED_BLOB_VERSION = 1;
+
+function blobAad(label) {
+  return new TextEncoder().encode(`${label}:v${SEALED_BLOB_VERSION}`);
+}
+
+/**
+ * Derive the key blobs with this label are sealed with
+ * @param {string} label - Domain label, e.g. "KKTP:LOBBY:RESUME"
+ * @param {string} walletSecretHex - Private key only the wallet can re-derive
+ * @returns {Uint8Array} 32-byte key
+ */
+export function deriveSealKey(label, walletSecretHex) {
+  if (typeof walletSecretHex !== "string" || walletSecretHex.length === 0) {
+    throw new Error(`Wallet secret required for ${label} key`);
+  }
+  return blake2b(new TextEncoder().encode(label), {
+    key: hexToBytes(walletSecretHex),
+    dkLen: 32,
+  });
+}
+
+/**
+ * Encrypt a JSON-serializable value
+ * @param {*} value
+ * @param {Uint8Array} key - From deriveSealKey()
+ * @param {string} label - Same label the key was derived with
+ * @param {Object} [options]
+ * @param {Function} [options.replacer] - JSON.stringify replacer
+ * @returns {{ version: number, nonce: string, ciphertext: string }}
+ */
+export function sealBlob(value, key, label, { replacer } = {}) {
+  const nonce = crypto.getRandomValues(new Uint8Array(24));
+  const plaintext = new TextEncoder().encode(JSON.stringify(value, replacer));
+  const ciphertext = xchacha20poly1305(key, nonce, blobAad(label)).encrypt(plaintext);
+  return {
+    version: SEALED_BLOB_VERSION,
+    nonce: bytesToHex(nonce),
+    ciphertext: bytesToHex(ciphertext),
+  };
+}
+
+/**
+ * Decrypt a sealed blob
+ * @param {Object} sealed - From sealBlob()
+ * @param {Uint8Array} key - From deriveSealKey()
+ * @param {string} label - Same label it was sealed with
+ * @param {Object} [options]
+ * @param {Function} [options.reviver] - JSON.parse reviver
+ * @returns {*} The value, or null for an unknown blob version
+ * @throws {Error} If the blob fails to authenticate (wrong wallet or label)
+ */
+export function openBlob(sealed, key, label, { reviver } = {}) {
+  if (sealed?.version !== SEALED_BLOB_VERSION) return null;
+  const plaintext = xchacha20poly1305(
+    key,
+    hexToBytes(sealed.nonce),
+    blobAad(label),
+  ).decrypt(hexToBytes(sealed.ciphertext));
+  return JSON.parse(new TextDecoder().decode(plaintext), reviver);
+}
@@ -1345,12 +1345,16 @@ export class SessionController extends EventEmitter {
     });
 
     // Anchor retry needed → show retry modal with callback
+    // (only once automatic recovery has given up)
     anchorProcessor.on(AnchorEvent.ANCHOR_RETRY_NEEDED, (data) => {
       log.warn("Anchor retry needed", data);
       this._hudPresenter?.showAnchorRetryModal?.({
         error: data.error,
         reason: data.reason,
         onRetry: async () => {
+          if (data.anchorType === "genesis") {
+            return await this._kkGameEngine.retryGenesisAnchor();
+          }
           return await this._kkGameEngine.retryFinalAnchor();
         },
       });
@@ -1360,6 +1364,15 @@ export class SessionController extends EventEmitter {
       });
     });
 
+    // Genesis queued at game start and sent once UTXOs recovered
+    anchorProcessor.on(AnchorEvent.GENESIS_ANCHORED, (data) => {
+      if (!(data?.retryCount > 0)) return;
+      log.info("Queued genesis anchor recovered", data);
+      this._lastAnchorTxId = data.txId;
+      this._hudPresenter?.hideAnchorRetryModal?.();
+      this.emit(SessionEvent.GENESIS_ANCHORED, { txId: data.txId });
+    });
+
     // VRF sync wait → show waiting overlay (non-fatal UI state)
     anchorProcessor.on(AnchorEvent.VRF_SYNC_WAIT, (data) => {
       log.warn("VRF sync wait", data);
@@ -47,10 +47,30 @@ import { auditCheating } from "./audit/auditCheating.js";
 import { parseAnchor } from "./blockchain/anchorParser.js";
 import { SessionFacade } from "./protocol/sessions/sessionFacade.js";
 import { LobbyFacade, LOBBY_STATES } from "./lobby/lobbyFacade.js";
+import {
+  RATING_DEFAULTS,
+  updateRating,
+  scoreMatch,
+  deriveResumeKey,
+  sealLobbySnapshot,
+  openLobbySnapshot,
+} from "./lobby/index.js";
 import { MoveEvent } from "./blockchain/moveProcessor.js";
+import { PacketSchema } from "./blockchain/protocol/PacketSchema.js";
+import { AuditTrail } from "./blockchain/protocol/AuditTrail.js";
+import {
+  deriveCheckpointKey,
+  sealCheckpoint,
+  openCheckpoint,
+} from "./blockchain/protocol/GameCheckpoint.js";
 import { parseHeartbeatHex, enrichMoves } from "./blockchain/anchor/heartbeatParser.js";
+import {
+  splitSignedAnchor,
+  verifyAnchorSignature,
+} from "./blockchain/protocol/AnchorSignature.js";
 import { Logger, LogModule } from "./core/logger.js";
 import { BLOCKCHAIN } from "./core/constants.js";
+import { hexToBytes } from "./core/cryptoUtils.js";
 
 const log = Logger.create(LogModule.kktp.kkGameEngine);
 
@@ -71,6 +91,14 @@ const TIMEOUTS = Object.freeze({
   DISCONNECT: 5000,
 });
 
+// Sealed lobby snapshots live in the session meta store, one per wallet
+const LOBBY_RESUME_META_PREFIX = "lobby_resume:";
+const LOBBY_SNAPSHOT_THROTTLE_MS = 1000;
+
+// Sealed game checkpoints, one per wallet, refreshed as the anchor chain grows
+const GAME_CHECKPOINT_META_PREFIX = "game_checkpoint:";
+const GAME_CHECKPOINT_THROTTLE_MS = 1000;
+
 /**
  * Game engine states
  */
@@ -91,6 +119,7 @@ export const GameEvent = {
   INITIALIZED: "initialized",
   GAME_STARTED: "gameStarted",
   GAME_ENDED: "gameEnded",
+  GAME_RESUMED: "gameResumed",
 
   // Game Readiness (UTXO pool ready - instant game start)
   GAME_READY: "gameReady",
@@ -113,12 +142,20 @@ export const GameEvent = {
   CHAT_MESSAGE: "chatMessage",
   LOBBY_UPDATED: "lobbyUpdated",
   LOBBY_CLOSED: "lobbyClosed",
+  LOBBY_SPOOF_ATTEMPT: "lobbySpoofAttempt",
+  LOBBY_HOST_MIGRATED: "lobbyHostMigrated",
+  LOBBY_MODERATION: "lobbyModeration",
+  LOBBY_RESUMED: "lobbyResumed",
+  LOBBY_MEMBER_RECONNECTED: "lobbyMemberReconnected",
+  MATCH_FOUND: "matchFound",
+  RATING_CHANGED: "ratingChanged",
   GAME_START: "gameStart",
   READY_STATE: "readyState",
 
   // Anchoring
   ANCHOR_SENT: "anchorSent",
   ANCHOR_FAILED: "anchorFailed",
+  ANCHOR_RETRY_NEEDED: "anchorRetryNeeded",
 
   // Opponent heartbeat pipeline
   OPPONENT_HEARTBEAT: "opponentHeartbeat",
@@ -146,6 +183,9 @@ export class KKGameEngine {
     this._playerId = null;
     this._genesisBlockHashHex = null;
 
+    // Elo rating from verified match results (restore with setRating())
+    this._rating = { rating: RATING_DEFAULTS.INITIAL, games: 0 };
+
     this._listeners = new Map();
     this._blockHandlers = [];
     this._blockStreamActive = false;
@@ -156,6 +196,14 @@ export class KKGameEngine {
     this._incomingRouterActive = false;
     this._incomingUnsubscribe = null;
 
+    // ── Lobby resume: snapshot key (derived from the wallet) and save timer ──
+    this._lobbyResumeKey = null;
+    this._lobbySnapshotTimer = null;
+
+    // ── Game resume: checkpoint key (derived from the wallet) and save timer ──
+    this._gameCheckpointKey = null;
+    this._gameCheckpointTimer = null;
+
     this._anchorPrefixHexes = [];
 
     // Cached audit data snapshot (captured before stop() wipes vault)
@@ -183,6 +231,8 @@ export class KKGameEngine {
     // Map<playerId, Set<txId>> - tracks each player's anchor chain
     // Used to identify which player sent a heartbeat via prevTxId linkage
     this._playerAnchorChains = new Map();
+    // Map<playerId, pubKeyHex> - identity keys that sign each player's anchors
+    this._playerAnchorKeys = new Map();
 
     // ── v5 custom action maps (set via startGame options) ──
     this._customActionMap = null;
@@ -192,6 +242,9 @@ export class KKGameEngine {
     this._customStatusMap = null;
     this._customEmotesMap = null;
     this._customSystemMap = null;
+
+    // ── v6 packet schema (set via startGame options) ──
+    this._packetSchema = null;
   }
 
   /**
@@ -250,7 +303,7 @@ export class KKGameEngine {
    * @returns {string}
    */
   parseAnchor(anchorItem) {
-    return parseAnchor(anchorItem);
+    return parseAnchor(anchorItem, { packetSchema: this._packetSchema });
   }
 
   /**
@@ -277,7 +330,7 @@ export class KKGameEngine {
           warnings: [],
         };
       }
-      return auditCheating(dagData);
+      return auditCheating(this._withAnchorVerifier(dagData));
     }
 
     // If passed an object with DAG scan params, fetch from DAG first
@@ -293,11 +346,24 @@ export class KKGameEngine {
               anchorChain: dagAudit.anchorChain,
             }
           : auditDataOrChain;
-        return auditCheating(merged);
+        return auditCheating(this._withAnchorVerifier(merged));
       }
     }
 
-    return auditCheating(auditDataOrChain);
+    return auditCheating(this._withAnchorVerifier(auditDataOrChain));
+  }
+
+  /**
+   * Check anchor signatures with the adapter's scheme unless the caller
+   * brought its own verifier.
+   * @private
+   */
+  _withAnchorVerifier(auditData) {
+    if (!this._adapter?.verifyMessage || Array.isArray(auditData)) return auditData;
+    return {
+      verifySignature: (pubKey, body, sig) => this._adapter.verifyMessage(pubKey, body, sig),
+      ...auditData,
+    };
   }
 
   // ═══════════════════════════════════════════════════════════════
@@ -437,6 +503,13 @@ export class KKGameEngine {
           balance: this._balanceKas,
         });
 
+        // 9. Pick up a lobby that was still open when the page went away
+        try {
+          await this._resumeLobby();
+        } catch (err) {
+          log.warn("KKGameEngine: Lobby resume failed", err?.message ?? err);
+        }
+
         return { address: this._address, balance: this._balanceKas };
       } catch (error) {
         this._state = GameState.ERROR;
@@ -471,6 +544,9 @@ export class KKGameEngine {
    * @param {string} [options.opponentId] - Opponent ID for multiplayer (optional)
    * @param {number} [options.delay] - Seconds to offset start DAA score into the future
    * @param {number} [options.gameLength] - Expected game duration in seconds
+   * @param {Object} [options.packetSchema] - PacketSchema spec; switches anchors to format v6
+   * @param {boolean} [options.compactMoves] - Delta/varint heartbeat moves (v6 heartbeats); ignored with a packetSchema
+   * @param {Object} [options.anchorSigner] - Signs anchors instead of our lobby identity or identity key 0
    * @returns {Promise<{gameId: string, playerId: string, genesisAnchor: Object}>}
    *
    * @example
@@ -495,6 +571,9 @@ export class KKGameEngine {
       ? Math.max(0, options.gameLength)
       : 0;
 
+    // v6: Validate before touching any game state, a bad spec throws here
+    const packetSchema = options.packetSchema ? PacketSchema.from(options.packetSchema) : null;
+
     this._gameId = gameId;
     this._playerId = playerId;
     this._genesisBlockHashHex = null;
@@ -524,6 +603,14 @@ export class KKGameEngine {
       this._anchor?.processor?._packer?.setActionMaps?.(maps);
     }
 
+    // v6: The schema applies to this game only
+    this._packetSchema = packetSchema;
+    this._anchor?.processor?._packer?.setPacketSchema?.(packetSchema);
+    this._anchor?.processor?._packer?.setCompactMoves?.(!!options.compactMoves);
+
+    // Anchors are signed by our lobby identity so members can attribute them
+    this._anchor?.processor?.setAnchorSigner?.(options.anchorSigner ?? this._lobbyAnchorSigner());
+
     // Start the anchor processor (handles merkle tree, VRF, etc.)
     this._anchor.startGame({
       gameId,
@@ -648,6 +735,8 @@ export class KKGameEngine {
     }
 
     this._state = GameState.ENDING;
+    clearTimeout(this._gameCheckpointTimer);
+    this._gameCheckpointTimer = null;
 
     let result = { success: false, txId: null, auditData: null };
 
@@ -670,6 +759,11 @@ export class KKGameEngine {
         auditData,
       };
 
+      // Without a final anchor on chain, resumeGame() can still publish one
+      if (anchorResult?.txId) {
+        await this._clearGameCheckpoint();
+      }
+
       this._emit(GameEvent.GAME_ENDED, {
         gameId: this._gameId,
         endState,
@@ -689,6 +783,7 @@ export class KKGameEngine {
     this._opponentTimeAccumulators.clear();
     this._ownAnchorTxIds.clear();
     this._playerAnchorChains.clear();
+    this._playerAnchorKeys.clear();
 
     this._state = GameState.READY;
     this._gameId = null;
@@ -697,6 +792,135 @@ export class KKGameEngine {
     return result;
   }
 
+  /**
+   * Pick up a game that was in progress when the page went away.
+   *
+   * Opens the game checkpoint saved while heartbeating and follows its
+   * anchor chain on the DAG. If the anchored moves match the checkpoint,
+   * heartbeats continue from the last confirmed anchor and moves can be
+   * recorded again. If they do not (stale checkpoint), the game's DAA
+   * window has passed, or `options.outcome` asks for it, a final anchor
+   * is published instead, closing the chain as a forfeit or timeout.
+   *
+   * Call after init(), and after the lobby resumed if the game was signed
+   * with a lobby identity.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.outcome] - End the game with this outcome ('forfeit', 'timeout') instead of continuing
+   * @param {Object} [options.endState] - Score etc. for the final anchor, as for endGame()
+   * @param {number} [options.maxSeconds=30] - DAG scan budget
+   * @returns {Promise<Object|null>} null without a checkpoint, otherwise
+   *   `{ status: 'resumed'|'finalized'|'finished', gameId, playerId, ... }`
+   * @throws {Error} If the checkpoint's genesis is not on the DAG or another key signed it
+   *
+   * @example
+   * await game.init();
+   * const resumed = await game.resumeGame();
+   * if (resumed?.status === 'resumed') {
+   *   // keep calling recordMove()
+   * }
+   */
+  async resumeGame(options = {}) {
+    this._ensureReady();
+    if (this._state === GameState.IN_GAME) {
+      throw new Error("KKGameEngine: A game is already in progress");
+    }
+
+    const checkpoint = await this._loadGameCheckpoint();
+    if (!checkpoint) return null;
+
+    const { gameId, playerId, opponentId } = checkpoint;
+    const genesisEntropy = checkpoint.anchor?.genesisEntropy ?? null;
+    const packetSchema = checkpoint.packetSchema ? PacketSchema.from(checkpoint.packetSchema) : null;
+    const processor = this._anchor.processor;
+
+    this._packetSchema = packetSchema;
+    processor._packer.setPacketSchema(packetSchema);
+    processor._packer.setCompactMoves(!!checkpoint.compactMoves);
+
+    // Later anchors must be signed by the key genesis committed
+    const signerPubKey = genesisEntropy?.signerPubKey?.toLowerCase() ?? null;
+    const lobbySigner = this._lobbyAnchorSigner();
+    const lobbyKey = (await lobbySigner?.getPublicKey())?.toLowerCase();
+    processor.setAnchorSigner(signerPubKey && lobbyKey === signerPubKey ? lobbySigner : null);
+    const anchorKey = (await processor.getAnchorSignerPublicKey())?.toLowerCase() ?? null;
+    if (signerPubKey && anchorKey !== signerPubKey) {
+      throw new Error("KKGameEngine: Checkpointed game was signed by another identity; resume its lobby first");
+    }
+
+    this._anchor.startGame({ gameId, playerId, opponentId });
+
+    let trace;
+    try {
+      const dagData = await this._anchor.getAuditDataFromDag({
+        genesisBlockHashHex: checkpoint.genesisBlockHashHex,
+        maxSeconds: options.maxSeconds,
+      });
+      trace = AuditTrail.traceAnchorChain(dagData?.anchorChain?.chain, checkpoint.anchor?.genesisTxId, {
+        packetSchema,
+      });
+      if (!trace) {
+        throw new Error("KKGameEngine: Checkpointed genesis anchor not found on the DAG");
+      }
+    } catch (e) {
+      await this._anchor.stopGame();
+      throw e;
+    }
+
+    if (trace.final) {
+      await this._anchor.stopGame();
+      await this._clearGameCheckpoint();
+      return {
+        status: "finished",
+        gameId,
+        playerId,
+        txId: trace.final.txId,
+        outcome: trace.final.outcomeLabel,
+      };
+    }
+
+    const restored = processor.restoreCheckpoint(checkpoint, trace);
+
+    this._gameId = gameId;
+    this._playerId = playerId;
+    this._genesisBlockHashHex = checkpoint.genesisBlockHashHex;
+    this._cachedAuditData = null;
+    for (const { txId } of trace.links) {
+      this._ownAnchorTxIds.add(txId);
+    }
+    this._subscribeAnchorPrefixes();
+    this._state = GameState.IN_GAME;
+
+    const resumed = {
+      gameId,
+      playerId,
+      genesisTxId: trace.genesisTxId,
+      lastAnchorTxId: trace.tipTxId,
+      anchoredMoves: restored.anchoredMoves,
+      pendingMoves: restored.pendingMoves,
+    };
+
+    const outcome =
+      options.outcome ??
+      ((await this._isPastEndDaaScore(genesisEntropy))
+        ? "timeout"
+        : restored.continuable
+          ? null
+          : "forfeit");
+
+    if (!outcome) {
+      processor.resumeHeartbeats();
+      log.info("KKGameEngine: Game resumed", resumed);
+      this._emit(GameEvent.GAME_RESUMED, resumed);
+      this._scheduleGameCheckpoint();
+      return { status: "resumed", ...resumed };
+    }
+
+    log.info("KKGameEngine: Closing resumed game", { ...resumed, outcome });
+    const ended = await this.endGame({ ...options.endState, outcome });
+    return { status: "finalized", outcome, ...resumed, ...ended };
+  }
+
   /**
    * Completely shutdown the game engine.
    *
@@ -731,6 +955,16 @@ export class KKGameEngine {
       await Promise.allSettled([...this._activeOperations]);
     }
 
+    clearTimeout(this._gameCheckpointTimer);
+    this._gameCheckpointTimer = null;
+
+    // ── Keep the lobby resumable across the restart ──
+    clearTimeout(this._lobbySnapshotTimer);
+    this._lobbySnapshotTimer = null;
+    if (this._lobby?.isInLobby?.()) {
+      await this._saveLobbySnapshot();
+    }
+
     // ── Clean up block stream (prevent memory leak) ──
     if (this._blockUnsubscribe) {
       try {
@@ -781,6 +1015,7 @@ export class KKGameEngine {
     this._opponentTimeAccumulators.clear();
     this._ownAnchorTxIds.clear();
     this._playerAnchorChains.clear();
+    this._playerAnchorKeys.clear();
     this._listeners.clear();
     this._activeOperations.clear();
 
@@ -791,6 +1026,8 @@ export class KKGameEngine {
     this._lobby = null;
     this._initPromise = null;
     this._cachedAuditData = null;
+    this._lobbyResumeKey = null;
+    this._gameCheckpointKey = null;
 
     this._state = GameState.UNINITIALIZED;
     this._shuttingDown = false;
@@ -1136,6 +1373,31 @@ export class KKGameEngine {
     return result;
   }
 
+  /**
+   * Send the genesis anchor again after automatic recovery gave up.
+   *
+   * A genesis blocked by an empty UTXO pool is queued and resubmitted
+   * with backoff once the pool recovers. ANCHOR_RETRY_NEEDED with
+   * `anchorType: 'genesis'` means that stopped working; call this from
+   * the retry prompt.
+   *
+   * @returns {Promise<{success: boolean, txId?: string, error?: string}>}
+   *
+   * @example
+   * game.on('anchorRetryNeeded', async ({ anchorType }) => {
+   *   if (anchorType === 'genesis') await game.retryGenesisAnchor();
+   * });
+   */
+  async retryGenesisAnchor() {
+    this._ensureReady();
+
+    if (!this._anchor?.retryGenesisAnchor) {
+      throw new Error("Anchor facade not initialized");
+    }
+
+    return await this._anchor.retryGenesisAnchor();
+  }
+
   // ═══════════════════════════════════════════════════════════════
   // MULTIPLAYER - Lobbies and messaging
   // ═══════════════════════════════════════════════════════════════
@@ -1147,6 +1409,9 @@ export class KKGameEngine {
    * @param {string} [options.name] - Lobby name
    * @param {number} [options.maxPlayers] - Maximum players allowed
    * @param {Object} [options.settings] - Game-specific settings
+   * @param {string} [options.access] - "open", "password", "invite" or "allowlist"
+   * @param {string} [options.password] - Password for access "password"
+   * @param {string[]} [options.allowlist] - Player session keys for access "allowlist"
    * @returns {Promise<{lobbyId: string, joinCode: string}>}
    *
    * @example
@@ -1189,15 +1454,16 @@ export class KKGameEngine {
    *
    * @param {string|Object} lobbyOrCode - Join code or lobby discovery anchor
    * @param {string} [displayName] - Your display name in the lobby
+   * @param {Object} [credentials] - { password } or { invite } for private lobbies
    * @returns {Promise<{success: boolean, lobbyId: string}>}
    */
-  async joinLobby(lobbyOrCode, displayName) {
+  async joinLobby(lobbyOrCode, displayName, credentials) {
     this._ensureReady();
     this._ensureNotShuttingDown();
     this._ensureLobby();
 
     const result = await this._withTimeout(
-      this._lobby.joinLobby(lobbyOrCode, displayName),
+      this._lobby.joinLobby(lobbyOrCode, displayName, credentials),
       TIMEOUTS.LOBBY_JOIN,
       "Lobby join timed out"
     );
@@ -1211,29 +1477,45 @@ export class KKGameEngine {
   /**
    * Discover lobbies with a callback.
    *
+   * Lobbies opened in the last few minutes are listed first from DAG
+   * history (see browseLobbies), then new ones as they are broadcast.
+   *
    * @param {Function} onLobby - Callback for each discovered lobby
-   * @param {string|null} [prefix] - Optional payload prefix override
+   * @param {string|null} [prefix] - Optional payload prefix override (live only)
+   * @param {Object} [options]
+   * @param {boolean} [options.backfill=true] - List recent lobbies before live ones
+   * @param {number} [options.sinceMinutes] - Backfill window
    * @returns {Function} Unsubscribe function
    */
-  searchLobbies(onLobby, prefix = null) {
+  searchLobbies(onLobby, prefix = null, { backfill = true, sinceMinutes } = {}) {
     this._ensureReady();
     this._ensureLobby();
 
     let stopped = false;
     let controller = null;
+    const listed = new Set();
+    const emitOnce = (lobby) => {
+      if (stopped || listed.has(lobby.lobbyId)) return;
+      listed.add(lobby.lobbyId);
+      onLobby(lobby);
+    };
+    const customPrefix = typeof prefix === "string" && prefix.length > 0;
 
     const start = async () => {
       try {
         controller = await this._lobby.discoverLobby({
-          prefix:
-            typeof prefix === "string" && prefix.length > 0
-              ? prefix
-              : undefined,
-          onLobby,
+          prefix: customPrefix ? prefix : undefined,
+          onLobby: emitOnce,
         });
 
         if (stopped) {
           controller?.stop?.();
+          return;
+        }
+
+        if (backfill && !customPrefix) {
+          const recent = await this._lobby.browseLobbies({ sinceMinutes });
+          recent.forEach(emitOnce);
         }
       } catch (err) {
         this._emit(GameEvent.ERROR, {
@@ -1251,6 +1533,140 @@ export class KKGameEngine {
     };
   }
 
+  /**
+   * List lobbies opened in the last few minutes that are still running.
+   *
+   * Walks recent DAG history for lobby discoveries, drops lobbies that
+   * have expired or whose host closed them, and reads occupancy from the
+   * host's anchored state roots.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.sinceMinutes=10] - How far back to look
+   * @param {Object} [options.filters] - { game, name, minFreeSlots, version, regions, ... }
+   * @param {string} [options.sortBy='age'] - 'age', 'game', 'name' or 'freeSlots'
+   * @returns {Promise<Object[]>} Listings with joinCode, memberCount, freeSlots and ageMs
+   *
+   * @example
+   * const open = await game.browseLobbies({
+   *   filters: { game: 'racer', minFreeSlots: 1 },
+   *   sortBy: 'freeSlots',
+   * });
+   * if (open.length) await game.joinLobby(open[0].joinCode, 'Bob');
+   */
+  async browseLobbies(options = {}) {
+    this._ensureReady();
+    this._ensureLobby();
+    return this._lobby.browseLobbies(options);
+  }
+
+  /**
+   * Find an opponent through the matchmaking queue instead of a join code.
+   *
+   * Publishes a short-lived ticket with the game, mode and our rating
+   * bucket. When the queue pairs us, the older ticket hosts a two-seat
+   * lobby and the other side joins it, without either player typing a code.
+   *
+   * @param {Object} options
+   * @param {string} options.gameName - Game identifier
+   * @param {string} [options.mode='default'] - Game mode
+   * @param {string} [options.gameVersion='1.0.0'] - Only equal versions are paired
+   * @param {string} [options.displayName] - Your display name in the lobby
+   * @param {number} [options.timeoutMs] - Stop searching after this long
+   * @param {Function} [options.onQueue] - Called with the visible queue on every change
+   * @returns {Promise<{success: boolean, role: string, lobbyId: string}>}
+   *
+   * @example
+   * const match = await game.findMatch({ gameName: 'racer', mode: 'duel' });
+   * if (match.role === 'host') console.log('Waiting for opponent to join');
+   */
+  async findMatch(options = {}) {
+    this._ensureReady();
+    this._ensureNotShuttingDown();
+    this._ensureLobby();
+
+    const result = await this._lobby.findMatch({
+      ...options,
+      rating: this._rating.rating,
+    });
+    const match = {
+      success: true,
+      lobbyId: this._lobby.getGroupMailboxId(),
+      ...result,
+    };
+    this._emit(GameEvent.MATCH_FOUND, {
+      role: match.role,
+      lobbyId: match.lobbyId,
+      opponentBucket: match.opponent?.bucket ?? null,
+    });
+    return match;
+  }
+
+  /**
+   * Stop searching for a match (no effect once paired).
+   *
+   * @returns {boolean} Whether a search was cancelled
+   */
+  cancelMatchmaking() {
+    return this._lobby?.cancelMatchmaking() ?? false;
+  }
+
+  /**
+   * Current matchmaking rating.
+   *
+   * @returns {{rating: number, games: number}}
+   */
+  get rating() {
+    return { ...this._rating };
+  }
+
+  /**
+   * Restore a rating saved from a previous session (see `rating`).
+   *
+   * @param {{rating: number, games?: number}} state
+   */
+  setRating(state) {
+    if (!Number.isFinite(state?.rating)) {
+      throw new Error("rating must be a number");
+    }
+    this._rating = { rating: Math.round(state.rating), games: state.games ?? 0 };
+  }
+
+  /**
+   * Update the rating from a finished match.
+   *
+   * Only verified results count: our last game is audited from the DAG and
+   * the opponent's audit verdict must have passed too. The winner is the
+   * player who completed the run, or the higher final score if both did.
+   *
+   * @param {Object} options
+   * @param {Object} options.opponentAudit - auditCheating() result for the opponent's chain
+   * @param {number} [options.opponentRating] - Opponent's rating (defaults to the initial rating)
+   * @returns {Promise<{rated: boolean, score: number|null, rating: number, previous: number, reason?: string}>}
+   */
+  async recordMatchResult({ opponentAudit, opponentRating = RATING_DEFAULTS.INITIAL } = {}) {
+    const previous = this._rating.rating;
+    const ownAudit = await this.auditCheating();
+    const score = scoreMatch(ownAudit, opponentAudit);
+
+    if (score === null) {
+      const reason = ownAudit?.passed ? "opponent_audit_failed" : "own_audit_failed";
+      log.warn("KKGameEngine: Match not rated", { reason });
+      return { rated: false, score: null, rating: previous, previous, reason };
+    }
+
+    this._rating = {
+      rating: updateRating(previous, opponentRating, score),
+      games: this._rating.games + 1,
+    };
+    this._emit(GameEvent.RATING_CHANGED, {
+      rating: this._rating.rating,
+      previous,
+      score,
+      games: this._rating.games,
+    });
+    return { rated: true, score, rating: this._rating.rating, previous };
+  }
+
   /**
    * Leave the current lobby.
    *
@@ -1262,6 +1678,18 @@ export class KKGameEngine {
     }
   }
 
+  /**
+   * Create a single-use invite for an invite-only lobby (host only).
+   *
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs] - How long the invite stays valid
+   * @returns {Promise<Object>} Invite token to pass to joinLobby()
+   */
+  async createLobbyInvite(options = {}) {
+    this._ensureLobby();
+    return await this._lobby.createInvite(options);
+  }
+
   /**
    * Close the current lobby (host only).
    *
@@ -1295,7 +1723,7 @@ export class KKGameEngine {
   /**
    * Get current lobby members.
    *
-   * @returns {Array<{id: string, name: string, isHost: boolean}>}
+   * @returns {Array<{id: string, name: string, isHost: boolean, role: string, muted: boolean}>}
    */
   getLobbyMembers() {
     const members = this._lobby?.members ?? [];
@@ -1303,6 +1731,8 @@ export class KKGameEngine {
       id: member?.pubSig ?? member?.id ?? null,
       name: member?.displayName ?? member?.name ?? null,
       isHost: member?.role === "host" || member?.isHost === true,
+      role: member?.role ?? "member",
+      muted: Boolean(member?.muted),
     }));
   }
 
@@ -1984,7 +2414,24 @@ export class KKGameEngine {
       this._lobby.onLobbyClose?.((reason) => {
         this._emit(GameEvent.LOBBY_CLOSED, { reason });
       });
+      this._lobby.onSpoofAttempt?.((attempt) => {
+        this._emit(GameEvent.LOBBY_SPOOF_ATTEMPT, attempt);
+      });
+      this._lobby.onHostMigrated?.((info) => {
+        this._emit(GameEvent.LOBBY_HOST_MIGRATED, info);
+      });
+      this._lobby.onModeration?.((event) => {
+        this._emit(GameEvent.LOBBY_MODERATION, event);
+      });
+      this._lobby.onMemberReconnected?.((member) => {
+        this._emit(GameEvent.LOBBY_MEMBER_RECONNECTED, {
+          ...member,
+          id: member?.pubSig ?? null,
+          name: member?.displayName ?? null,
+        });
+      });
       this._lobby.onStateChange?.((state) => {
+        this._scheduleLobbySnapshot();
         this._emit(GameEvent.LOBBY_UPDATED, {
           state,
           lobby: this._lobby?.lobbyInfo ?? null,
@@ -2001,56 +2448,295 @@ export class KKGameEngine {
 
     this._incomingRouterActive = true;
 
-    const handleMatch = async (match) => {
-      // ── 1. Try anchor/heartbeat hex path first ──
-      const hexPayload = match?.payload;
-      if (typeof hexPayload === "string" && this._state === GameState.IN_GAME) {
-        if (this._handleHeartbeatMatch(match)) return;
-      }
+    if (this._adapter.onNewTransactionMatch) {
+      this._incomingUnsubscribe = this._adapter.onNewTransactionMatch(
+        (match) => {
+          void this._routeIncomingMatch(match);
+        },
+      );
+    }
 
-      // ── 2. Fall through to KKTP text protocol ──
-      const rawPayload = match?.decodedPayload || hexPayload;
-      if (!rawPayload || typeof rawPayload !== "string") return;
+    if (this._adapter.startScanner) {
+      this._adapter.startScanner().catch(() => {});
+    }
+  }
 
-      if (rawPayload.startsWith("KKTP:GROUP:")) {
-        if (this._lobby) {
-          try {
-            await this._lobby.processGroupPayload(rawPayload);
-          } catch (err) {
-            log.debug("KKGameEngine: Failed to process group payload", err);
-          }
+  /**
+   * Route one scanner match: opponent heartbeats first, then group
+   * payloads to the lobby and everything else through the session layer.
+   * Also used to replay lobby traffic missed while offline.
+   *
+   * @param {Object} match - Scanner match object { txid, payload, decodedPayload, blockHash, … }
+   * @private
+   */
+  async _routeIncomingMatch(match) {
+    // ── 1. Try anchor/heartbeat hex path first ──
+    const hexPayload = match?.payload;
+    if (typeof hexPayload === "string" && this._state === GameState.IN_GAME) {
+      if (await this._handleHeartbeatMatch(match)) return;
+      if (await this._handleGenesisMatch(match)) return;
+    }
+
+    // ── 2. Fall through to KKTP text protocol ──
+    const rawPayload = match?.decodedPayload || hexPayload;
+    if (!rawPayload || typeof rawPayload !== "string") return;
+
+    if (rawPayload.startsWith("KKTP:GROUP:")) {
+      if (this._lobby) {
+        try {
+          await this._lobby.processGroupPayload(rawPayload);
+        } catch (err) {
+          log.debug("KKGameEngine: Failed to process group payload", err);
         }
-        return;
+        this._noteLobbyTraffic(match);
+      }
+      return;
+    }
+
+    const event = await this._session.processIncomingPayload(rawPayload);
+    if (
+      !event ||
+      event.type !== "messages" ||
+      !this._lobby ||
+      !event.mailboxId
+    ) {
+      return;
+    }
+
+    for (const msg of event.messages || []) {
+      const plaintext = msg?.plaintext ?? msg;
+      if (typeof plaintext === "string") {
+        this._lobby.routeDMMessage(event.mailboxId, plaintext);
       }
+    }
+    this._noteLobbyTraffic(match);
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // LOBBY RESUME - Survive page reloads and network drops
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Move the lobby's resume cursor past a routed match and queue a save.
+   * @private
+   */
+  _noteLobbyTraffic(match) {
+    if (!this._lobby?.isInLobby?.()) return;
+    this._lobby.noteTrafficSeen(match);
+    this._scheduleLobbySnapshot();
+  }
+
+  /** @private */
+  _lobbySnapshotMetaKey() {
+    return `${LOBBY_RESUME_META_PREFIX}${this._walletName}`;
+  }
+
+  /**
+   * Snapshot key, derived from the wallet's first identity key so only
+   * the same wallet can open what it saved.
+   * @returns {Promise<Uint8Array>}
+   * @private
+   */
+  async _getLobbyResumeKey() {
+    if (!this._lobbyResumeKey) {
+      const { sig } = await this._adapter.generateIdentityKeys(0);
+      this._lobbyResumeKey = deriveResumeKey(sig.privateKey);
+    }
+    return this._lobbyResumeKey;
+  }
+
+  /** @private */
+  _scheduleLobbySnapshot() {
+    if (this._lobbySnapshotTimer || !this._session) return;
+    this._lobbySnapshotTimer = setTimeout(() => {
+      this._lobbySnapshotTimer = null;
+      void this._saveLobbySnapshot();
+    }, LOBBY_SNAPSHOT_THROTTLE_MS);
+  }
+
+  /**
+   * Seal the current sessions and lobby state into the meta store, or
+   * drop the stored snapshot once we are no longer in a lobby.
+   * @private
+   */
+  async _saveLobbySnapshot() {
+    const persistence = this._session?.persistence;
+    if (!persistence || !this._walletName || !this._adapter) return;
 
-      const event = await this._session.processIncomingPayload(rawPayload);
-      if (
-        !event ||
-        event.type !== "messages" ||
-        !this._lobby ||
-        !event.mailboxId
-      ) {
+    try {
+      if (!this._lobby?.isInLobby?.()) {
+        await persistence.setMeta(this._lobbySnapshotMetaKey(), null);
         return;
       }
+      const snapshot = this._session.exportSessions({ includeMessages: false });
+      const key = await this._getLobbyResumeKey();
+      await persistence.setMeta(
+        this._lobbySnapshotMetaKey(),
+        sealLobbySnapshot(snapshot, key),
+      );
+    } catch (err) {
+      log.warn("KKGameEngine: Failed to save lobby snapshot", err?.message ?? err);
+    }
+  }
 
-      for (const msg of event.messages || []) {
-        const plaintext = msg?.plaintext ?? msg;
-        if (typeof plaintext === "string") {
-          this._lobby.routeDMMessage(event.mailboxId, plaintext);
-        }
+  /**
+   * Restore a lobby saved before a reload: sessions and group key come
+   * back from the sealed snapshot, missed traffic is replayed from the
+   * last seen block, and a member tells the host it is back.
+   *
+   * @returns {Promise<{lobbyId: string, isHost: boolean, replayed: number}|null>}
+   * @private
+   */
+  async _resumeLobby() {
+    const persistence = this._session?.persistence;
+    if (!persistence || !this._walletName) return null;
+
+    const sealed = await persistence.getMeta(this._lobbySnapshotMetaKey());
+    if (!sealed) return null;
+
+    const snapshot = openLobbySnapshot(sealed, await this._getLobbyResumeKey());
+    if (!snapshot?.lobbyState) {
+      await persistence.setMeta(this._lobbySnapshotMetaKey(), null);
+      return null;
+    }
+
+    this._ensureLobby();
+    await this._session.restoreSessions(snapshot);
+    if (!this._lobby.isInLobby()) {
+      log.warn("KKGameEngine: Saved lobby could not be restored");
+      await persistence.setMeta(this._lobbySnapshotMetaKey(), null);
+      return null;
+    }
+
+    const replayed = await this._lobby.catchUpMissedTraffic((match) =>
+      this._routeIncomingMatch(match),
+    );
+
+    // Catch-up may have delivered a kick or close
+    if (!this._lobby.isInLobby()) return null;
+
+    if (!this._lobby.isHost) {
+      try {
+        await this._lobby.announceReconnect();
+      } catch (err) {
+        log.warn("KKGameEngine: Reconnect notice failed", err?.message ?? err);
       }
+    }
+
+    const resumed = {
+      lobbyId: this._lobby.getGroupMailboxId(),
+      isHost: this._lobby.isHost,
+      replayed,
     };
+    log.info("KKGameEngine: Lobby resumed", resumed);
+    this._emit(GameEvent.LOBBY_RESUMED, resumed);
+    this._scheduleLobbySnapshot();
+    return resumed;
+  }
 
-    if (this._adapter.onNewTransactionMatch) {
-      this._incomingUnsubscribe = this._adapter.onNewTransactionMatch(
-        (match) => {
-          void handleMatch(match);
-        },
-      );
+  // ═══════════════════════════════════════════════════════════════
+  // GAME RESUME - Checkpoints of the anchor chain across reloads
+  // ═══════════════════════════════════════════════════════════════
+
+  /** @private */
+  _gameCheckpointMetaKey() {
+    return `${GAME_CHECKPOINT_META_PREFIX}${this._walletName}`;
+  }
+
+  /**
+   * Checkpoint key, derived from the wallet's first identity key.
+   * @returns {Promise<Uint8Array>}
+   * @private
+   */
+  async _getGameCheckpointKey() {
+    if (!this._gameCheckpointKey) {
+      const { sig } = await this._adapter.generateIdentityKeys(0);
+      this._gameCheckpointKey = deriveCheckpointKey(sig.privateKey);
     }
+    return this._gameCheckpointKey;
+  }
 
-    if (this._adapter.startScanner) {
-      this._adapter.startScanner().catch(() => {});
+  /** @private */
+  _scheduleGameCheckpoint() {
+    if (this._gameCheckpointTimer || !this._session) return;
+    this._gameCheckpointTimer = setTimeout(() => {
+      this._gameCheckpointTimer = null;
+      void this._saveGameCheckpoint();
+    }, GAME_CHECKPOINT_THROTTLE_MS);
+  }
+
+  /**
+   * Seal the running game's anchor state into the meta store.
+   * @private
+   */
+  async _saveGameCheckpoint() {
+    const persistence = this._session?.persistence;
+    if (!persistence || !this._walletName || !this._adapter) return;
+
+    try {
+      const key = await this._getGameCheckpointKey();
+      const processor = this._anchor?.processor;
+      // The game may have ended while the key was derived
+      if (this._state !== GameState.IN_GAME || !processor?.isGenesisAnchored) return;
+
+      const checkpoint = {
+        ...processor.exportCheckpoint(),
+        genesisBlockHashHex: this._genesisBlockHashHex,
+        savedAt: Date.now(),
+      };
+      await persistence.setMeta(this._gameCheckpointMetaKey(), sealCheckpoint(checkpoint, key));
+    } catch (err) {
+      log.warn("KKGameEngine: Failed to save game checkpoint", err?.message ?? err);
+    }
+  }
+
+  /** @private */
+  async _clearGameCheckpoint() {
+    const persistence = this._session?.persistence;
+    if (!persistence || !this._walletName) return;
+    try {
+      await persistence.setMeta(this._gameCheckpointMetaKey(), null);
+    } catch (err) {
+      log.warn("KKGameEngine: Failed to clear game checkpoint", err?.message ?? err);
+    }
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The saved checkpoint, dropping one that cannot be opened
+   * @private
+   */
+  async _loadGameCheckpoint() {
+    const persistence = this._session?.persistence;
+    if (!persistence || !this._walletName) return null;
+
+    const sealed = await persistence.getMeta(this._gameCheckpointMetaKey());
+    if (!sealed) return null;
+
+    const checkpoint = openCheckpoint(sealed, await this._getGameCheckpointKey());
+    if (!checkpoint?.anchor?.genesisTxId || !checkpoint.genesisBlockHashHex) {
+      await this._clearGameCheckpoint();
+      return null;
+    }
+    return checkpoint;
+  }
+
+  /**
+   * Whether the DAG has passed the game's committed end DAA score
+   * @private
+   */
+  async _isPastEndDaaScore(genesisEntropy) {
+    const endDaaScore = Number(genesisEntropy?.endDaaScore ?? 0);
+    if (!(endDaaScore > Number(genesisEntropy?.startDaaScore ?? 0))) return false;
+    try {
+      const blocks = await this._withTimeout(
+        this._adapter.getKaspaBlocks(1),
+        TIMEOUTS.BLOCK_FETCH,
+        "Block fetch timed out"
+      );
+      return Number(blocks?.[0]?.daaScore ?? 0) > endDaaScore;
+    } catch (e) {
+      log.warn("KKGameEngine: Could not read DAA score for resume", e?.message ?? e);
+      return false;
     }
   }
 
@@ -2061,10 +2747,10 @@ export class KKGameEngine {
    * so the caller falls through to the KKTP text path.
    *
    * @param {Object} match - Scanner match object { txid, payload, timestamp, … }
-   * @returns {boolean}
+   * @returns {Promise<boolean>}
    * @private
    */
-  _handleHeartbeatMatch(match) {
+  async _handleHeartbeatMatch(match) {
     const hexPayload = match?.payload;
     if (!hexPayload) return false;
 
@@ -2087,11 +2773,15 @@ export class KKGameEngine {
     }
 
     // ── Parse (use original hexPayload for correct binary parsing) ──
-    const parsed = parseHeartbeatHex(hexPayload, { prefixHex, tagHex });
+    const parsed = parseHeartbeatHex(hexPayload, {
+      prefixHex,
+      tagHex,
+      packetSchema: this._packetSchema,
+    });
     if (!parsed) return false;
 
     // ── Resolve player via anchor chain tracking (N-player ready) ──
-    const playerId = this._resolvePlayerFromHeartbeat(parsed, txId);
+    const playerId = await this._resolvePlayerFromHeartbeat(parsed, txId);
 
     // Time accumulator persists across heartbeats per opponent
     if (!this._opponentTimeAccumulators.has(playerId)) {
@@ -2128,21 +2818,75 @@ export class KKGameEngine {
   }
 
   /**
-   * Resolve player ID from a heartbeat via anchor chain tracking.
+   * Learn an opponent's anchor key from their genesis anchor.
+   *
+   * A signed genesis commits the key that signs the rest of that player's
+   * chain. Its player is whoever registered the key through
+   * registerPlayerAnchorKey(), the lobby member with that pubSig, or else
+   * the key itself.
+   *
+   * @param {Object} match - Scanner match object
+   * @returns {Promise<boolean>} true if the match was a genesis anchor of this game
+   * @private
+   */
+  async _handleGenesisMatch(match) {
+    const tagHex = this._anchor?.processor?.gameIdTagHex;
+    if (!tagHex) return false;
+
+    const expectedStart = `${BLOCKCHAIN.PREFIX_GAME_START_HEX}${tagHex}`.toLowerCase();
+    const payload = String(match?.payload || "").toLowerCase();
+    if (!payload.startsWith(expectedStart)) return false;
+
+    const txId = match.txid ?? match.txId;
+    if (!txId || this._ownAnchorTxIds.has(txId)) return true;
+    if (txId === this._anchor?.processor?.genesisTxId) return true;
+
+    let split = null;
+    try {
+      split = splitSignedAnchor(hexToBytes(payload.slice(expectedStart.length)));
+    } catch {
+      return true;
+    }
+    const pubKey = split?.signerPubKey;
+    if (!pubKey) return true;
+    if (pubKey === (await this.getAnchorPublicKey().catch(() => null))) return true;
+    if (!(await this._verifyAnchorSignature(split, pubKey, null))) {
+      log.warn("KKGameEngine: Ignoring genesis with an invalid signature", { txId });
+      return true;
+    }
+
+    const playerId = this._playerIdForAnchorKey(pubKey) ?? pubKey;
+    this._playerAnchorKeys.set(playerId, pubKey);
+    this.registerPlayerAnchorChain(playerId, txId);
+    return true;
+  }
+
+  /**
+   * Resolve player ID from a heartbeat.
    *
-   * For N-player multiplayer, each player's anchor chain is tracked:
+   * Signed heartbeats belong to the player whose anchor key verifies them.
+   * Unsigned ones (or from keys we have not learned yet) fall back to
+   * anchor chain tracking:
    * - Genesis tx registers the player's chain
    * - Subsequent heartbeats link via prevTxId
    * - We trace prevTxId to identify which player sent the heartbeat
    *
    * @param {Object} parsed - Parsed heartbeat from parseHeartbeatHex()
    * @param {string} txId - Transaction ID of this heartbeat
-   * @returns {string} Player ID
+   * @returns {Promise<string>} Player ID
    * @private
    */
-  _resolvePlayerFromHeartbeat(parsed, txId) {
+  async _resolvePlayerFromHeartbeat(parsed, txId) {
     const prevTxId = parsed?.header?.prevTxId;
 
+    if (parsed?.anchorSignature) {
+      const signer = await this._playerFromAnchorSignature(parsed.anchorSignature, prevTxId);
+      if (signer) {
+        this.registerPlayerAnchorChain(signer, txId);
+        return signer;
+      }
+    }
+
     // Check if prevTxId is in any known player's chain
     for (const [playerId, chainTxIds] of this._playerAnchorChains) {
       if (chainTxIds.has(prevTxId)) {
@@ -2198,6 +2942,95 @@ export class KKGameEngine {
     return "opponent";
   }
 
+  /**
+   * Find the player whose anchor key signed a heartbeat. The chain it
+   * links to is tried first.
+   * @returns {Promise<string|null>}
+   * @private
+   */
+  async _playerFromAnchorSignature(anchorSignature, prevTxId) {
+    const candidates = [...this._playerAnchorKeys].sort(
+      ([a], [b]) =>
+        Number(!!this._playerAnchorChains.get(b)?.has(prevTxId)) -
+        Number(!!this._playerAnchorChains.get(a)?.has(prevTxId)),
+    );
+    for (const [playerId, pubKey] of candidates) {
+      if (await this._verifyAnchorSignature(anchorSignature, pubKey, prevTxId)) {
+        return playerId;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Signer backed by our lobby identity, or null outside a lobby.
+   * @private
+   */
+  _lobbyAnchorSigner() {
+    const pubSig = this._lobby?.lobbyInfo?.myPubSig;
+    if (!pubSig || !this._session) return null;
+    return {
+      getPublicKey: async () => pubSig,
+      sign: (message) => this._session.signAsIdentity(pubSig, message),
+    };
+  }
+
+  /** @private */
+  _playerIdForAnchorKey(pubKey) {
+    for (const [playerId, key] of this._playerAnchorKeys) {
+      if (key === pubKey) return playerId;
+    }
+    const lobbyMembers = this._lobby?.members ?? this._lobby?.lobbyInfo?.members;
+    const member = Array.isArray(lobbyMembers)
+      ? lobbyMembers.find((m) => m?.pubSig?.toLowerCase() === pubKey)
+      : null;
+    return member?.pubSig ?? null;
+  }
+
+  /** @private */
+  _verifyAnchorSignature(anchorSignature, pubKey, prevTxId) {
+    if (!this._adapter?.verifyMessage) return false;
+    return verifyAnchorSignature(anchorSignature, pubKey, prevTxId, (key, body, sig) =>
+      this._adapter.verifyMessage(key, body, sig),
+    );
+  }
+
+  /**
+   * Identity key our anchors are signed with. Peers pass it to
+   * registerPlayerAnchorKey() to attribute our heartbeats.
+   * @returns {Promise<string|null>}
+   */
+  async getAnchorPublicKey() {
+    return (await this._anchor?.processor?.getAnchorSignerPublicKey?.()) ?? null;
+  }
+
+  /**
+   * Register the identity key a player signs their anchors with, so their
+   * heartbeats are attributed to `playerId` by signature.
+   *
+   * Without it an opponent is identified by the key their genesis commits.
+   *
+   * @param {string} playerId - Player identifier (pubSig or custom ID)
+   * @param {string} pubKeyHex - Anchor signing key (33-byte compressed, hex)
+   */
+  registerPlayerAnchorKey(playerId, pubKeyHex) {
+    if (!playerId || !pubKeyHex) return;
+    const pubKey = pubKeyHex.toLowerCase();
+
+    // A chain first seen under the bare key now belongs to playerId
+    const known = this._playerIdForAnchorKey(pubKey);
+    if (known && known !== playerId) {
+      this._playerAnchorKeys.delete(known);
+      for (const txId of this._playerAnchorChains.get(known) ?? []) {
+        this.registerPlayerAnchorChain(playerId, txId);
+      }
+      this._playerAnchorChains.delete(known);
+    }
+    this._playerAnchorKeys.set(playerId, pubKey);
+
+    log.debug("KKGameEngine: Registered player anchor key", { playerId });
+  }
+
   /**
    * Register a player's genesis anchor txId to initialize their chain.
    *
@@ -2256,6 +3089,15 @@ export class KKGameEngine {
       this._emit(GameEvent.ANCHOR_FAILED, data);
     });
 
+    // Automatic recovery gave up (or the final anchor ran out of retries)
+    this._anchor.on(MoveEvent.ANCHOR_RETRY_NEEDED, (data) => {
+      this._emit(GameEvent.ANCHOR_RETRY_NEEDED, data);
+    });
+
+    // Checkpoint the game each time its anchor chain grows
+    this._anchor.on(MoveEvent.GENESIS_ANCHORED, () => this._scheduleGameCheckpoint());
+    this._anchor.on(MoveEvent.HEARTBEAT_ANCHORED, () => this._scheduleGameCheckpoint());
+
     this._anchor.on(MoveEvent.LOW_FUNDS_WARNING, (data) => {
       this._emit(GameEvent.LOW_FUNDS, data);
     });
@@ -7,8 +7,15 @@
  * - Host-managed lobbies with discovery anchors
  * - Encrypted group messaging using XChaCha20-Poly1305
  * - Automatic key rotation every 10 minutes
+ * - Optional per-sender ratcheting keys (groupCrypto: "sender_keys")
  * - Member management (join, leave, kick)
- * - State root commitments for integrity
+ * - Password, invite-only and allowlist lobbies
+ * - Host migration when the host disappears
+ * - State roots anchored on-chain, with an offline history verifier
+ * - Matchmaking queue that pairs players without a server or join code
+ * - Chat with replies, reactions, edits, deletions and system notices
+ * - Rejoin after a reload from a snapshot sealed under the wallet
+ * - Lobby directory backfilled from recent DAG history
  *
  * Architecture:
  * - Host broadcasts a KKTP discovery anchor with lobby=true
@@ -34,7 +41,42 @@
  */
 
 // Primary API - Use LobbyFacade for clean, stable interface
-export { LobbyFacade, LOBBY_STATES, MEMBER_ROLES } from "./lobbyFacade.js";
+export {
+  LobbyFacade,
+  LOBBY_STATES,
+  MEMBER_ROLES,
+  SPOOF_REASONS,
+  ACCESS_MODES,
+  GROUP_CRYPTO_MODES,
+} from "./lobbyFacade.js";
+
+// Offline verification of anchored lobby history
+export {
+  LOBBY_HISTORY_VERDICTS,
+  verifyLobbyHistory,
+} from "./parts/lobbyStateRoots.js";
+
+// Matchmaking pairing rule and ratings
+export {
+  RATING_DEFAULTS,
+  ratingBucket,
+  updateRating,
+  scoreMatch,
+  pairMatchQueue,
+} from "./parts/lobbyMatchmaking.js";
+
+// Chat record types carried in group messages
+export { CHAT_RECORD_TYPES } from "./parts/lobbyChat.js";
+
+// Sealed lobby snapshots for rejoining after a reload
+export {
+  deriveResumeKey,
+  sealLobbySnapshot,
+  openLobbySnapshot,
+} from "./parts/lobbyResume.js";
+
+// Lobby directory orders
+export { LOBBY_DIRECTORY_SORTS } from "./parts/lobbyDirectory.js";
 
 // Internal - Only use if you need low-level access
 export { LobbyManager } from "./lobbyManager.js";
@@ -45,11 +87,22 @@ export { LobbyCodec } from "./lobbyCodec.js";
 export {
   LobbyValidationError,
   validateLobbyMeta,
+  validateMatchTicketMeta,
   validateJoinRequest,
   validateJoinResponse,
+  validateInviteToken,
   validateGroupMessage,
   validateKeyRotation,
+  validateSenderKey,
+  validateChatMessage,
   validateMemberEvent,
+  validateModerationRequest,
+  validateJoinPending,
+  validateLobbyRoot,
+  validateStateRootNotice,
+  validateInviteRedeemedNotice,
+  validateRejoinMessage,
+  validateReconnectMessage,
   validateLeaveMessage,
   validateKickMessage,
   validateCloseMessage,
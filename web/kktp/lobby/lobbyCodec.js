@@ -4,26 +4,34 @@
  * Uses XChaCha20-Poly1305 with AAD for authenticated encryption:
  * - AAD = groupMailboxId || keyVersion (domain separation)
  * - Nonce: 24 bytes random per message
+ * - Sender-key lobbies append the chain iteration: AAD = ... || iteration
+ *
+ * Every member holds the group key, so the cipher alone cannot tell members
+ * apart. Senders therefore sign the envelope with their KKTP signing key
+ * (see signingBody); receivers check it against the roster.
  *
  * @module kktp/lobby/lobbyCodec
  */
 
 import { xchacha20poly1305 } from "https://esm.sh/v135/@noble/ciphers/chacha";
+import { canonicalize } from "../protocol/integrity/canonical.js";
 
 /**
  * @typedef {Object} EncryptedGroupMessage
  * @property {string} type - Always "group_message"
  * @property {number} version - Protocol version
  * @property {string} senderPubSig - Sender's public signing key
- * @property {number} keyVersion - Key version used for encryption
+ * @property {number} keyVersion - Key version used for encryption (sender epoch in sender_keys mode)
+ * @property {number} [iteration] - Sender chain iteration (sender_keys mode only)
  * @property {string} nonce - 24-byte nonce (hex)
  * @property {string} ciphertext - Encrypted message (hex)
  * @property {number} timestamp - Message timestamp
+ * @property {string} [sig] - Sender's signature over signingBody() (hex)
  */
 
 export class LobbyCodec {
   constructor() {
-    this.version = 1;
+    this.version = 2; // 2: signed envelopes
   }
 
   /**
@@ -33,6 +41,7 @@ export class LobbyCodec {
    * @param {string} groupMailboxId - Group mailbox ID (for AAD)
    * @param {number} keyVersion - Current key version (for AAD)
    * @param {string} senderPubSig - Sender's public signing key
+   * @param {number} [iteration] - Sender chain iteration (sender_keys mode)
    * @returns {Promise<EncryptedGroupMessage>}
    */
   async encryptGroupMessage(
@@ -41,6 +50,7 @@ export class LobbyCodec {
     groupMailboxId,
     keyVersion,
     senderPubSig,
+    iteration,
   ) {
     // Validate key
     if (!(groupKey instanceof Uint8Array) || groupKey.length !== 32) {
@@ -51,15 +61,15 @@ export class LobbyCodec {
     const nonce = crypto.getRandomValues(new Uint8Array(24));
 
     // Construct AAD for domain separation
-    // AAD = groupMailboxId || keyVersion
-    const aad = this._constructAAD(groupMailboxId, keyVersion);
+    // AAD = groupMailboxId || keyVersion [|| iteration]
+    const aad = this._constructAAD(groupMailboxId, keyVersion, iteration);
 
     // Encrypt
     const chacha = xchacha20poly1305(groupKey, nonce, aad);
     const plaintextBytes = new TextEncoder().encode(plaintext);
     const ciphertext = chacha.encrypt(plaintextBytes);
 
-    return {
+    const encrypted = {
       type: "group_message",
       version: this.version,
       senderPubSig,
@@ -68,6 +78,8 @@ export class LobbyCodec {
       ciphertext: this._bytesToHex(ciphertext),
       timestamp: Date.now(),
     };
+    if (iteration !== undefined) encrypted.iteration = iteration;
+    return encrypted;
   }
 
   /**
@@ -94,7 +106,11 @@ export class LobbyCodec {
     }
 
     // Reconstruct AAD
-    const aad = this._constructAAD(groupMailboxId, encrypted.keyVersion);
+    const aad = this._constructAAD(
+      groupMailboxId,
+      encrypted.keyVersion,
+      encrypted.iteration,
+    );
 
     // Parse nonce and ciphertext
     const nonce = this._hexToBytes(encrypted.nonce);
@@ -111,19 +127,44 @@ export class LobbyCodec {
     return new TextDecoder().decode(plaintext);
   }
 
+  /**
+   * Canonical bytes a sender signs: the envelope minus `sig`, bound to
+   * the group mailbox so a signature cannot be replayed into another lobby.
+   * @param {EncryptedGroupMessage} encrypted
+   * @param {string} groupMailboxId
+   * @returns {string}
+   */
+  signingBody(encrypted, groupMailboxId) {
+    const body = {
+      type: encrypted.type,
+      version: encrypted.version,
+      senderPubSig: encrypted.senderPubSig,
+      groupMailboxId,
+      keyVersion: encrypted.keyVersion,
+      nonce: encrypted.nonce,
+      ciphertext: encrypted.ciphertext,
+      timestamp: encrypted.timestamp,
+    };
+    if (encrypted.iteration !== undefined) body.iteration = encrypted.iteration;
+    return canonicalize(body);
+  }
+
   /**
    * Construct AAD for authenticated encryption
-   * Format: groupMailboxId (raw bytes) || keyVersion (u32 BE)
+   * Format: groupMailboxId (raw bytes) || keyVersion (u32 BE) [|| iteration (u32 BE)]
    * @private
    */
-  _constructAAD(groupMailboxId, keyVersion) {
+  _constructAAD(groupMailboxId, keyVersion, iteration) {
     const mailboxBytes = this._hexToBytes(groupMailboxId);
-    const versionBytes = new Uint8Array(4);
-    new DataView(versionBytes.buffer).setUint32(0, keyVersion, false); // big-endian
-
-    const aad = new Uint8Array(mailboxBytes.length + 4);
+    const counters = iteration === undefined ? 1 : 2;
+    const aad = new Uint8Array(mailboxBytes.length + 4 * counters);
     aad.set(mailboxBytes, 0);
-    aad.set(versionBytes, mailboxBytes.length);
+
+    const view = new DataView(aad.buffer);
+    view.setUint32(mailboxBytes.length, keyVersion, false); // big-endian
+    if (iteration !== undefined) {
+      view.setUint32(mailboxBytes.length + 4, iteration, false);
+    }
 
     return aad;
   }
@@ -1,5 +1,12 @@
 // LobbyFacade - Single entry point for lobby operations
-import { LobbyManager, LOBBY_STATES, MEMBER_ROLES } from "./lobbyManager.js";
+import {
+  LobbyManager,
+  LOBBY_STATES,
+  MEMBER_ROLES,
+  SPOOF_REASONS,
+  ACCESS_MODES,
+  GROUP_CRYPTO_MODES,
+} from "./lobbyManager.js";
 
 /**
  * LobbyFacade
@@ -28,8 +35,13 @@ export class LobbyFacade {
     return await this._manager.hostLobby(options);
   }
 
-  async joinLobby(lobbyDiscovery, displayName) {
-    return await this._manager.joinLobby(lobbyDiscovery, displayName);
+  /**
+   * @param {string|Object} lobbyDiscovery - Join code or discovery anchor
+   * @param {string} [displayName]
+   * @param {Object} [credentials] - { password } or { invite } for private lobbies
+   */
+  async joinLobby(lobbyDiscovery, displayName, credentials) {
+    return await this._manager.joinLobby(lobbyDiscovery, displayName, credentials);
   }
 
   async leaveLobby(reason) {
@@ -40,14 +52,123 @@ export class LobbyFacade {
     return await this._manager.closeLobby(reason);
   }
 
+  /**
+   * Step down as host; members elect a successor and the lobby continues.
+   */
+  async handOffLobby() {
+    return await this._manager.handOffLobby();
+  }
+
   async discoverLobby(options) {
     return await this._manager.discoverLobby(options);
   }
 
+  /**
+   * Find lobbies matching a discovery filter in recent history and live.
+   * @param {Object} filters - { game, version, capabilities, minUptimeSeconds, regions }
+   * @param {Object} [options] - discoverLobby() options, e.g. historyBlocks, onLobby
+   * @returns {Promise<{ stop: Function, getResults: Function }>}
+   */
+  async queryLobbies(filters, options = {}) {
+    return await this._manager.discoverLobby({ ...options, filters });
+  }
+
+  /**
+   * List lobbies announced in the last few minutes that are still open.
+   * @param {Object} [options] - { sinceMinutes, filters: { game, name, minFreeSlots, ... }, sortBy }
+   * @returns {Promise<Object[]>} Listings with memberCount, freeSlots and ageMs
+   */
+  async browseLobbies(options) {
+    return await this._manager.browseLobbies(options);
+  }
+
+  /**
+   * Queue for a match and host or join the paired lobby automatically.
+   * @param {Object} options - { gameName, gameVersion, mode, rating, displayName, timeoutMs, onQueue }
+   * @returns {Promise<Object>} { role: "host"|"guest", opponent, ticket, lobbyId, ... }
+   */
+  async findMatch(options) {
+    return await this._manager.findMatch(options);
+  }
+
+  cancelMatchmaking() {
+    return this._manager.cancelMatchmaking();
+  }
+
   async sendGroupMessage(plaintext) {
     return await this._manager.sendGroupMessage(plaintext);
   }
 
+  // ─────────────────────────────────────────────────────────────
+  // Chat
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Send a chat message.
+   * @param {string} text
+   * @param {Object} [options] - { replyTo: messageId }
+   * @returns {Promise<{ id: string, txid: string|null }>}
+   */
+  async sendChatMessage(text, options) {
+    return await this._manager.sendChatMessage(text, options);
+  }
+
+  /**
+   * React to a chat message with an emoji.
+   * @param {string} messageId
+   * @param {string} emoji
+   * @param {Object} [options] - { remove: true } takes our reaction back
+   * @returns {Promise<{ id: string, txid: string|null }>}
+   */
+  async reactToMessage(messageId, emoji, options) {
+    return await this._manager.reactToMessage(messageId, emoji, options);
+  }
+
+  /**
+   * Edit one of our own chat messages.
+   * @param {string} messageId
+   * @param {string} text
+   * @returns {Promise<{ id: string, txid: string|null }>}
+   */
+  async editChatMessage(messageId, text) {
+    return await this._manager.editChatMessage(messageId, text);
+  }
+
+  /**
+   * Delete one of our own chat messages.
+   * @param {string} messageId
+   * @returns {Promise<{ id: string, txid: string|null }>}
+   */
+  async deleteChatMessage(messageId) {
+    return await this._manager.deleteChatMessage(messageId);
+  }
+
+  /**
+   * Post a system notice to the chat (host, co-host or moderator).
+   * @param {string} text
+   * @returns {Promise<{ id: string, txid: string|null }>}
+   */
+  async postNotice(text) {
+    return await this._manager.postNotice(text);
+  }
+
+  /**
+   * Chat as threads: top-level messages, each with its replies in order.
+   * @returns {Array<Object>}
+   */
+  getChatThreads() {
+    return this._manager.getChatThreads();
+  }
+
+  /**
+   * A single chat message by id, with reactions and edit/delete state.
+   * @param {string} messageId
+   * @returns {Object|null}
+   */
+  getChatMessage(messageId) {
+    return this._manager.getChatMessage(messageId);
+  }
+
   // ─────────────────────────────────────────────────────────────
   // Incoming Message Routing - Primary API for message handling
   // ─────────────────────────────────────────────────────────────
@@ -93,6 +214,36 @@ export class LobbyFacade {
     return this._manager.isRelevantMailbox(mailboxId);
   }
 
+  // ─────────────────────────────────────────────────────────────
+  // Resume after reload
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Record that a scanner match on a lobby prefix has been routed, so a
+   * restored lobby knows where to resume catching up.
+   * @param {Object} match - Scanner match
+   */
+  noteTrafficSeen(match) {
+    this._manager.noteTrafficSeen(match);
+  }
+
+  /**
+   * Replay lobby traffic missed while offline (after restoreSessions()).
+   * @param {function(Object): Promise<void>} onMatch - Routes one match like a live one
+   * @returns {Promise<number>} Matches replayed
+   */
+  async catchUpMissedTraffic(onMatch) {
+    return this._manager.catchUpMissedTraffic(onMatch);
+  }
+
+  /**
+   * Tell the host a restored member is back (member only).
+   * @returns {Promise<Object>} The signed lobby_reconnect
+   */
+  async announceReconnect() {
+    return this._manager.announceReconnect();
+  }
+
   // ─────────────────────────────────────────────────────────────
   // Prefix Subscription Management
   // ─────────────────────────────────────────────────────────────
@@ -146,6 +297,11 @@ export class LobbyFacade {
   onLobbyClose(cb) { this._manager.onLobbyClose(cb); }
   onStateChange(cb) { this._manager.onStateChange(cb); }
   onJoinRequest(cb) { this._manager.onJoinRequest(cb); }
+  onSpoofAttempt(cb) { this._manager.onSpoofAttempt(cb); }
+  onHostMigrated(cb) { this._manager.onHostMigrated(cb); }
+  onModeration(cb) { this._manager.onModeration(cb); }
+  onChatUpdate(cb) { this._manager.onChatUpdate(cb); }
+  onMemberReconnected(cb) { this._manager.onMemberReconnected(cb); }
 
   // ─────────────────────────────────────────────────────────────
   // State accessors
@@ -157,6 +313,10 @@ export class LobbyFacade {
   get messageHistory() { return this._manager.getMessageHistory(); }
   get isHost() { return this._manager.state === LOBBY_STATES.HOSTING; }
   get pendingJoinRequests() { return this._manager.pendingJoinRequests; }
+  get bans() { return this._manager.bans; }
+  get stateRoot() { return this._manager.stateRoot; }
+  get isMatchmaking() { return this._manager.isMatchmaking; }
+  get groupCrypto() { return this._manager.groupCrypto; }
 
   /**
    * Check if we are currently in a lobby (hosting or member).
@@ -177,8 +337,17 @@ export class LobbyFacade {
     return this._manager.lobby?.groupMailboxId ?? null;
   }
 
+  /**
+   * Joins and leaves this client saw, for proving membership against the
+   * anchored state roots (see verifyLobbyHistory).
+   * @returns {{ lobbyId: string, events: Object[] }|null}
+   */
+  exportRosterLog() {
+    return this._manager.exportRosterLog();
+  }
+
   // ─────────────────────────────────────────────────────────────
-  // Member Management (Host only)
+  // Member Management (host, or co-host/moderator where permitted)
   // ─────────────────────────────────────────────────────────────
 
   async acceptPendingJoin(pubSig) {
@@ -189,10 +358,42 @@ export class LobbyFacade {
     return await this._manager.rejectPendingJoin(pubSig, reason);
   }
 
+  /**
+   * Issue a single-use invite token for an invite-only lobby.
+   * @param {Object} [options] - { ttlMs }
+   * @returns {Promise<Object>}
+   */
+  async createInvite(options) {
+    return await this._manager.createInvite(options);
+  }
+
   async kickMember(pubSig, reason) {
     return await this._manager.kickMember(pubSig, reason);
   }
 
+  /**
+   * Give a member the "co_host", "moderator" or "member" role (host only).
+   */
+  async setMemberRole(pubSig, role) {
+    return await this._manager.setMemberRole(pubSig, role);
+  }
+
+  async muteMember(pubSig, reason) {
+    return await this._manager.muteMember(pubSig, reason);
+  }
+
+  async unmuteMember(pubSig) {
+    return await this._manager.unmuteMember(pubSig);
+  }
+
+  async banMember(pubSig, reason) {
+    return await this._manager.banMember(pubSig, reason);
+  }
+
+  async unbanMember(pubSig) {
+    return await this._manager.unbanMember(pubSig);
+  }
+
   async rotateKey(reason) {
     return await this._manager.rotateKey(reason);
   }
@@ -202,4 +403,4 @@ export class LobbyFacade {
   static get ROLES() { return MEMBER_ROLES; }
 }
 
-export { LOBBY_STATES, MEMBER_ROLES };
+export { LOBBY_STATES, MEMBER_ROLES, SPOOF_REASONS, ACCESS_MODES, GROUP_CRYPTO_MODES };
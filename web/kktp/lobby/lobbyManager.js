@@ -7,6 +7,9 @@
  * - Host distributes GroupKey_vN via encrypted 1:1 DMs
  * - All group messages encrypted with XChaCha20-Poly1305 using groupKey
  * - Key rotation every 10 minutes with state root commitment
+ * - State roots anchored on-chain per roster change (parts/lobbyStateRoots)
+ * - If the host disappears, members elect a successor (parts/lobbyMigration)
+ * - Matchmaking tickets pair players and open the lobby (parts/lobbyMatchmaking)
  *
  * Refactored orchestrator - delegates to parts/ modules for SRP compliance.
  *
@@ -27,6 +30,10 @@ const log = Logger.create(LogModule.lobby.lobbyManager);
 import {
   LOBBY_STATES,
   MEMBER_ROLES,
+  SPOOF_REASONS,
+  ACCESS_MODES,
+  GROUP_CRYPTO_MODES,
+  STATE_ROOT_REASONS,
   DEFAULT_CONFIG,
   createLobbyContext,
   resetLobbyContext,
@@ -75,6 +82,16 @@ import {
   processBufferedFutureMessages as _processBufferedFutureMessages,
 } from "./parts/lobbyMessaging.js";
 
+import {
+  buildChatMessage,
+  buildChatReaction,
+  buildChatEdit,
+  buildChatDelete,
+  buildChatNotice,
+  getChatThreads as _getChatThreads,
+  getChatMessage as _getChatMessage,
+} from "./parts/lobbyChat.js";
+
 import {
   initKeyVault,
   startKeyRotation,
@@ -90,8 +107,20 @@ import {
   broadcastMemberEvent,
   handleMemberEvent,
   exportMemberList,
+  seedRosterLog,
+  exportRosterLog as _exportRosterLog,
 } from "./parts/lobbyRoster.js";
 
+import {
+  createAccessConfig,
+  createInvite as _createInvite,
+  prepareJoinCredentials,
+  applyJoinCredentials,
+  importPublicAccess,
+  announceRedeemedInvite,
+  handleRedeemedInvite,
+} from "./parts/lobbyAccess.js";
+
 import {
   handleJoinRequest as _handleJoinRequest,
   acceptPendingJoin as _acceptPendingJoin,
@@ -105,17 +134,72 @@ import {
   discoverLobby as _discoverLobby,
 } from "./parts/lobbyDiscovery.js";
 
+import {
+  browseLobbies as _browseLobbies,
+  anchorLobbyEnd,
+} from "./parts/lobbyDirectory.js";
+
 import {
   exportLobbyState as _exportLobbyState,
   restoreLobbyState as _restoreLobbyState,
 } from "./parts/lobbyPersistence.js";
 
+import {
+  noteTrafficSeen as _noteTrafficSeen,
+  catchUpMissedTraffic as _catchUpMissedTraffic,
+  announceReconnect as _announceReconnect,
+  handleReconnect as _handleReconnect,
+} from "./parts/lobbyResume.js";
+
 import {
   endDMSession
 } from "./parts/lobbySessionEnd.js";
 
+import {
+  startHostHeartbeat,
+  startHostWatchdog,
+  stopHostMigration,
+  noteHostActivity,
+  beginHostMigration,
+  handleGroupControl,
+  handleRejoin as _handleRejoin,
+} from "./parts/lobbyMigration.js";
+
+import {
+  MODERATION_EVENT_TYPES,
+  applyModeration,
+  requestModeration,
+  setMemberRole as _setMemberRole,
+  handleModerationEvent,
+  handleModerationRequest as _handleModerationRequest,
+  handleJoinPending as _handleJoinPending,
+  getBanList,
+} from "./parts/lobbyModeration.js";
+
+import {
+  anchorStateRoot,
+  handleStateRootNotice,
+} from "./parts/lobbyStateRoots.js";
+
+import {
+  matchSigningBody,
+  findMatch as _findMatch,
+  cancelMatchmaking as _cancelMatchmaking,
+} from "./parts/lobbyMatchmaking.js";
+
+import {
+  isSenderKeyMode,
+  initSenderKeys,
+  clearSenderKeys,
+  importSenderChains,
+  seedSenderKey,
+  handleSenderKey as _handleSenderKey,
+  processUnverifiedSenderKeys,
+  reseedAfterDeparture,
+} from "./parts/lobbySenderKeys.js";
+
 // Re-export state constants for consumers
-export { LOBBY_STATES, MEMBER_ROLES };
+export { LOBBY_STATES, MEMBER_ROLES, SPOOF_REASONS, ACCESS_MODES, GROUP_CRYPTO_MODES };
 
 // Constants
 const LOBBY_DISCOVERY_PREFIX = "KKTP:ANCHOR:";
@@ -132,6 +216,9 @@ export class LobbyManager {
    * @param {number} [options.maxMembers=16] - Default max members
    * @param {number} [options.keyRotationMs=600000] - Key rotation interval
    * @param {boolean} [options.autoAcceptJoins=true] - Automatically accept join requests
+   * @param {boolean} [options.hostMigration=false] - Elect a new host if the host disappears
+   * @param {number} [options.hostHeartbeatMs=60000] - Host heartbeat interval while the group is quiet
+   * @param {number} [options.hostTimeoutMs=180000] - Host silence before members elect a successor
    */
   constructor(sessionManager, options = {}) {
     this.sm = sessionManager;
@@ -144,6 +231,19 @@ export class LobbyManager {
       maxMembers: options.maxMembers ?? DEFAULT_CONFIG.maxMembers,
       keyRotationMs: options.keyRotationMs ?? DEFAULT_CONFIG.keyRotationMs,
       autoAcceptJoins: options.autoAcceptJoins ?? DEFAULT_CONFIG.autoAcceptJoins,
+      hostMigration: options.hostMigration ?? DEFAULT_CONFIG.hostMigration,
+      hostHeartbeatMs: options.hostHeartbeatMs ?? DEFAULT_CONFIG.hostHeartbeatMs,
+      hostTimeoutMs: options.hostTimeoutMs ?? DEFAULT_CONFIG.hostTimeoutMs,
+      migrationTimeoutMs: options.migrationTimeoutMs ?? DEFAULT_CONFIG.migrationTimeoutMs,
+      inviteTtlMs: options.inviteTtlMs ?? DEFAULT_CONFIG.inviteTtlMs,
+      anchorStateRoots: options.anchorStateRoots ?? DEFAULT_CONFIG.anchorStateRoots,
+      matchTicketTtlSeconds: options.matchTicketTtlSeconds ?? DEFAULT_CONFIG.matchTicketTtlSeconds,
+      matchHostTimeoutMs: options.matchHostTimeoutMs ?? DEFAULT_CONFIG.matchHostTimeoutMs,
+      matchHistoryBlocks: options.matchHistoryBlocks ?? DEFAULT_CONFIG.matchHistoryBlocks,
+      directoryWindowMinutes: options.directoryWindowMinutes ?? DEFAULT_CONFIG.directoryWindowMinutes,
+      directoryHistoryBlocks: options.directoryHistoryBlocks ?? DEFAULT_CONFIG.directoryHistoryBlocks,
+      groupCrypto: options.groupCrypto ?? DEFAULT_CONFIG.groupCrypto,
+      senderKeyMaxSkip: options.senderKeyMaxSkip ?? DEFAULT_CONFIG.senderKeyMaxSkip,
     };
 
     // Create the internal context
@@ -158,6 +258,39 @@ export class LobbyManager {
       onLobbyClose: null,
       onStateChange: null,
       onJoinRequest: null,
+      onSpoofAttempt: null,
+      onHostMigrated: null,
+      onModeration: null,
+      onMemberReconnected: null,
+    };
+
+    // Host migration needs the bound rotation (drains buffered messages)
+    // and full cleanup, which live here rather than in parts/
+    this._migrationHooks = {
+      rotateKey: (reason) => this.rotateKey(reason),
+      cleanup: () => this._cleanup(),
+    };
+    // Moderation is executed by the host, which owns every member DM
+    this._moderationHooks = {
+      kickMember: (pubSig, reason) => this.kickMember(pubSig, reason),
+      acceptPendingJoin: (pubSig) => _acceptPendingJoin(this._ctx, pubSig),
+      rejectPendingJoin: (pubSig, reason) => _rejectPendingJoin(this._ctx, pubSig, reason),
+    };
+    // Parts anchor a state root after each roster change or rekey
+    this._ctx.stateRootAnchor = (reason) => anchorStateRoot(this._ctx, this.codec, reason);
+    // Members keep redeemed invite nonces so a successor refuses them
+    this._ctx.inviteRedeemed = (invite) => announceRedeemedInvite(this._ctx, this.codec, invite);
+    this._ctx.groupControlHandler = (message, senderPubSig) => {
+      if (message.type === "lobby_state_root") {
+        return handleStateRootNotice(this._ctx, message, senderPubSig);
+      }
+      if (message.type === "lobby_invite_redeemed") {
+        return handleRedeemedInvite(this._ctx, message, senderPubSig);
+      }
+      if (MODERATION_EVENT_TYPES.has(message.eventType)) {
+        return handleModerationEvent(this._ctx, message, senderPubSig);
+      }
+      return handleGroupControl(this._ctx, this.codec, this._migrationHooks, message, senderPubSig);
     };
 
     // Pending join state (member side)
@@ -199,8 +332,15 @@ export class LobbyManager {
     return this._config.maxMembers;
   }
 
-  /** @returns {Array<Object>} Pending join requests (host only) */
+  /** @returns {Array<Object>} Pending join requests (host, or co-host via forwarding) */
   get pendingJoinRequests() {
+    if (this._ctx.state === LOBBY_STATES.MEMBER) {
+      return Array.from(this._ctx.delegatedJoins.entries()).map(([pubSig, data]) => ({
+        pubSig,
+        displayName: data.displayName,
+        receivedAt: data.receivedAt,
+      }));
+    }
     return Array.from(this._ctx.pendingJoins.entries()).map(([pubSig, data]) => ({
       pubSig,
       displayName: data.request.displayName,
@@ -208,6 +348,26 @@ export class LobbyManager {
     }));
   }
 
+  /** @returns {Array<Object>} Banned pubSigs with reason, bannedAt and actorPubSig */
+  get bans() {
+    return getBanList(this._ctx);
+  }
+
+  /** @returns {Object|null} Latest anchored root { epoch, txid, stateRoot, timestamp } */
+  get stateRoot() {
+    return this._ctx.lobby?.stateRoot ?? null;
+  }
+
+  /** @returns {string|null} GROUP_CRYPTO_MODES value of the active lobby */
+  get groupCrypto() {
+    return this._ctx.lobby?.groupCrypto ?? null;
+  }
+
+  /** @returns {boolean} True while a matchmaking ticket is queued */
+  get isMatchmaking() {
+    return this._ctx.matchmaking !== null;
+  }
+
   // ─────────────────────────────────────────────────────────────
   // Event Registration
   // ─────────────────────────────────────────────────────────────
@@ -240,6 +400,48 @@ export class LobbyManager {
     this._ctx.callbacks.onJoinRequest = callback;
   }
 
+  /**
+   * Called with { reason, senderPubSig, claimedName, keyVersion, nonce,
+   * timestamp } when a group message fails sender verification.
+   */
+  onSpoofAttempt(callback) {
+    this._ctx.callbacks.onSpoofAttempt = callback;
+  }
+
+  /**
+   * Called with { formerHostPubSig, hostPubSig, discovery, reason, isSelf }
+   * once a new host has taken over (isSelf: this client is the new host).
+   */
+  onHostMigrated(callback) {
+    this._ctx.callbacks.onHostMigrated = callback;
+  }
+
+  /**
+   * Called with { action, pubSig, role, actorPubSig, reason } for role
+   * changes, mutes and bans (action: role_changed, muted, unmuted, banned,
+   * unbanned).
+   */
+  onModeration(callback) {
+    this._ctx.callbacks.onModeration = callback;
+  }
+
+  /**
+   * Called with { type, actorPubSig, message } when a chat message or
+   * notice arrives or is reacted to, edited or deleted (type is the chat
+   * record type; message is the updated getChatMessage() view).
+   */
+  onChatUpdate(callback) {
+    this._ctx.callbacks.onChatUpdate = callback;
+  }
+
+  /**
+   * Called with { pubSig, displayName, keyVersion, keyResent } when a
+   * member that restored its lobby state announces it is back (host only).
+   */
+  onMemberReconnected(callback) {
+    this._ctx.callbacks.onMemberReconnected = callback;
+  }
+
   // ─────────────────────────────────────────────────────────────
   // State Management
   // ─────────────────────────────────────────────────────────────
@@ -259,9 +461,27 @@ export class LobbyManager {
   /**
    * Host a new lobby.
    * @param {Object} params - Lobby parameters
+   * @param {string} [params.gameVersion="1.0.0"] - Semver matched by discovery filters
+   * @param {string[]} [params.regions] - Region tags for discovery filters
+   * @param {string} [params.access="open"] - "open", "password", "invite" or "allowlist"
+   * @param {string} [params.password] - Password for access "password"
+   * @param {string[]} [params.allowlist] - Joiner session pubSigs for access "allowlist"
+   * @param {Object} [params.match] - { tickets: [hostSid, guestSid], ticketPubSig } when opened by matchmaking
    * @returns {Promise<Object>} Lobby info including joinCode
    */
-  async hostLobby({ lobbyName, gameName, maxMembers, displayName, uptimeSeconds = 3600 }) {
+  async hostLobby({
+    lobbyName,
+    gameName,
+    maxMembers,
+    displayName,
+    uptimeSeconds = 3600,
+    gameVersion = "1.0.0",
+    regions,
+    access,
+    password,
+    allowlist,
+    match,
+  }) {
     if (this._ctx.state !== LOBBY_STATES.IDLE) {
       throw new Error(`Cannot host lobby in state: ${this._ctx.state}`);
     }
@@ -274,18 +494,29 @@ export class LobbyManager {
     }
 
     maxMembers = maxMembers ?? this._config.maxMembers;
+    const accessConfig = createAccessConfig({ access, password, allowlist });
     this._setState(LOBBY_STATES.HOSTING);
 
     try {
       // Build lobby meta
       const meta = {
         game: gameName,
-        version: "1.0.0",
+        version: gameVersion,
         expected_uptime_seconds: uptimeSeconds,
         lobby: true,
         lobby_name: lobbyName,
         max_members: maxMembers,
       };
+      if (regions?.length) meta.regions = regions;
+      if (accessConfig.mode !== ACCESS_MODES.OPEN) meta.lobby_access = accessConfig.mode;
+      if (match) {
+        // Only the host ticket's key can claim the pairing
+        meta.match_tickets = [...match.tickets];
+        meta.match_sig = await this.sm.signAsIdentity(
+          match.ticketPubSig,
+          matchSigningBody(...match.tickets),
+        );
+      }
 
       validateLobbyMeta(meta);
 
@@ -335,6 +566,11 @@ export class LobbyManager {
         createdAt: Date.now(),
         state: LOBBY_STATES.HOSTING,
         discovery,
+        access: accessConfig,
+        bans: {},
+        stateRoot: null,
+        rosterLog: [],
+        groupCrypto: this._config.groupCrypto,
       };
 
       // Initialize key vault
@@ -345,6 +581,12 @@ export class LobbyManager {
       const hostMember = createMember(discovery.pub_sig, hostDisplayName, MEMBER_ROLES.HOST);
       addMember(this._ctx, hostMember);
 
+      // Our own sender chain; joiners get it in their join response
+      if (isSenderKeyMode(this._ctx)) {
+        initSenderKeys(this._ctx);
+        await seedSenderKey(this._ctx, "Lobby created");
+      }
+
       // Subscribe to group mailbox
       subscribeToGroupMailbox(this._ctx, groupMailboxId);
 
@@ -352,9 +594,15 @@ export class LobbyManager {
       // rotation also drains buffered future messages after each cycle.
       startKeyRotation(this._ctx, (reason) => this.rotateKey(reason));
 
+      // Let members know we are still here when the group is quiet
+      startHostHeartbeat(this._ctx, this.codec);
+
       // Start DM buffer cleanup
       startDMBufferCleanup(this._ctx);
 
+      // Epoch 0 of the lobby's anchored history
+      await anchorStateRoot(this._ctx, this.codec, STATE_ROOT_REASONS.CREATED);
+
       return { lobbyId, discovery, groupMailboxId, joinCode };
     } catch (err) {
       this._setState(LOBBY_STATES.IDLE);
@@ -376,6 +624,59 @@ export class LobbyManager {
     return _discoverLobby(this._ctx, options);
   }
 
+  /**
+   * List lobbies announced in the last few minutes, minus closed and
+   * expired ones, with occupancy from their anchored state roots.
+   * @param {Object} [options] - { sinceMinutes, filters, sortBy, maxSeconds }
+   * @returns {Promise<Object[]>}
+   */
+  async browseLobbies(options = {}) {
+    return _browseLobbies(this._ctx, options);
+  }
+
+  /**
+   * Queue for a match: publish a short-lived ticket, wait for the queue to
+   * pair it, then host the two-seat match lobby (older ticket) or join the
+   * paired host's lobby.
+   * @param {Object} options
+   * @param {string} options.gameName
+   * @param {string} [options.gameVersion="1.0.0"] - Only equal versions are paired
+   * @param {string} [options.mode="default"] - Game mode
+   * @param {number} [options.rating] - Published as a rating bucket
+   * @param {string} [options.displayName]
+   * @param {number} [options.timeoutMs] - Give up before the ticket expires
+   * @param {Function} [options.onQueue] - Called with the live queue on every change
+   * @returns {Promise<Object>} { role: "host"|"guest", opponent, ticket, lobbyId, ... }
+   */
+  async findMatch(options = {}) {
+    const { gameName, gameVersion = "1.0.0", mode = "default", displayName } = options;
+    if (!gameName || typeof gameName !== "string") {
+      throw new Error("gameName is required and must be a string");
+    }
+
+    const hostMatch = ({ tickets, ticketPubSig }) =>
+      this.hostLobby({
+        lobbyName: `${gameName} ${mode} match`,
+        gameName,
+        gameVersion,
+        maxMembers: 2,
+        displayName,
+        uptimeSeconds: this._config.matchTicketTtlSeconds,
+        match: { tickets, ticketPubSig },
+      });
+    const joinMatch = (discovery) => this.joinLobby(discovery, displayName);
+
+    return _findMatch(this._ctx, options, hostMatch, joinMatch);
+  }
+
+  /**
+   * Withdraw from the matchmaking queue. Has no effect once paired.
+   * @returns {boolean} Whether a search was cancelled
+   */
+  cancelMatchmaking() {
+    return _cancelMatchmaking(this._ctx);
+  }
+
   /**
    * Handle an incoming join request (host only).
    */
@@ -393,6 +694,9 @@ export class LobbyManager {
    * Accept a pending join request manually (host only).
    */
   async acceptPendingJoin(pubSig) {
+    if (this._ctx.state === LOBBY_STATES.MEMBER) {
+      return requestModeration(this._ctx, "accept_join", pubSig);
+    }
     return _acceptPendingJoin(this._ctx, pubSig);
   }
 
@@ -400,13 +704,28 @@ export class LobbyManager {
    * Reject a pending join request manually (host only).
    */
   async rejectPendingJoin(pubSig, reason = "Rejected by host") {
+    if (this._ctx.state === LOBBY_STATES.MEMBER) {
+      return requestModeration(this._ctx, "reject_join", pubSig, reason);
+    }
     return _rejectPendingJoin(this._ctx, pubSig, reason);
   }
 
   /**
-   * Kick a member from the lobby (host only).
+   * Issue a single-use invite token for an invite-only lobby (host only).
+   * @param {Object} [options] - { ttlMs }
+   * @returns {Promise<Object>} Token to hand to the joiner out of band
+   */
+  async createInvite(options = {}) {
+    return _createInvite(this._ctx, options);
+  }
+
+  /**
+   * Kick a member from the lobby (host, or co-host/moderator via the host).
    */
   async kickMember(pubSig, reason = "Kicked by host") {
+    if (this._ctx.state === LOBBY_STATES.MEMBER) {
+      return requestModeration(this._ctx, "kick", pubSig, reason);
+    }
     if (this._ctx.state !== LOBBY_STATES.HOSTING) {
       throw new Error("Only host can kick members");
     }
@@ -457,7 +776,120 @@ export class LobbyManager {
     }
 
     // Remove from roster
-    removeMember(this._ctx, pubSig, reason);
+    removeMember(this._ctx, pubSig);
+    await anchorStateRoot(this._ctx, this.codec, STATE_ROOT_REASONS.LEAVE);
+    await this._reseedAfterDeparture([pubSig], reason);
+  }
+
+  /**
+   * Drop a member that left voluntarily and tell the others (host only).
+   */
+  async handleMemberLeft(pubSig, reason) {
+    if (this._ctx.state !== LOBBY_STATES.HOSTING) return;
+    if (!removeMember(this._ctx, pubSig)) return;
+
+    try {
+      await broadcastMemberEvent(this._ctx, "leave", { pubSig, reason });
+    } catch (err) {
+      log.warn("KKTP Lobby: Failed to broadcast member leave", err?.message || err);
+    }
+    this._ctx.callbacks.onMemberLeave?.(pubSig, reason || "Left voluntarily");
+
+    await anchorStateRoot(this._ctx, this.codec, STATE_ROOT_REASONS.LEAVE);
+    await this._reseedAfterDeparture([pubSig], reason || "Member left");
+  }
+
+  /**
+   * Re-seed our sender chain without members that just left (sender_keys
+   * lobbies). Each remaining member does this for itself.
+   * @param {string[]} pubSigs - Departed members
+   * @param {string} reason
+   */
+  async _reseedAfterDeparture(pubSigs, reason) {
+    if (!isSenderKeyMode(this._ctx)) return;
+    if (this._ctx.state === LOBBY_STATES.HOSTING) {
+      // The host has just sent the leave notices and state root
+      await waitForUtxoRefresh(this._ctx, 1000, 3000);
+    }
+    await reseedAfterDeparture(this._ctx, pubSigs, reason);
+  }
+
+  /**
+   * Roster log to disclose for verifyLobbyHistory(): every join and leave
+   * this client saw, with host timestamps.
+   * @returns {{ lobbyId: string, events: Object[] }|null}
+   */
+  exportRosterLog() {
+    return _exportRosterLog(this._ctx);
+  }
+
+  /**
+   * Give a member the co_host, moderator or member role (host only).
+   */
+  async setMemberRole(pubSig, role) {
+    return _setMemberRole(this._ctx, this.codec, pubSig, role);
+  }
+
+  /**
+   * Mute a member group-wide; every receiver drops their messages.
+   */
+  async muteMember(pubSig, reason) {
+    return this._moderate("mute", pubSig, reason);
+  }
+
+  async unmuteMember(pubSig) {
+    return this._moderate("unmute", pubSig);
+  }
+
+  /**
+   * Ban a pubSig: kicked now and refused on every later join request.
+   */
+  async banMember(pubSig, reason) {
+    return this._moderate("ban", pubSig, reason);
+  }
+
+  async unbanMember(pubSig) {
+    return this._moderate("unban", pubSig);
+  }
+
+  /**
+   * Act directly as host, or ask the host as a co-host/moderator.
+   * @private
+   */
+  async _moderate(action, pubSig, reason) {
+    if (this._ctx.state === LOBBY_STATES.MEMBER) {
+      return requestModeration(this._ctx, action, pubSig, reason);
+    }
+    await applyModeration(
+      this._ctx,
+      this.codec,
+      this._moderationHooks,
+      this._ctx.lobby?.myPubSig,
+      action,
+      pubSig,
+      reason,
+    );
+    return true;
+  }
+
+  /**
+   * Handle a lobby_moderation request from a co-host or moderator (host only).
+   */
+  async handleModerationRequest(dmMailboxId, request) {
+    return _handleModerationRequest(
+      this._ctx,
+      this.codec,
+      this._moderationHooks,
+      dmMailboxId,
+      request,
+    );
+  }
+
+  /**
+   * Handle a join request the host forwarded for approval (co-host only).
+   */
+  handleJoinPending(dmMailboxId, pending) {
+    return _handleJoinPending(this._ctx, dmMailboxId, pending);
   }
 
   /**
@@ -482,6 +914,8 @@ export class LobbyManager {
 
   /**
    * Close the lobby (host only).
+   * An empty reason is a hand-off: members elect a new host instead of
+   * leaving (see handOffLobby).
    */
   async closeLobby(reason = "Lobby closed by host") {
     if (this._ctx.state !== LOBBY_STATES.HOSTING) {
@@ -501,6 +935,13 @@ export class LobbyManager {
     // Stop key rotation
     stopKeyRotation(this._ctx);
 
+    // A real close (not a hand-off) also ends the discovery for directories.
+    // Sent first: our own lobby_close comes back through the scanner and
+    // cleans up the lobby.
+    if (reason && (await anchorLobbyEnd(this._ctx))) {
+      await waitForUtxoRefresh(this._ctx, 1000, 2000);
+    }
+
     // Build close notification
     const closeMsg = {
       type: "lobby_close",
@@ -529,14 +970,27 @@ export class LobbyManager {
     this._cleanup();
   }
 
+  /**
+   * Leave as host but keep the lobby alive: members elect a successor
+   * from the roster and carry on under the same groupMailboxId.
+   */
+  async handOffLobby() {
+    return this.closeLobby("");
+  }
+
   // ─────────────────────────────────────────────────────────────
   // Member Operations
   // ─────────────────────────────────────────────────────────────
 
   /**
    * Request to join a lobby.
+   * @param {string|Object} joinCodeOrDiscovery - Join code or discovery anchor
+   * @param {string} [displayName]
+   * @param {Object} [credentials] - For lobbies advertising lobby_access
+   * @param {string} [credentials.password] - Password lobbies
+   * @param {Object|string} [credentials.invite] - Invite token from createInvite()
    */
-  async joinLobby(joinCodeOrDiscovery, displayName) {
+  async joinLobby(joinCodeOrDiscovery, displayName, { password, invite } = {}) {
     let lobbyDiscovery = joinCodeOrDiscovery;
 
     // Resolve join code to discovery anchor
@@ -563,6 +1017,9 @@ export class LobbyManager {
       throw new Error("Invalid lobby discovery");
     }
 
+    // Fail before connecting if the lobby's access mode needs something we lack
+    const credentials = prepareJoinCredentials(lobbyDiscovery, { password, invite });
+
     displayName = displayName || "Unknown Kaspian";
     this._setState(LOBBY_STATES.JOINING);
 
@@ -582,14 +1039,14 @@ export class LobbyManager {
       await waitForUtxoRefresh(this._ctx);
 
       // Build join request
-      const joinRequest = {
+      const joinRequest = applyJoinCredentials({
         type: "lobby_join_request",
         version: LOBBY_VERSION,
         lobbyId: lobbyDiscovery.sid,
         pubSig: myPubSig,
         displayName,
         timestamp: Date.now(),
-      };
+      }, credentials);
 
       await sendWithRetry(this._ctx, dmMailboxId, JSON.stringify(joinRequest), 3);
 
@@ -601,6 +1058,7 @@ export class LobbyManager {
         displayName,
         lobbyId: lobbyDiscovery.sid,
         hostPubSig: lobbyDiscovery.pub_sig,
+        passwordKey: credentials.passwordKey,
         sentAt: Date.now(),
       };
 
@@ -667,10 +1125,13 @@ export class LobbyManager {
       return;
     }
 
+    // After a migration the discovery key differs from the host's roster key
+    const hostPubSig = response.hostPubSig ?? pendingJoin.hostPubSig;
+
     this._ctx.lobby = {
       lobbyId,
       lobbyName,
-      hostPubSig: pendingJoin.hostPubSig,
+      hostPubSig,
       myPubSig: pendingJoin.myPubSig,
       members: membersMap,
       groupKey: hexToUint8(groupKey),
@@ -680,10 +1141,23 @@ export class LobbyManager {
       createdAt: response.createdAt ?? Date.now(),
       state: LOBBY_STATES.MEMBER,
       dmMailboxId: pendingJoin.dmMailboxId,
+      discovery: pendingJoin.lobbyDiscovery,
+      // Kept so we can enforce the same access mode if elected host
+      access: importPublicAccess(response.access, hostPubSig, pendingJoin.passwordKey),
+      // Mirrored so a successor host keeps enforcing it
+      bans: response.bans ?? {},
+      // Where a successor host links its first state root
+      stateRoot: response.stateRoot ?? null,
+      groupCrypto: response.groupCrypto ?? GROUP_CRYPTO_MODES.SHARED,
     };
+    seedRosterLog(this._ctx);
 
     // Initialize key vault
     initKeyVault(this._ctx, this._ctx.lobby.groupKey, keyVersion);
+    if (isSenderKeyMode(this._ctx)) {
+      initSenderKeys(this._ctx);
+      importSenderChains(this._ctx, response.senderKeys);
+    }
 
     // Subscribe to group mailbox
     subscribeToGroupMailbox(this._ctx, groupMailboxId);
@@ -707,6 +1181,18 @@ export class LobbyManager {
 
     // Start DM buffer cleanup
     startDMBufferCleanup(this._ctx);
+
+    // Elect a new host if this one goes quiet
+    startHostWatchdog(this._ctx, (reason) => this._beginHostMigration(reason));
+
+    // Hand our own sender chain to everyone in a single broadcast
+    if (isSenderKeyMode(this._ctx)) {
+      try {
+        await seedSenderKey(this._ctx, "Joined lobby");
+      } catch (err) {
+        log.error("KKTP Lobby: Failed to send our sender key", err?.message || err);
+      }
+    }
   }
 
   /**
@@ -734,6 +1220,16 @@ export class LobbyManager {
   async handleLobbyClose(closeMsg) {
     if (!isInLobby(this._ctx)) return;
 
+    // A reasonless close from our host is a hand-off, not the end
+    if (
+      !closeMsg.reason &&
+      this._ctx.state === LOBBY_STATES.MEMBER &&
+      this._ctx.config.hostMigration &&
+      closeMsg.hostPubSig === this._ctx.lobby?.hostPubSig
+    ) {
+      return this._beginHostMigration("host_left");
+    }
+
     log.info("KKTP Lobby: Lobby closed", {
       reason: closeMsg.reason,
     });
@@ -794,6 +1290,57 @@ export class LobbyManager {
     return _sendGroupMessage(this._ctx, this.codec, plaintext);
   }
 
+  /**
+   * Send a chat message, optionally as a reply.
+   * @param {string} text
+   * @param {Object} [options] - { replyTo }
+   * @returns {Promise<Object>} { id, txid }
+   */
+  async sendChatMessage(text, options) {
+    return this._sendChatRecord(buildChatMessage(this._ctx, text, options));
+  }
+
+  /**
+   * React to a chat message, or take the reaction back with { remove: true }.
+   */
+  async reactToMessage(messageId, emoji, options) {
+    return this._sendChatRecord(buildChatReaction(this._ctx, messageId, emoji, options));
+  }
+
+  /**
+   * Replace the text of one of our own chat messages.
+   */
+  async editChatMessage(messageId, text) {
+    return this._sendChatRecord(buildChatEdit(this._ctx, messageId, text));
+  }
+
+  /**
+   * Delete one of our own chat messages, leaving a tombstone.
+   */
+  async deleteChatMessage(messageId) {
+    return this._sendChatRecord(buildChatDelete(this._ctx, messageId));
+  }
+
+  /**
+   * Post a system notice (host, co-hosts and moderators).
+   */
+  async postNotice(text) {
+    return this._sendChatRecord(buildChatNotice(this._ctx, text));
+  }
+
+  async _sendChatRecord(record) {
+    const result = await _sendGroupMessage(this._ctx, this.codec, JSON.stringify(record));
+    return { id: record.id, txid: result?.txid ?? null };
+  }
+
+  getChatThreads() {
+    return _getChatThreads(this._ctx);
+  }
+
+  getChatMessage(messageId) {
+    return _getChatMessage(this._ctx, messageId);
+  }
+
   /**
    * Process an incoming encrypted group message.
    */
@@ -812,7 +1359,56 @@ export class LobbyManager {
    * Handle incoming member event.
    */
   async handleMemberEvent(event) {
-    return handleMemberEvent(this._ctx, event);
+    const wasMember = this._ctx.lobby?.members.has(event?.pubSig) ?? false;
+    handleMemberEvent(this._ctx, event);
+
+    if (!isSenderKeyMode(this._ctx) || this._ctx.state !== LOBBY_STATES.MEMBER) return;
+    if (event.eventType === "join") {
+      // The newcomer's seed may have beaten the host's notice here
+      if (await processUnverifiedSenderKeys(this._ctx)) {
+        await _processBufferedFutureMessages(this._ctx, this.codec);
+      }
+    } else if (
+      event.eventType === "leave" &&
+      wasMember &&
+      !this._ctx.lobby.members.has(event.pubSig)
+    ) {
+      await this._reseedAfterDeparture([event.pubSig], event.reason || "Member left");
+    }
+  }
+
+  /**
+   * Install a member's sender_key broadcast and decrypt anything that
+   * was waiting for it.
+   */
+  async handleSenderKey(message) {
+    if (await _handleSenderKey(this._ctx, message)) {
+      await _processBufferedFutureMessages(this._ctx, this.codec);
+    }
+  }
+
+  /**
+   * Handle a member reconnecting after this client took over as host.
+   */
+  async handleRejoin(dmMailboxId, rejoin) {
+    return _handleRejoin(this._ctx, dmMailboxId, rejoin);
+  }
+
+  /**
+   * Record DM traffic; anything on the host's mailbox counts as host liveness.
+   */
+  noteDMActivity(dmMailboxId) {
+    if (dmMailboxId && dmMailboxId === this._ctx.hostDmMailboxId) {
+      noteHostActivity(this._ctx);
+    }
+  }
+
+  /**
+   * Start electing a new host (member only).
+   * @param {string} reason - "host_silent" or "host_left"
+   */
+  async _beginHostMigration(reason) {
+    return beginHostMigration(this._ctx, this.codec, this._migrationHooks, reason);
   }
 
   // ─────────────────────────────────────────────────────────────
@@ -846,6 +1442,8 @@ export class LobbyManager {
         return this.processGroupMessage(encrypted);
       case "key_rotation":
         return this.handleKeyRotation(encrypted);
+      case "sender_key":
+        return this.handleSenderKey(encrypted);
       case "member_event":
         return this.handleMemberEvent(encrypted);
       case "lobby_kick":
@@ -855,8 +1453,9 @@ export class LobbyManager {
       case "lobby_leave":
         if (this._ctx.state === LOBBY_STATES.HOSTING) {
           const pubSig = encrypted.pubSig;
-          if (pubSig) {
-            removeMember(this._ctx, pubSig, encrypted.reason);
+          if (pubSig && removeMember(this._ctx, pubSig)) {
+            await anchorStateRoot(this._ctx, this.codec, STATE_ROOT_REASONS.LEAVE);
+            await this._reseedAfterDeparture([pubSig], "Member left");
           }
         }
         return encrypted;
@@ -919,7 +1518,43 @@ export class LobbyManager {
   }
 
   async restoreLobbyState(snapshot) {
-    return _restoreLobbyState(this._ctx, snapshot);
+    const restored = await _restoreLobbyState(this._ctx, snapshot);
+    if (restored && this._ctx.state === LOBBY_STATES.HOSTING) {
+      startHostHeartbeat(this._ctx, this.codec);
+    } else if (restored && this._ctx.state === LOBBY_STATES.MEMBER) {
+      startHostWatchdog(this._ctx, (reason) => this._beginHostMigration(reason));
+    }
+    return restored;
+  }
+
+  /**
+   * Advance the resume cursor past a scanner match that has been routed.
+   */
+  noteTrafficSeen(match) {
+    _noteTrafficSeen(this._ctx, match);
+  }
+
+  /**
+   * Replay lobby traffic published since the resume cursor through
+   * `onMatch` (the caller's normal scanner routing).
+   * @returns {Promise<number>} Matches replayed
+   */
+  async catchUpMissedTraffic(onMatch) {
+    return _catchUpMissedTraffic(this._ctx, onMatch);
+  }
+
+  /**
+   * Tell the host this restored member is back (member only).
+   */
+  async announceReconnect() {
+    return _announceReconnect(this._ctx);
+  }
+
+  /**
+   * Handle a restored member's lobby_reconnect (host only).
+   */
+  async handleReconnect(dmMailboxId, reconnect) {
+    return _handleReconnect(this._ctx, dmMailboxId, reconnect);
   }
 
   // ─────────────────────────────────────────────────────────────
@@ -952,6 +1587,8 @@ export class LobbyManager {
 
   _cleanup() {
     stopKeyRotation(this._ctx);
+    clearSenderKeys(this._ctx);
+    stopHostMigration(this._ctx);
     stopDMBufferCleanup(this._ctx);
     unsubscribeAllPrefixes(this._ctx);
     clearDmBuffer(this._ctx);
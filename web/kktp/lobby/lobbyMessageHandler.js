@@ -21,6 +21,10 @@ const LOBBY_MESSAGE_TYPES = {
   LOBBY_LEAVE: "lobby_leave",
   LOBBY_KICKED: "lobby_kicked",
   LOBBY_CLOSE: "lobby_close",
+  LOBBY_REJOIN: "lobby_rejoin",
+  LOBBY_RECONNECT: "lobby_reconnect",
+  LOBBY_MODERATION: "lobby_moderation",
+  JOIN_PENDING: "lobby_join_pending",
   GROUP_MESSAGE: "group_message",
 };
 
@@ -58,6 +62,8 @@ export class LobbyMessageHandler {
       isHost: this.lobbyManager?.isHost ?? false,
     });
 
+    this.lobbyManager.noteDMActivity?.(dmMailboxId);
+
     // Route based on message type
     switch (msg.type) {
       case LOBBY_MESSAGE_TYPES.JOIN_REQUEST:
@@ -118,6 +124,38 @@ export class LobbyMessageHandler {
         this._handleLobbyClose(msg);
         return true;
 
+      case LOBBY_MESSAGE_TYPES.LOBBY_REJOIN:
+        log.info("LobbyMessageHandler: Routing LOBBY_REJOIN", {
+          pubSig: msg.pubSig?.slice(0, 16),
+          sid: msg.sid?.slice(0, 16),
+        });
+        this._handleRejoin(dmMailboxId, msg);
+        return true;
+
+      case LOBBY_MESSAGE_TYPES.LOBBY_RECONNECT:
+        log.info("LobbyMessageHandler: Routing LOBBY_RECONNECT", {
+          pubSig: msg.pubSig?.slice(0, 16),
+          keyVersion: msg.keyVersion,
+        });
+        this._handleReconnect(dmMailboxId, msg);
+        return true;
+
+      case LOBBY_MESSAGE_TYPES.LOBBY_MODERATION:
+        log.info("LobbyMessageHandler: Routing LOBBY_MODERATION", {
+          action: msg.action,
+          targetPubSig: msg.targetPubSig?.slice(0, 16),
+        });
+        this._handleModerationRequest(dmMailboxId, msg);
+        return true;
+
+      case LOBBY_MESSAGE_TYPES.JOIN_PENDING:
+        log.info("LobbyMessageHandler: Routing JOIN_PENDING", {
+          pubSig: msg.pubSig?.slice(0, 16),
+          displayName: msg.displayName,
+        });
+        this._handleJoinPending(dmMailboxId, msg);
+        return true;
+
       default:
         log.debug("LobbyMessageHandler: Unrecognized lobby message type", {
           type: msg.type,
@@ -225,6 +263,38 @@ export class LobbyMessageHandler {
     }
   }
 
+  async _handleRejoin(dmMailboxId, msg) {
+    try {
+      await this.lobbyManager.handleRejoin(dmMailboxId, msg);
+    } catch (err) {
+      log.error("LobbyMessageHandler: Failed to handle rejoin", err);
+    }
+  }
+
+  async _handleReconnect(dmMailboxId, msg) {
+    try {
+      await this.lobbyManager.handleReconnect(dmMailboxId, msg);
+    } catch (err) {
+      log.error("LobbyMessageHandler: Failed to handle reconnect", err);
+    }
+  }
+
+  async _handleModerationRequest(dmMailboxId, msg) {
+    try {
+      await this.lobbyManager.handleModerationRequest(dmMailboxId, msg);
+    } catch (err) {
+      log.error("LobbyMessageHandler: Failed to handle moderation request", err);
+    }
+  }
+
+  _handleJoinPending(dmMailboxId, msg) {
+    try {
+      this.lobbyManager.handleJoinPending(dmMailboxId, msg);
+    } catch (err) {
+      log.error("LobbyMessageHandler: Failed to handle pending join", err);
+    }
+  }
+
   _handleMemberEvent(msg) {
     try {
       this.lobbyManager.handleMemberEvent(msg);
@@ -251,19 +321,13 @@ export class LobbyMessageHandler {
     const member = this.lobbyManager.lobby?.members.get(pubSig);
     if (!member) return;
 
-    // Remove from roster
-    this.lobbyManager.lobby.members.delete(pubSig);
-
-    // Notify other members
+    // Remove from roster, notify the others and anchor the new roster
     try {
-      await this.lobbyManager._broadcastMemberEvent("leave", { pubSig, reason });
+      await this.lobbyManager.handleMemberLeft(pubSig, reason);
     } catch (err) {
-      log.warn("LobbyMessageHandler: Failed to broadcast member leave", err);
+      log.warn("LobbyMessageHandler: Failed to handle member leave", err);
     }
 
-    // Emit event
-    this.lobbyManager._onMemberLeave?.(pubSig, reason || "Left voluntarily");
-
     log.info("LobbyMessageHandler: Member left", {
       pubSig: pubSig.slice(0, 16),
       reason,
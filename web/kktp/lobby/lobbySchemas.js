@@ -52,6 +52,104 @@ function isHexString(value) {
   return typeof value === "string" && /^[0-9a-f]+$/i.test(value);
 }
 
+/**
+ * Member event kinds carried by lobby_member_event
+ */
+const MEMBER_EVENT_TYPES = [
+  "join",
+  "leave",
+  "host_migrated",
+  "role_changed",
+  "muted",
+  "unmuted",
+  "banned",
+  "unbanned",
+];
+
+/**
+ * Roles the host may hand out with a role_changed event
+ */
+const ASSIGNABLE_ROLES = ["co_host", "moderator", "member"];
+
+/**
+ * Actions a co-host or moderator may ask the host to carry out
+ */
+const MODERATION_ACTIONS = [
+  "kick",
+  "mute",
+  "unmute",
+  "ban",
+  "unban",
+  "accept_join",
+  "reject_join",
+];
+
+/**
+ * Values of discovery meta.lobby_access
+ */
+const ACCESS_MODE_VALUES = ["open", "password", "invite", "allowlist"];
+
+/**
+ * Why a lobby_root record was anchored
+ */
+const STATE_ROOT_REASON_VALUES = ["created", "join", "leave", "rotation", "migration"];
+
+/**
+ * Values of LobbyConfig.groupCrypto
+ */
+const GROUP_CRYPTO_VALUES = ["shared", "sender_keys"];
+
+/**
+ * Structured chat records carried as group message plaintext
+ */
+const CHAT_RECORD_TYPES = ["chat", "chat_reaction", "chat_edit", "chat_delete", "chat_notice"];
+
+/**
+ * Longest chat text accepted, in characters
+ */
+const MAX_CHAT_TEXT_LENGTH = 2000;
+
+/**
+ * Longest reaction accepted, in characters (emoji sequences can be long)
+ */
+const MAX_REACTION_LENGTH = 32;
+
+/**
+ * Check if value is a 16-byte chat id (32 hex chars)
+ * @private
+ */
+function isChatId(value) {
+  return isHexString(value) && value.length === 32;
+}
+
+/**
+ * Check if value is a non-negative integer
+ * @private
+ */
+function isNonNegativeInt(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Check one sender chain state { pubSig, epoch, iteration, chainKey }
+ * @private
+ */
+function assertSenderChain(chain, field) {
+  assert(chain && typeof chain === "object", "sender chain must be an object", field);
+  assert(isHexString(chain.pubSig), "pubSig must be a hex string", `${field}.pubSig`);
+  assert(isPositiveInt(chain.epoch), "epoch must be a positive integer", `${field}.epoch`);
+  assert(
+    isNonNegativeInt(chain.iteration),
+    "iteration must be a non-negative integer",
+    `${field}.iteration`,
+  );
+  assert(
+    isHexString(chain.chainKey) && chain.chainKey.length === 64,
+    "chainKey must be 32 bytes (64 hex chars)",
+    `${field}.chainKey`,
+  );
+}
+
 /**
  * Validate lobby meta fields in discovery anchor
  * @param {Object} meta - Discovery meta object
@@ -77,6 +175,59 @@ export function validateLobbyMeta(meta) {
     "max_members must be a positive integer",
     "meta.max_members",
   );
+  for (const field of ["regions", "capabilities"]) {
+    if (meta[field] === undefined) continue;
+    assert(
+      Array.isArray(meta[field]) && meta[field].every(isNonEmptyString),
+      `${field} must be an array of non-empty strings`,
+      `meta.${field}`,
+    );
+  }
+  if (meta.lobby_access !== undefined) {
+    assert(
+      ACCESS_MODE_VALUES.includes(meta.lobby_access),
+      `lobby_access must be one of: ${ACCESS_MODE_VALUES.join(", ")}`,
+      "meta.lobby_access",
+    );
+  }
+  if (meta.match_tickets !== undefined || meta.match_sig !== undefined) {
+    assert(
+      Array.isArray(meta.match_tickets) &&
+        meta.match_tickets.length === 2 &&
+        meta.match_tickets.every(isHexString),
+      "match_tickets must be the host and guest ticket sids",
+      "meta.match_tickets",
+    );
+    assert(isHexString(meta.match_sig), "match_sig must be a hex string", "meta.match_sig");
+  }
+}
+
+/**
+ * Validate the meta of a matchmaking ticket (a "seeking match" discovery)
+ * @param {Object} meta - Discovery meta object
+ * @throws {LobbyValidationError}
+ */
+export function validateMatchTicketMeta(meta) {
+  assert(meta && typeof meta === "object", "Meta must be an object", "meta");
+  assert(isNonEmptyString(meta.game), "game must be a non-empty string", "meta.game");
+  assert(isNonEmptyString(meta.version), "version must be a non-empty string", "meta.version");
+  assert(
+    isPositiveInt(meta.expected_uptime_seconds),
+    "expected_uptime_seconds must be a positive integer",
+    "meta.expected_uptime_seconds",
+  );
+  assert(meta.matchmaking === true, "matchmaking must be true for a ticket", "meta.matchmaking");
+  assert(meta.lobby === undefined, "a ticket cannot also be a lobby", "meta.lobby");
+  assert(
+    isNonEmptyString(meta.match_mode),
+    "match_mode must be a non-empty string",
+    "meta.match_mode",
+  );
+  assert(
+    Number.isInteger(meta.rating_bucket) && meta.rating_bucket >= 0,
+    "rating_bucket must be a non-negative integer",
+    "meta.rating_bucket",
+  );
 }
 
 /**
@@ -99,6 +250,31 @@ export function validateJoinRequest(request) {
     "displayName must be a non-empty string",
     "displayName",
   );
+  if (request.accessProof !== undefined) {
+    assert(
+      isHexString(request.accessProof) && request.accessProof.length === 64,
+      "accessProof must be 32 bytes (64 hex chars)",
+      "accessProof",
+    );
+  }
+  if (request.invite !== undefined) {
+    validateInviteToken(request.invite);
+  }
+}
+
+/**
+ * Validate a host-signed lobby invite token
+ * @param {Object} invite - lobby_invite token
+ * @throws {LobbyValidationError}
+ */
+export function validateInviteToken(invite) {
+  assert(invite && typeof invite === "object", "Invite must be an object", "invite");
+  assert(invite.type === "lobby_invite", "type must be 'lobby_invite'", "invite.type");
+  assert(isHexString(invite.lobbyId), "lobbyId must be a hex string", "invite.lobbyId");
+  assert(isHexString(invite.issuer), "issuer must be a hex string", "invite.issuer");
+  assert(isHexString(invite.nonce), "nonce must be a hex string", "invite.nonce");
+  assert(isPositiveInt(invite.expiresAt), "expiresAt must be a positive integer", "invite.expiresAt");
+  assert(isHexString(invite.sig), "sig must be a hex string", "invite.sig");
 }
 
 /**
@@ -136,6 +312,17 @@ export function validateJoinResponse(response) {
       "groupMailboxId",
     );
     assert(Array.isArray(response.members), "members must be an array", "members");
+    if (response.groupCrypto !== undefined) {
+      assert(
+        GROUP_CRYPTO_VALUES.includes(response.groupCrypto),
+        `groupCrypto must be one of ${GROUP_CRYPTO_VALUES.join(", ")}`,
+        "groupCrypto",
+      );
+    }
+    if (response.senderKeys !== undefined) {
+      assert(Array.isArray(response.senderKeys), "senderKeys must be an array", "senderKeys");
+      response.senderKeys.forEach((chain, i) => assertSenderChain(chain, `senderKeys[${i}]`));
+    }
   }
 }
 
@@ -157,6 +344,99 @@ export function validateGroupMessage(message) {
   assert(isHexString(message.nonce), "nonce must be a hex string", "nonce");
   assert(message.nonce.length === 48, "nonce must be 24 bytes (48 hex chars)", "nonce");
   assert(isHexString(message.ciphertext), "ciphertext must be a hex string", "ciphertext");
+  if (message.iteration !== undefined) {
+    assert(
+      isNonNegativeInt(message.iteration),
+      "iteration must be a non-negative integer",
+      "iteration",
+    );
+  }
+  if (message.sig !== undefined) {
+    assert(isHexString(message.sig), "sig must be a hex string", "sig");
+  }
+}
+
+/**
+ * Validate a sender_key distribution broadcast to the group mailbox. Each
+ * copy is the sender's new chain key sealed to one roster member.
+ * @param {Object} message - sender_key message
+ * @throws {LobbyValidationError}
+ */
+export function validateSenderKey(message) {
+  assert(message && typeof message === "object", "Sender key must be an object");
+  assert(message.type === "sender_key", "type must be 'sender_key'", "type");
+  assert(isPositiveInt(message.version), "version must be a positive integer", "version");
+  assert(isHexString(message.lobbyId), "lobbyId must be a hex string", "lobbyId");
+  assert(isHexString(message.senderPubSig), "senderPubSig must be a hex string", "senderPubSig");
+  assert(isPositiveInt(message.epoch), "epoch must be a positive integer", "epoch");
+  assert(
+    message.copies && typeof message.copies === "object" && !Array.isArray(message.copies),
+    "copies must be an object",
+    "copies",
+  );
+  for (const [pubSig, copy] of Object.entries(message.copies)) {
+    assert(isHexString(pubSig), "copies must be keyed by pubSig", "copies");
+    assert(
+      isHexString(copy?.nonce) && copy.nonce.length === 48,
+      "nonce must be 24 bytes (48 hex chars)",
+      `copies.${pubSig.slice(0, 8)}.nonce`,
+    );
+    assert(
+      isHexString(copy.ciphertext),
+      "ciphertext must be a hex string",
+      `copies.${pubSig.slice(0, 8)}.ciphertext`,
+    );
+  }
+  assert(typeof message.timestamp === "number", "timestamp must be a number", "timestamp");
+  assert(isHexString(message.sig), "sig must be a hex string", "sig");
+}
+
+/**
+ * Validate a structured chat record (chat, chat_reaction, chat_edit,
+ * chat_delete, chat_notice) decrypted from a group message
+ * @param {Object} record - Chat record
+ * @throws {LobbyValidationError}
+ */
+export function validateChatMessage(record) {
+  assert(record && typeof record === "object", "Chat record must be an object");
+  assert(
+    CHAT_RECORD_TYPES.includes(record.type),
+    `type must be one of ${CHAT_RECORD_TYPES.join(", ")}`,
+    "type",
+  );
+  assert(isPositiveInt(record.version), "version must be a positive integer", "version");
+  assert(isChatId(record.id), "id must be 16 bytes (32 hex chars)", "id");
+  assert(isPositiveInt(record.timestamp), "timestamp must be a positive integer", "timestamp");
+
+  if (record.type === "chat" || record.type === "chat_notice" || record.type === "chat_edit") {
+    assert(isNonEmptyString(record.text), "text must be a non-empty string", "text");
+    assert(
+      record.text.length <= MAX_CHAT_TEXT_LENGTH,
+      `text must be at most ${MAX_CHAT_TEXT_LENGTH} characters`,
+      "text",
+    );
+  }
+  if (record.type === "chat" && record.replyTo !== undefined) {
+    assert(isChatId(record.replyTo), "replyTo must be a chat id", "replyTo");
+  }
+  if (record.type === "chat_reaction" || record.type === "chat_edit" || record.type === "chat_delete") {
+    assert(isChatId(record.target), "target must be a chat id", "target");
+  }
+  if (record.type === "chat_reaction") {
+    assert(
+      isNonEmptyString(record.emoji) && record.emoji.trim() === record.emoji,
+      "emoji must be a non-empty string without surrounding whitespace",
+      "emoji",
+    );
+    assert(
+      record.emoji.length <= MAX_REACTION_LENGTH,
+      `emoji must be at most ${MAX_REACTION_LENGTH} characters`,
+      "emoji",
+    );
+    if (record.remove !== undefined) {
+      assert(typeof record.remove === "boolean", "remove must be a boolean", "remove");
+    }
+  }
 }
 
 /**
@@ -197,8 +477,8 @@ export function validateMemberEvent(event) {
   assert(isPositiveInt(event.version), "version must be a positive integer", "version");
   assert(isHexString(event.lobbyId), "lobbyId must be a hex string", "lobbyId");
   assert(
-    event.eventType === "join" || event.eventType === "leave",
-    "eventType must be 'join' or 'leave'",
+    MEMBER_EVENT_TYPES.includes(event.eventType),
+    `eventType must be one of ${MEMBER_EVENT_TYPES.join(", ")}`,
     "eventType",
   );
   assert(isHexString(event.pubSig), "pubSig must be a hex string", "pubSig");
@@ -210,6 +490,191 @@ export function validateMemberEvent(event) {
       "displayName",
     );
   }
+
+  if (event.eventType === "host_migrated") {
+    assert(
+      isHexString(event.formerHostPubSig),
+      "formerHostPubSig must be a hex string",
+      "formerHostPubSig",
+    );
+    const discovery = event.discovery;
+    assert(
+      discovery && typeof discovery === "object",
+      "discovery must be the new host's discovery anchor",
+      "discovery",
+    );
+    assert(isHexString(discovery.sid), "discovery.sid must be a hex string", "discovery.sid");
+    assert(
+      isHexString(discovery.pub_sig),
+      "discovery.pub_sig must be a hex string",
+      "discovery.pub_sig",
+    );
+    assert(discovery.meta?.lobby === true, "discovery must be a lobby anchor", "discovery.meta");
+  }
+
+  if (event.eventType === "role_changed") {
+    assert(
+      ASSIGNABLE_ROLES.includes(event.role),
+      `role must be one of ${ASSIGNABLE_ROLES.join(", ")}`,
+      "role",
+    );
+  }
+}
+
+/**
+ * Validate a moderation request sent by a co-host or moderator to the host
+ * @param {Object} request - lobby_moderation message
+ * @throws {LobbyValidationError}
+ */
+export function validateModerationRequest(request) {
+  assert(request && typeof request === "object", "Request must be an object");
+  assert(request.type === "lobby_moderation", "type must be 'lobby_moderation'", "type");
+  assert(isPositiveInt(request.version), "version must be a positive integer", "version");
+  assert(isHexString(request.lobbyId), "lobbyId must be a hex string", "lobbyId");
+  assert(
+    MODERATION_ACTIONS.includes(request.action),
+    `action must be one of ${MODERATION_ACTIONS.join(", ")}`,
+    "action",
+  );
+  assert(isHexString(request.targetPubSig), "targetPubSig must be a hex string", "targetPubSig");
+}
+
+/**
+ * Validate a pending join the host forwards to members allowed to accept joins
+ * @param {Object} pending - lobby_join_pending message
+ * @throws {LobbyValidationError}
+ */
+export function validateJoinPending(pending) {
+  assert(pending && typeof pending === "object", "Pending join must be an object");
+  assert(pending.type === "lobby_join_pending", "type must be 'lobby_join_pending'", "type");
+  assert(isPositiveInt(pending.version), "version must be a positive integer", "version");
+  assert(isHexString(pending.lobbyId), "lobbyId must be a hex string", "lobbyId");
+  assert(isHexString(pending.pubSig), "pubSig must be a hex string", "pubSig");
+  assert(
+    isNonEmptyString(pending.displayName),
+    "displayName must be a non-empty string",
+    "displayName",
+  );
+}
+
+/**
+ * Validate a signed lobby_root record anchored as KKTP:LOBBYROOT:
+ * @param {Object} record - lobby_root record
+ * @throws {LobbyValidationError}
+ */
+export function validateLobbyRoot(record) {
+  assert(record && typeof record === "object", "Root must be an object");
+  assert(record.type === "lobby_root", "type must be 'lobby_root'", "type");
+  assert(isPositiveInt(record.version), "version must be a positive integer", "version");
+  assert(isHexString(record.lobbyId), "lobbyId must be a hex string", "lobbyId");
+  assert(
+    Number.isInteger(record.epoch) && record.epoch >= 0,
+    "epoch must be a non-negative integer",
+    "epoch",
+  );
+  assert(
+    isHexString(record.stateRoot) && record.stateRoot.length === 64,
+    "stateRoot must be 32 bytes (64 hex chars)",
+    "stateRoot",
+  );
+  if (record.epoch === 0) {
+    assert(record.prevTxid === null, "prevTxid must be null at epoch 0", "prevTxid");
+  } else {
+    assert(isHexString(record.prevTxid), "prevTxid must be a hex string", "prevTxid");
+  }
+  assert(
+    isPositiveInt(record.keyVersion),
+    "keyVersion must be a positive integer",
+    "keyVersion",
+  );
+  assert(
+    isPositiveInt(record.memberCount),
+    "memberCount must be a positive integer",
+    "memberCount",
+  );
+  assert(
+    STATE_ROOT_REASON_VALUES.includes(record.reason),
+    `reason must be one of ${STATE_ROOT_REASON_VALUES.join(", ")}`,
+    "reason",
+  );
+  assert(isHexString(record.hostPubSig), "hostPubSig must be a hex string", "hostPubSig");
+  assert(typeof record.timestamp === "number", "timestamp must be a number", "timestamp");
+  assert(isHexString(record.sig), "sig must be a hex string", "sig");
+}
+
+/**
+ * Validate a lobby_state_root notice the host sends to the group after
+ * anchoring, so members (and a future successor) can extend the chain
+ * @param {Object} notice - lobby_state_root message
+ * @throws {LobbyValidationError}
+ */
+export function validateStateRootNotice(notice) {
+  assert(notice && typeof notice === "object", "Notice must be an object");
+  assert(notice.type === "lobby_state_root", "type must be 'lobby_state_root'", "type");
+  assert(isPositiveInt(notice.version), "version must be a positive integer", "version");
+  assert(isHexString(notice.lobbyId), "lobbyId must be a hex string", "lobbyId");
+  assert(
+    Number.isInteger(notice.epoch) && notice.epoch >= 0,
+    "epoch must be a non-negative integer",
+    "epoch",
+  );
+  assert(isHexString(notice.txid), "txid must be a hex string", "txid");
+  assert(
+    isHexString(notice.stateRoot) && notice.stateRoot.length === 64,
+    "stateRoot must be 32 bytes (64 hex chars)",
+    "stateRoot",
+  );
+}
+
+/**
+ * Validate a lobby_invite_redeemed notice the host sends to the group when
+ * it accepts an invite, so a successor refuses the same nonce
+ * @param {Object} notice - lobby_invite_redeemed message
+ * @throws {LobbyValidationError}
+ */
+export function validateInviteRedeemedNotice(notice) {
+  assert(notice && typeof notice === "object", "Notice must be an object");
+  assert(
+    notice.type === "lobby_invite_redeemed",
+    "type must be 'lobby_invite_redeemed'",
+    "type",
+  );
+  assert(isPositiveInt(notice.version), "version must be a positive integer", "version");
+  assert(isHexString(notice.lobbyId), "lobbyId must be a hex string", "lobbyId");
+  assert(isHexString(notice.nonce), "nonce must be a hex string", "nonce");
+  assert(isPositiveInt(notice.expiresAt), "expiresAt must be a positive integer", "expiresAt");
+}
+
+/**
+ * Validate a rejoin message sent to a migrated host
+ * @param {Object} rejoin - Rejoin message
+ * @throws {LobbyValidationError}
+ */
+export function validateRejoinMessage(rejoin) {
+  assert(rejoin && typeof rejoin === "object", "Rejoin must be an object");
+  assert(rejoin.type === "lobby_rejoin", "type must be 'lobby_rejoin'", "type");
+  assert(isPositiveInt(rejoin.version), "version must be a positive integer", "version");
+  assert(isHexString(rejoin.lobbyId), "lobbyId must be a hex string", "lobbyId");
+  assert(isHexString(rejoin.sid), "sid must be a hex string", "sid");
+  assert(isHexString(rejoin.pubSig), "pubSig must be a hex string", "pubSig");
+  assert(typeof rejoin.timestamp === "number", "timestamp must be a number", "timestamp");
+  assert(isHexString(rejoin.sig), "sig must be a hex string", "sig");
+}
+
+/**
+ * Validate a reconnect notice from a member that restored its lobby state
+ * @param {Object} reconnect - Reconnect message
+ * @throws {LobbyValidationError}
+ */
+export function validateReconnectMessage(reconnect) {
+  assert(reconnect && typeof reconnect === "object", "Reconnect must be an object");
+  assert(reconnect.type === "lobby_reconnect", "type must be 'lobby_reconnect'", "type");
+  assert(isPositiveInt(reconnect.version), "version must be a positive integer", "version");
+  assert(isHexString(reconnect.lobbyId), "lobbyId must be a hex string", "lobbyId");
+  assert(isHexString(reconnect.pubSig), "pubSig must be a hex string", "pubSig");
+  assert(isNonNegativeInt(reconnect.keyVersion), "keyVersion must be a non-negative integer", "keyVersion");
+  assert(isPositiveInt(reconnect.timestamp), "timestamp must be a positive integer", "timestamp");
+  assert(isHexString(reconnect.sig), "sig must be a hex string", "sig");
 }
 
 /**
@@ -271,6 +736,7 @@ export function extractLobbyInfo(discovery) {
     lobbyName: discovery.meta.lobby_name,
     hostPubSig: discovery.pub_sig,
     maxMembers: discovery.meta.max_members,
+    access: discovery.meta.lobby_access ?? "open",
     game: discovery.meta.game,
     uptimeSeconds: discovery.meta.expected_uptime_seconds,
   };
@@ -11,8 +11,17 @@
 export {
   LOBBY_STATES,
   MEMBER_ROLES,
+  SPOOF_REASONS,
+  ACCESS_MODES,
+  MODERATION_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  STATE_ROOT_REASONS,
+  GROUP_CRYPTO_MODES,
+  GROUP_CONTROL_TYPES,
   LOBBY_VERSION,
   LOBBY_DISCOVERY_PREFIX,
+  LOBBY_ROOT_PREFIX,
+  LOBBY_ENDED_REASON,
   DEFAULT_CONFIG,
   createLobbyContext,
   resetLobbyContext,
@@ -66,12 +75,51 @@ export {
 // Messaging
 export {
   sendGroupMessage,
+  sendGroupControl,
   processGroupMessage,
+  verifyGroupMessageSender,
   addToHistory,
   bufferFutureMessage,
   decryptAndProcessMessage,
 } from "./lobbyMessaging.js";
 
+// Chat records (replies, reactions, edits, deletions, notices)
+export {
+  CHAT_VERSION,
+  CHAT_RECORD_TYPES,
+  buildChatMessage,
+  buildChatReaction,
+  buildChatEdit,
+  buildChatDelete,
+  buildChatNotice,
+  parseChatRecord,
+  applyChatRecord,
+  forgetChatEntry,
+  getChatMessage,
+  getChatThreads,
+} from "./lobbyChat.js";
+
+// Sender keys (groupCrypto "sender_keys")
+export {
+  SENDER_KEY_LABEL,
+  SENDER_KEY_STATUS,
+  isSenderKeyMode,
+  initSenderKeys,
+  clearSenderKeys,
+  dropSenderChain,
+  exportSenderChains,
+  importSenderChains,
+  exportSenderKeyState,
+  restoreSenderKeyState,
+  nextOwnMessageKey,
+  resolveSenderMessageKey,
+  senderKeySigningBody,
+  seedSenderKey,
+  handleSenderKey,
+  processUnverifiedSenderKeys,
+  reseedAfterDeparture,
+} from "./lobbySenderKeys.js";
+
 // Key management
 export {
   initKeyVault,
@@ -79,6 +127,7 @@ export {
   startKeyRotation,
   stopKeyRotation,
   rotateKey,
+  sendCurrentKey,
   handleKeyRotation,
 } from "./lobbyKeys.js";
 
@@ -90,8 +139,89 @@ export {
   broadcastMemberEvent,
   handleMemberEvent,
   exportMemberList,
+  recordRosterChange,
+  seedRosterLog,
+  exportRosterLog,
 } from "./lobbyRoster.js";
 
+// Anchored state roots and history verification
+export {
+  LOBBY_HISTORY_VERDICTS,
+  lobbyRootSigningBody,
+  buildLobbyRootPayload,
+  parseLobbyRootPayload,
+  anchorStateRoot,
+  handleStateRootNotice,
+  verifyLobbyHistory,
+} from "./lobbyStateRoots.js";
+
+// Matchmaking queue
+export {
+  RATING_BUCKET_SIZE,
+  MATCH_BUCKET_SPREAD,
+  RATING_DEFAULTS,
+  ratingBucket,
+  updateRating,
+  scoreMatch,
+  matchSigningBody,
+  buildMatchTicketMeta,
+  parseMatchTicket,
+  parseMatchLobby,
+  compareTickets,
+  isCompatibleTicket,
+  pairMatchQueue,
+  findMatch,
+  cancelMatchmaking,
+} from "./lobbyMatchmaking.js";
+
+// Host migration
+export {
+  electSuccessor,
+  rejoinSigningBody,
+  noteHostActivity,
+  startHostHeartbeat,
+  startHostWatchdog,
+  stopHostMigration,
+  beginHostMigration,
+  handleGroupControl,
+  handleHostMigrated,
+  handleRejoin,
+} from "./lobbyMigration.js";
+
+// Moderation
+export {
+  MODERATION_EVENT_TYPES,
+  hasPermission,
+  outranks,
+  isBanned,
+  getBanList,
+  setMemberRole,
+  applyModeration,
+  handleModerationEvent,
+  requestModeration,
+  handleModerationRequest,
+  forwardPendingJoin,
+  handleJoinPending,
+} from "./lobbyModeration.js";
+
+// Access control
+export {
+  derivePasswordKey,
+  computeAccessProof,
+  inviteSigningBody,
+  createAccessConfig,
+  exportPublicAccess,
+  importPublicAccess,
+  createInvite,
+  prepareJoinCredentials,
+  applyJoinCredentials,
+  checkJoinAccess,
+  isInviteSpent,
+  recordRedeemedInvite,
+  announceRedeemedInvite,
+  handleRedeemedInvite,
+} from "./lobbyAccess.js";
+
 // Join handling
 export {
   handleJoinRequest,
@@ -106,15 +236,36 @@ export {
 export {
   waitForJoinCode,
   resolveJoinCode,
+  lobbyInfoFromMatch,
   discoverLobby,
 } from "./lobbyDiscovery.js";
 
+// Lobby directory
+export {
+  LOBBY_DIRECTORY_SORTS,
+  lobbyEndSigningBody,
+  anchorLobbyEnd,
+  browseLobbies,
+} from "./lobbyDirectory.js";
+
 // Persistence
 export {
   exportLobbyState,
   restoreLobbyState,
 } from "./lobbyPersistence.js";
 
+// Resume after reload
+export {
+  deriveResumeKey,
+  sealLobbySnapshot,
+  openLobbySnapshot,
+  noteTrafficSeen,
+  catchUpMissedTraffic,
+  reconnectSigningBody,
+  announceReconnect,
+  handleReconnect,
+} from "./lobbyResume.js";
+
 // Session end
 export {
   endDMSession,
@@ -0,0 +1,427 @@
+/**
+ * LobbyAccess - Password, invite and allowlist gating for join requests
+ *
+ * The host advertises the access mode in discovery meta (lobby_access) so
+ * browsers can show a lock; the credential itself travels only inside the
+ * encrypted lobby_join_request DM.
+ *
+ * - password: the joiner sends accessProof = BLAKE2b keyed with the
+ *   password key over "<lobbyId>:<pubSig>", never the password itself.
+ * - invite: the joiner sends a token signed by the host identity; each
+ *   nonce is redeemed once and tokens expire. Redeemed nonces are mirrored
+ *   to members (join response and lobby_invite_redeemed), the way bans
+ *   are, so a successor host refuses them too.
+ * - allowlist: request.pubSig (the joiner's KKTP session key for this
+ *   lobby) must be listed. handleJoinRequest() has already checked that it
+ *   is the authenticated peer of the DM session the request came in on.
+ *
+ * @module kktp/lobby/parts/lobbyAccess
+ */
+
+import { blake2b } from "https://esm.sh/@noble/hashes@1.3.0/blake2b";
+import { ACCESS_MODES, LOBBY_STATES, LOBBY_VERSION } from "./lobbyContext.js";
+import { uint8ToHex, hexToUint8, truncate } from "./lobbyUtils.js";
+import { sendGroupControl } from "./lobbyMessaging.js";
+import { validateInviteToken, validateInviteRedeemedNotice } from "../lobbySchemas.js";
+import { canonicalize } from "../../protocol/integrity/canonical.js";
+import { Logger, LogModule } from "../../core/logger.js";
+
+const log = Logger.create(LogModule.lobby.parts.lobbyAccess);
+
+const encoder = new TextEncoder();
+
+/**
+ * @typedef {Object} LobbyAccess
+ * @property {string} mode - One of ACCESS_MODES
+ * @property {string|null} passwordKey - Hex password key (password mode)
+ * @property {string[]} allowlist - Permitted pubSigs (allowlist mode)
+ * @property {string[]} issuers - Former hosts whose invites stay valid
+ * @property {Object<string, number>} usedInvites - Redeemed nonce -> expiresAt
+ */
+
+/**
+ * Derive the 32-byte key a password stands for. Hosts keep only this key,
+ * never the password.
+ * @param {string} password
+ * @returns {string} Hex-encoded key
+ */
+export function derivePasswordKey(password) {
+  return uint8ToHex(
+    blake2b(encoder.encode(`KKTP:LOBBY:PASSWORD:${password}`), { dkLen: 32 })
+  );
+}
+
+/**
+ * Prove knowledge of the password for one join request
+ * @param {string} passwordKey - Hex key from derivePasswordKey()
+ * @param {string} lobbyId - lobbyId carried by the join request
+ * @param {string} pubSig - Joiner's pubSig carried by the join request
+ * @returns {string} Hex-encoded proof
+ */
+export function computeAccessProof(passwordKey, lobbyId, pubSig) {
+  return uint8ToHex(
+    blake2b(encoder.encode(`${lobbyId}:${pubSig}`), {
+      key: hexToUint8(passwordKey),
+      dkLen: 32,
+    })
+  );
+}
+
+/**
+ * Canonical bytes the host signs for an invite token
+ * @param {Object} invite - lobby_invite token
+ * @returns {string}
+ */
+export function inviteSigningBody(invite) {
+  return canonicalize({
+    type: invite.type,
+    lobbyId: invite.lobbyId,
+    issuer: invite.issuer,
+    nonce: invite.nonce,
+    expiresAt: invite.expiresAt,
+  });
+}
+
+/**
+ * Build the access config a host keeps for its lobby
+ * @param {Object} params
+ * @param {string} [params.access="open"] - One of ACCESS_MODES
+ * @param {string} [params.password] - Required for password mode
+ * @param {string[]} [params.allowlist] - Required for allowlist mode
+ * @returns {LobbyAccess}
+ */
+export function createAccessConfig({ access = ACCESS_MODES.OPEN, password, allowlist } = {}) {
+  if (!Object.values(ACCESS_MODES).includes(access)) {
+    throw new Error(`Unknown lobby access mode: ${access}`);
+  }
+  if (access === ACCESS_MODES.PASSWORD && (typeof password !== "string" || !password)) {
+    throw new Error("password is required for a password-protected lobby");
+  }
+  if (access === ACCESS_MODES.ALLOWLIST && !(Array.isArray(allowlist) && allowlist.length)) {
+    throw new Error("allowlist must list at least one pubSig");
+  }
+
+  return {
+    mode: access,
+    passwordKey: access === ACCESS_MODES.PASSWORD ? derivePasswordKey(password) : null,
+    allowlist: access === ACCESS_MODES.ALLOWLIST ? allowlist.map((p) => p.toLowerCase()) : [],
+    issuers: [],
+    usedInvites: {},
+  };
+}
+
+/**
+ * Access details shared with members in the join response, so whoever is
+ * elected after a host migration keeps enforcing the same mode. Secrets
+ * stay out: a member only holds the password key if it joined with it.
+ * @param {LobbyAccess|null} access
+ * @returns {Object|null}
+ */
+export function exportPublicAccess(access) {
+  if (!access || access.mode === ACCESS_MODES.OPEN) return null;
+  return {
+    mode: access.mode,
+    allowlist: [...access.allowlist],
+    issuers: [...access.issuers],
+    usedInvites: { ...access.usedInvites },
+  };
+}
+
+/**
+ * Rebuild a member's access config from the join response
+ * @param {Object|null} shared - exportPublicAccess() output from the host
+ * @param {string} hostPubSig - Host that admitted us (its invites stay valid)
+ * @param {string|null} passwordKey - Key we joined with, if any
+ * @returns {LobbyAccess|null}
+ */
+export function importPublicAccess(shared, hostPubSig, passwordKey = null) {
+  if (!shared?.mode || shared.mode === ACCESS_MODES.OPEN) return null;
+  const access = {
+    mode: shared.mode,
+    passwordKey,
+    allowlist: Array.isArray(shared.allowlist) ? [...shared.allowlist] : [],
+    issuers: [...new Set([...(shared.issuers ?? []), hostPubSig])],
+    usedInvites: {},
+  };
+  for (const [nonce, expiresAt] of Object.entries(shared.usedInvites ?? {})) {
+    if (Number.isFinite(expiresAt)) access.usedInvites[nonce] = expiresAt;
+  }
+  pruneUsedInvites(access, Date.now());
+  return access;
+}
+
+/**
+ * Tell members an invite nonce was redeemed (host only), so whoever is
+ * elected after a migration refuses it as well. Failures are logged.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} codec - LobbyCodec instance
+ * @param {Object} invite - The redeemed lobby_invite token
+ * @returns {Promise<void>}
+ */
+export async function announceRedeemedInvite(ctx, codec, invite) {
+  if (ctx.state !== LOBBY_STATES.HOSTING || !ctx.lobby) return;
+  try {
+    await sendGroupControl(ctx, codec, {
+      type: "lobby_invite_redeemed",
+      version: LOBBY_VERSION,
+      lobbyId: ctx.lobby.lobbyId,
+      nonce: invite.nonce,
+      expiresAt: invite.expiresAt,
+      timestamp: Date.now(),
+    });
+  } catch (err) {
+    log.warn("KKTP Lobby: Failed to announce redeemed invite", {
+      nonce: truncate(invite.nonce),
+      error: err?.message || err,
+    });
+  }
+}
+
+/**
+ * Record an invite nonce the host redeemed (member only)
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} notice - lobby_invite_redeemed control message
+ * @param {string} senderPubSig - Verified envelope signer
+ * @returns {boolean} Whether the notice was accepted
+ */
+export function handleRedeemedInvite(ctx, notice, senderPubSig) {
+  const access = ctx.lobby?.access;
+  if (ctx.state !== LOBBY_STATES.MEMBER || !access) return false;
+
+  try {
+    validateInviteRedeemedNotice(notice);
+  } catch (err) {
+    log.warn("KKTP Lobby: Invalid redeemed invite notice", err.message);
+    return false;
+  }
+
+  if (notice.lobbyId !== ctx.lobby.lobbyId) return false;
+  if (senderPubSig !== ctx.lobby.hostPubSig) {
+    log.warn("KKTP Lobby: Redeemed invite notice not from host", {
+      sender: truncate(senderPubSig),
+    });
+    return false;
+  }
+
+  access.usedInvites[notice.nonce] = notice.expiresAt;
+  pruneUsedInvites(access, Date.now());
+  return true;
+}
+
+/**
+ * Issue a single-use invite token for the current lobby (host only)
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs] - Lifetime, defaults to config.inviteTtlMs
+ * @returns {Promise<Object>} Signed lobby_invite token
+ */
+export async function createInvite(ctx, { ttlMs } = {}) {
+  if (ctx.state !== LOBBY_STATES.HOSTING || !ctx.lobby) {
+    throw new Error("Only the host can create invites");
+  }
+
+  const invite = {
+    type: "lobby_invite",
+    lobbyId: ctx.lobby.lobbyId,
+    issuer: ctx.lobby.hostPubSig,
+    nonce: uint8ToHex(crypto.getRandomValues(new Uint8Array(16))),
+    expiresAt: Date.now() + (ttlMs ?? ctx.config.inviteTtlMs),
+  };
+  invite.sig = await ctx.sm.signAsIdentity(invite.issuer, inviteSigningBody(invite));
+
+  log.info("KKTP Lobby: Invite created", {
+    nonce: truncate(invite.nonce),
+    expiresAt: invite.expiresAt,
+  });
+
+  return invite;
+}
+
+/**
+ * Check and prepare the credentials a lobby's access mode calls for, before
+ * the joiner opens a session with the host
+ * @param {Object} discovery - Lobby discovery anchor
+ * @param {Object} params
+ * @param {string} [params.password]
+ * @param {Object|string} [params.invite] - Token object or its JSON
+ * @returns {{ passwordKey: string|null, invite: Object|null }}
+ */
+export function prepareJoinCredentials(discovery, { password, invite } = {}) {
+  const mode = discovery?.meta?.lobby_access ?? ACCESS_MODES.OPEN;
+
+  if (mode === ACCESS_MODES.PASSWORD) {
+    if (typeof password !== "string" || !password) {
+      throw new Error("This lobby requires a password");
+    }
+    return { passwordKey: derivePasswordKey(password), invite: null };
+  }
+
+  if (mode === ACCESS_MODES.INVITE) {
+    if (!invite) {
+      throw new Error("This lobby requires an invite");
+    }
+    const token = typeof invite === "string" ? JSON.parse(invite) : invite;
+    validateInviteToken(token);
+    return { passwordKey: null, invite: token };
+  }
+
+  return { passwordKey: null, invite: null };
+}
+
+/**
+ * Add prepared credentials to a lobby_join_request
+ * @param {Object} request - Join request with lobbyId and pubSig set
+ * @param {{ passwordKey: string|null, invite: Object|null }} credentials
+ * @returns {Object} The same request
+ */
+export function applyJoinCredentials(request, credentials) {
+  if (credentials.passwordKey) {
+    request.accessProof = computeAccessProof(
+      credentials.passwordKey,
+      request.lobbyId,
+      request.pubSig,
+    );
+  }
+  if (credentials.invite) {
+    request.invite = credentials.invite;
+  }
+  return request;
+}
+
+/**
+ * Decide whether a join request satisfies the lobby's access mode (host only).
+ * An invite is only checked here; it is spent by recordRedeemedInvite() once
+ * the join is actually accepted, so a join refused later keeps it usable.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} request - Validated lobby_join_request
+ * @returns {Promise<{ allowed: boolean, reason?: string }>}
+ */
+export async function checkJoinAccess(ctx, request) {
+  const access = ctx.lobby?.access;
+  if (!access || access.mode === ACCESS_MODES.OPEN) {
+    return { allowed: true };
+  }
+
+  switch (access.mode) {
+    case ACCESS_MODES.PASSWORD: {
+      if (!access.passwordKey) {
+        // A successor that joined by invite never learned the password
+        return { allowed: false, reason: "Lobby is not accepting new members" };
+      }
+      if (!request.accessProof) {
+        return { allowed: false, reason: "Password required" };
+      }
+      const expected = computeAccessProof(access.passwordKey, request.lobbyId, request.pubSig);
+      return constantTimeEqual(expected, request.accessProof.toLowerCase())
+        ? { allowed: true }
+        : { allowed: false, reason: "Wrong password" };
+    }
+
+    case ACCESS_MODES.INVITE:
+      return verifyInvite(ctx, access, request.invite);
+
+    case ACCESS_MODES.ALLOWLIST:
+      return access.allowlist.includes(request.pubSig.toLowerCase())
+        ? { allowed: true }
+        : { allowed: false, reason: "Not on the lobby allowlist" };
+
+    default:
+      return { allowed: false, reason: "Unsupported lobby access mode" };
+  }
+}
+
+/**
+ * Whether a join's invite was spent by an earlier accepted join (host only).
+ * Two queued requests may carry the same token; only the first gets in.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} request - Validated lobby_join_request
+ * @returns {boolean}
+ */
+export function isInviteSpent(ctx, request) {
+  const access = ctx.lobby?.access;
+  if (access?.mode !== ACCESS_MODES.INVITE || !request.invite) return false;
+  pruneUsedInvites(access, Date.now());
+  return Boolean(access.usedInvites[request.invite.nonce]);
+}
+
+/**
+ * Spend the invite of a join that was just accepted (host only)
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} request - Validated lobby_join_request
+ * @returns {boolean} Whether an invite was spent
+ */
+export function recordRedeemedInvite(ctx, request) {
+  const access = ctx.lobby?.access;
+  if (access?.mode !== ACCESS_MODES.INVITE || !request.invite) return false;
+  access.usedInvites[request.invite.nonce] = request.invite.expiresAt;
+  return true;
+}
+
+/**
+ * Validate and verify an invite token without spending it
+ * @private
+ */
+async function verifyInvite(ctx, access, invite) {
+  if (!invite) {
+    return { allowed: false, reason: "Invite required" };
+  }
+  try {
+    validateInviteToken(invite);
+  } catch (err) {
+    log.warn("KKTP Lobby: Malformed invite", err.message);
+    return { allowed: false, reason: "Invalid invite" };
+  }
+
+  const now = Date.now();
+  pruneUsedInvites(access, now);
+
+  const issuers = [ctx.lobby.hostPubSig, ...access.issuers];
+  if (invite.lobbyId !== ctx.lobby.lobbyId || !issuers.includes(invite.issuer)) {
+    return { allowed: false, reason: "Invalid invite" };
+  }
+  if (invite.expiresAt <= now) {
+    return { allowed: false, reason: "Invite expired" };
+  }
+  if (access.usedInvites[invite.nonce]) {
+    return { allowed: false, reason: "Invite already used" };
+  }
+
+  const valid = await ctx.sm.verifyIdentitySignature(
+    invite.issuer,
+    inviteSigningBody(invite),
+    invite.sig,
+  );
+  if (!valid) {
+    log.warn("KKTP Lobby: Invite signature rejected", {
+      nonce: truncate(invite.nonce),
+    });
+    return { allowed: false, reason: "Invalid invite" };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Forget redeemed nonces once their token could no longer be used anyway
+ * @private
+ */
+function pruneUsedInvites(access, now) {
+  for (const [nonce, expiresAt] of Object.entries(access.usedInvites)) {
+    if (expiresAt <= now) delete access.usedInvites[nonce];
+  }
+}
+
+/**
+ * Compare two hex strings without an early exit
+ * @private
+ */
+function constantTimeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
@@ -0,0 +1,431 @@
+/**
+ * LobbyChat - Structured chat on top of group messages
+ *
+ * Chat records are JSON plaintexts inside ordinary signed group messages:
+ * - chat: a message with an id and an optional replyTo
+ * - chat_reaction: add (or remove) an emoji reaction to a message
+ * - chat_edit / chat_delete: only honoured from the message's author;
+ *   a delete leaves a tombstone so replies keep their parent
+ * - chat_notice: system notice from the host or a member with ANNOUNCE
+ *
+ * Messages and notices are kept in ctx.messageHistory ordered by their
+ * timestamp and indexed by id, so echoes and replays are dropped.
+ * Operations are folded into their target entry. An operation that
+ * arrives before its target waits in ctx.chat.pending.
+ * Plaintexts that are not valid chat records stay opaque, so older
+ * `{ type: "chat", text }` payloads still arrive as plain messages.
+ *
+ * @module kktp/lobby/parts/lobbyChat
+ */
+
+import { LOBBY_STATES, MODERATION_PERMISSIONS, ROLE_PERMISSIONS } from "./lobbyContext.js";
+import { uint8ToHex, truncate } from "./lobbyUtils.js";
+import { validateChatMessage } from "../lobbySchemas.js";
+import { Logger, LogModule } from "../../core/logger.js";
+
+const log = Logger.create(LogModule.lobby.parts.lobbyChat);
+
+export const CHAT_VERSION = 1;
+
+/**
+ * Chat record types
+ */
+export const CHAT_RECORD_TYPES = {
+  MESSAGE: "chat",
+  REACTION: "chat_reaction",
+  EDIT: "chat_edit",
+  DELETE: "chat_delete",
+  NOTICE: "chat_notice",
+};
+
+const OPERATION_TYPES = new Set([
+  CHAT_RECORD_TYPES.REACTION,
+  CHAT_RECORD_TYPES.EDIT,
+  CHAT_RECORD_TYPES.DELETE,
+]);
+
+const RECORD_TYPES = new Set(Object.values(CHAT_RECORD_TYPES));
+
+/**
+ * Fill in version, id and timestamp and validate a record before sending
+ * @param {Object} fields - Record type and payload
+ * @returns {Object} Chat record
+ */
+function finalizeRecord(fields) {
+  const record = {
+    version: CHAT_VERSION,
+    id: uint8ToHex(crypto.getRandomValues(new Uint8Array(16))),
+    timestamp: Date.now(),
+    ...fields,
+  };
+  validateChatMessage(record);
+  return record;
+}
+
+/**
+ * Look up a message we can edit or delete: it must exist, be ours and
+ * not be deleted already
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {string} target - Chat id
+ * @returns {Object} History entry
+ */
+function requireOwnMessage(ctx, target) {
+  const entry = ctx.chat.byId.get(target);
+  if (!entry) throw new Error("Chat message not found");
+  if (entry.senderPubSig !== ctx.lobby?.myPubSig) {
+    throw new Error("Only the author can change a chat message");
+  }
+  if (entry.chat.deleted) throw new Error("Chat message was deleted");
+  return entry;
+}
+
+/**
+ * Build a chat message
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.replyTo] - Id of the message being answered
+ * @returns {Object} chat record
+ */
+export function buildChatMessage(ctx, text, { replyTo } = {}) {
+  const fields = { type: CHAT_RECORD_TYPES.MESSAGE, text };
+  if (replyTo !== undefined && replyTo !== null) {
+    if (!ctx.chat.byId.has(replyTo)) throw new Error("Chat message not found");
+    fields.replyTo = replyTo;
+  }
+  return finalizeRecord(fields);
+}
+
+/**
+ * Build a reaction (or its removal)
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {string} target - Chat id
+ * @param {string} emoji
+ * @param {Object} [options]
+ * @param {boolean} [options.remove=false] - Take our reaction back
+ * @returns {Object} chat_reaction record
+ */
+export function buildChatReaction(ctx, target, emoji, { remove = false } = {}) {
+  if (ctx.chat.byId.get(target)?.chat.deleted !== false) {
+    throw new Error("Chat message not found");
+  }
+  const fields = { type: CHAT_RECORD_TYPES.REACTION, target, emoji };
+  if (remove) fields.remove = true;
+  return finalizeRecord(fields);
+}
+
+/**
+ * Build an edit of one of our own messages
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {string} target - Chat id
+ * @param {string} text - Replacement text
+ * @returns {Object} chat_edit record
+ */
+export function buildChatEdit(ctx, target, text) {
+  requireOwnMessage(ctx, target);
+  return finalizeRecord({ type: CHAT_RECORD_TYPES.EDIT, target, text });
+}
+
+/**
+ * Build a delete of one of our own messages
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {string} target - Chat id
+ * @returns {Object} chat_delete record
+ */
+export function buildChatDelete(ctx, target) {
+  requireOwnMessage(ctx, target);
+  return finalizeRecord({ type: CHAT_RECORD_TYPES.DELETE, target });
+}
+
+/**
+ * Build a system notice (host, or a member whose role grants ANNOUNCE)
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {string} text
+ * @returns {Object} chat_notice record
+ */
+export function buildChatNotice(ctx, text) {
+  if (!canAnnounce(ctx, ctx.lobby?.myPubSig)) {
+    throw new Error("Your role cannot post notices");
+  }
+  return finalizeRecord({ type: CHAT_RECORD_TYPES.NOTICE, text });
+}
+
+/**
+ * Check whether a roster member may post chat_notice records
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {string} pubSig
+ * @returns {boolean}
+ */
+function canAnnounce(ctx, pubSig) {
+  if (pubSig && pubSig === ctx.lobby?.hostPubSig) return true;
+  const role = ctx.lobby?.members.get(pubSig)?.role;
+  return ROLE_PERMISSIONS[role]?.includes(MODERATION_PERMISSIONS.ANNOUNCE) ?? false;
+}
+
+/**
+ * Parse a decrypted plaintext as a chat record
+ * @param {string} plaintext
+ * @returns {Object|null} The validated record, or null for other data
+ */
+export function parseChatRecord(plaintext) {
+  if (typeof plaintext !== "string" || !plaintext.startsWith("{")) return null;
+
+  let record;
+  try {
+    record = JSON.parse(plaintext);
+  } catch {
+    return null;
+  }
+  if (!RECORD_TYPES.has(record?.type)) return null;
+
+  try {
+    validateChatMessage(record);
+    return record;
+  } catch (err) {
+    log.debug("KKTP Lobby: Treating malformed chat record as plain text", {
+      type: record.type,
+      error: err.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Insert a history entry in timestamp order (ties broken by chat id)
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} entry
+ */
+function insertOrdered(ctx, entry) {
+  const history = ctx.messageHistory;
+  let i = history.length;
+  while (i > 0 && comesAfter(history[i - 1], entry)) i--;
+  history.splice(i, 0, entry);
+
+  if (history.length > ctx.config.maxHistorySize) {
+    forgetChatEntry(ctx, history.shift());
+  }
+}
+
+function comesAfter(a, b) {
+  if (a.timestamp !== b.timestamp) return a.timestamp > b.timestamp;
+  return (a.chat?.id ?? "") > (b.chat?.id ?? "");
+}
+
+/**
+ * Drop the id index for an entry that fell out of history
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object|undefined} entry - Evicted history entry
+ */
+export function forgetChatEntry(ctx, entry) {
+  if (entry?.chat) ctx.chat.byId.delete(entry.chat.id);
+}
+
+/**
+ * Apply a chat record to history and notify onChatUpdate.
+ * `entry` is the history entry the caller would otherwise have appended
+ * ({ type, senderPubSig, plaintext, timestamp, nonce, ... }).
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} record - Validated chat record
+ * @param {Object} entry - History entry for the carrying group message
+ * @returns {boolean} False for duplicates and rejected records
+ */
+export function applyChatRecord(ctx, record, entry) {
+  if (OPERATION_TYPES.has(record.type)) {
+    return applyOperation(ctx, record, entry.senderPubSig);
+  }
+
+  if (ctx.chat.byId.has(record.id)) return false;
+
+  if (record.type === CHAT_RECORD_TYPES.NOTICE && !canAnnounce(ctx, entry.senderPubSig)) {
+    log.warn("KKTP Lobby: Dropping chat notice from member without announce permission", {
+      senderPubSig: truncate(entry.senderPubSig),
+    });
+    return false;
+  }
+
+  entry.timestamp = record.timestamp;
+  entry.chat = {
+    id: record.id,
+    type: record.type,
+    text: record.text,
+    replyTo: record.replyTo ?? null,
+    reactions: {},
+    editedAt: null,
+    deleted: false,
+  };
+  ctx.chat.byId.set(record.id, entry);
+  insertOrdered(ctx, entry);
+  emitChatUpdate(ctx, record.type, entry);
+
+  // Operations that raced ahead of their target
+  const waiting = ctx.chat.pending.get(record.id);
+  if (waiting) {
+    ctx.chat.pending.delete(record.id);
+    for (const op of waiting) {
+      applyOperation(ctx, op.record, op.senderPubSig);
+    }
+  }
+  return true;
+}
+
+/**
+ * Fold a reaction, edit or delete into its target message
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} record - chat_reaction, chat_edit or chat_delete
+ * @param {string} senderPubSig
+ * @returns {boolean}
+ */
+function applyOperation(ctx, record, senderPubSig) {
+  const { applied, byId, pending } = ctx.chat;
+  if (applied.has(record.id)) return false;
+
+  const target = byId.get(record.target);
+  if (!target) {
+    const waiting = pending.get(record.target) ?? [];
+    if (waiting.some((op) => op.record.id === record.id)) return false;
+    if (!waiting.length && pending.size >= ctx.config.maxHistorySize) {
+      pending.delete(pending.keys().next().value);
+    }
+    waiting.push({ record, senderPubSig });
+    pending.set(record.target, waiting);
+    return true;
+  }
+
+  rememberApplied(ctx, record.id);
+  const chat = target.chat;
+
+  if (record.type !== CHAT_RECORD_TYPES.REACTION && target.senderPubSig !== senderPubSig) {
+    log.warn("KKTP Lobby: Dropping chat change from someone other than the author", {
+      type: record.type,
+      target: truncate(record.target),
+      senderPubSig: truncate(senderPubSig),
+    });
+    return false;
+  }
+  if (chat.deleted) return false;
+
+  if (record.type === CHAT_RECORD_TYPES.DELETE) {
+    chat.deleted = true;
+    chat.text = null;
+    chat.reactions = {};
+    chat.editedAt = record.timestamp;
+  } else if (record.type === CHAT_RECORD_TYPES.EDIT) {
+    // Last edit by the author's clock wins, whatever order they arrive in
+    if (chat.editedAt !== null && record.timestamp < chat.editedAt) return true;
+    chat.text = record.text;
+    chat.editedAt = record.timestamp;
+  } else {
+    const reactors = chat.reactions[record.emoji] ?? [];
+    const without = reactors.filter((pubSig) => pubSig !== senderPubSig);
+    const next = record.remove ? without : [...without, senderPubSig];
+    if (next.length) {
+      chat.reactions[record.emoji] = next;
+    } else {
+      delete chat.reactions[record.emoji];
+    }
+  }
+
+  emitChatUpdate(ctx, record.type, target, senderPubSig);
+  return true;
+}
+
+/**
+ * Remember an applied operation id, bounded like the history itself
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {string} id
+ */
+function rememberApplied(ctx, id) {
+  const { applied } = ctx.chat;
+  applied.add(id);
+  if (applied.size > ctx.config.maxHistorySize) {
+    applied.delete(applied.values().next().value);
+  }
+}
+
+function emitChatUpdate(ctx, type, entry, actorPubSig = entry.senderPubSig) {
+  ctx.callbacks.onChatUpdate?.({
+    type,
+    actorPubSig,
+    message: toChatView(ctx, entry),
+  });
+}
+
+/**
+ * Public shape of a chat entry
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} entry - History entry with a chat field
+ * @returns {Object}
+ */
+function toChatView(ctx, entry) {
+  const { chat } = entry;
+  return {
+    id: chat.id,
+    notice: chat.type === CHAT_RECORD_TYPES.NOTICE,
+    senderPubSig: entry.senderPubSig,
+    senderName: ctx.lobby?.members.get(entry.senderPubSig)?.displayName ?? null,
+    outbound: entry.type === "outbound",
+    text: chat.text,
+    replyTo: chat.replyTo,
+    timestamp: entry.timestamp,
+    editedAt: chat.editedAt,
+    deleted: chat.deleted,
+    reactions: Object.fromEntries(
+      Object.entries(chat.reactions).map(([emoji, pubSigs]) => [emoji, [...pubSigs]]),
+    ),
+  };
+}
+
+/**
+ * One chat message by id
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getChatMessage(ctx, id) {
+  const entry = ctx.chat.byId.get(id);
+  return entry ? toChatView(ctx, entry) : null;
+}
+
+/**
+ * Chat history grouped into threads. Each thread is a top-level message
+ * (or one whose parent fell out of history) with every reply beneath it,
+ * at any depth, in order. Replies keep replyTo so nesting can be shown.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @returns {Array<Object>} Thread roots, each with a `replies` array
+ */
+export function getChatThreads(ctx) {
+  if (ctx.state !== LOBBY_STATES.HOSTING && ctx.state !== LOBBY_STATES.MEMBER) {
+    return [];
+  }
+
+  const { byId } = ctx.chat;
+  const entries = ctx.messageHistory.filter((entry) => entry.chat);
+
+  // Walk up to the oldest ancestor still in history
+  const rootOf = (entry) => {
+    let rootId = entry.chat.id;
+    const seen = new Set([rootId]);
+    let parentId = entry.chat.replyTo;
+    while (parentId && byId.has(parentId) && !seen.has(parentId)) {
+      rootId = parentId;
+      seen.add(parentId);
+      parentId = byId.get(parentId).chat.replyTo;
+    }
+    return rootId;
+  };
+
+  const threads = new Map();
+  const replies = [];
+  for (const entry of entries) {
+    const rootId = rootOf(entry);
+    if (rootId === entry.chat.id) {
+      threads.set(rootId, { ...toChatView(ctx, entry), replies: [] });
+    } else {
+      replies.push([rootId, entry]);
+    }
+  }
+  for (const [rootId, entry] of replies) {
+    threads.get(rootId).replies.push(toChatView(ctx, entry));
+  }
+  return [...threads.values()];
+}
@@ -27,14 +27,105 @@ export const LOBBY_STATES = {
  */
 export const MEMBER_ROLES = {
   HOST: "host",
+  CO_HOST: "co_host",
+  MODERATOR: "moderator",
   MEMBER: "member",
 };
 
+/**
+ * Moderation actions a role may take. Delegated roles ask the host over
+ * their DM; the host checks ROLE_PERMISSIONS and carries the action out.
+ */
+export const MODERATION_PERMISSIONS = {
+  KICK: "kick",
+  MUTE: "mute",
+  BAN: "ban",
+  ACCEPT_JOINS: "accept_joins",
+  ASSIGN_ROLES: "assign_roles",
+  ANNOUNCE: "announce", // post chat_notice system notices
+};
+
+/**
+ * Permissions granted to each role
+ */
+export const ROLE_PERMISSIONS = {
+  [MEMBER_ROLES.HOST]: Object.values(MODERATION_PERMISSIONS),
+  [MEMBER_ROLES.CO_HOST]: [
+    MODERATION_PERMISSIONS.KICK,
+    MODERATION_PERMISSIONS.MUTE,
+    MODERATION_PERMISSIONS.BAN,
+    MODERATION_PERMISSIONS.ACCEPT_JOINS,
+    MODERATION_PERMISSIONS.ANNOUNCE,
+  ],
+  [MEMBER_ROLES.MODERATOR]: [
+    MODERATION_PERMISSIONS.KICK,
+    MODERATION_PERMISSIONS.MUTE,
+    MODERATION_PERMISSIONS.ANNOUNCE,
+  ],
+  [MEMBER_ROLES.MEMBER]: [],
+};
+
+/**
+ * Who may join a lobby; advertised as discovery meta.lobby_access
+ */
+export const ACCESS_MODES = {
+  OPEN: "open",
+  PASSWORD: "password", // join request carries a proof of the password
+  INVITE: "invite", // join request carries a host-signed single-use token
+  ALLOWLIST: "allowlist", // only listed KKTP session pubSigs may join
+};
+
+/**
+ * Why the host anchored a new KKTP:LOBBYROOT: record
+ */
+export const STATE_ROOT_REASONS = {
+  CREATED: "created",
+  JOIN: "join",
+  LEAVE: "leave",
+  ROTATION: "rotation",
+  MIGRATION: "migration",
+};
+
+/**
+ * How group messages are encrypted; chosen by the host, sent in the join response
+ */
+export const GROUP_CRYPTO_MODES = {
+  SHARED: "shared", // one groupKey, rotated by the host over every member DM
+  SENDER_KEYS: "sender_keys", // each member ratchets its own sealed chain key
+};
+
+/**
+ * Why a group message was rejected as a spoof attempt
+ */
+export const SPOOF_REASONS = {
+  UNKNOWN_SENDER: "unknown_sender", // senderPubSig is not in the roster
+  UNSIGNED: "unsigned", // no sig (pre-v2 client or stripped)
+  BAD_SIGNATURE: "bad_signature", // sig does not verify for senderPubSig
+};
+
+/**
+ * Decrypted group plaintext types consumed by the lobby itself. They are
+ * signed like any group message but never reach onGroupMessage.
+ */
+export const GROUP_CONTROL_TYPES = new Set([
+  "lobby_host_heartbeat",
+  "lobby_member_event",
+  "lobby_state_root",
+  "lobby_invite_redeemed",
+]);
+
 /**
  * Protocol constants
  */
 export const LOBBY_VERSION = 1;
 export const LOBBY_DISCOVERY_PREFIX = "KKTP:ANCHOR:";
+export const LOBBY_ROOT_PREFIX = "KKTP:LOBBYROOT:";
+
+/**
+ * session_end reason the host anchors for its discovery sid when it closes
+ * the lobby, so directories can drop it. Never used for DM session ends.
+ */
+export const LOBBY_ENDED_REASON = "lobby_ended";
 
 /**
  * Default configuration values
@@ -49,6 +140,19 @@ export const DEFAULT_CONFIG = {
   dmBufferCleanupIntervalMs: 10_000,
   futureBufferMaxSize: 20,
   futureBufferTtlMs: 60_000,
+  hostMigration: false, // opt-in: the host heartbeat is an on-chain tx
+  hostHeartbeatMs: 60_000, // host pings the group when otherwise quiet
+  hostTimeoutMs: 3 * 60 * 1000, // member silence threshold before electing
+  migrationTimeoutMs: 60_000, // successor announce / member rejoin window
+  inviteTtlMs: 24 * 60 * 60 * 1000, // default lifetime of host-issued invites
+  anchorStateRoots: true, // host anchors a signed state root per roster change / rekey
+  matchTicketTtlSeconds: 300, // lifetime of a matchmaking ticket
+  matchHostTimeoutMs: 60_000, // guest wait for the paired host's lobby
+  matchHistoryBlocks: 600, // recent blocks walked for queued tickets
+  directoryWindowMinutes: 10, // how far back browseLobbies() looks by default
+  directoryHistoryBlocks: 600, // fallback walk depth when the indexer has no blocks
+  groupCrypto: GROUP_CRYPTO_MODES.SHARED,
+  senderKeyMaxSkip: 256, // furthest a sender chain may jump ahead in one message
 };
 
 /**
@@ -62,6 +166,19 @@ export const DEFAULT_CONFIG = {
  * @property {number} dmBufferCleanupIntervalMs - DM buffer cleanup interval
  * @property {number} futureBufferMaxSize - Max future messages to buffer
  * @property {number} futureBufferTtlMs - Future message buffer TTL
+ * @property {boolean} hostMigration - Elect a new host when the host disappears (costs a heartbeat tx per quiet hostHeartbeatMs)
+ * @property {number} hostHeartbeatMs - Host heartbeat interval in ms
+ * @property {number} hostTimeoutMs - Host silence before migration in ms
+ * @property {number} migrationTimeoutMs - Successor/rejoin wait in ms
+ * @property {number} inviteTtlMs - Default invite token lifetime in ms
+ * @property {boolean} anchorStateRoots - Anchor KKTP:LOBBYROOT: records (host)
+ * @property {number} matchTicketTtlSeconds - Matchmaking ticket lifetime in seconds
+ * @property {number} matchHostTimeoutMs - Wait for the paired host's lobby in ms
+ * @property {number} matchHistoryBlocks - Recent blocks scanned for queued tickets
+ * @property {number} directoryWindowMinutes - Default lobby directory backfill window
+ * @property {number} directoryHistoryBlocks - Directory walk depth without indexed blocks
+ * @property {string} groupCrypto - GROUP_CRYPTO_MODES value for hosted lobbies
+ * @property {number} senderKeyMaxSkip - Max skipped iterations per sender chain
  */
 
 /**
@@ -73,6 +190,11 @@ export const DEFAULT_CONFIG = {
  * @property {function|null} onLobbyClose - Lobby close callback
  * @property {function|null} onStateChange - State change callback
  * @property {function|null} onJoinRequest - Join request callback (host only)
+ * @property {function|null} onSpoofAttempt - Rejected group message callback
+ * @property {function|null} onHostMigrated - Host migration callback
+ * @property {function|null} onModeration - Role change, mute or ban callback
+ * @property {function|null} onChatUpdate - Chat message added, edited, deleted or reacted to
+ * @property {function|null} onMemberReconnected - Restored member resumed its seat (host only)
  */
 
 /**
@@ -90,6 +212,7 @@ export const DEFAULT_CONFIG = {
  * @property {KeyVault} keyVault - Key vault for current/previous keys
  * @property {Set<string>} subscriptions - Subscribed prefixes
  * @property {Array} messageHistory - Message history
+ * @property {ChatState} chat - Chat id index and out-of-order chat operations
  * @property {LobbyConfig} config - Configuration
  * @property {LobbyCallbacks} callbacks - Event callbacks
  * @property {Map} dmBuffer - DM message buffer
@@ -102,6 +225,27 @@ export const DEFAULT_CONFIG = {
  * @property {Object|null} pendingJoin - Pending join data (member only)
  * @property {string|null} pendingJoinDmMailboxId - Pending join DM mailbox
  * @property {string|null} hostDmMailboxId - Host DM mailbox (member only)
+ * @property {Map} delegatedJoins - Join requests the host forwarded to us (co-host only)
+ * @property {number} lastHostSeenAt - Last verified host activity (member only)
+ * @property {number} lastGroupSendAt - Last group broadcast by this client
+ * @property {number|null} hostHeartbeatTimer - Host heartbeat timer ID
+ * @property {number|null} hostWatchdogTimer - Host silence watchdog timer ID
+ * @property {Object|null} migration - Host election in progress (member only)
+ * @property {Object|null} rejoinWait - Members yet to rejoin a migrated host
+ * @property {function|null} groupControlHandler - Receives GROUP_CONTROL_TYPES plaintexts
+ * @property {function|null} stateRootAnchor - Anchors a state root after a roster change or rekey (host only)
+ * @property {Promise|null} stateRootQueue - Serializes state root anchoring
+ * @property {function|null} inviteRedeemed - Mirrors a redeemed invite nonce to members (host only)
+ * @property {Object|null} matchmaking - Matchmaking search in progress
+ * @property {Object|null} senderKeys - Own and peer sender chains (sender_keys mode)
+ * @property {ResumeCursor|null} resumeCursor - Last block with lobby traffic we processed
+ */
+
+/**
+ * @typedef {Object} ResumeCursor
+ * @property {string} blockHash - Block to resume the catch-up walk from
+ * @property {number} timestamp - Block timestamp
+ * @property {string[]} txids - Transactions in that block already processed
  */
 
 /**
@@ -117,6 +261,11 @@ export function createDefaultCallbacks() {
     onLobbyClose: null,
     onStateChange: null,
     onJoinRequest: null,
+    onSpoofAttempt: null,
+    onHostMigrated: null,
+    onModeration: null,
+    onChatUpdate: null,
+    onMemberReconnected: null,
   };
 }
 
@@ -131,6 +280,25 @@ export function createDefaultKeyVault() {
   };
 }
 
+/**
+ * @typedef {Object} ChatState
+ * @property {Map<string, Object>} byId - Chat id -> messageHistory entry
+ * @property {Map<string, Array>} pending - Target id -> operations that arrived before it
+ * @property {Set<string>} applied - Ids of operations already applied
+ */
+
+/**
+ * Create empty chat state
+ * @returns {ChatState}
+ */
+export function createDefaultChatState() {
+  return {
+    byId: new Map(),
+    pending: new Map(),
+    applied: new Set(),
+  };
+}
+
 /**
  * Create a lobby context object
  * @param {Object} sessionManager - KKTP session manager
@@ -143,6 +311,19 @@ export function createLobbyContext(sessionManager, options = {}) {
     maxMembers: options.maxMembers ?? DEFAULT_CONFIG.maxMembers,
     keyRotationMs: options.keyRotationMs ?? DEFAULT_CONFIG.keyRotationMs,
     autoAcceptJoins: options.autoAcceptJoins ?? DEFAULT_CONFIG.autoAcceptJoins,
+    hostMigration: options.hostMigration ?? DEFAULT_CONFIG.hostMigration,
+    hostHeartbeatMs: options.hostHeartbeatMs ?? DEFAULT_CONFIG.hostHeartbeatMs,
+    hostTimeoutMs: options.hostTimeoutMs ?? DEFAULT_CONFIG.hostTimeoutMs,
+    migrationTimeoutMs: options.migrationTimeoutMs ?? DEFAULT_CONFIG.migrationTimeoutMs,
+    inviteTtlMs: options.inviteTtlMs ?? DEFAULT_CONFIG.inviteTtlMs,
+    anchorStateRoots: options.anchorStateRoots ?? DEFAULT_CONFIG.anchorStateRoots,
+    matchTicketTtlSeconds: options.matchTicketTtlSeconds ?? DEFAULT_CONFIG.matchTicketTtlSeconds,
+    matchHostTimeoutMs: options.matchHostTimeoutMs ?? DEFAULT_CONFIG.matchHostTimeoutMs,
+    matchHistoryBlocks: options.matchHistoryBlocks ?? DEFAULT_CONFIG.matchHistoryBlocks,
+    directoryWindowMinutes: options.directoryWindowMinutes ?? DEFAULT_CONFIG.directoryWindowMinutes,
+    directoryHistoryBlocks: options.directoryHistoryBlocks ?? DEFAULT_CONFIG.directoryHistoryBlocks,
+    groupCrypto: options.groupCrypto ?? DEFAULT_CONFIG.groupCrypto,
+    senderKeyMaxSkip: options.senderKeyMaxSkip ?? DEFAULT_CONFIG.senderKeyMaxSkip,
   };
 
   return {
@@ -156,12 +337,14 @@ export function createLobbyContext(sessionManager, options = {}) {
 
     // Key management
     keyVault: createDefaultKeyVault(),
+    senderKeys: null,
 
     // Subscriptions
     subscriptions: new Set(),
 
     // Message handling
     messageHistory: [],
+    chat: createDefaultChatState(),
     futureMessageBuffer: [],
 
     // DM buffer for race conditions
@@ -175,9 +358,32 @@ export function createLobbyContext(sessionManager, options = {}) {
     pendingJoin: null,
     pendingJoinDmMailboxId: null,
     hostDmMailboxId: null,
+    delegatedJoins: new Map(),
+
+    // Host migration
+    lastHostSeenAt: 0,
+    lastGroupSendAt: 0,
+    migration: null,
+    rejoinWait: null,
+    groupControlHandler: null,
+
+    // State root anchoring
+    stateRootAnchor: null,
+    stateRootQueue: null,
+
+    // Redeemed invites mirrored to members
+    inviteRedeemed: null,
+
+    // Matchmaking
+    matchmaking: null,
+
+    // Rejoin after reload
+    resumeCursor: null,
 
     // Timers
     keyRotationTimer: null,
+    hostHeartbeatTimer: null,
+    hostWatchdogTimer: null,
 
     // Configuration
     config,
@@ -202,21 +408,40 @@ export function resetLobbyContext(ctx) {
     clearInterval(ctx.dmBufferCleanupTimer);
     ctx.dmBufferCleanupTimer = null;
   }
+  if (ctx.hostHeartbeatTimer) {
+    clearInterval(ctx.hostHeartbeatTimer);
+    ctx.hostHeartbeatTimer = null;
+  }
+  if (ctx.hostWatchdogTimer) {
+    clearInterval(ctx.hostWatchdogTimer);
+    ctx.hostWatchdogTimer = null;
+  }
+  clearTimeout(ctx.migration?.timer);
+  clearTimeout(ctx.rejoinWait?.timer);
 
   // Clear state
   ctx.state = LOBBY_STATES.IDLE;
   ctx.lobby = null;
   ctx.keyVault = createDefaultKeyVault();
+  ctx.senderKeys = null;
   ctx.subscriptions.clear();
   ctx.messageHistory = [];
+  ctx.chat = createDefaultChatState();
   ctx.futureMessageBuffer = [];
   ctx.dmBuffer.clear();
   ctx.pendingJoins.clear();
+  ctx.delegatedJoins.clear();
   ctx.joinRequestQueue = [];
   ctx.isProcessingJoinQueue = false;
   ctx.pendingJoin = null;
   ctx.pendingJoinDmMailboxId = null;
   ctx.hostDmMailboxId = null;
+  ctx.lastHostSeenAt = 0;
+  ctx.lastGroupSendAt = 0;
+  ctx.migration = null;
+  ctx.rejoinWait = null;
+  ctx.stateRootQueue = null;
+  ctx.resumeCursor = null;
 }
 
 /**
@@ -0,0 +1,303 @@
+/**
+ * LobbyDirectory - Browsing lobbies that were opened before we arrived
+ *
+ * discoverLobby() only hears discoveries broadcast while the scanner runs.
+ * The directory instead walks the last few minutes of the DAG for lobby
+ * discoveries, then:
+ *
+ * - drops lobbies past expected_uptime_seconds
+ * - drops lobbies whose host anchored a signed session_end with
+ *   LOBBY_ENDED_REASON for the discovery sid (see anchorLobbyEnd)
+ * - estimates occupancy from the newest KKTP:LOBBYROOT: record the host signed
+ *
+ * The walk starts at the oldest block the intelligence indexer has seen
+ * inside the window, or directoryHistoryBlocks back when it has none.
+ *
+ * @module kktp/lobby/parts/lobbyDirectory
+ */
+
+import {
+  LOBBY_DISCOVERY_PREFIX,
+  LOBBY_ROOT_PREFIX,
+  LOBBY_ENDED_REASON,
+} from "./lobbyContext.js";
+import { truncate } from "./lobbyUtils.js";
+import { lobbyInfoFromMatch } from "./lobbyDiscovery.js";
+import { parseLobbyRootPayload, lobbyRootSigningBody } from "./lobbyStateRoots.js";
+import { validateLobbyRoot } from "../lobbySchemas.js";
+import {
+  parseKKTPPayload,
+  validateAnchorOrThrow,
+  normalizeDiscoveryFilters,
+  buildAnchorPayload,
+} from "../../protocol/sessions/index.js";
+import { canonicalize, prepareForSigning } from "../../protocol/integrity/canonical.js";
+import { Logger, LogModule } from "../../core/logger.js";
+
+const log = Logger.create(LogModule.lobby.parts.lobbyDirectory);
+
+/**
+ * Orders browseLobbies() can return
+ */
+export const LOBBY_DIRECTORY_SORTS = {
+  AGE: "age", // newest first
+  GAME: "game", // game, then lobby name, A-Z
+  NAME: "name", // lobby name A-Z
+  FREE_SLOTS: "freeSlots", // most free slots first
+};
+
+// ─────────────────────────────────────────────────────────────
+// Closing (host side)
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Canonical bytes of a session_end anchor, as signed by the protocol layer
+ * @param {Object} anchor - session_end anchor
+ * @returns {string}
+ */
+export function lobbyEndSigningBody(anchor) {
+  return canonicalize(prepareForSigning(anchor, { omitKeys: ["sig"], excludeMeta: true }));
+}
+
+/**
+ * Anchor a signed session_end for the lobby's discovery sid (host only), so
+ * directories stop listing it before its advertised uptime runs out.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @returns {Promise<Object|null>} The anchor that was sent, or null
+ */
+export async function anchorLobbyEnd(ctx) {
+  const discovery = ctx.lobby?.discovery;
+  if (!discovery?.sid || !discovery?.pub_sig) return null;
+
+  const anchor = {
+    type: "session_end",
+    version: 1,
+    sid: discovery.sid,
+    pub_sig: discovery.pub_sig,
+    reason: LOBBY_ENDED_REASON,
+  };
+
+  try {
+    anchor.sig = await ctx.sm.signAsIdentity(discovery.pub_sig, lobbyEndSigningBody(anchor));
+    const address = await ctx.adapter.getAddress();
+    await ctx.adapter.send({
+      toAddress: address,
+      amount: "1",
+      payload: buildAnchorPayload(anchor),
+    });
+  } catch (err) {
+    log.warn("KKTP Lobby: Failed to anchor lobby end", err?.message || err);
+    return null;
+  }
+
+  log.info("KKTP Lobby: Lobby end anchored", { sid: truncate(discovery.sid) });
+  return anchor;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Browsing
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Pick the block the directory walk starts from
+ * @private
+ */
+async function findWindowStart(ctx, sinceMs) {
+  const { adapter } = ctx;
+
+  if (adapter.getIndexedBlocks) {
+    try {
+      let oldest = null;
+      for (const block of await adapter.getIndexedBlocks()) {
+        if (!block?.hash || !(block.timestamp >= sinceMs)) continue;
+        if (!oldest || block.timestamp < oldest.timestamp) oldest = block;
+      }
+      if (oldest) return oldest.hash;
+    } catch (err) {
+      log.debug("KKTP Lobby: Indexed blocks unavailable", err?.message || err);
+    }
+  }
+
+  if (!adapter.getKaspaBlocks) return null;
+  const recent = await adapter.getKaspaBlocks(ctx.config.directoryHistoryBlocks);
+  return recent?.[recent.length - 1]?.hash ?? null; // newest first
+}
+
+/**
+ * Newest root of a lobby signed by the key that advertised it. Roots from
+ * other signers are skipped: without roster disclosures a directory cannot
+ * tell a migrated host from a usurper (see verifyLobbyHistory).
+ * @private
+ */
+async function latestHostRoot(ctx, listing, roots) {
+  const hostPubSig = listing.discovery.pub_sig;
+  const candidates = roots
+    .filter(({ root }) => root.hostPubSig === hostPubSig)
+    .sort((a, b) => b.root.epoch - a.root.epoch);
+
+  for (const candidate of candidates) {
+    const { root } = candidate;
+    if (await ctx.sm.verifyIdentitySignature(hostPubSig, lobbyRootSigningBody(root), root.sig)) {
+      return candidate;
+    }
+    log.debug("KKTP Lobby: Ignoring root with bad signature", {
+      lobbyId: truncate(root.lobbyId),
+      epoch: root.epoch,
+    });
+  }
+  return null;
+}
+
+/**
+ * @private
+ */
+function compareListings(sortBy) {
+  const byAge = (a, b) => b.openedAt - a.openedAt;
+  const byText = (key) => (a, b) => String(a[key] ?? "").localeCompare(String(b[key] ?? ""));
+
+  switch (sortBy) {
+    case LOBBY_DIRECTORY_SORTS.GAME:
+      return (a, b) => byText("game")(a, b) || byText("lobbyName")(a, b) || byAge(a, b);
+    case LOBBY_DIRECTORY_SORTS.NAME:
+      return (a, b) => byText("lobbyName")(a, b) || byAge(a, b);
+    case LOBBY_DIRECTORY_SORTS.FREE_SLOTS:
+      return (a, b) => b.freeSlots - a.freeSlots || byAge(a, b);
+    case LOBBY_DIRECTORY_SORTS.AGE:
+      return byAge;
+    default:
+      throw new Error(`Unknown lobby sort: ${sortBy}`);
+  }
+}
+
+/**
+ * List open lobbies announced in the last few minutes
+ *
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} [options]
+ * @param {number} [options.sinceMinutes] - Window to backfill (default config.directoryWindowMinutes)
+ * @param {Object} [options.filters] - Discovery filter (game, version, capabilities, minUptimeSeconds, regions) plus:
+ * @param {string} [options.filters.name] - Case-insensitive substring of the lobby name
+ * @param {number} [options.filters.minFreeSlots] - Only lobbies with at least this many free slots
+ * @param {string} [options.sortBy="age"] - LOBBY_DIRECTORY_SORTS value
+ * @param {number} [options.maxSeconds=20] - Walk time limit
+ * @returns {Promise<Object[]>} discoverLobby() listings plus memberCount, freeSlots,
+ *   occupancySource ("root" or "discovery"), epoch, openedAt, lastActivityAt and ageMs
+ */
+export async function browseLobbies(ctx, options = {}) {
+  const {
+    sinceMinutes = ctx.config.directoryWindowMinutes,
+    filters = {},
+    sortBy = LOBBY_DIRECTORY_SORTS.AGE,
+    maxSeconds = 20,
+  } = options;
+
+  if (!ctx.adapter?.walkDagRange) {
+    throw new Error("KKTP Lobby: walkDagRange not available on adapter");
+  }
+  if (!(Number.isFinite(sinceMinutes) && sinceMinutes > 0)) {
+    throw new Error("sinceMinutes must be a positive number");
+  }
+
+  const { name, minFreeSlots = 0, ...discoveryFilters } = filters;
+  const criteria = normalizeDiscoveryFilters({ ...discoveryFilters, lobby: true });
+  const compare = compareListings(sortBy);
+
+  const now = Date.now();
+  const sinceMs = now - sinceMinutes * 60_000;
+  const startHash = await findWindowStart(ctx, sinceMs);
+  if (!startHash) {
+    log.warn("KKTP Lobby: No block to start the directory walk from");
+    return [];
+  }
+
+  const listings = new Map();
+  const ends = [];
+  const roots = new Map();
+
+  await ctx.adapter.walkDagRange({
+    startHash,
+    prefixes: [LOBBY_DISCOVERY_PREFIX, LOBBY_ROOT_PREFIX],
+    minTimestamp: sinceMs,
+    maxSeconds,
+    onMatch: (match) => {
+      const raw = match?.decodedPayload;
+      if (typeof raw !== "string") return;
+
+      if (raw.startsWith(LOBBY_ROOT_PREFIX)) {
+        const root = parseLobbyRootPayload(raw);
+        try {
+          validateLobbyRoot(root);
+        } catch {
+          return;
+        }
+        if (!roots.has(root.lobbyId)) roots.set(root.lobbyId, []);
+        roots.get(root.lobbyId).push({ root, match });
+        return;
+      }
+
+      const anchor = parseKKTPPayload(raw)?.anchor;
+      if (anchor?.type === "session_end") {
+        if (anchor.reason !== LOBBY_ENDED_REASON) return;
+        try {
+          validateAnchorOrThrow(anchor);
+          ends.push(anchor);
+        } catch {
+          /* malformed end, ignore */
+        }
+        return;
+      }
+
+      try {
+        const info = lobbyInfoFromMatch(match, criteria, { source: "directory" });
+        if (info && !listings.has(info.lobbyId)) listings.set(info.lobbyId, info);
+      } catch {
+        /* invalid discovery, ignore */
+      }
+    },
+  });
+
+  const results = [];
+  let closed = 0;
+
+  for (const listing of listings.values()) {
+    const { discovery } = listing;
+
+    const end = ends.find((e) => e.sid === discovery.sid && e.pub_sig === discovery.pub_sig);
+    if (
+      end &&
+      (await ctx.sm.verifyIdentitySignature(end.pub_sig, lobbyEndSigningBody(end), end.sig))
+    ) {
+      closed++;
+      continue;
+    }
+
+    const openedAt = listing.match?.timestamp ?? now;
+    const latest = await latestHostRoot(ctx, listing, roots.get(listing.lobbyId) ?? []);
+    const memberCount = latest?.root.memberCount ?? 1;
+    const entry = {
+      ...listing,
+      memberCount,
+      freeSlots: Math.max(0, listing.maxMembers - memberCount),
+      occupancySource: latest ? "root" : "discovery",
+      epoch: latest?.root.epoch ?? null,
+      openedAt,
+      lastActivityAt: latest?.match?.timestamp ?? openedAt,
+      ageMs: Math.max(0, now - openedAt),
+    };
+
+    if (entry.freeSlots < minFreeSlots) continue;
+    if (name && !String(entry.lobbyName ?? "").toLowerCase().includes(name.toLowerCase())) {
+      continue;
+    }
+    results.push(entry);
+  }
+
+  results.sort(compare);
+
+  log.info("KKTP Lobby: Directory built", {
+    sinceMinutes,
+    listed: results.length,
+    closed,
+  });
+  return results;
+}
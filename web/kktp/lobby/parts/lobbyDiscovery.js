@@ -19,6 +19,9 @@ import {
   parseKKTPPayload,
   getExpectedEndMs,
   validateAnchorOrThrow,
+  normalizeDiscoveryFilters,
+  matchDiscovery,
+  walkRecentBlocks,
 } from "../../protocol/sessions/index.js";
 import { Logger, LogModule } from "../../core/logger.js";
 
@@ -184,11 +187,74 @@ export async function resolveJoinCode(ctx, joinCode) {
 }
 
 /**
- * Discover lobbies by scanning live matching transactions
+ * Turn a scanner or DAG-walk match into a lobby listing
+ * @param {Object} match - Match with decodedPayload, timestamp, blockHash and txid
+ * @param {Object} criteria - Output of normalizeDiscoveryFilters()
+ * @param {Object} [options]
+ * @param {boolean} [options.includeExpired=false] - Keep lobbies past expected_uptime_seconds
+ * @param {string} [options.prefix] - Payload prefix the match must carry
+ * @param {string} [options.source="live"] - Recorded on the listing
+ * @returns {Object|null} Lobby info, or null if the match is not a listable lobby
+ * @throws {Error} If the anchor fails schema validation
+ */
+export function lobbyInfoFromMatch(match, criteria, options = {}) {
+  const { includeExpired = false, prefix = LOBBY_DISCOVERY_PREFIX, source = "live" } = options;
+
+  const rawPayload = match?.decodedPayload;
+  if (!rawPayload || !rawPayload.startsWith(prefix)) return null;
+
+  const parsed = parseKKTPPayload(rawPayload);
+  if (!parsed || parsed.type !== "anchor") return null;
+
+  const anchor = parsed.anchor;
+  validateAnchorOrThrow(anchor);
+  if (anchor.type !== "discovery") return null;
+
+  const meta = anchor.meta || {};
+  if (meta.lobby !== true) return null;
+  try {
+    validateLobbyMeta(meta);
+  } catch {
+    return null;
+  }
+  if (!matchDiscovery(anchor, criteria, { observedAt: match?.timestamp }).matched) {
+    return null;
+  }
+
+  if (!includeExpired) {
+    const expectedEndMs = getExpectedEndMs(anchor, match?.timestamp);
+    if (expectedEndMs && Date.now() > expectedEndMs) return null;
+  }
+
+  const lobbyId = anchor.sid;
+  if (!lobbyId) return null;
+
+  const blockHash = match?.blockHash || match?.hash;
+  const txId = match?.txid || match?.txId || match?.transactionId;
+
+  return {
+    lobbyId,
+    lobbyName: meta.lobby_name,
+    game: meta.game,
+    maxMembers: meta.max_members,
+    access: meta.lobby_access ?? "open",
+    discovery: anchor,
+    meta,
+    match,
+    source,
+    joinCode: buildJoinCode(blockHash, txId),
+  };
+}
+
+/**
+ * Discover lobbies by scanning live matching transactions, optionally
+ * starting with recent DAG history
  *
  * @param {import("./lobbyContext.js").LobbyContext} ctx
  * @param {Object} [options]
  * @param {string} [options.gameName] - Filter by meta.game
+ * @param {Object} [options.filters] - Discovery filter (game, version range, capabilities, minUptimeSeconds, regions)
+ * @param {number} [options.historyBlocks=0] - Also walk this many recent blocks
  * @param {boolean} [options.includeExpired=false] - Include expired lobbies
  * @param {boolean} [options.autoStartScanner=true] - Start scanner if needed
  * @param {string} [options.prefix] - Override payload prefix to scan
@@ -199,6 +265,8 @@ export async function resolveJoinCode(ctx, joinCode) {
 export async function discoverLobby(ctx, options = {}) {
   const {
     gameName,
+    filters = {},
+    historyBlocks = 0,
     includeExpired = false,
     autoStartScanner = true,
     prefix = LOBBY_DISCOVERY_PREFIX,
@@ -210,52 +278,19 @@ export async function discoverLobby(ctx, options = {}) {
     throw new Error("KKTP Lobby: Scanner adapter is not available");
   }
 
+  const criteria = normalizeDiscoveryFilters({
+    ...filters,
+    game: filters.game ?? gameName,
+    lobby: true,
+  });
   const seen = new Map();
 
-  const handleMatch = (match) => {
+  const handleMatch = (match, source = "live") => {
     try {
-      const rawPayload = match?.decodedPayload;
-      if (!rawPayload || !rawPayload.startsWith(prefix)) return;
+      const info = lobbyInfoFromMatch(match, criteria, { includeExpired, prefix, source });
+      if (!info || seen.has(info.lobbyId)) return;
 
-      const parsed = parseKKTPPayload(rawPayload);
-      if (!parsed || parsed.type !== "anchor") return;
-
-      const anchor = parsed.anchor;
-      validateAnchorOrThrow(anchor);
-      if (anchor.type !== "discovery") return;
-
-      const meta = anchor.meta || {};
-      if (meta.lobby !== true) return;
-      try {
-        validateLobbyMeta(meta);
-      } catch {
-        return;
-      }
-      if (gameName && meta.game !== gameName) return;
-
-      if (!includeExpired) {
-        const expectedEndMs = getExpectedEndMs(anchor, match?.timestamp);
-        if (expectedEndMs && Date.now() > expectedEndMs) return;
-      }
-
-      const lobbyId = anchor.sid;
-      if (!lobbyId || seen.has(lobbyId)) return;
-
-      const blockHash = match?.blockHash || match?.hash;
-      const txId = match?.txid || match?.txId || match?.transactionId;
-
-      const info = {
-        lobbyId,
-        lobbyName: meta.lobby_name,
-        game: meta.game,
-        maxMembers: meta.max_members,
-        discovery: anchor,
-        meta,
-        match,
-        joinCode: buildJoinCode(blockHash, txId),
-      };
-
-      seen.set(lobbyId, info);
+      seen.set(info.lobbyId, info);
       onLobby?.(info);
     } catch (err) {
       onError?.(err);
@@ -273,6 +308,18 @@ export async function discoverLobby(ctx, options = {}) {
     }
   }
 
+  if (historyBlocks > 0) {
+    try {
+      await walkRecentBlocks(ctx.adapter, {
+        blocks: historyBlocks,
+        prefixes: [prefix],
+        onMatch: (match) => handleMatch(match, "history"),
+      });
+    } catch (err) {
+      onError?.(err);
+    }
+  }
+
   return {
     stop: () => {
       if (typeof unsubscribe === "function") {
@@ -7,10 +7,23 @@
  * @module kktp/lobby/parts/lobbyJoins
  */
 
-import { LOBBY_STATES, LOBBY_VERSION, MEMBER_ROLES } from "./lobbyContext.js";
+import {
+  LOBBY_STATES,
+  LOBBY_VERSION,
+  MEMBER_ROLES,
+  STATE_ROOT_REASONS,
+} from "./lobbyContext.js";
 import { truncate, exportGroupKey } from "./lobbyUtils.js";
 import { waitForUtxoRefresh, sendWithRetry } from "./lobbyUtxo.js";
-import { addMember, createMember, exportMemberList, broadcastMemberEvent, isMember, isLobbyFull } from "./lobbyRoster.js";
+import { addMember, removeMember, createMember, exportMemberList, broadcastMemberEvent, isMember, isLobbyFull } from "./lobbyRoster.js";
+import {
+  checkJoinAccess,
+  exportPublicAccess,
+  isInviteSpent,
+  recordRedeemedInvite,
+} from "./lobbyAccess.js";
+import { isBanned, forwardPendingJoin } from "./lobbyModeration.js";
+import { isSenderKeyMode, exportSenderChains } from "./lobbySenderKeys.js";
 import { validateJoinRequest, validateJoinResponse } from "../lobbySchemas.js";
 import { Logger, LogModule } from "../../core/logger.js";
 
@@ -107,27 +120,40 @@ export async function acceptJoinRequest(ctx, dmMailboxId, request) {
   const memberList = exportMemberList(ctx);
 
   // Send join response with group key
+  const extras = {
+    groupKey: exportGroupKey(ctx.lobby.groupKey),
+    keyVersion: ctx.lobby.keyVersion,
+    groupMailboxId: ctx.lobby.groupMailboxId,
+    lobbyId: ctx.lobby.lobbyId,
+    lobbyName: ctx.lobby.lobbyName,
+    hostPubSig: ctx.lobby.hostPubSig,
+    maxMembers: ctx.lobby.maxMembers,
+    members: memberList,
+    access: exportPublicAccess(ctx.lobby.access),
+    bans: ctx.lobby.bans ?? {},
+    stateRoot: ctx.lobby.stateRoot ?? null,
+  };
+  if (isSenderKeyMode(ctx)) {
+    // Everyone's current chain, so the newcomer can read from now on
+    extras.groupCrypto = ctx.lobby.groupCrypto;
+    extras.senderKeys = exportSenderChains(ctx, pubSig);
+  }
+
   try {
-    await sendJoinResponse(ctx, dmMailboxId, true, "Welcome", {
-      groupKey: exportGroupKey(ctx.lobby.groupKey),
-      keyVersion: ctx.lobby.keyVersion,
-      groupMailboxId: ctx.lobby.groupMailboxId,
-      lobbyId: ctx.lobby.lobbyId,
-      lobbyName: ctx.lobby.lobbyName,
-      hostPubSig: ctx.lobby.hostPubSig,
-      maxMembers: ctx.lobby.maxMembers,
-      members: memberList,
-    });
+    await sendJoinResponse(ctx, dmMailboxId, true, "Welcome", extras);
   } catch (err) {
     // Rollback if we fail to send response
     log.error("KKTP Lobby: Failed to send join response, removing member", {
       pubSig: truncate(pubSig),
       error: err.message,
     });
-    ctx.lobby.members.delete(pubSig);
+    removeMember(ctx, pubSig);
     throw err;
   }
 
+  // The invite is spent only now that the joiner is in
+  const inviteSpent = recordRedeemedInvite(ctx, request);
+
   // Wait for UTXO refresh before broadcasting member event
   await waitForUtxoRefresh(ctx, 1500, 5000);
 
@@ -141,6 +167,12 @@ export async function acceptJoinRequest(ctx, dmMailboxId, request) {
     });
   }
 
+  // Mirror the spent nonce so a successor host refuses it too
+  if (inviteSpent) await ctx.inviteRedeemed?.(request.invite);
+
+  // Anchor the new roster (queued behind any rotation in flight)
+  await ctx.stateRootAnchor?.(STATE_ROOT_REASONS.JOIN);
+
   // Emit event
   ctx.callbacks.onMemberJoin?.(member);
 
@@ -202,6 +234,20 @@ export async function processJoinQueue(ctx) {
         continue;
       }
 
+      // Re-check the invite: an earlier queued join may have spent it
+      if (isInviteSpent(ctx, request)) {
+        log.warn("KKTP Lobby: Invite spent while processing queue");
+        try {
+          await sendJoinResponse(ctx, dmMailboxId, false, "Invite already used");
+        } catch (err) {
+          log.warn("KKTP Lobby: Failed to send rejection", {
+            error: err.message,
+          });
+        }
+        resolve(false);
+        continue;
+      }
+
       // Process based on autoAcceptJoins setting
       if (ctx.config.autoAcceptJoins) {
         try {
@@ -229,6 +275,9 @@ export async function processJoinQueue(ctx) {
           ctx.callbacks.onJoinRequest(request, acceptFn, rejectFn);
         }
 
+        // Co-hosts may approve it too
+        await forwardPendingJoin(ctx, request);
+
         log.info("KKTP Lobby: Join request pending approval", {
           pubSig: truncate(pubSig),
           displayName,
@@ -347,8 +396,21 @@ export async function handleJoinRequest(ctx, dmMailboxId, request) {
     lobbyId: truncate(lobbyId),
   });
 
-  // Verify lobby ID matches
-  if (lobbyId !== ctx.lobby.lobbyId) {
+  // The claimed pubSig must be the key that answered our discovery on this
+  // DM session; allowlisted pubSigs are public, so a bare claim proves nothing
+  const sessionPeer = ctx.sm.getSession(dmMailboxId)?.peerPubSig;
+  if (!sessionPeer || sessionPeer.toLowerCase() !== pubSig.toLowerCase()) {
+    log.warn("KKTP Lobby: Join request pubSig does not match DM session peer", {
+      pubSig: truncate(pubSig),
+      sessionPeer: truncate(sessionPeer),
+    });
+    await sendJoinResponse(ctx, dmMailboxId, false, "Join request identity mismatch");
+    return false;
+  }
+
+  // Verify lobby ID matches (after a host migration, joiners find the new
+  // host's discovery sid rather than the original lobbyId)
+  if (lobbyId !== ctx.lobby.lobbyId && lobbyId !== ctx.lobby.discovery?.sid) {
     log.warn("KKTP Lobby: Join request for wrong lobby", {
       expected: truncate(ctx.lobby.lobbyId),
       received: truncate(lobbyId),
@@ -371,6 +433,26 @@ export async function handleJoinRequest(ctx, dmMailboxId, request) {
     return true;
   }
 
+  if (isBanned(ctx, pubSig)) {
+    log.warn("KKTP Lobby: Join request from banned peer", {
+      pubSig: truncate(pubSig),
+    });
+    await sendJoinResponse(ctx, dmMailboxId, false, "Banned from lobby");
+    return false;
+  }
+
+  // Enforce password / invite / allowlist before the host ever sees it
+  const access = await checkJoinAccess(ctx, request);
+  if (!access.allowed) {
+    log.warn("KKTP Lobby: Join request denied by access mode", {
+      pubSig: truncate(pubSig),
+      mode: ctx.lobby.access?.mode,
+      reason: access.reason,
+    });
+    await sendJoinResponse(ctx, dmMailboxId, false, access.reason);
+    return false;
+  }
+
   // Queue the join request for serialized processing
   return new Promise((resolve) => {
     ctx.joinRequestQueue.push({
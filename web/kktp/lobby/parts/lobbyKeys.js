@@ -3,14 +3,21 @@
  *
  * Handles key vault management, key rotation (host), and key rotation
  * handling (member). Uses epoch versioning to handle race conditions.
+ * Sender-key lobbies skip the DM fan-out; see lobbySenderKeys.
  *
  * @module kktp/lobby/parts/lobbyKeys
  */
 
-import { LOBBY_STATES, LOBBY_VERSION, MEMBER_ROLES } from "./lobbyContext.js";
+import {
+  LOBBY_STATES,
+  LOBBY_VERSION,
+  MEMBER_ROLES,
+  STATE_ROOT_REASONS,
+} from "./lobbyContext.js";
 import { generateGroupKey, uint8ToHex, hexToUint8, computeStateRoot, truncate } from "./lobbyUtils.js";
 import { waitForUtxoRefresh, sendWithRetry } from "./lobbyUtxo.js";
 import { processBufferedFutureMessages } from "./lobbyMessaging.js";
+import { isSenderKeyMode, seedSenderKey } from "./lobbySenderKeys.js";
 import { validateKeyRotation } from "../lobbySchemas.js";
 import { Logger, LogModule } from "../../core/logger.js";
 
@@ -81,6 +88,8 @@ export function stopKeyRotation(ctx) {
  * Rotate the group key (host only)
  * Distributes new key to ALL members before updating local state.
  * Uses Key Vault to keep previous key for receiving late messages.
+ * In sender_keys lobbies only the host's own chain is re-seeded, which is
+ * a single group broadcast instead of one DM per member.
  * @param {import("./lobbyContext.js").LobbyContext} ctx
  * @param {string} [reason="Scheduled rotation"]
  */
@@ -89,6 +98,11 @@ export async function rotateKey(ctx, reason = "Scheduled rotation") {
     throw new Error("Only host can rotate keys");
   }
 
+  if (isSenderKeyMode(ctx)) {
+    await seedSenderKey(ctx, reason);
+    return;
+  }
+
   // Generate new key
   const newKey = await generateGroupKey();
   const newVersion = ctx.lobby.keyVersion + 1;
@@ -180,6 +194,9 @@ export async function rotateKey(ctx, reason = "Scheduled rotation") {
   // Emit event
   ctx.callbacks.onKeyRotation?.(newVersion);
 
+  // Anchor the root for the new key version
+  await ctx.stateRootAnchor?.(STATE_ROOT_REASONS.ROTATION);
+
   log.info("KKTP Lobby: Key rotated", {
     version: newVersion,
     previousVersion: ctx.keyVault.previous?.version ?? "none",
@@ -197,6 +214,42 @@ export async function rotateKey(ctx, reason = "Scheduled rotation") {
   }
 }
 
+/**
+ * Send the current group key to a single member (host only)
+ * Used when a member reconnects after the rest of the group was rekeyed,
+ * e.g. a late rejoin after host migration.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} member - Roster entry with dmMailboxId
+ * @param {string} [reason="Key resync"]
+ */
+export async function sendCurrentKey(ctx, member, reason = "Key resync") {
+  if (ctx.state !== LOBBY_STATES.HOSTING) {
+    throw new Error("Only host can distribute keys");
+  }
+  if (!member?.dmMailboxId) {
+    throw new Error("Member has no DM session");
+  }
+
+  const distribution = {
+    type: "key_rotation",
+    version: LOBBY_VERSION,
+    lobbyId: ctx.lobby.lobbyId,
+    keyVersion: ctx.lobby.keyVersion,
+    groupKey: uint8ToHex(ctx.lobby.groupKey),
+    stateRoot: computeStateRoot(ctx.lobby),
+    reason,
+    timestamp: Date.now(),
+  };
+
+  await sendWithRetry(ctx, member.dmMailboxId, JSON.stringify(distribution), 3);
+
+  log.info("KKTP Lobby: Current key sent to member", {
+    pubSig: truncate(member.pubSig),
+    keyVersion: ctx.lobby.keyVersion,
+    reason,
+  });
+}
+
 /**
  * Handle key rotation from host (member only)
  * Uses Key Vault to keep previous key for receiving late messages.
@@ -0,0 +1,515 @@
+/**
+ * LobbyMatchmaking - Serverless matchmaking queue on top of lobby discovery
+ *
+ * A seeking player publishes a short-lived discovery anchor (a "ticket")
+ * with meta.matchmaking, the game, a mode and a rating bucket. Everyone
+ * watching the queue runs the same pairing rule over the live tickets:
+ * tickets are ordered by block time then txid, and the oldest ticket is
+ * paired with the oldest compatible one after it. Both sides therefore
+ * agree on the pair, and on the host (the older ticket), without talking.
+ *
+ * The host opens a two-seat lobby whose meta names both tickets and is
+ * signed by the host ticket's key (match_sig). The guest joins the first
+ * such lobby that verifies. Anyone who sees it drops both tickets from
+ * their queue. A guest whose host never opens the lobby skips that ticket
+ * after matchHostTimeoutMs and re-pairs.
+ *
+ * Ratings use the Elo scale; only the bucket (RATING_BUCKET_SIZE points
+ * wide) is published.
+ *
+ * @module kktp/lobby/parts/lobbyMatchmaking
+ */
+
+import { LOBBY_DISCOVERY_PREFIX, LOBBY_STATES } from "./lobbyContext.js";
+import { truncate } from "./lobbyUtils.js";
+import { subscribePrefix, unsubscribePrefix } from "./lobbySubscriptions.js";
+import { validateLobbyMeta, validateMatchTicketMeta } from "../lobbySchemas.js";
+import {
+  parseKKTPPayload,
+  getExpectedEndMs,
+  validateAnchorOrThrow,
+  walkRecentBlocks,
+} from "../../protocol/sessions/index.js";
+import { Logger, LogModule } from "../../core/logger.js";
+
+const log = Logger.create(LogModule.lobby.parts.lobbyMatchmaking);
+
+/**
+ * Width of a published rating bucket, in rating points
+ */
+export const RATING_BUCKET_SIZE = 100;
+
+/**
+ * Largest bucket distance two tickets may have and still be paired
+ */
+export const MATCH_BUCKET_SPREAD = 1;
+
+/**
+ * Elo parameters used for locally tracked ratings
+ */
+export const RATING_DEFAULTS = {
+  INITIAL: 1200,
+  K_FACTOR: 32,
+};
+
+/**
+ * Map a rating to its published bucket
+ * @param {number} rating
+ * @returns {number} Non-negative bucket index
+ */
+export function ratingBucket(rating) {
+  if (!Number.isFinite(rating)) return 0;
+  return Math.max(0, Math.floor(rating / RATING_BUCKET_SIZE));
+}
+
+/**
+ * Elo update for one game
+ * @param {number} rating - Our rating before the game
+ * @param {number} opponentRating - Opponent's rating before the game
+ * @param {number} score - 1 win, 0.5 draw, 0 loss
+ * @param {number} [kFactor]
+ * @returns {number} New rating (rounded)
+ */
+export function updateRating(rating, opponentRating, score, kFactor = RATING_DEFAULTS.K_FACTOR) {
+  const expected = 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+  return Math.round(rating + kFactor * (score - expected));
+}
+
+/**
+ * Score a finished match from both players' audit verdicts. A completed
+ * run beats a forfeit or timeout; two completed runs compare final scores.
+ * @param {Object} ownAudit - auditCheating() verdict for our chain
+ * @param {Object} opponentAudit - auditCheating() verdict for the opponent's chain
+ * @returns {number|null} 1, 0.5 or 0; null unless both audits passed
+ */
+export function scoreMatch(ownAudit, opponentAudit) {
+  if (!ownAudit?.passed || !opponentAudit?.passed) return null;
+
+  const ownDone = ownAudit.finalOutcomeName === "complete";
+  const theirDone = opponentAudit.finalOutcomeName === "complete";
+  if (ownDone !== theirDone) return ownDone ? 1 : 0;
+  if (!ownDone) return 0.5;
+
+  const diff = (ownAudit.finalScore ?? 0) - (opponentAudit.finalScore ?? 0);
+  return diff > 0 ? 1 : diff < 0 ? 0 : 0.5;
+}
+
+/**
+ * Body signed by the host ticket key to claim a pairing
+ * @param {string} hostSid - Host ticket sid
+ * @param {string} guestSid - Guest ticket sid
+ * @returns {string}
+ */
+export function matchSigningBody(hostSid, guestSid) {
+  return `KKTP:MATCH:${hostSid}:${guestSid}`;
+}
+
+/**
+ * Build the discovery meta of a matchmaking ticket
+ * @param {Object} options
+ * @param {string} options.gameName
+ * @param {string} [options.gameVersion="1.0.0"]
+ * @param {string} [options.mode="default"]
+ * @param {number} [options.rating]
+ * @param {number} options.ttlSeconds
+ * @returns {Object} Ticket meta
+ * @throws {import("../lobbySchemas.js").LobbyValidationError}
+ */
+export function buildMatchTicketMeta({
+  gameName,
+  gameVersion = "1.0.0",
+  mode = "default",
+  rating = RATING_DEFAULTS.INITIAL,
+  ttlSeconds,
+}) {
+  const meta = {
+    game: gameName,
+    version: gameVersion,
+    expected_uptime_seconds: ttlSeconds,
+    matchmaking: true,
+    match_mode: mode,
+    rating_bucket: ratingBucket(rating),
+  };
+  validateMatchTicketMeta(meta);
+  return meta;
+}
+
+/**
+ * Extract the discovery anchor from a scanner match
+ * @private
+ */
+function discoveryFromMatch(match) {
+  const rawPayload = match?.decodedPayload;
+  if (!rawPayload || !rawPayload.startsWith(LOBBY_DISCOVERY_PREFIX)) return null;
+
+  const parsed = parseKKTPPayload(rawPayload);
+  if (!parsed || parsed.type !== "anchor") return null;
+
+  const anchor = parsed.anchor;
+  try {
+    validateAnchorOrThrow(anchor);
+  } catch {
+    return null;
+  }
+  return anchor?.type === "discovery" ? anchor : null;
+}
+
+/**
+ * Parse a scanner match into a queue entry
+ * @param {Object} match - Scanner match / DAG walk record
+ * @returns {Object|null} { sid, pubSig, game, version, mode, bucket, observedAt, txid, expiresAt }
+ */
+export function parseMatchTicket(match) {
+  const anchor = discoveryFromMatch(match);
+  if (!anchor) return null;
+
+  const meta = anchor.meta || {};
+  try {
+    validateMatchTicketMeta(meta);
+  } catch {
+    return null;
+  }
+
+  const observedAt = match.timestamp;
+  if (!Number.isFinite(observedAt)) return null;
+
+  return {
+    sid: anchor.sid,
+    pubSig: anchor.pub_sig,
+    game: meta.game,
+    version: meta.version,
+    mode: meta.match_mode,
+    bucket: meta.rating_bucket,
+    observedAt,
+    txid: match.txid || match.txId || match.transactionId || "",
+    expiresAt: getExpectedEndMs(anchor, observedAt),
+  };
+}
+
+/**
+ * Parse a scanner match into a match lobby announcement
+ * @param {Object} match - Scanner match / DAG walk record
+ * @returns {Object|null} { hostSid, guestSid, sig, discovery }
+ */
+export function parseMatchLobby(match) {
+  const anchor = discoveryFromMatch(match);
+  if (!anchor || anchor.meta?.lobby !== true || !anchor.meta.match_tickets) return null;
+
+  try {
+    validateLobbyMeta(anchor.meta);
+  } catch {
+    return null;
+  }
+
+  const [hostSid, guestSid] = anchor.meta.match_tickets;
+  return { hostSid, guestSid, sig: anchor.meta.match_sig, discovery: anchor };
+}
+
+/**
+ * Queue order: block time, then txid
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+export function compareTickets(a, b) {
+  if (a.observedAt !== b.observedAt) return a.observedAt - b.observedAt;
+  return a.txid < b.txid ? -1 : a.txid > b.txid ? 1 : 0;
+}
+
+/**
+ * Whether two tickets may be paired
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function isCompatibleTicket(a, b) {
+  return (
+    a.sid !== b.sid &&
+    a.pubSig !== b.pubSig &&
+    a.game === b.game &&
+    a.version === b.version &&
+    a.mode === b.mode &&
+    Math.abs(a.bucket - b.bucket) <= MATCH_BUCKET_SPREAD
+  );
+}
+
+/**
+ * Deterministic pairing over a queue snapshot. Walks the queue oldest
+ * first and pairs each unpaired ticket with the oldest compatible
+ * unpaired ticket after it; the older ticket of a pair hosts.
+ * @param {Object[]} tickets - Queue entries (any order)
+ * @returns {Array<{ host: Object, guest: Object }>}
+ */
+export function pairMatchQueue(tickets) {
+  const ordered = [...tickets].sort(compareTickets);
+  const paired = new Set();
+  const pairs = [];
+
+  for (let i = 0; i < ordered.length; i++) {
+    if (paired.has(ordered[i].sid)) continue;
+    for (let j = i + 1; j < ordered.length; j++) {
+      if (paired.has(ordered[j].sid)) continue;
+      if (!isCompatibleTicket(ordered[i], ordered[j])) continue;
+      paired.add(ordered[i].sid);
+      paired.add(ordered[j].sid);
+      pairs.push({ host: ordered[i], guest: ordered[j] });
+      break;
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Publish a ticket and wait until the queue pairs it, then host or join
+ * the match lobby through the given callbacks.
+ *
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} options
+ * @param {string} options.gameName
+ * @param {string} [options.gameVersion="1.0.0"]
+ * @param {string} [options.mode="default"]
+ * @param {number} [options.rating]
+ * @param {number} [options.timeoutMs] - Give up earlier than the ticket TTL
+ * @param {Function} [options.onQueue] - Called with the live queue on every change
+ * @param {Function} hostMatch - ({ tickets, ticketPubSig, opponent }) => Promise, opens the lobby
+ * @param {Function} joinMatch - (discovery, opponent) => Promise, joins the host's lobby
+ * @returns {Promise<Object>} { role, opponent, ticket, ...host/join result }
+ */
+export async function findMatch(ctx, options, hostMatch, joinMatch) {
+  if (ctx.matchmaking) {
+    throw new Error("KKTP Lobby: Already searching for a match");
+  }
+  if (ctx.state !== LOBBY_STATES.IDLE) {
+    throw new Error(`Cannot search for a match in state: ${ctx.state}`);
+  }
+  if (!ctx.adapter?.addPrefix || !ctx.adapter?.onNewTransactionMatch) {
+    throw new Error("KKTP Lobby: Scanner adapter is not available");
+  }
+
+  const { config } = ctx;
+  const meta = buildMatchTicketMeta({ ...options, ttlSeconds: config.matchTicketTtlSeconds });
+
+  const tickets = new Map();
+  const consumed = new Set();
+  const skipped = new Set();
+  const claims = [];
+  const verified = new Map();
+
+  let own = null;
+  let acting = false;
+  let waitingFor = null;
+  let hostTimer = null;
+  let deadlineTimer = null;
+  let unsubscribe = null;
+  let settle = null;
+
+  const search = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  });
+
+  const stopWatching = () => {
+    clearTimeout(hostTimer);
+    clearTimeout(deadlineTimer);
+    if (typeof unsubscribe === "function") unsubscribe();
+    unsubscribe = null;
+    unsubscribePrefix(ctx, LOBBY_DISCOVERY_PREFIX);
+  };
+
+  const finish = (err, result) => {
+    if (!ctx.matchmaking) return;
+    stopWatching();
+    ctx.matchmaking = null;
+    if (err) settle.reject(err);
+    else settle.resolve(result);
+  };
+
+  const act = async (role, opponent, action) => {
+    acting = true;
+    stopWatching();
+    log.info("KKTP Lobby: Match found", {
+      role,
+      ticket: truncate(own.sid),
+      opponent: truncate(opponent.sid),
+    });
+    try {
+      const result = await action();
+      finish(null, { role, opponent, ticket: own, ...result });
+    } catch (err) {
+      finish(err);
+    }
+  };
+
+  // A claim counts once the host ticket's key has signed it
+  const verifyClaim = async (claim) => {
+    const key = `${claim.hostSid}:${claim.guestSid}`;
+    const hostTicket = tickets.get(claim.hostSid);
+    if (verified.has(key) || !hostTicket) return false;
+
+    const valid = await ctx.sm.verifyIdentitySignature(
+      hostTicket.pubSig,
+      matchSigningBody(claim.hostSid, claim.guestSid),
+      claim.sig,
+    );
+    if (!valid) {
+      log.warn("KKTP Lobby: Ignoring match lobby with a bad match_sig", {
+        lobbyId: truncate(claim.discovery.sid),
+      });
+      return false;
+    }
+    verified.set(key, claim);
+    consumed.add(claim.hostSid);
+    consumed.add(claim.guestSid);
+    return true;
+  };
+
+  const evaluate = async () => {
+    if (acting || !ctx.matchmaking) return;
+
+    for (const claim of claims.splice(0)) {
+      if (!(await verifyClaim(claim)) && !tickets.has(claim.hostSid)) {
+        claims.push(claim); // host ticket not seen yet
+      }
+    }
+    if (!own) return;
+
+    // First host that signed a claim on our ticket wins
+    const claim = [...verified.values()].find((c) => c.guestSid === own.sid);
+    if (claim) {
+      const host = tickets.get(claim.hostSid);
+      await act("guest", host, () => joinMatch(claim.discovery, host));
+      return;
+    }
+
+    const now = Date.now();
+    const live = [...tickets.values()].filter(
+      (t) =>
+        !consumed.has(t.sid) &&
+        !skipped.has(t.sid) &&
+        (!t.expiresAt || now < t.expiresAt),
+    );
+    ctx.matchmaking?.onQueue?.(live);
+
+    const pair = pairMatchQueue(live).find(
+      (p) => p.host.sid === own.sid || p.guest.sid === own.sid,
+    );
+
+    if (pair?.host.sid === own.sid) {
+      await act("host", pair.guest, () =>
+        hostMatch({
+          tickets: [own.sid, pair.guest.sid],
+          ticketPubSig: own.pubSig,
+          opponent: pair.guest,
+        }),
+      );
+      return;
+    }
+
+    if (pair?.host.sid !== waitingFor?.sid) {
+      clearTimeout(hostTimer);
+      waitingFor = pair?.host ?? null;
+      if (waitingFor) {
+        const host = waitingFor;
+        hostTimer = setTimeout(() => {
+          log.info("KKTP Lobby: Paired host never opened the match, skipping", {
+            ticket: truncate(host.sid),
+          });
+          skipped.add(host.sid);
+          waitingFor = null;
+          void schedule();
+        }, config.matchHostTimeoutMs);
+      }
+    }
+  };
+
+  // Serialize evaluations so a verification await never interleaves
+  let queue = Promise.resolve();
+  const schedule = () => {
+    queue = queue.then(evaluate).catch((err) => finish(err));
+    return queue;
+  };
+
+  const ingest = (match) => {
+    if (acting) return;
+    const claim = parseMatchLobby(match);
+    if (claim) {
+      claims.push(claim);
+      void schedule();
+      return;
+    }
+    const ticket = parseMatchTicket(match);
+    if (!ticket || tickets.has(ticket.sid)) return;
+    if (ticket.game !== meta.game || ticket.mode !== meta.match_mode) return;
+
+    tickets.set(ticket.sid, ticket);
+    adoptOwnTicket();
+    void schedule();
+  };
+
+  // Our place in the queue is only known once the ticket is in a block
+  const adoptOwnTicket = () => {
+    const ticket = tickets.get(ctx.matchmaking?.sid);
+    if (own || !ticket) return;
+    own = ticket;
+    const expiresIn = (ticket.expiresAt ?? Infinity) - Date.now();
+    const limit = Math.min(expiresIn, options.timeoutMs ?? Infinity);
+    deadlineTimer = setTimeout(
+      () => finish(new Error("KKTP Lobby: No match found before the ticket expired")),
+      Math.max(0, limit),
+    );
+  };
+
+  ctx.matchmaking = {
+    sid: null,
+    onQueue: options.onQueue ?? null,
+    cancel: () => {
+      if (acting) return false;
+      finish(new Error("KKTP Lobby: Matchmaking cancelled"));
+      return true;
+    },
+  };
+
+  try {
+    unsubscribe = ctx.adapter.onNewTransactionMatch(ingest);
+    subscribePrefix(ctx, LOBBY_DISCOVERY_PREFIX);
+    if (ctx.adapter.startScanner) {
+      try {
+        await ctx.adapter.startScanner();
+      } catch { /* ignore */ }
+    }
+
+    const { discovery } = await ctx.sm.broadcastDiscovery(meta);
+    if (!discovery?.sid) {
+      throw new Error("Failed to broadcast matchmaking ticket");
+    }
+    if (ctx.matchmaking) {
+      ctx.matchmaking.sid = discovery.sid;
+      adoptOwnTicket();
+    }
+    log.info("KKTP Lobby: Matchmaking ticket published", {
+      sid: truncate(discovery.sid),
+      mode: meta.match_mode,
+      bucket: meta.rating_bucket,
+    });
+
+    if (config.matchHistoryBlocks > 0) {
+      await walkRecentBlocks(ctx.adapter, {
+        blocks: config.matchHistoryBlocks,
+        prefixes: [LOBBY_DISCOVERY_PREFIX],
+        onMatch: ingest,
+      });
+    }
+  } catch (err) {
+    finish(err);
+  }
+
+  return search;
+}
+
+/**
+ * Cancel a matchmaking search that has not been paired yet
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @returns {boolean} Whether a search was cancelled
+ */
+export function cancelMatchmaking(ctx) {
+  return ctx.matchmaking?.cancel() ?? false;
+}
@@ -1,14 +1,27 @@
 /**
  * LobbyMessaging - Group messaging and message history
  *
- * Handles sending/receiving group messages, deduplication,
- * and epoch versioning for key rotation race conditions.
+ * Handles sending/receiving group messages, sender signatures,
+ * deduplication, and epoch versioning for key rotation race conditions.
+ * Control messages (GROUP_CONTROL_TYPES) share the same signed envelope
+ * and are diverted to ctx.groupControlHandler after decryption.
+ * In sender_keys lobbies each envelope is keyed from the sender's own chain
+ * (see lobbySenderKeys) instead of the shared group key.
+ * Plaintexts that are chat records (see lobbyChat) are folded into history
+ * by id instead of appended.
  *
  * @module kktp/lobby/parts/lobbyMessaging
  */
 
-import { LOBBY_STATES } from "./lobbyContext.js";
+import { LOBBY_STATES, SPOOF_REASONS, GROUP_CONTROL_TYPES } from "./lobbyContext.js";
 import { truncate } from "./lobbyUtils.js";
+import {
+  SENDER_KEY_STATUS,
+  isSenderKeyMode,
+  nextOwnMessageKey,
+  resolveSenderMessageKey,
+} from "./lobbySenderKeys.js";
+import { parseChatRecord, applyChatRecord, forgetChatEntry } from "./lobbyChat.js";
 import { validateGroupMessage } from "../lobbySchemas.js";
 import { Logger, LogModule } from "../../core/logger.js";
 
@@ -22,10 +35,24 @@ const log = Logger.create(LogModule.lobby.parts.lobbyMessaging);
 export function addToHistory(ctx, msg) {
   ctx.messageHistory.push(msg);
   if (ctx.messageHistory.length > ctx.config.maxHistorySize) {
-    ctx.messageHistory.shift();
+    forgetChatEntry(ctx, ctx.messageHistory.shift());
   }
 }
 
+/**
+ * Record a sent or received message: chat records are applied by id,
+ * anything else is appended
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} msg - History entry
+ * @returns {boolean} False if a chat record was a duplicate or rejected
+ */
+function recordMessage(ctx, msg) {
+  const record = parseChatRecord(msg.plaintext);
+  if (record) return applyChatRecord(ctx, record, msg);
+  addToHistory(ctx, msg);
+  return true;
+}
+
 /**
  * Check if a message is a duplicate based on senderPubSig and nonce
  * @param {import("./lobbyContext.js").LobbyContext} ctx
@@ -39,6 +66,66 @@ export function isDuplicateMessage(ctx, senderPubSig, nonce) {
   );
 }
 
+/**
+ * Encrypt, sign and broadcast a plaintext to the group mailbox
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} codec - LobbyCodec instance
+ * @param {string} plaintext - Message content
+ * @returns {Promise<Object>} - { result, encrypted, senderPubSig }
+ */
+async function broadcastSigned(ctx, codec, plaintext) {
+  // Receivers check the signature against the roster, so we must send as
+  // the pub_sig we joined (or host) with
+  const senderPubSig = ctx.lobby?.myPubSig || null;
+  if (!senderPubSig) {
+    throw new Error("Lobby identity unknown; cannot sign group message");
+  }
+
+  let encrypted;
+  if (isSenderKeyMode(ctx)) {
+    // Encrypt with the next key from our own chain
+    const { key, epoch, iteration } = nextOwnMessageKey(ctx);
+    encrypted = await codec.encryptGroupMessage(
+      plaintext,
+      key,
+      ctx.lobby.groupMailboxId,
+      epoch,
+      senderPubSig,
+      iteration
+    );
+    key.fill(0);
+  } else {
+    // Encrypt with group key
+    encrypted = await codec.encryptGroupMessage(
+      plaintext,
+      ctx.lobby.groupKey,
+      ctx.lobby.groupMailboxId,
+      ctx.lobby.keyVersion,
+      senderPubSig
+    );
+  }
+
+  // Sign the envelope with our KKTP signing key
+  encrypted.sig = await ctx.sm.signAsIdentity(
+    senderPubSig,
+    codec.signingBody(encrypted, ctx.lobby.groupMailboxId)
+  );
+
+  // Broadcast to group mailbox
+  const payload = `KKTP:GROUP:${ctx.lobby.groupMailboxId}:${JSON.stringify(encrypted)}`;
+
+  // Get address for self-send
+  const address = await ctx.adapter.getAddress();
+  const result = await ctx.adapter.send({
+    toAddress: address,
+    amount: "1",
+    payload,
+  });
+  ctx.lastGroupSendAt = Date.now();
+
+  return { result, encrypted, senderPubSig };
+}
+
 /**
  * Send a message to the lobby group
  * @param {import("./lobbyContext.js").LobbyContext} ctx
@@ -59,37 +146,14 @@ export async function sendGroupMessage(ctx, codec, plaintext) {
     throw new Error("plaintext must be a non-empty string");
   }
 
-  let senderPubSig = ctx.lobby?.myPubSig || null;
-  if (!senderPubSig) {
-    const myKeys = await ctx.adapter.generateIdentityKeys(0);
-    if (!myKeys?.sig?.publicKey) {
-      throw new Error("Failed to get identity keys");
-    }
-    senderPubSig = myKeys.sig.publicKey;
+  if (ctx.lobby.members.get(ctx.lobby.myPubSig)?.muted) {
+    throw new Error("You are muted in this lobby");
   }
 
-  // Encrypt with group key
-  const encrypted = await codec.encryptGroupMessage(
-    plaintext,
-    ctx.lobby.groupKey,
-    ctx.lobby.groupMailboxId,
-    ctx.lobby.keyVersion,
-    senderPubSig
-  );
-
-  // Broadcast to group mailbox
-  const payload = `KKTP:GROUP:${ctx.lobby.groupMailboxId}:${JSON.stringify(encrypted)}`;
-
-  // Get address for self-send
-  const address = await ctx.adapter.getAddress();
-  const result = await ctx.adapter.send({
-    toAddress: address,
-    amount: "1",
-    payload,
-  });
+  const { result, encrypted, senderPubSig } = await broadcastSigned(ctx, codec, plaintext);
 
   // Add to local history with nonce for deduplication
-  addToHistory(ctx, {
+  recordMessage(ctx, {
     type: "outbound",
     senderPubSig,
     plaintext,
@@ -101,6 +165,89 @@ export async function sendGroupMessage(ctx, codec, plaintext) {
   return result;
 }
 
+/**
+ * Send a lobby control message (GROUP_CONTROL_TYPES) over the group mailbox.
+ * It travels as an ordinary signed group message but stays out of history.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} codec - LobbyCodec instance
+ * @param {Object} message - Control message with a GROUP_CONTROL_TYPES type
+ * @returns {Promise<Object>} - { txid }
+ */
+export async function sendGroupControl(ctx, codec, message) {
+  if (!GROUP_CONTROL_TYPES.has(message?.type)) {
+    throw new Error(`Not a group control message: ${message?.type}`);
+  }
+  if (!ctx.lobby?.groupKey || !ctx.lobby?.groupMailboxId) {
+    throw new Error("Lobby not initialized or missing group key");
+  }
+
+  const { result } = await broadcastSigned(ctx, codec, JSON.stringify(message));
+  return result;
+}
+
+/**
+ * Parse a decrypted plaintext as a lobby control message
+ * @param {string} plaintext
+ * @returns {Object|null} The control message, or null for application data
+ */
+function parseControlMessage(plaintext) {
+  if (typeof plaintext !== "string" || !plaintext.startsWith("{")) return null;
+  try {
+    const message = JSON.parse(plaintext);
+    return GROUP_CONTROL_TYPES.has(message?.type) ? message : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check that a group message was signed by the roster member it claims to
+ * come from. Anything else is dropped and reported via onSpoofAttempt.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} codec - LobbyCodec instance
+ * @param {Object} encrypted - The encrypted message
+ * @returns {Promise<boolean>} Whether the sender is authentic
+ */
+export async function verifyGroupMessageSender(ctx, codec, encrypted) {
+  const member = ctx.lobby.members.get(encrypted.senderPubSig);
+
+  let reason = null;
+  if (!member) {
+    reason = SPOOF_REASONS.UNKNOWN_SENDER;
+  } else if (!encrypted.sig) {
+    reason = SPOOF_REASONS.UNSIGNED;
+  } else {
+    let valid = false;
+    try {
+      valid = await ctx.sm.verifyIdentitySignature(
+        member.pubSig,
+        codec.signingBody(encrypted, ctx.lobby.groupMailboxId),
+        encrypted.sig
+      );
+    } catch {
+      valid = false;
+    }
+    if (!valid) reason = SPOOF_REASONS.BAD_SIGNATURE;
+  }
+
+  if (!reason) return true;
+
+  log.warn("KKTP Lobby: Dropping group message with unverified sender", {
+    reason,
+    senderPubSig: truncate(encrypted.senderPubSig),
+    keyVersion: encrypted.keyVersion,
+  });
+  ctx.callbacks.onSpoofAttempt?.({
+    reason,
+    senderPubSig: encrypted.senderPubSig,
+    claimedName: member?.displayName ?? null,
+    keyVersion: encrypted.keyVersion,
+    nonce: encrypted.nonce,
+    timestamp: encrypted.timestamp ?? null,
+  });
+  return false;
+}
+
 /**
  * Decrypt a group message with a specific key and emit the result
  * @param {import("./lobbyContext.js").LobbyContext} ctx
@@ -116,8 +263,23 @@ export async function decryptAndProcessMessage(ctx, codec, encrypted, key) {
       ctx.lobby.groupMailboxId
     );
 
+    // Lobby control traffic is handled internally, never by the app
+    const control = parseControlMessage(decrypted);
+    if (control) {
+      await ctx.groupControlHandler?.(control, encrypted.senderPubSig);
+      return;
+    }
+
+    // Everyone enforces a group-wide mute by dropping the sender
+    if (ctx.lobby.members.get(encrypted.senderPubSig)?.muted) {
+      log.debug("KKTP Lobby: Dropping message from muted member", {
+        senderPubSig: truncate(encrypted.senderPubSig),
+      });
+      return;
+    }
+
     // Add to history with nonce for potential future deduplication
-    addToHistory(ctx, {
+    const recorded = recordMessage(ctx, {
       type: "inbound",
       senderPubSig: encrypted.senderPubSig,
       plaintext: decrypted,
@@ -125,6 +287,7 @@ export async function decryptAndProcessMessage(ctx, codec, encrypted, key) {
       nonce: encrypted.nonce,
       keyVersion: encrypted.keyVersion,
     });
+    if (!recorded) return;
 
     // Emit event
     ctx.callbacks.onGroupMessage?.({
@@ -183,6 +346,11 @@ export function bufferFutureMessage(ctx, encrypted) {
 export async function processBufferedFutureMessages(ctx, codec) {
   if (ctx.futureMessageBuffer.length === 0) return;
 
+  if (isSenderKeyMode(ctx)) {
+    await processBufferedSenderMessages(ctx, codec);
+    return;
+  }
+
   const currentVersion = ctx.keyVault.current?.version;
   const previousVersion = ctx.keyVault.previous?.version;
   const now = Date.now();
@@ -248,15 +416,86 @@ export async function processBufferedFutureMessages(ctx, codec) {
   });
 }
 
+/**
+ * Sender-key counterpart of processBufferedFutureMessages: retry every
+ * buffered envelope against the sender chains we now hold
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} codec - LobbyCodec instance
+ */
+async function processBufferedSenderMessages(ctx, codec) {
+  const now = Date.now();
+  const buffered = ctx.futureMessageBuffer;
+  ctx.futureMessageBuffer = [];
+
+  let processed = 0;
+  for (const entry of buffered) {
+    if (now - entry.receivedAt >= ctx.config.futureBufferTtlMs) continue;
+
+    const { status, key } = resolveSenderMessageKey(ctx, entry.encrypted);
+    if (status === SENDER_KEY_STATUS.PENDING) {
+      ctx.futureMessageBuffer.push(entry);
+    } else if (status === SENDER_KEY_STATUS.READY) {
+      await decryptAndProcessMessage(ctx, codec, entry.encrypted, key);
+      key.fill(0);
+      processed++;
+    }
+  }
+
+  if (processed > 0) {
+    log.info("KKTP Lobby: Processed buffered sender-key messages", {
+      processed,
+      remaining: ctx.futureMessageBuffer.length,
+    });
+  }
+}
+
+/**
+ * Decrypt a verified envelope with the sender's chain (sender_keys mode)
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} codec - LobbyCodec instance
+ * @param {Object} encrypted - Verified group message
+ */
+async function processSenderKeyMessage(ctx, codec, encrypted) {
+  // Our chain has already moved past anything we sent
+  if (encrypted.senderPubSig === ctx.lobby.myPubSig) return;
+
+  const { status, key } = resolveSenderMessageKey(ctx, encrypted);
+  if (status === SENDER_KEY_STATUS.READY) {
+    await decryptAndProcessMessage(ctx, codec, encrypted, key);
+    key.fill(0);
+    return;
+  }
+
+  if (status === SENDER_KEY_STATUS.PENDING) {
+    log.info("KKTP Lobby: Buffering message (awaiting sender key)", {
+      epoch: encrypted.keyVersion,
+      iteration: encrypted.iteration,
+      senderPubSig: truncate(encrypted.senderPubSig),
+    });
+    bufferFutureMessage(ctx, encrypted);
+    return;
+  }
+
+  log.warn("KKTP Lobby: Dropping message (sender key used or retired)", {
+    epoch: encrypted.keyVersion,
+    iteration: encrypted.iteration,
+    senderPubSig: truncate(encrypted.senderPubSig),
+  });
+}
+
 /**
  * Process an incoming group message using Epoch Versioning
  *
+ * The sender's signature is checked first (verifyGroupMessageSender).
+ *
  * Key matching strategy:
  * 1. Try current key (exact version match)
  * 2. Try previous key (for messages sent during rotation propagation)
  * 3. Buffer future versions (message arrived before key rotation DM)
  * 4. Drop expired versions (more than 1 behind previous)
  *
+ * Sender-key lobbies look the key up in the sender's chain instead.
+ *
  * @param {import("./lobbyContext.js").LobbyContext} ctx
  * @param {Object} codec - LobbyCodec instance
  * @param {Object} encrypted - Encrypted group message
@@ -284,6 +523,21 @@ export async function processGroupMessage(ctx, codec, encrypted) {
     }
   }
 
+  // Only roster members can speak, and only as themselves
+  if (!(await verifyGroupMessageSender(ctx, codec, encrypted))) {
+    return;
+  }
+
+  // Any verified message from the host proves it is still around
+  if (encrypted.senderPubSig === ctx.lobby.hostPubSig) {
+    ctx.lastHostSeenAt = Date.now();
+  }
+
+  if (isSenderKeyMode(ctx)) {
+    await processSenderKeyMessage(ctx, codec, encrypted);
+    return;
+  }
+
   const msgVersion = encrypted.keyVersion;
   const currentVersion = ctx.keyVault.current?.version ?? ctx.lobby.keyVersion;
   const previousVersion = ctx.keyVault.previous?.version ?? null;
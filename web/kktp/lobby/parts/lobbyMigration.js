@@ -0,0 +1,651 @@
+/**
+ * LobbyMigration - Host election and takeover when the host disappears
+ *
+ * Members only hold DM sessions with the host, so when the host goes away
+ * the lobby has no key distributor. Every member runs the same election
+ * over its roster (earliest joinedAt, then lowest pubSig); the winner
+ * broadcasts a fresh discovery anchor, announces itself with a signed
+ * host_migrated member event on the group mailbox, and the others reconnect
+ * to it and prove their roster identity with a signed lobby_rejoin. The
+ * lobbyId and groupMailboxId stay those of the original lobby.
+ *
+ * Triggers: no verified host traffic for hostTimeoutMs, or a lobby_close
+ * from the host with an empty reason (a deliberate hand-off).
+ *
+ * @module kktp/lobby/parts/lobbyMigration
+ */
+
+import {
+  LOBBY_STATES,
+  LOBBY_VERSION,
+  LOBBY_DISCOVERY_PREFIX,
+  MEMBER_ROLES,
+  STATE_ROOT_REASONS,
+  setState,
+} from "./lobbyContext.js";
+import { truncate } from "./lobbyUtils.js";
+import { waitForUtxoRefresh, sendWithRetry } from "./lobbyUtxo.js";
+import { sendGroupControl } from "./lobbyMessaging.js";
+import { startKeyRotation, sendCurrentKey } from "./lobbyKeys.js";
+import { removeMember } from "./lobbyRoster.js";
+import { dropSenderChain, reseedAfterDeparture } from "./lobbySenderKeys.js";
+import {
+  subscribePrefix,
+  subscribeToDMMailbox,
+  unsubscribeFromDMMailbox,
+} from "./lobbySubscriptions.js";
+import { validateMemberEvent, validateRejoinMessage } from "../lobbySchemas.js";
+import { canonicalize } from "../../protocol/integrity/canonical.js";
+import { Logger, LogModule } from "../../core/logger.js";
+
+const log = Logger.create(LogModule.lobby.parts.lobbyMigration);
+
+/**
+ * @typedef {Object} MigrationHooks
+ * @property {function(string): Promise} rotateKey - Bound LobbyManager.rotateKey
+ * @property {function(): void} cleanup - Bound LobbyManager._cleanup
+ */
+
+/**
+ * Pick the member who should take over as host.
+ * Deterministic for identical rosters: earliest joinedAt wins, ties go to
+ * the lowest pubSig. The current host and anyone in `excluded` are skipped.
+ * @param {Object} lobby - Lobby object with members Map
+ * @param {Set<string>} [excluded] - pubSigs that may not be elected
+ * @returns {Object|null} Winning roster entry, or null if nobody is left
+ */
+export function electSuccessor(lobby, excluded = new Set()) {
+  let best = null;
+  for (const member of lobby?.members?.values() ?? []) {
+    if (member.role === MEMBER_ROLES.HOST) continue;
+    if (member.pubSig === lobby.hostPubSig) continue;
+    if (excluded.has(member.pubSig)) continue;
+    if (!best || ranksBefore(member, best)) best = member;
+  }
+  return best;
+}
+
+function ranksBefore(a, b) {
+  const aJoined = a.joinedAt ?? Infinity;
+  const bJoined = b.joinedAt ?? Infinity;
+  if (aJoined !== bJoined) return aJoined < bJoined;
+  return a.pubSig < b.pubSig;
+}
+
+/**
+ * Canonical bytes a member signs to reclaim its roster identity
+ * @param {Object} rejoin - lobby_rejoin message
+ * @returns {string}
+ */
+export function rejoinSigningBody(rejoin) {
+  return canonicalize({
+    type: rejoin.type,
+    version: rejoin.version,
+    lobbyId: rejoin.lobbyId,
+    sid: rejoin.sid,
+    pubSig: rejoin.pubSig,
+    timestamp: rejoin.timestamp,
+  });
+}
+
+/**
+ * Record that the host was heard from (member only)
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ */
+export function noteHostActivity(ctx) {
+  ctx.lastHostSeenAt = Date.now();
+}
+
+// ─────────────────────────────────────────────────────────────
+// Liveness
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Start the host heartbeat (host only). A signed lobby_host_heartbeat goes
+ * to the group whenever the host has broadcast nothing for hostHeartbeatMs.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} codec - LobbyCodec instance
+ */
+export function startHostHeartbeat(ctx, codec) {
+  if (ctx.hostHeartbeatTimer || !ctx.config.hostMigration) return;
+
+  ctx.hostHeartbeatTimer = setInterval(async () => {
+    if (ctx.state !== LOBBY_STATES.HOSTING || !ctx.lobby) return;
+    if (Date.now() - ctx.lastGroupSendAt < ctx.config.hostHeartbeatMs) return;
+
+    try {
+      await sendGroupControl(ctx, codec, {
+        type: "lobby_host_heartbeat",
+        version: LOBBY_VERSION,
+        lobbyId: ctx.lobby.lobbyId,
+        hostPubSig: ctx.lobby.hostPubSig,
+        keyVersion: ctx.lobby.keyVersion,
+        memberCount: ctx.lobby.members.size,
+        timestamp: Date.now(),
+      });
+    } catch (err) {
+      log.warn("KKTP Lobby: Host heartbeat failed", err?.message || err);
+    }
+  }, ctx.config.hostHeartbeatMs);
+}
+
+/**
+ * Start watching for host silence (member only)
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {function(string): void} onSilence - Called with the trigger reason
+ */
+export function startHostWatchdog(ctx, onSilence) {
+  if (ctx.hostWatchdogTimer || !ctx.config.hostMigration) return;
+
+  noteHostActivity(ctx);
+  const checkMs = Math.min(ctx.config.hostHeartbeatMs, ctx.config.hostTimeoutMs);
+
+  ctx.hostWatchdogTimer = setInterval(() => {
+    if (ctx.state !== LOBBY_STATES.MEMBER || ctx.migration) return;
+    const silentMs = Date.now() - ctx.lastHostSeenAt;
+    if (silentMs < ctx.config.hostTimeoutMs) return;
+
+    log.warn("KKTP Lobby: Host silent, starting migration", {
+      hostPubSig: truncate(ctx.lobby?.hostPubSig),
+      silentMs,
+    });
+    onSilence("host_silent");
+  }, checkMs);
+}
+
+/**
+ * Stop heartbeat, watchdog and any pending election or rejoin timers
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ */
+export function stopHostMigration(ctx) {
+  if (ctx.hostHeartbeatTimer) {
+    clearInterval(ctx.hostHeartbeatTimer);
+    ctx.hostHeartbeatTimer = null;
+  }
+  stopHostWatchdog(ctx);
+  clearTimeout(ctx.migration?.timer);
+  clearTimeout(ctx.rejoinWait?.timer);
+  ctx.migration = null;
+  ctx.rejoinWait = null;
+}
+
+function stopHostWatchdog(ctx) {
+  if (ctx.hostWatchdogTimer) {
+    clearInterval(ctx.hostWatchdogTimer);
+    ctx.hostWatchdogTimer = null;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Election (member side)
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Begin electing a new host (member only). Safe to call repeatedly.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} codec - LobbyCodec instance
+ * @param {MigrationHooks} hooks
+ * @param {string} reason - "host_silent", "host_left" or "host_migrated"
+ * @returns {Promise<void>}
+ */
+export async function beginHostMigration(ctx, codec, hooks, reason) {
+  if (ctx.state !== LOBBY_STATES.MEMBER || !ctx.lobby || ctx.migration) return;
+  if (!ctx.config.hostMigration) return;
+
+  const formerHostPubSig = ctx.lobby.hostPubSig;
+  ctx.migration = {
+    formerHostPubSig,
+    reason,
+    excluded: new Set([formerHostPubSig]),
+    successor: null,
+    announcements: new Map(),
+    timer: null,
+    startedAt: Date.now(),
+  };
+
+  log.info("KKTP Lobby: Host migration started", {
+    formerHostPubSig: truncate(formerHostPubSig),
+    reason,
+  });
+
+  // The old host session is dead; its vault entry stays because it holds
+  // the signing key for our roster identity.
+  if (ctx.hostDmMailboxId) {
+    unsubscribeFromDMMailbox(ctx, ctx.hostDmMailboxId);
+    ctx.hostDmMailboxId = null;
+  }
+
+  await advanceElection(ctx, codec, hooks);
+}
+
+/**
+ * Elect the next candidate and either take over, accept an announcement
+ * already received from it, or give it migrationTimeoutMs to announce.
+ * @private
+ */
+async function advanceElection(ctx, codec, hooks) {
+  const migration = ctx.migration;
+  if (!migration) return;
+  clearTimeout(migration.timer);
+
+  const successor = electSuccessor(ctx.lobby, migration.excluded);
+  if (!successor) {
+    log.warn("KKTP Lobby: No host candidates left, closing lobby");
+    ctx.callbacks.onLobbyClose?.("Host left and no successor remains");
+    hooks.cleanup();
+    return;
+  }
+
+  migration.successor = successor.pubSig;
+  log.info("KKTP Lobby: Host successor elected", {
+    successor: truncate(successor.pubSig),
+    isSelf: successor.pubSig === ctx.lobby.myPubSig,
+    excluded: migration.excluded.size,
+  });
+
+  if (successor.pubSig === ctx.lobby.myPubSig) {
+    await takeOverAsHost(ctx, codec, hooks);
+    return;
+  }
+
+  const announced = migration.announcements.get(successor.pubSig);
+  if (announced) {
+    await acceptNewHost(ctx, announced);
+    return;
+  }
+
+  migration.timer = setTimeout(() => {
+    if (ctx.migration !== migration) return;
+    log.warn("KKTP Lobby: Successor did not announce, re-electing", {
+      successor: truncate(successor.pubSig),
+    });
+    migration.excluded.add(successor.pubSig);
+    advanceElection(ctx, codec, hooks).catch((err) =>
+      log.error("KKTP Lobby: Host re-election failed", err)
+    );
+  }, ctx.config.migrationTimeoutMs);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Takeover (new host side)
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Discovery meta for the successor's anchor. Padding and capabilities are
+ * per-session negotiations, so the session layer fills those in afresh.
+ * @private
+ */
+function successorMeta(lobby) {
+  const { padding, capabilities, ...meta } = lobby.discovery?.meta ?? {};
+  return {
+    game: meta.game ?? "unknown",
+    version: meta.version ?? "1.0.0",
+    expected_uptime_seconds: meta.expected_uptime_seconds ?? 3600,
+    ...meta,
+    lobby: true,
+    lobby_name: lobby.lobbyName,
+    max_members: lobby.maxMembers,
+  };
+}
+
+/**
+ * Become the host of the current lobby lineage
+ * @private
+ */
+async function takeOverAsHost(ctx, codec, hooks) {
+  const { lobby } = ctx;
+  const migration = ctx.migration;
+  const myPubSig = lobby.myPubSig;
+
+  let discovery;
+  try {
+    const result = await ctx.sm.broadcastDiscovery(successorMeta(lobby));
+    discovery = result?.discovery;
+    if (!discovery?.sid || !discovery?.pub_sig) {
+      throw new Error("Failed to broadcast discovery");
+    }
+  } catch (err) {
+    // Step aside; the others will time us out and elect the next candidate
+    log.error("KKTP Lobby: Could not take over as host", err?.message || err);
+    migration.excluded.add(myPubSig);
+    await advanceElection(ctx, codec, hooks);
+    return;
+  }
+
+  ctx.migration = null;
+  stopHostWatchdog(ctx);
+
+  // Drop the old host (and candidates that never showed up); everyone else
+  // has to reconnect to us before they get DMs again.
+  for (const pubSig of migration.excluded) {
+    removeMember(ctx, pubSig);
+    dropSenderChain(ctx, pubSig);
+  }
+  const self = lobby.members.get(myPubSig);
+  self.role = MEMBER_ROLES.HOST;
+  for (const member of lobby.members.values()) {
+    if (member.pubSig !== myPubSig) member.dmMailboxId = null;
+  }
+
+  lobby.hostPubSig = myPubSig;
+  lobby.discovery = discovery;
+  if (lobby.access) {
+    // Invites the former host handed out stay redeemable
+    lobby.access.issuers = [...new Set([...lobby.access.issuers, migration.formerHostPubSig])];
+  }
+  lobby.dmMailboxId = null;
+  lobby.state = LOBBY_STATES.HOSTING;
+
+  subscribePrefix(ctx, LOBBY_DISCOVERY_PREFIX);
+  subscribePrefix(ctx, `${LOBBY_DISCOVERY_PREFIX}${discovery.sid}`);
+  setState(ctx, LOBBY_STATES.HOSTING);
+
+  const awaiting = new Set(
+    [...lobby.members.keys()].filter((pubSig) => pubSig !== myPubSig)
+  );
+  ctx.rejoinWait = {
+    awaiting,
+    rotateKey: hooks.rotateKey,
+    timer: setTimeout(() => {
+      finishTakeover(ctx, "rejoin window elapsed").catch((err) =>
+        log.error("KKTP Lobby: Post-migration rekey failed", err)
+      );
+    }, ctx.config.migrationTimeoutMs),
+  };
+
+  startKeyRotation(ctx, hooks.rotateKey);
+  startHostHeartbeat(ctx, codec);
+
+  log.info("KKTP Lobby: Took over as host", {
+    lobbyId: truncate(lobby.lobbyId),
+    sid: truncate(discovery.sid),
+    formerHostPubSig: truncate(migration.formerHostPubSig),
+    awaitingRejoin: awaiting.size,
+  });
+
+  try {
+    await sendGroupControl(ctx, codec, {
+      type: "lobby_member_event",
+      version: LOBBY_VERSION,
+      lobbyId: lobby.lobbyId,
+      eventType: "host_migrated",
+      pubSig: myPubSig,
+      displayName: self.displayName,
+      role: MEMBER_ROLES.HOST,
+      joinedAt: self.joinedAt,
+      formerHostPubSig: migration.formerHostPubSig,
+      discovery,
+      reason: migration.reason,
+      timestamp: Date.now(),
+    });
+  } catch (err) {
+    log.error("KKTP Lobby: Failed to announce host migration", err?.message || err);
+  }
+
+  // Continue the former host's root chain with the new roster
+  await ctx.stateRootAnchor?.(STATE_ROOT_REASONS.MIGRATION);
+
+  ctx.callbacks.onHostMigrated?.({
+    formerHostPubSig: migration.formerHostPubSig,
+    hostPubSig: myPubSig,
+    discovery,
+    reason: migration.reason,
+    isSelf: true,
+  });
+
+  if (awaiting.size === 0) {
+    await finishTakeover(ctx, "no members to wait for");
+  }
+}
+
+/**
+ * Rekey once members have rejoined (or the window closed) so the departed
+ * host's copy of the group key stops working.
+ * @private
+ */
+async function finishTakeover(ctx, why) {
+  const wait = ctx.rejoinWait;
+  if (!wait || ctx.state !== LOBBY_STATES.HOSTING) return;
+  clearTimeout(wait.timer);
+  ctx.rejoinWait = null;
+
+  if (wait.awaiting.size > 0) {
+    log.warn("KKTP Lobby: Members did not rejoin after migration", {
+      missing: [...wait.awaiting].map((p) => truncate(p)),
+    });
+  }
+  log.info("KKTP Lobby: Host migration complete", { why });
+
+  await wait.rotateKey("Host migrated");
+}
+
+/**
+ * Handle a lobby_rejoin from a member reconnecting after migration (host only)
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {string} dmMailboxId - DM session the member opened with us
+ * @param {Object} rejoin - lobby_rejoin message
+ * @returns {Promise<boolean>} Whether the member was reattached
+ */
+export async function handleRejoin(ctx, dmMailboxId, rejoin) {
+  if (ctx.state !== LOBBY_STATES.HOSTING || !ctx.lobby) return false;
+
+  try {
+    validateRejoinMessage(rejoin);
+  } catch (err) {
+    log.warn("KKTP Lobby: Invalid rejoin", err.message);
+    return false;
+  }
+
+  const { lobby } = ctx;
+  if (rejoin.lobbyId !== lobby.lobbyId || rejoin.sid !== lobby.discovery?.sid) {
+    log.warn("KKTP Lobby: Rejoin for another lobby or host session", {
+      lobbyId: truncate(rejoin.lobbyId),
+      sid: truncate(rejoin.sid),
+    });
+    return false;
+  }
+
+  const member = lobby.members.get(rejoin.pubSig);
+  if (!member || member.role === MEMBER_ROLES.HOST) {
+    log.warn("KKTP Lobby: Rejoin from non-member", {
+      pubSig: truncate(rejoin.pubSig),
+    });
+    return false;
+  }
+
+  const valid = await ctx.sm.verifyIdentitySignature(
+    rejoin.pubSig,
+    rejoinSigningBody(rejoin),
+    rejoin.sig
+  );
+  if (!valid) {
+    log.warn("KKTP Lobby: Rejoin signature invalid", {
+      pubSig: truncate(rejoin.pubSig),
+    });
+    return false;
+  }
+
+  member.dmMailboxId = dmMailboxId;
+  log.info("KKTP Lobby: Member rejoined migrated host", {
+    pubSig: truncate(rejoin.pubSig),
+    dmMailboxId: truncate(dmMailboxId),
+  });
+
+  const wait = ctx.rejoinWait;
+  if (wait) {
+    wait.awaiting.delete(rejoin.pubSig);
+    if (wait.awaiting.size === 0) {
+      await finishTakeover(ctx, "all members rejoined");
+    }
+  } else {
+    // The post-migration rekey already happened without this member
+    await sendCurrentKey(ctx, member, "Host migrated");
+  }
+  return true;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Announcements (member side)
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Route a decrypted group control message (ctx.groupControlHandler)
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} codec - LobbyCodec instance
+ * @param {MigrationHooks} hooks
+ * @param {Object} message - Control message
+ * @param {string} senderPubSig - Verified envelope signer
+ */
+export async function handleGroupControl(ctx, codec, hooks, message, senderPubSig) {
+  switch (message.type) {
+    case "lobby_host_heartbeat":
+      // Liveness was already recorded when the envelope verified
+      return;
+    case "lobby_member_event":
+      if (message.eventType === "host_migrated") {
+        await handleHostMigrated(ctx, codec, hooks, message, senderPubSig);
+      }
+      return;
+    default:
+      log.debug("KKTP Lobby: Unknown group control message", message.type);
+  }
+}
+
+/**
+ * Handle a host_migrated announcement from the group mailbox
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} codec - LobbyCodec instance
+ * @param {MigrationHooks} hooks
+ * @param {Object} event - host_migrated member event
+ * @param {string} senderPubSig - Verified envelope signer
+ */
+export async function handleHostMigrated(ctx, codec, hooks, event, senderPubSig) {
+  try {
+    validateMemberEvent(event);
+  } catch (err) {
+    log.warn("KKTP Lobby: Invalid host_migrated event", err.message);
+    return;
+  }
+
+  const { lobby } = ctx;
+  if (!lobby || event.lobbyId !== lobby.lobbyId) return;
+  if (event.pubSig !== senderPubSig) {
+    log.warn("KKTP Lobby: host_migrated not signed by the announced host");
+    return;
+  }
+
+  // A host that was presumed gone but is still running steps down
+  if (ctx.state === LOBBY_STATES.HOSTING) {
+    if (event.formerHostPubSig === lobby.myPubSig && lobby.members.has(senderPubSig)) {
+      log.warn("KKTP Lobby: Host role migrated away from us", {
+        newHost: truncate(senderPubSig),
+      });
+      ctx.callbacks.onLobbyClose?.("Host role migrated to another member");
+      hooks.cleanup();
+    }
+    return;
+  }
+
+  if (ctx.state !== LOBBY_STATES.MEMBER) return;
+
+  const formerHostPubSig = ctx.migration?.formerHostPubSig ?? lobby.hostPubSig;
+  if (event.formerHostPubSig !== formerHostPubSig) {
+    log.debug("KKTP Lobby: Ignoring host_migrated for another host epoch");
+    return;
+  }
+
+  if (!ctx.migration) {
+    // The successor noticed before we did; run the same election ourselves
+    await beginHostMigration(ctx, codec, hooks, "host_migrated");
+    if (!ctx.migration) return;
+  }
+
+  ctx.migration.announcements.set(senderPubSig, event);
+  if (ctx.migration.successor === senderPubSig) {
+    await acceptNewHost(ctx, event);
+  } else {
+    log.info("KKTP Lobby: Holding host_migrated from non-elected member", {
+      sender: truncate(senderPubSig),
+      expected: truncate(ctx.migration.successor),
+    });
+  }
+}
+
+/**
+ * Switch the roster to the announced host and reconnect to it
+ * @private
+ */
+async function acceptNewHost(ctx, event) {
+  const { lobby } = ctx;
+  const migration = ctx.migration;
+  clearTimeout(migration.timer);
+  ctx.migration = null;
+
+  for (const pubSig of migration.excluded) {
+    if (removeMember(ctx, pubSig, event.timestamp)) {
+      ctx.callbacks.onMemberLeave?.(pubSig, "Host migrated");
+    }
+  }
+  // The new host re-seeds when it rekeys; everyone else does it here
+  await reseedAfterDeparture(ctx, [...migration.excluded], "Host migrated");
+  const host = lobby.members.get(event.pubSig);
+  host.role = MEMBER_ROLES.HOST;
+  lobby.hostPubSig = event.pubSig;
+  lobby.discovery = event.discovery;
+  noteHostActivity(ctx);
+
+  log.info("KKTP Lobby: Accepted new host", {
+    hostPubSig: truncate(event.pubSig),
+    sid: truncate(event.discovery.sid),
+  });
+
+  ctx.callbacks.onHostMigrated?.({
+    formerHostPubSig: migration.formerHostPubSig,
+    hostPubSig: event.pubSig,
+    discovery: event.discovery,
+    reason: migration.reason,
+    isSelf: false,
+  });
+
+  try {
+    await rejoinHost(ctx, event.discovery);
+  } catch (err) {
+    log.error("KKTP Lobby: Failed to reconnect to new host", err?.message || err);
+  }
+}
+
+/**
+ * Open a DM session with the new host and reclaim our roster identity
+ * @private
+ */
+async function rejoinHost(ctx, discovery) {
+  const { lobby } = ctx;
+  const connectResult = await ctx.sm.connectToPeer(discovery);
+  const dmMailboxId = connectResult?.mailboxId;
+  if (!dmMailboxId) {
+    throw new Error("Failed to connect to new host");
+  }
+
+  ctx.hostDmMailboxId = dmMailboxId;
+  lobby.dmMailboxId = dmMailboxId;
+  subscribeToDMMailbox(ctx, dmMailboxId);
+
+  await waitForUtxoRefresh(ctx);
+
+  const rejoin = {
+    type: "lobby_rejoin",
+    version: LOBBY_VERSION,
+    lobbyId: lobby.lobbyId,
+    sid: discovery.sid,
+    pubSig: lobby.myPubSig,
+    displayName: lobby.members.get(lobby.myPubSig)?.displayName,
+    timestamp: Date.now(),
+  };
+  rejoin.sig = await ctx.sm.signAsIdentity(lobby.myPubSig, rejoinSigningBody(rejoin));
+
+  await sendWithRetry(ctx, dmMailboxId, JSON.stringify(rejoin), 3);
+
+  log.info("KKTP Lobby: Rejoin sent to new host", {
+    dmMailboxId: truncate(dmMailboxId),
+  });
+}
@@ -0,0 +1,507 @@
+/**
+ * LobbyModeration - Roles, mutes and the ban list
+ *
+ * Only the host holds a DM with every member, so it stays the one who
+ * executes moderation. Co-hosts and moderators send a lobby_moderation
+ * request over their DM; the host checks ROLE_PERMISSIONS (and that the
+ * actor outranks the target) before acting. Outcomes are announced as
+ * signed lobby_member_events on the group mailbox (role_changed, muted,
+ * unmuted, banned, unbanned), which receivers accept only from the host.
+ *
+ * Mutes are enforced by every receiver dropping the muted sender's group
+ * messages. The ban list is keyed by pubSig, persisted with the lobby and
+ * mirrored to members so a successor host inherits it.
+ *
+ * @module kktp/lobby/parts/lobbyModeration
+ */
+
+import {
+  LOBBY_STATES,
+  LOBBY_VERSION,
+  MEMBER_ROLES,
+  MODERATION_PERMISSIONS,
+  ROLE_PERMISSIONS,
+} from "./lobbyContext.js";
+import { truncate } from "./lobbyUtils.js";
+import { sendWithRetry } from "./lobbyUtxo.js";
+import { sendGroupControl } from "./lobbyMessaging.js";
+import {
+  validateMemberEvent,
+  validateModerationRequest,
+  validateJoinPending,
+} from "../lobbySchemas.js";
+import { Logger, LogModule } from "../../core/logger.js";
+
+const log = Logger.create(LogModule.lobby.parts.lobbyModeration);
+
+/**
+ * lobby_member_event kinds produced by moderation
+ */
+export const MODERATION_EVENT_TYPES = new Set([
+  "role_changed",
+  "muted",
+  "unmuted",
+  "banned",
+  "unbanned",
+]);
+
+/**
+ * Permission each moderation action needs
+ */
+const ACTION_PERMISSIONS = {
+  kick: MODERATION_PERMISSIONS.KICK,
+  mute: MODERATION_PERMISSIONS.MUTE,
+  unmute: MODERATION_PERMISSIONS.MUTE,
+  ban: MODERATION_PERMISSIONS.BAN,
+  unban: MODERATION_PERMISSIONS.BAN,
+  accept_join: MODERATION_PERMISSIONS.ACCEPT_JOINS,
+  reject_join: MODERATION_PERMISSIONS.ACCEPT_JOINS,
+};
+
+/**
+ * Event kinds that share an ordering clock per member
+ */
+const MODERATION_CLOCKS = {
+  role_changed: "role",
+  muted: "mute",
+  unmuted: "mute",
+  banned: "ban",
+  unbanned: "ban",
+};
+
+const ROLE_RANK = {
+  [MEMBER_ROLES.HOST]: 3,
+  [MEMBER_ROLES.CO_HOST]: 2,
+  [MEMBER_ROLES.MODERATOR]: 1,
+  [MEMBER_ROLES.MEMBER]: 0,
+};
+
+/**
+ * @typedef {Object} ModerationHooks
+ * @property {function(string, string): Promise} kickMember - Bound LobbyManager.kickMember
+ * @property {function(string): Promise} acceptPendingJoin - Host-side accept
+ * @property {function(string, string): Promise} rejectPendingJoin - Host-side reject
+ */
+
+/**
+ * Check whether a roster entry's role grants a permission
+ * @param {Object|undefined} member - Roster entry
+ * @param {string} permission - One of MODERATION_PERMISSIONS
+ * @returns {boolean}
+ */
+export function hasPermission(member, permission) {
+  return ROLE_PERMISSIONS[member?.role]?.includes(permission) ?? false;
+}
+
+/**
+ * Check whether `actor` ranks strictly above `target`
+ * @param {Object} actor - Roster entry
+ * @param {Object} target - Roster entry
+ * @returns {boolean}
+ */
+export function outranks(actor, target) {
+  return (ROLE_RANK[actor?.role] ?? 0) > (ROLE_RANK[target?.role] ?? 0);
+}
+
+/**
+ * Check whether a pubSig is on the lobby's ban list
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {string} pubSig
+ * @returns {boolean}
+ */
+export function isBanned(ctx, pubSig) {
+  return Boolean(ctx.lobby?.bans?.[pubSig]);
+}
+
+/**
+ * Ban list as an array
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @returns {Array<{ pubSig: string, reason: string, bannedAt: number, actorPubSig: string }>}
+ */
+export function getBanList(ctx) {
+  return Object.entries(ctx.lobby?.bans ?? {}).map(([pubSig, ban]) => ({ pubSig, ...ban }));
+}
+
+/**
+ * Change a member's role (host only). Assigning roles is never delegated.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} codec - LobbyCodec instance
+ * @param {string} pubSig - Member to change
+ * @param {string} role - co_host, moderator or member
+ */
+export async function setMemberRole(ctx, codec, pubSig, role) {
+  if (ctx.state !== LOBBY_STATES.HOSTING || !ctx.lobby) {
+    throw new Error("Only the host can assign roles");
+  }
+  if (role === MEMBER_ROLES.HOST || !(role in ROLE_RANK)) {
+    throw new Error(`Cannot assign role: ${role}`);
+  }
+  const member = ctx.lobby.members.get(pubSig);
+  if (!member) throw new Error("Member not found");
+  if (member.role === MEMBER_ROLES.HOST) throw new Error("Cannot change the host's role");
+  if (member.role === role) return;
+
+  member.role = role;
+  await announce(ctx, codec, "role_changed", member, { role });
+}
+
+/**
+ * Carry out a moderation action on behalf of `actorPubSig` (host only).
+ * Used both for the host's own actions and for delegated requests.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} codec - LobbyCodec instance
+ * @param {ModerationHooks} hooks
+ * @param {string} actorPubSig - Roster member the action is taken for
+ * @param {string} action - kick, mute, unmute, ban, unban, accept_join, reject_join
+ * @param {string} targetPubSig
+ * @param {string} [reason]
+ */
+export async function applyModeration(ctx, codec, hooks, actorPubSig, action, targetPubSig, reason) {
+  const { lobby } = ctx;
+  if (ctx.state !== LOBBY_STATES.HOSTING || !lobby) {
+    throw new Error("Moderation is carried out by the host");
+  }
+
+  const actor = lobby.members.get(actorPubSig);
+  if (!hasPermission(actor, ACTION_PERMISSIONS[action])) {
+    throw new Error(`Not permitted to ${action}`);
+  }
+  const target = lobby.members.get(targetPubSig);
+  if (target && !outranks(actor, target)) {
+    throw new Error(`Cannot ${action} a member of equal or higher role`);
+  }
+
+  log.info("KKTP Lobby: Moderation", {
+    action,
+    actor: truncate(actorPubSig),
+    target: truncate(targetPubSig),
+    reason,
+  });
+
+  switch (action) {
+    case "kick":
+      if (!target) throw new Error("Member not found");
+      await hooks.kickMember(targetPubSig, reason || "Kicked by moderator");
+      return;
+
+    case "mute":
+    case "unmute": {
+      if (!target) throw new Error("Member not found");
+      const muted = action === "mute";
+      if (Boolean(target.muted) === muted) return;
+      target.muted = muted;
+      await announce(ctx, codec, muted ? "muted" : "unmuted", target, { actorPubSig, reason });
+      return;
+    }
+
+    case "ban":
+      lobby.bans ??= {};
+      lobby.bans[targetPubSig] = {
+        reason: reason || "Banned",
+        bannedAt: Date.now(),
+        actorPubSig,
+      };
+      await announce(ctx, codec, "banned", target ?? { pubSig: targetPubSig }, {
+        actorPubSig,
+        reason: lobby.bans[targetPubSig].reason,
+      });
+      if (target) await hooks.kickMember(targetPubSig, lobby.bans[targetPubSig].reason);
+      return;
+
+    case "unban":
+      if (!lobby.bans?.[targetPubSig]) return;
+      delete lobby.bans[targetPubSig];
+      await announce(ctx, codec, "unbanned", { pubSig: targetPubSig }, { actorPubSig, reason });
+      return;
+
+    case "accept_join":
+      await hooks.acceptPendingJoin(targetPubSig);
+      return;
+
+    case "reject_join":
+      await hooks.rejectPendingJoin(targetPubSig, reason || "Rejected by moderator");
+      return;
+
+    default:
+      throw new Error(`Unknown moderation action: ${action}`);
+  }
+}
+
+/**
+ * Announce a moderation outcome to the group and fire onModeration locally
+ * @private
+ */
+async function announce(ctx, codec, eventType, member, extras = {}) {
+  const event = {
+    type: "lobby_member_event",
+    version: LOBBY_VERSION,
+    lobbyId: ctx.lobby.lobbyId,
+    eventType,
+    pubSig: member.pubSig,
+    displayName: member.displayName,
+    role: extras.role ?? member.role,
+    actorPubSig: extras.actorPubSig ?? ctx.lobby.myPubSig,
+    reason: extras.reason,
+    timestamp: Date.now(),
+  };
+
+  try {
+    await sendGroupControl(ctx, codec, event);
+  } catch (err) {
+    log.warn("KKTP Lobby: Failed to announce moderation event", {
+      eventType,
+      error: err?.message || err,
+    });
+  }
+
+  emitModeration(ctx, event);
+}
+
+function emitModeration(ctx, event) {
+  ctx.callbacks.onModeration?.({
+    action: event.eventType,
+    pubSig: event.pubSig,
+    role: event.role,
+    actorPubSig: event.actorPubSig,
+    reason: event.reason,
+  });
+}
+
+/**
+ * Apply a moderation lobby_member_event received on the group mailbox.
+ * Only the host's signature counts; everyone else's is ignored.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} event - lobby_member_event with a MODERATION_EVENT_TYPES kind
+ * @param {string} senderPubSig - Verified envelope signer
+ * @returns {boolean} Whether the event was applied
+ */
+export function handleModerationEvent(ctx, event, senderPubSig) {
+  const { lobby } = ctx;
+  if (!lobby || ctx.state !== LOBBY_STATES.MEMBER) return false;
+
+  try {
+    validateMemberEvent(event);
+  } catch (err) {
+    log.warn("KKTP Lobby: Invalid moderation event", err.message);
+    return false;
+  }
+
+  if (event.lobbyId !== lobby.lobbyId) return false;
+  if (senderPubSig !== lobby.hostPubSig) {
+    log.warn("KKTP Lobby: Ignoring moderation event not sent by the host", {
+      sender: truncate(senderPubSig),
+      eventType: event.eventType,
+    });
+    return false;
+  }
+
+  // Envelopes can be replayed from the group mailbox; never let an older
+  // outcome override a newer one of the same kind for the same member
+  lobby.moderatedAt ??= {};
+  const clockKey = `${event.pubSig}:${MODERATION_CLOCKS[event.eventType]}`;
+  const timestamp = Number(event.timestamp) || 0;
+  if (timestamp <= (lobby.moderatedAt[clockKey] ?? 0)) {
+    log.debug("KKTP Lobby: Ignoring stale moderation event", {
+      eventType: event.eventType,
+      pubSig: truncate(event.pubSig),
+    });
+    return false;
+  }
+
+  const member = lobby.members.get(event.pubSig);
+  switch (event.eventType) {
+    case "role_changed":
+      if (!member) return false;
+      member.role = event.role;
+      if (event.pubSig === lobby.myPubSig && !hasPermission(member, MODERATION_PERMISSIONS.ACCEPT_JOINS)) {
+        ctx.delegatedJoins.clear();
+      }
+      break;
+    case "muted":
+    case "unmuted":
+      if (!member) return false;
+      member.muted = event.eventType === "muted";
+      break;
+    case "banned":
+      lobby.bans ??= {};
+      lobby.bans[event.pubSig] = {
+        reason: event.reason || "Banned",
+        bannedAt: timestamp,
+        actorPubSig: event.actorPubSig,
+      };
+      break;
+    case "unbanned":
+      if (lobby.bans) delete lobby.bans[event.pubSig];
+      break;
+    default:
+      return false;
+  }
+  lobby.moderatedAt[clockKey] = timestamp;
+
+  log.info("KKTP Lobby: Moderation event applied", {
+    eventType: event.eventType,
+    pubSig: truncate(event.pubSig),
+  });
+  emitModeration(ctx, event);
+  return true;
+}
+
+/**
+ * Ask the host to carry out a moderation action (co-host / moderator only)
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {string} action - kick, mute, unmute, ban, unban, accept_join, reject_join
+ * @param {string} targetPubSig
+ * @param {string} [reason]
+ * @returns {Promise<boolean>} Whether the request was sent
+ */
+export async function requestModeration(ctx, action, targetPubSig, reason) {
+  const { lobby } = ctx;
+  if (ctx.state !== LOBBY_STATES.MEMBER || !lobby || !ctx.hostDmMailboxId) {
+    throw new Error("Not a lobby member");
+  }
+  if (!hasPermission(lobby.members.get(lobby.myPubSig), ACTION_PERMISSIONS[action])) {
+    throw new Error(`Your role may not ${action}`);
+  }
+
+  const request = {
+    type: "lobby_moderation",
+    version: LOBBY_VERSION,
+    lobbyId: lobby.lobbyId,
+    action,
+    targetPubSig,
+    reason,
+    timestamp: Date.now(),
+  };
+  await sendWithRetry(ctx, ctx.hostDmMailboxId, JSON.stringify(request), 3);
+
+  if (action === "accept_join" || action === "reject_join") {
+    ctx.delegatedJoins.delete(targetPubSig);
+  }
+
+  log.info("KKTP Lobby: Moderation requested", {
+    action,
+    target: truncate(targetPubSig),
+  });
+  return true;
+}
+
+/**
+ * Handle a lobby_moderation request from a co-host or moderator (host only).
+ * The actor is whoever owns the DM session it arrived on.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} codec - LobbyCodec instance
+ * @param {ModerationHooks} hooks
+ * @param {string} dmMailboxId
+ * @param {Object} request - lobby_moderation message
+ * @returns {Promise<boolean>} Whether the action was carried out
+ */
+export async function handleModerationRequest(ctx, codec, hooks, dmMailboxId, request) {
+  if (ctx.state !== LOBBY_STATES.HOSTING || !ctx.lobby) return false;
+
+  try {
+    validateModerationRequest(request);
+  } catch (err) {
+    log.warn("KKTP Lobby: Invalid moderation request", err.message);
+    return false;
+  }
+  if (request.lobbyId !== ctx.lobby.lobbyId) return false;
+
+  const actor = [...ctx.lobby.members.values()].find((m) => m.dmMailboxId === dmMailboxId);
+  if (!actor) {
+    log.warn("KKTP Lobby: Moderation request from outside the roster", {
+      dmMailboxId: truncate(dmMailboxId),
+    });
+    return false;
+  }
+
+  try {
+    await applyModeration(
+      ctx,
+      codec,
+      hooks,
+      actor.pubSig,
+      request.action,
+      request.targetPubSig,
+      request.reason,
+    );
+    return true;
+  } catch (err) {
+    log.warn("KKTP Lobby: Moderation request refused", {
+      actor: truncate(actor.pubSig),
+      action: request.action,
+      error: err.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * Forward a join request awaiting approval to everyone who may accept joins
+ * (host only)
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} request - The pending lobby_join_request
+ */
+export async function forwardPendingJoin(ctx, request) {
+  const pending = JSON.stringify({
+    type: "lobby_join_pending",
+    version: LOBBY_VERSION,
+    lobbyId: ctx.lobby.lobbyId,
+    pubSig: request.pubSig,
+    displayName: request.displayName,
+    timestamp: Date.now(),
+  });
+
+  for (const member of ctx.lobby.members.values()) {
+    if (member.role === MEMBER_ROLES.HOST || !member.dmMailboxId) continue;
+    if (!hasPermission(member, MODERATION_PERMISSIONS.ACCEPT_JOINS)) continue;
+    try {
+      await sendWithRetry(ctx, member.dmMailboxId, pending, 2);
+    } catch (err) {
+      log.warn("KKTP Lobby: Failed to forward pending join", {
+        to: truncate(member.pubSig),
+        error: err.message,
+      });
+    }
+  }
+}
+
+/**
+ * Handle a join request the host forwarded for approval (co-host only).
+ * Surfaces it through onJoinRequest like on the host.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {string} dmMailboxId - Must be the host DM
+ * @param {Object} pending - lobby_join_pending message
+ * @returns {boolean}
+ */
+export function handleJoinPending(ctx, dmMailboxId, pending) {
+  const { lobby } = ctx;
+  if (ctx.state !== LOBBY_STATES.MEMBER || !lobby) return false;
+  if (dmMailboxId !== ctx.hostDmMailboxId) return false;
+
+  try {
+    validateJoinPending(pending);
+  } catch (err) {
+    log.warn("KKTP Lobby: Invalid pending join", err.message);
+    return false;
+  }
+  if (pending.lobbyId !== lobby.lobbyId) return false;
+  if (!hasPermission(lobby.members.get(lobby.myPubSig), MODERATION_PERMISSIONS.ACCEPT_JOINS)) {
+    return false;
+  }
+
+  ctx.delegatedJoins.set(pending.pubSig, {
+    displayName: pending.displayName,
+    receivedAt: Date.now(),
+  });
+
+  if (ctx.callbacks.onJoinRequest) {
+    const acceptFn = () => requestModeration(ctx, "accept_join", pending.pubSig);
+    const rejectFn = (reason) => requestModeration(ctx, "reject_join", pending.pubSig, reason);
+    ctx.callbacks.onJoinRequest(
+      { pubSig: pending.pubSig, displayName: pending.displayName, lobbyId: pending.lobbyId },
+      acceptFn,
+      rejectFn,
+    );
+  }
+  return true;
+}
@@ -7,10 +7,15 @@
  * @module kktp/lobby/parts/lobbyPersistence
  */
 
-import { LOBBY_STATES } from "./lobbyContext.js";
+import { LOBBY_STATES, GROUP_CRYPTO_MODES } from "./lobbyContext.js";
 import { uint8ToHex, hexToUint8 } from "./lobbyUtils.js";
 import { subscribePrefix } from "./lobbySubscriptions.js";
 import { startKeyRotation } from "./lobbyKeys.js";
+import {
+  isSenderKeyMode,
+  exportSenderKeyState,
+  restoreSenderKeyState,
+} from "./lobbySenderKeys.js";
 import { Logger, LogModule } from "../../core/logger.js";
 
 const log = Logger.create(LogModule.lobby.parts.lobbyPersistence);
@@ -38,6 +43,8 @@ export function exportLobbyState(ctx) {
       role: member.role,
       joinedAt: member.joinedAt,
       dmMailboxId: member.dmMailboxId || null,
+      muted: Boolean(member.muted),
+      reconnectedAt: member.reconnectedAt ?? null,
     });
   }
 
@@ -55,6 +62,12 @@ export function exportLobbyState(ctx) {
       maxMembers: lobby.maxMembers,
       createdAt: lobby.createdAt,
       dmMailboxId: lobby.dmMailboxId || null,
+      discovery: lobby.discovery || null,
+      access: lobby.access || null,
+      bans: lobby.bans || {},
+      stateRoot: lobby.stateRoot || null,
+      rosterLog: lobby.rosterLog || [],
+      groupCrypto: lobby.groupCrypto || GROUP_CRYPTO_MODES.SHARED,
       members: membersArray,
     },
     keyVault: {
@@ -71,8 +84,12 @@ export function exportLobbyState(ctx) {
           }
         : null,
     },
+    senderKeys: exportSenderKeyState(ctx),
     subscribedPrefixes: [...subscriptions],
     hostDmMailboxId: hostDmMailboxId || null,
+    resumeCursor: ctx.resumeCursor
+      ? { ...ctx.resumeCursor, txids: [...ctx.resumeCursor.txids] }
+      : null,
     savedAt: Date.now(),
   };
 
@@ -137,8 +154,10 @@ export async function restoreLobbyState(ctx, snapshot) {
       lobby: savedLobby,
       state: savedState,
       keyVault: savedKeyVault,
+      senderKeys: savedSenderKeys,
       subscribedPrefixes,
       hostDmMailboxId,
+      resumeCursor,
     } = snapshot;
 
     // Rebuild members Map from array
@@ -151,6 +170,8 @@ export async function restoreLobbyState(ctx, snapshot) {
           role: m.role,
           joinedAt: m.joinedAt,
           dmMailboxId: m.dmMailboxId || null,
+          muted: Boolean(m.muted),
+          reconnectedAt: m.reconnectedAt ?? null,
         });
       }
     }
@@ -169,6 +190,12 @@ export async function restoreLobbyState(ctx, snapshot) {
       createdAt: savedLobby.createdAt,
       state: savedState,
       dmMailboxId: savedLobby.dmMailboxId || null,
+      discovery: savedLobby.discovery || null,
+      access: savedLobby.access || null,
+      bans: savedLobby.bans || {},
+      stateRoot: savedLobby.stateRoot || null,
+      rosterLog: savedLobby.rosterLog || [],
+      groupCrypto: savedLobby.groupCrypto || GROUP_CRYPTO_MODES.SHARED,
     };
 
     // Restore key vault
@@ -187,9 +214,19 @@ export async function restoreLobbyState(ctx, snapshot) {
         : null,
     };
 
+    // Restore sender chains (sender_keys lobbies)
+    if (isSenderKeyMode(ctx)) {
+      restoreSenderKeyState(ctx, savedSenderKeys);
+    }
+
     // Restore host DM mailbox ID (for members)
     ctx.hostDmMailboxId = hostDmMailboxId || null;
 
+    // Where catch-up resumes walking the DAG
+    ctx.resumeCursor = resumeCursor?.blockHash
+      ? { ...resumeCursor, txids: [...(resumeCursor.txids || [])] }
+      : null;
+
     // Set state
     ctx.state = savedState;
 
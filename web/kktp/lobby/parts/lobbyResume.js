@@ -0,0 +1,259 @@
+/**
+ * LobbyResume - Picking a lobby back up after a page reload or network drop
+ *
+ * The engine keeps an exported lobby snapshot sealed under a key derived
+ * from the wallet. On restart it restores the snapshot, walks the DAG from
+ * the last block that carried lobby traffic (the resume cursor) to replay
+ * anything missed, and, as a member, tells the host it is back with a
+ * signed lobby_reconnect over the restored DM session. The host answers
+ * with the current group key if the member fell behind, and reports a
+ * reconnect instead of a second join.
+ *
+ * @module kktp/lobby/parts/lobbyResume
+ */
+
+import { LOBBY_STATES, LOBBY_VERSION, MEMBER_ROLES } from "./lobbyContext.js";
+import { truncate } from "./lobbyUtils.js";
+import { sendWithRetry } from "./lobbyUtxo.js";
+import { sendCurrentKey } from "./lobbyKeys.js";
+import { validateReconnectMessage } from "../lobbySchemas.js";
+import { canonicalize } from "../../protocol/integrity/canonical.js";
+import { deriveSealKey, sealBlob, openBlob } from "../../core/sealedBlob.js";
+import { Logger, LogModule } from "../../core/logger.js";
+
+const log = Logger.create(LogModule.lobby.parts.lobbyResume);
+
+const SNAPSHOT_KEY_LABEL = "KKTP:LOBBY:RESUME";
+
+// ─────────────────────────────────────────────────────────────
+// Sealed snapshots
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Derive the key lobby snapshots are sealed with
+ * @param {string} walletSecretHex - Private key only the wallet can re-derive
+ * @returns {Uint8Array} 32-byte key
+ */
+export function deriveResumeKey(walletSecretHex) {
+  return deriveSealKey(SNAPSHOT_KEY_LABEL, walletSecretHex);
+}
+
+/**
+ * Encrypt a snapshot for storage
+ * @param {Object} snapshot - Any JSON-serializable snapshot
+ * @param {Uint8Array} key - From deriveResumeKey()
+ * @returns {{ version: number, nonce: string, ciphertext: string }}
+ */
+export function sealLobbySnapshot(snapshot, key) {
+  return sealBlob(snapshot, key, SNAPSHOT_KEY_LABEL);
+}
+
+/**
+ * Decrypt a sealed snapshot
+ * @param {Object} sealed - From sealLobbySnapshot()
+ * @param {Uint8Array} key - From deriveResumeKey()
+ * @returns {Object|null} Snapshot, or null if it is unreadable or another wallet's
+ */
+export function openLobbySnapshot(sealed, key) {
+  try {
+    return openBlob(sealed, key, SNAPSHOT_KEY_LABEL);
+  } catch (err) {
+    log.warn("KKTP Lobby: Could not open lobby snapshot", err?.message || err);
+    return null;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Catch-up
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Move the resume cursor past a processed scanner match on a lobby prefix.
+ * Call after the match was handled so a reload never skips it.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} match - Scanner match with blockHash, timestamp and txid
+ */
+export function noteTrafficSeen(ctx, match) {
+  if (!ctx.lobby || !match?.blockHash) return;
+  const txid = match.txid ?? match.txId ?? null;
+  const cursor = ctx.resumeCursor;
+
+  if (cursor?.blockHash === match.blockHash) {
+    if (txid && !cursor.txids.includes(txid)) cursor.txids.push(txid);
+    return;
+  }
+  if (cursor && (match.timestamp ?? 0) < cursor.timestamp) return;
+
+  ctx.resumeCursor = {
+    blockHash: match.blockHash,
+    timestamp: match.timestamp ?? Date.now(),
+    txids: txid ? [txid] : [],
+  };
+}
+
+/**
+ * Replay lobby traffic published since the resume cursor.
+ * Walks every prefix the lobby is subscribed to (group mailbox, DM
+ * mailboxes, host discovery) and hands each match to `onMatch`, which
+ * should route it exactly like a live scanner match.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {function(Object): Promise<void>} onMatch
+ * @returns {Promise<number>} Number of matches replayed
+ */
+export async function catchUpMissedTraffic(ctx, onMatch) {
+  const cursor = ctx.resumeCursor;
+  if (!cursor?.blockHash || ctx.subscriptions.size === 0) return 0;
+  if (!ctx.adapter?.walkDagRange) {
+    log.warn("KKTP Lobby: walkDagRange not available, skipping catch-up");
+    return 0;
+  }
+
+  const seen = new Set(cursor.txids);
+  let replayed = 0;
+
+  await ctx.adapter.walkDagRange({
+    startHash: cursor.blockHash,
+    prefixes: [...ctx.subscriptions],
+    onMatch: async (match) => {
+      const txid = match?.txid ?? match?.txId;
+      if (txid && seen.has(txid)) return;
+      replayed++;
+      try {
+        await onMatch(match);
+      } catch (err) {
+        log.debug("KKTP Lobby: Replayed match failed", err?.message || err);
+      }
+      noteTrafficSeen(ctx, match);
+    },
+  });
+
+  log.info("KKTP Lobby: Caught up on missed lobby traffic", {
+    from: truncate(cursor.blockHash),
+    replayed,
+  });
+  return replayed;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Reconnect notice
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Canonical bytes a member signs to announce its reconnect
+ * @param {Object} reconnect - lobby_reconnect message
+ * @returns {string}
+ */
+export function reconnectSigningBody(reconnect) {
+  return canonicalize({
+    type: reconnect.type,
+    version: reconnect.version,
+    lobbyId: reconnect.lobbyId,
+    pubSig: reconnect.pubSig,
+    keyVersion: reconnect.keyVersion,
+    timestamp: reconnect.timestamp,
+  });
+}
+
+/**
+ * Tell the host we are back (member only). Goes over the restored DM
+ * session, so no new handshake or join is needed.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @returns {Promise<Object>} The lobby_reconnect that was sent
+ */
+export async function announceReconnect(ctx) {
+  const { lobby } = ctx;
+  if (ctx.state !== LOBBY_STATES.MEMBER || !lobby) {
+    throw new Error("Only a restored member can announce a reconnect");
+  }
+  if (!ctx.hostDmMailboxId || !lobby.myPubSig) {
+    throw new Error("No host DM session to reconnect over");
+  }
+
+  const reconnect = {
+    type: "lobby_reconnect",
+    version: LOBBY_VERSION,
+    lobbyId: lobby.lobbyId,
+    pubSig: lobby.myPubSig,
+    keyVersion: lobby.keyVersion,
+    timestamp: Date.now(),
+  };
+  reconnect.sig = await ctx.sm.signAsIdentity(lobby.myPubSig, reconnectSigningBody(reconnect));
+
+  await sendWithRetry(ctx, ctx.hostDmMailboxId, JSON.stringify(reconnect), 3);
+
+  log.info("KKTP Lobby: Reconnect sent to host", {
+    dmMailboxId: truncate(ctx.hostDmMailboxId),
+    keyVersion: lobby.keyVersion,
+  });
+  return reconnect;
+}
+
+/**
+ * Handle a lobby_reconnect from a member that restored its state (host only)
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {string} dmMailboxId - DM mailbox the notice arrived on
+ * @param {Object} reconnect - lobby_reconnect message
+ * @returns {Promise<boolean>} Whether the member was reattached
+ */
+export async function handleReconnect(ctx, dmMailboxId, reconnect) {
+  if (ctx.state !== LOBBY_STATES.HOSTING || !ctx.lobby) return false;
+
+  try {
+    validateReconnectMessage(reconnect);
+  } catch (err) {
+    log.warn("KKTP Lobby: Invalid reconnect", err.message);
+    return false;
+  }
+
+  const { lobby } = ctx;
+  if (reconnect.lobbyId !== lobby.lobbyId) return false;
+
+  const member = lobby.members.get(reconnect.pubSig);
+  if (!member || member.role === MEMBER_ROLES.HOST) {
+    log.warn("KKTP Lobby: Reconnect from non-member", {
+      pubSig: truncate(reconnect.pubSig),
+    });
+    return false;
+  }
+  if (member.dmMailboxId !== dmMailboxId) {
+    log.warn("KKTP Lobby: Reconnect on a DM the member does not own", {
+      pubSig: truncate(reconnect.pubSig),
+      dmMailboxId: truncate(dmMailboxId),
+    });
+    return false;
+  }
+  // Notices replayed by our own catch-up are not new reconnects
+  if (reconnect.timestamp <= (member.reconnectedAt ?? 0)) return false;
+
+  const valid = await ctx.sm.verifyIdentitySignature(
+    reconnect.pubSig,
+    reconnectSigningBody(reconnect),
+    reconnect.sig
+  );
+  if (!valid) {
+    log.warn("KKTP Lobby: Reconnect signature invalid", {
+      pubSig: truncate(reconnect.pubSig),
+    });
+    return false;
+  }
+
+  member.reconnectedAt = reconnect.timestamp;
+  const keyResent = reconnect.keyVersion < lobby.keyVersion;
+  if (keyResent) {
+    await sendCurrentKey(ctx, member, "Member reconnected");
+  }
+
+  log.info("KKTP Lobby: Member reconnected", {
+    pubSig: truncate(reconnect.pubSig),
+    keyVersion: reconnect.keyVersion,
+    keyResent,
+  });
+
+  ctx.callbacks.onMemberReconnected?.({
+    pubSig: member.pubSig,
+    displayName: member.displayName,
+    keyVersion: reconnect.keyVersion,
+    keyResent,
+  });
+  return true;
+}
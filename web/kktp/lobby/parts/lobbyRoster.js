@@ -2,7 +2,13 @@
  * LobbyRoster - Member management and events
  *
  * Handles member roster operations, member events (join/leave),
- * and member event broadcasting.
+ * and member event broadcasting. host_migrated and moderation events
+ * travel over the group mailbox instead and are handled in lobbyMigration
+ * and lobbyModeration.
+ *
+ * Every roster change is also appended to lobby.rosterLog with the host's
+ * timestamp; members disclose that log to prove the roster behind the
+ * anchored state roots (see lobbyStateRoots).
  *
  * @module kktp/lobby/parts/lobbyRoster
  */
@@ -22,15 +28,57 @@ const log = Logger.create(LogModule.lobby.parts.lobbyRoster);
  */
 export function addMember(ctx, member) {
   ctx.lobby.members.set(member.pubSig, member);
+  recordRosterChange(ctx.lobby, "join", member.pubSig, member.joinedAt ?? Date.now());
 }
 
 /**
  * Remove a member from the lobby roster
  * @param {import("./lobbyContext.js").LobbyContext} ctx
  * @param {string} pubSig - Member's public signing key
+ * @param {number} [timestamp] - Host time of the removal (defaults to now)
+ * @returns {boolean} Whether the member was on the roster
+ */
+export function removeMember(ctx, pubSig, timestamp = Date.now()) {
+  if (!ctx.lobby.members.delete(pubSig)) return false;
+  recordRosterChange(ctx.lobby, "leave", pubSig, timestamp);
+  return true;
+}
+
+/**
+ * Append a roster change to lobby.rosterLog
+ * @param {Object} lobby - Lobby object
+ * @param {string} eventType - "join" or "leave"
+ * @param {string} pubSig
+ * @param {number} timestamp - Host time of the change
+ */
+export function recordRosterChange(lobby, eventType, pubSig, timestamp) {
+  lobby.rosterLog ??= [];
+  lobby.rosterLog.push({ eventType, pubSig, timestamp });
+}
+
+/**
+ * Start the roster log of a freshly joined member from the roster it was
+ * admitted with; joinedAt is the host's time for each entry.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ */
+export function seedRosterLog(ctx) {
+  ctx.lobby.rosterLog = [];
+  for (const member of ctx.lobby.members.values()) {
+    recordRosterChange(ctx.lobby, "join", member.pubSig, member.joinedAt);
+  }
+}
+
+/**
+ * Roster log to disclose to a verifier (verifyLobbyHistory)
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @returns {{ lobbyId: string, events: Array<{ eventType: string, pubSig: string, timestamp: number }> }|null}
  */
-export function removeMember(ctx, pubSig) {
-  ctx.lobby.members.delete(pubSig);
+export function exportRosterLog(ctx) {
+  if (!ctx.lobby) return null;
+  return {
+    lobbyId: ctx.lobby.lobbyId,
+    events: (ctx.lobby.rosterLog ?? []).map((entry) => ({ ...entry })),
+  };
 }
 
 /**
@@ -84,6 +132,7 @@ export function exportMemberList(ctx) {
     displayName: m.displayName,
     role: m.role,
     joinedAt: m.joinedAt,
+    muted: Boolean(m.muted),
   }));
 }
 
@@ -212,15 +261,17 @@ export function handleMemberEvent(ctx, event) {
       pubSig: event.pubSig,
       displayName: event.displayName,
       role: MEMBER_ROLES.MEMBER,
-      joinedAt: event.timestamp,
+      // Host election ranks by joinedAt, so keep the host's value
+      joinedAt: event.joinedAt ?? event.timestamp,
     };
-    ctx.lobby.members.set(member.pubSig, member);
+    addMember(ctx, member);
+    ctx.delegatedJoins.delete(member.pubSig);
     ctx.callbacks.onMemberJoin?.(member);
     log.info("KKTP Lobby: Member joined", {
       displayName: member.displayName,
     });
   } else if (event.eventType === "leave") {
-    ctx.lobby.members.delete(event.pubSig);
+    removeMember(ctx, event.pubSig, event.timestamp);
     ctx.callbacks.onMemberLeave?.(event.pubSig, event.reason);
     log.info("KKTP Lobby: Member left", {
       pubSig: truncate(event.pubSig),
@@ -0,0 +1,559 @@
+/**
+ * LobbySenderKeys - Per-sender chain keys (groupCrypto "sender_keys")
+ *
+ * Instead of one host-distributed groupKey, every member encrypts with its
+ * own chain key. The chain is ratcheted forward once per message, so a key
+ * captured today cannot open earlier messages. A member hands its chain to
+ * the others in ONE sender_key broadcast on the group mailbox, with a copy
+ * sealed to each roster member's pub_sig (ECDH between identity keys).
+ *
+ * Key changes no longer bottleneck on the host:
+ * - a joiner receives the current chains in its join response and
+ *   broadcasts its own seed once
+ * - when a member leaves or is kicked, each remaining member re-seeds its
+ *   own chain, sealed only to those still in the roster
+ * - scheduled rotation re-seeds the host's chain (one transaction, not N)
+ *
+ * Envelopes reuse group_message with keyVersion = the sender's epoch and
+ * `iteration` = its position in that epoch's chain.
+ *
+ * @module kktp/lobby/parts/lobbySenderKeys
+ */
+
+import { blake2b } from "https://esm.sh/@noble/hashes@1.3.0/blake2b";
+import { hkdf } from "https://esm.sh/@noble/hashes@1.3.0/hkdf";
+import { xchacha20poly1305 } from "https://esm.sh/v135/@noble/ciphers/chacha";
+import { LOBBY_VERSION, GROUP_CRYPTO_MODES } from "./lobbyContext.js";
+import { generateGroupKey, uint8ToHex, hexToUint8, truncate } from "./lobbyUtils.js";
+import { validateSenderKey } from "../lobbySchemas.js";
+import { canonicalize } from "../../protocol/integrity/canonical.js";
+import { Logger, LogModule } from "../../core/logger.js";
+
+const log = Logger.create(LogModule.lobby.parts.lobbySenderKeys);
+
+export const SENDER_KEY_LABEL = "KKTP-sender-key-v1";
+
+/**
+ * Outcome of resolveSenderMessageKey()
+ */
+export const SENDER_KEY_STATUS = {
+  READY: "ready", // key derived, decrypt now
+  PENDING: "pending", // sender's epoch not seeded yet, buffer the message
+  STALE: "stale", // key already used, skipped too far or epoch retired
+};
+
+/**
+ * HKDF-BLAKE2b(salt = groupMailboxId, IKM = key, info = SENDER_KEY_LABEL || ":" || label, L = 32)
+ */
+function expand(key, salt, label) {
+  const info = new TextEncoder().encode(`${SENDER_KEY_LABEL}:${label}`);
+  return hkdf(blake2b, salt, key, info, 32);
+}
+
+function mailboxSalt(ctx) {
+  return hexToUint8(ctx.lobby.groupMailboxId);
+}
+
+function createChain(chainKey, epoch, iteration = 0) {
+  return { chainKey, epoch, iteration, skipped: new Map() };
+}
+
+/** Derive the message key for chain.iteration and step the chain forward. */
+function stepChain(chain, salt) {
+  const messageKey = expand(chain.chainKey, salt, "msg");
+  const next = expand(chain.chainKey, salt, "chain");
+  chain.chainKey.fill(0);
+  chain.chainKey = next;
+  chain.iteration++;
+  return messageKey;
+}
+
+function zeroizeChain(chain) {
+  if (!chain) return;
+  chain.chainKey?.fill(0);
+  for (const key of chain.skipped.values()) key.fill(0);
+  chain.skipped.clear();
+}
+
+/**
+ * Whether the active lobby encrypts with sender keys
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @returns {boolean}
+ */
+export function isSenderKeyMode(ctx) {
+  return ctx.lobby?.groupCrypto === GROUP_CRYPTO_MODES.SENDER_KEYS;
+}
+
+/**
+ * Start with no chains; seedSenderKey() creates our own
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ */
+export function initSenderKeys(ctx) {
+  clearSenderKeys(ctx);
+  ctx.senderKeys = {
+    own: null,
+    peers: new Map(), // pubSig -> { current, previous }
+    unverified: [], // sender_key from senders not yet in our roster
+  };
+}
+
+/**
+ * Zeroize and drop every chain
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ */
+export function clearSenderKeys(ctx) {
+  if (!ctx.senderKeys) return;
+  zeroizeChain(ctx.senderKeys.own);
+  for (const entry of ctx.senderKeys.peers.values()) {
+    zeroizeChain(entry.current);
+    zeroizeChain(entry.previous);
+  }
+  ctx.senderKeys = null;
+}
+
+/**
+ * Install a peer's chain, keeping its previous epoch for late messages
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {string} pubSig
+ * @param {Object} chain
+ */
+function installPeerChain(ctx, pubSig, chain) {
+  const entry = ctx.senderKeys.peers.get(pubSig);
+  if (!entry) {
+    ctx.senderKeys.peers.set(pubSig, { current: chain, previous: null });
+    return;
+  }
+  zeroizeChain(entry.previous);
+  entry.previous = entry.current;
+  entry.current = chain;
+}
+
+/**
+ * Forget a departed member's chain
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {string} pubSig
+ */
+export function dropSenderChain(ctx, pubSig) {
+  const entry = ctx.senderKeys?.peers.get(pubSig);
+  if (!entry) return;
+  zeroizeChain(entry.current);
+  zeroizeChain(entry.previous);
+  ctx.senderKeys.peers.delete(pubSig);
+}
+
+/**
+ * Current chain states for a join response (host only): our own and every
+ * peer's, minus the joiner. Chains are handed over at their present
+ * iteration, so the joiner cannot open anything already derived.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {string} joinerPubSig
+ * @returns {Array<{pubSig: string, epoch: number, iteration: number, chainKey: string}>}
+ */
+export function exportSenderChains(ctx, joinerPubSig) {
+  if (!ctx.senderKeys) return [];
+  const chains = [];
+  const { own, peers } = ctx.senderKeys;
+  if (own) {
+    chains.push({
+      pubSig: ctx.lobby.myPubSig,
+      epoch: own.epoch,
+      iteration: own.iteration,
+      chainKey: uint8ToHex(own.chainKey),
+    });
+  }
+  for (const [pubSig, { current }] of peers) {
+    if (pubSig === joinerPubSig) continue;
+    chains.push({
+      pubSig,
+      epoch: current.epoch,
+      iteration: current.iteration,
+      chainKey: uint8ToHex(current.chainKey),
+    });
+  }
+  return chains;
+}
+
+/**
+ * Install the chains a host sent in our join response (member only)
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Array<Object>} chains - exportSenderChains() output
+ */
+export function importSenderChains(ctx, chains = []) {
+  for (const chain of chains) {
+    if (chain.pubSig === ctx.lobby.myPubSig) continue;
+    if (!ctx.lobby.members.has(chain.pubSig)) continue;
+    installPeerChain(
+      ctx,
+      chain.pubSig,
+      createChain(hexToUint8(chain.chainKey), chain.epoch, chain.iteration),
+    );
+  }
+}
+
+/**
+ * Serializable copy of every chain for lobby persistence. Skipped keys are
+ * not kept; messages that were still reordered in flight are lost.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @returns {Object|null}
+ */
+export function exportSenderKeyState(ctx) {
+  if (!ctx.senderKeys) return null;
+  const save = (chain) =>
+    chain
+      ? { epoch: chain.epoch, iteration: chain.iteration, chainKey: uint8ToHex(chain.chainKey) }
+      : null;
+  return {
+    own: save(ctx.senderKeys.own),
+    peers: [...ctx.senderKeys.peers].map(([pubSig, { current, previous }]) => ({
+      pubSig,
+      current: save(current),
+      previous: save(previous),
+    })),
+  };
+}
+
+/**
+ * Rebuild chains from exportSenderKeyState() output
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object|null} saved
+ */
+export function restoreSenderKeyState(ctx, saved) {
+  initSenderKeys(ctx);
+  if (!saved) return;
+  const load = (chain) =>
+    chain ? createChain(hexToUint8(chain.chainKey), chain.epoch, chain.iteration) : null;
+  ctx.senderKeys.own = load(saved.own);
+  for (const { pubSig, current, previous } of saved.peers ?? []) {
+    if (!current) continue;
+    ctx.senderKeys.peers.set(pubSig, { current: load(current), previous: load(previous) });
+  }
+}
+
+/**
+ * Take the next message key from our own chain
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @returns {{ key: Uint8Array, epoch: number, iteration: number }}
+ */
+export function nextOwnMessageKey(ctx) {
+  const own = ctx.senderKeys?.own;
+  if (!own) {
+    throw new Error("Sender key not seeded yet");
+  }
+  const iteration = own.iteration;
+  const key = stepChain(own, mailboxSalt(ctx));
+  return { key, epoch: own.epoch, iteration };
+}
+
+/**
+ * Find the message key for a sender-key envelope. Skipping ahead keeps the
+ * intermediate keys (up to senderKeyMaxSkip) for reordered messages; each
+ * key is handed out once.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} encrypted - Verified group_message envelope
+ * @returns {{ status: string, key?: Uint8Array }}
+ */
+export function resolveSenderMessageKey(ctx, encrypted) {
+  const { senderPubSig, keyVersion: epoch, iteration } = encrypted;
+  if (!Number.isInteger(iteration)) {
+    return { status: SENDER_KEY_STATUS.STALE };
+  }
+
+  const entry = ctx.senderKeys?.peers.get(senderPubSig);
+  let chain = null;
+  if (entry?.current.epoch === epoch) chain = entry.current;
+  else if (entry?.previous?.epoch === epoch) chain = entry.previous;
+
+  if (!chain) {
+    return !entry || epoch > entry.current.epoch
+      ? { status: SENDER_KEY_STATUS.PENDING }
+      : { status: SENDER_KEY_STATUS.STALE };
+  }
+
+  if (iteration < chain.iteration) {
+    const key = chain.skipped.get(iteration);
+    if (!key) return { status: SENDER_KEY_STATUS.STALE };
+    chain.skipped.delete(iteration);
+    return { status: SENDER_KEY_STATUS.READY, key };
+  }
+
+  const maxSkip = ctx.config.senderKeyMaxSkip;
+  if (iteration - chain.iteration > maxSkip) {
+    log.warn("KKTP Lobby: Sender chain jumped too far ahead", {
+      senderPubSig: truncate(senderPubSig),
+      epoch,
+      expected: chain.iteration,
+      received: iteration,
+    });
+    return { status: SENDER_KEY_STATUS.STALE };
+  }
+
+  const salt = mailboxSalt(ctx);
+  while (chain.iteration < iteration) {
+    const skippedAt = chain.iteration;
+    chain.skipped.set(skippedAt, stepChain(chain, salt));
+    if (chain.skipped.size > maxSkip) {
+      const [oldest, key] = chain.skipped.entries().next().value;
+      key.fill(0);
+      chain.skipped.delete(oldest);
+    }
+  }
+  return { status: SENDER_KEY_STATUS.READY, key: stepChain(chain, salt) };
+}
+
+/**
+ * Canonical bytes a sender_key broadcast is signed over, bound to the
+ * group mailbox like group_message envelopes
+ * @param {Object} message - sender_key message
+ * @param {string} groupMailboxId
+ * @returns {string}
+ */
+export function senderKeySigningBody(message, groupMailboxId) {
+  return canonicalize({
+    type: message.type,
+    version: message.version,
+    lobbyId: message.lobbyId,
+    groupMailboxId,
+    senderPubSig: message.senderPubSig,
+    epoch: message.epoch,
+    copies: message.copies,
+    reason: message.reason ?? null,
+    timestamp: message.timestamp,
+  });
+}
+
+/**
+ * Key that seals senderPubSig's chain for recipientPubSig. Either side
+ * derives it from its own identity key and the other's pub_sig.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {string} senderPubSig
+ * @param {string} recipientPubSig
+ * @returns {Promise<Uint8Array>}
+ */
+async function deriveSealKey(ctx, senderPubSig, recipientPubSig) {
+  const { myPubSig } = ctx.lobby;
+  const peerPubSig = myPubSig === senderPubSig ? recipientPubSig : senderPubSig;
+  const shared = await ctx.sm.deriveIdentitySecret(myPubSig, peerPubSig);
+  const sealKey = expand(shared, mailboxSalt(ctx), `seal:${senderPubSig}:${recipientPubSig}`);
+  shared.fill?.(0);
+  return sealKey;
+}
+
+function sealAad(lobbyId, senderPubSig, epoch) {
+  return new TextEncoder().encode(`${lobbyId}:${senderPubSig}:${epoch}`);
+}
+
+/**
+ * Seed a fresh chain for ourselves and send it to everyone else in the
+ * roster. Our own chain only switches once the broadcast went out, so
+ * nothing is encrypted under an epoch the others cannot have.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {string} [reason="Sender key seeded"]
+ * @returns {Promise<Object|null>} - { txid }, or null with nobody to tell
+ */
+export async function seedSenderKey(ctx, reason = "Sender key seeded") {
+  if (!isSenderKeyMode(ctx) || !ctx.senderKeys) {
+    throw new Error("Lobby does not use sender keys");
+  }
+
+  const { lobby } = ctx;
+  const epoch = (ctx.senderKeys.own?.epoch ?? 0) + 1;
+  const chainKey = await generateGroupKey();
+  const recipients = [...lobby.members.keys()].filter((p) => p !== lobby.myPubSig);
+
+  let result = null;
+  if (recipients.length > 0) {
+    const message = {
+      type: "sender_key",
+      version: LOBBY_VERSION,
+      lobbyId: lobby.lobbyId,
+      senderPubSig: lobby.myPubSig,
+      epoch,
+      copies: {},
+      reason,
+      timestamp: Date.now(),
+    };
+
+    const aad = sealAad(lobby.lobbyId, lobby.myPubSig, epoch);
+    for (const recipientPubSig of recipients) {
+      const sealKey = await deriveSealKey(ctx, lobby.myPubSig, recipientPubSig);
+      const nonce = crypto.getRandomValues(new Uint8Array(24));
+      const ciphertext = xchacha20poly1305(sealKey, nonce, aad).encrypt(chainKey);
+      sealKey.fill(0);
+      message.copies[recipientPubSig] = {
+        nonce: uint8ToHex(nonce),
+        ciphertext: uint8ToHex(ciphertext),
+      };
+    }
+
+    message.sig = await ctx.sm.signAsIdentity(
+      lobby.myPubSig,
+      senderKeySigningBody(message, lobby.groupMailboxId),
+    );
+
+    const payload = `KKTP:GROUP:${lobby.groupMailboxId}:${JSON.stringify(message)}`;
+    const address = await ctx.adapter.getAddress();
+    result = await ctx.adapter.send({ toAddress: address, amount: "1", payload });
+    ctx.lastGroupSendAt = Date.now();
+  }
+
+  zeroizeChain(ctx.senderKeys.own);
+  ctx.senderKeys.own = createChain(chainKey, epoch);
+
+  log.info("KKTP Lobby: Sender key seeded", {
+    epoch,
+    recipientCount: recipients.length,
+    reason,
+  });
+
+  return result;
+}
+
+/**
+ * Stash a distribution whose sender we do not know yet; the host's join
+ * notice for a newcomer can arrive after the newcomer's own seed
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} message
+ */
+function stashUnverified(ctx, message) {
+  const now = Date.now();
+  const pending = ctx.senderKeys.unverified.filter(
+    (entry) => now - entry.receivedAt < ctx.config.futureBufferTtlMs,
+  );
+  if (pending.length >= ctx.config.futureBufferMaxSize) pending.shift();
+  pending.push({ message, receivedAt: now });
+  ctx.senderKeys.unverified = pending;
+}
+
+/**
+ * Install a peer's sender_key broadcast
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} message - sender_key message
+ * @returns {Promise<boolean>} Whether a new chain was installed
+ */
+export async function handleSenderKey(ctx, message) {
+  if (!isSenderKeyMode(ctx) || !ctx.senderKeys) return false;
+
+  try {
+    validateSenderKey(message);
+  } catch (err) {
+    log.warn("KKTP Lobby: Invalid sender key", err.message);
+    return false;
+  }
+
+  const { lobby } = ctx;
+  if (message.lobbyId !== lobby.lobbyId) return false;
+  if (message.senderPubSig === lobby.myPubSig) return false;
+
+  if (!lobby.members.has(message.senderPubSig)) {
+    log.debug("KKTP Lobby: Holding sender key from unknown sender", {
+      senderPubSig: truncate(message.senderPubSig),
+    });
+    stashUnverified(ctx, message);
+    return false;
+  }
+
+  const valid = await ctx.sm.verifyIdentitySignature(
+    message.senderPubSig,
+    senderKeySigningBody(message, lobby.groupMailboxId),
+    message.sig,
+  );
+  if (!valid) {
+    log.warn("KKTP Lobby: Dropping sender key with bad signature", {
+      senderPubSig: truncate(message.senderPubSig),
+    });
+    return false;
+  }
+
+  const copy = message.copies[lobby.myPubSig];
+  if (!copy) {
+    log.debug("KKTP Lobby: Sender key not sealed to us", {
+      senderPubSig: truncate(message.senderPubSig),
+      epoch: message.epoch,
+    });
+    return false;
+  }
+
+  const entry = ctx.senderKeys.peers.get(message.senderPubSig);
+  if (entry && message.epoch <= entry.current.epoch) {
+    log.debug("KKTP Lobby: Stale sender key ignored", {
+      senderPubSig: truncate(message.senderPubSig),
+      current: entry.current.epoch,
+      received: message.epoch,
+    });
+    return false;
+  }
+
+  let chainKey;
+  try {
+    const sealKey = await deriveSealKey(ctx, message.senderPubSig, lobby.myPubSig);
+    chainKey = xchacha20poly1305(
+      sealKey,
+      hexToUint8(copy.nonce),
+      sealAad(lobby.lobbyId, message.senderPubSig, message.epoch),
+    ).decrypt(hexToUint8(copy.ciphertext));
+    sealKey.fill(0);
+  } catch (err) {
+    log.warn("KKTP Lobby: Failed to open sender key", {
+      senderPubSig: truncate(message.senderPubSig),
+      error: err.message,
+    });
+    return false;
+  }
+
+  installPeerChain(ctx, message.senderPubSig, createChain(chainKey, message.epoch));
+
+  log.info("KKTP Lobby: Sender key installed", {
+    senderPubSig: truncate(message.senderPubSig),
+    epoch: message.epoch,
+    reason: message.reason,
+  });
+  return true;
+}
+
+/**
+ * Retry held distributions once their senders are in the roster
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @returns {Promise<boolean>} Whether any chain was installed
+ */
+export async function processUnverifiedSenderKeys(ctx) {
+  if (!ctx.senderKeys?.unverified.length) return false;
+
+  const ready = [];
+  const waiting = [];
+  for (const entry of ctx.senderKeys.unverified) {
+    (ctx.lobby.members.has(entry.message.senderPubSig) ? ready : waiting).push(entry);
+  }
+  ctx.senderKeys.unverified = waiting;
+
+  let installed = false;
+  for (const { message } of ready) {
+    installed = (await handleSenderKey(ctx, message)) || installed;
+  }
+  return installed;
+}
+
+/**
+ * Drop departed members' chains and re-seed our own without them, so
+ * nothing we send from now on is readable by them
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {string[]} departedPubSigs
+ * @param {string} [reason="Member left"]
+ * @returns {Promise<Object|null>} - { txid }, or null if nothing was sent
+ */
+export async function reseedAfterDeparture(ctx, departedPubSigs, reason = "Member left") {
+  if (!isSenderKeyMode(ctx) || !ctx.senderKeys) return null;
+
+  for (const pubSig of departedPubSigs) {
+    dropSenderChain(ctx, pubSig);
+  }
+
+  try {
+    return await seedSenderKey(ctx, reason);
+  } catch (err) {
+    log.warn("KKTP Lobby: Failed to re-seed sender key", {
+      reason,
+      error: err.message,
+    });
+    return null;
+  }
+}
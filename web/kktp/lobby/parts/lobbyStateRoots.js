@@ -0,0 +1,443 @@
+/**
+ * LobbyStateRoots - Anchored state roots and verifiable lobby history
+ *
+ * After every roster change and key rotation the host anchors a compact,
+ * identity-signed lobby_root record:
+ *
+ *   KKTP:LOBBYROOT:{lobbyId}:{canonical JSON}
+ *
+ * It carries computeStateRoot() of the roster, the epoch and the txid of the
+ * previous root, so each lobby's roots form a chain on the DAG. The host
+ * then sends the new txid to the group (lobby_state_root) so that a
+ * successor elected after a migration extends the same chain.
+ *
+ * Roots list no pubSigs, but a root is an unsalted hash of the sorted
+ * roster: anyone who can guess the members (e.g. from the public response
+ * anchors to the host's discovery) can confirm the guess. Members keep a
+ * roster log (lobbyRoster) and can disclose it; verifyLobbyHistory()
+ * replays disclosed logs against the chain, recomputes every root and
+ * reports who was in the lobby at each epoch. It needs no keys.
+ *
+ * @module kktp/lobby/parts/lobbyStateRoots
+ */
+
+import {
+  LOBBY_STATES,
+  LOBBY_VERSION,
+  LOBBY_ROOT_PREFIX,
+} from "./lobbyContext.js";
+import { computeStateRoot, truncate } from "./lobbyUtils.js";
+import { waitForUtxoRefresh } from "./lobbyUtxo.js";
+import { sendGroupControl } from "./lobbyMessaging.js";
+import { validateLobbyRoot, validateStateRootNotice } from "../lobbySchemas.js";
+import { canonicalize } from "../../protocol/integrity/canonical.js";
+import {
+  normalizePayloadRecord,
+  verifyAnchorSignature,
+  verifyKaspaMessage,
+} from "../../protocol/integrity/sessionVerifier.js";
+import {
+  parseKKTPPayload,
+  validateAnchorOrThrow,
+} from "../../protocol/sessions/index.js";
+import { Logger, LogModule } from "../../core/logger.js";
+
+const log = Logger.create(LogModule.lobby.parts.lobbyStateRoots);
+
+/**
+ * Verdicts of verifyLobbyHistory()
+ */
+export const LOBBY_HISTORY_VERDICTS = {
+  VERIFIED: "verified", // chain intact and every epoch's roster reconstructed
+  PARTIAL: "partial", // chain intact, disclosures do not cover every epoch
+  INVALID: "invalid", // a root is malformed or forged, or the chain breaks
+};
+
+/**
+ * Canonical bytes the host signs for a lobby_root record
+ * @param {Object} record - lobby_root record
+ * @returns {string}
+ */
+export function lobbyRootSigningBody(record) {
+  const { sig, ...body } = record;
+  return canonicalize(body);
+}
+
+/**
+ * Build the on-chain payload for a signed lobby_root record
+ * @param {Object} record - Signed lobby_root record
+ * @returns {string}
+ */
+export function buildLobbyRootPayload(record) {
+  return `${LOBBY_ROOT_PREFIX}${record.lobbyId}:${canonicalize(record)}`;
+}
+
+/**
+ * Parse a KKTP:LOBBYROOT: payload
+ * @param {string} payload - Raw payload
+ * @returns {Object|null} lobby_root record, or null if not one
+ */
+export function parseLobbyRootPayload(payload) {
+  if (typeof payload !== "string" || !payload.startsWith(LOBBY_ROOT_PREFIX)) {
+    return null;
+  }
+  const rest = payload.slice(LOBBY_ROOT_PREFIX.length);
+  const colonIdx = rest.indexOf(":");
+  if (colonIdx === -1) return null;
+
+  try {
+    const record = JSON.parse(rest.slice(colonIdx + 1));
+    return record?.lobbyId === rest.slice(0, colonIdx) ? record : null;
+  } catch {
+    return null;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Anchoring (host side)
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Anchor the current state root (host only). Calls are queued so roots
+ * chain in order; failures are logged and the next root links to the last
+ * one that made it on-chain. Nothing is sent if the root is unchanged.
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} codec - LobbyCodec instance
+ * @param {string} reason - One of STATE_ROOT_REASONS
+ * @returns {Promise<Object|null>} lobby.stateRoot after anchoring
+ */
+export function anchorStateRoot(ctx, codec, reason) {
+  if (!ctx.config.anchorStateRoots) return Promise.resolve(null);
+
+  const run = () =>
+    publishStateRoot(ctx, codec, reason).catch((err) => {
+      log.warn("KKTP Lobby: State root anchor failed", {
+        reason,
+        error: err?.message || err,
+      });
+      return null;
+    });
+  ctx.stateRootQueue = (ctx.stateRootQueue ?? Promise.resolve()).then(run);
+  return ctx.stateRootQueue;
+}
+
+/**
+ * Sign, anchor and announce one lobby_root record
+ * @private
+ */
+async function publishStateRoot(ctx, codec, reason) {
+  const { lobby } = ctx;
+  if (ctx.state !== LOBBY_STATES.HOSTING || !lobby) return null;
+
+  const stateRoot = computeStateRoot(lobby);
+  const previous = lobby.stateRoot ?? null;
+  if (previous?.stateRoot === stateRoot) return previous;
+
+  const record = {
+    type: "lobby_root",
+    version: LOBBY_VERSION,
+    lobbyId: lobby.lobbyId,
+    epoch: previous ? previous.epoch + 1 : 0,
+    stateRoot,
+    prevTxid: previous?.txid ?? null,
+    keyVersion: lobby.keyVersion,
+    memberCount: lobby.members.size,
+    reason,
+    hostPubSig: lobby.hostPubSig,
+    timestamp: Date.now(),
+  };
+  record.sig = await ctx.sm.signAsIdentity(lobby.hostPubSig, lobbyRootSigningBody(record));
+
+  const address = await ctx.adapter.getAddress();
+  const result = await ctx.adapter.send({
+    toAddress: address,
+    amount: "1",
+    payload: buildLobbyRootPayload(record),
+  });
+  const txid = result?.transactionId ?? result?.txId ?? result?.txid;
+  if (!txid) {
+    throw new Error("Lobby root send returned no txid");
+  }
+
+  lobby.stateRoot = {
+    epoch: record.epoch,
+    txid,
+    stateRoot,
+    timestamp: record.timestamp,
+  };
+  log.info("KKTP Lobby: State root anchored", {
+    epoch: record.epoch,
+    reason,
+    txid: truncate(txid),
+    memberCount: record.memberCount,
+  });
+
+  // Members need the txid so whoever succeeds us can link to it
+  try {
+    await waitForUtxoRefresh(ctx, 1000, 3000);
+    await sendGroupControl(ctx, codec, {
+      type: "lobby_state_root",
+      version: LOBBY_VERSION,
+      lobbyId: lobby.lobbyId,
+      epoch: record.epoch,
+      txid,
+      stateRoot,
+      timestamp: Date.now(),
+    });
+  } catch (err) {
+    log.warn("KKTP Lobby: Failed to announce state root", err?.message || err);
+  }
+
+  return lobby.stateRoot;
+}
+
+/**
+ * Track the host's latest anchored root (member only)
+ * @param {import("./lobbyContext.js").LobbyContext} ctx
+ * @param {Object} notice - lobby_state_root control message
+ * @param {string} senderPubSig - Verified envelope signer
+ * @returns {boolean} Whether the notice was accepted
+ */
+export function handleStateRootNotice(ctx, notice, senderPubSig) {
+  if (ctx.state !== LOBBY_STATES.MEMBER || !ctx.lobby) return false;
+
+  try {
+    validateStateRootNotice(notice);
+  } catch (err) {
+    log.warn("KKTP Lobby: Invalid state root notice", err.message);
+    return false;
+  }
+
+  const { lobby } = ctx;
+  if (notice.lobbyId !== lobby.lobbyId) return false;
+  if (senderPubSig !== lobby.hostPubSig) {
+    log.warn("KKTP Lobby: State root notice not from host", {
+      sender: truncate(senderPubSig),
+    });
+    return false;
+  }
+  if (notice.epoch <= (lobby.stateRoot?.epoch ?? -1)) return false;
+
+  lobby.stateRoot = {
+    epoch: notice.epoch,
+    txid: notice.txid,
+    stateRoot: notice.stateRoot,
+    timestamp: notice.timestamp,
+  };
+  return true;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Verification
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Check, deduplicate and order disclosed roster log entries
+ * @private
+ */
+function orderDisclosures(events, warnings) {
+  const seen = new Set();
+  const ordered = [];
+  let malformed = 0;
+
+  for (const event of events) {
+    const valid =
+      (event?.eventType === "join" || event?.eventType === "leave") &&
+      typeof event.pubSig === "string" &&
+      Number.isFinite(event.timestamp);
+    if (!valid) {
+      malformed++;
+      continue;
+    }
+    const key = `${event.eventType}:${event.pubSig}:${event.timestamp}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    ordered.push(event);
+  }
+
+  if (malformed) warnings.push(`${malformed} malformed disclosure(s) ignored`);
+  return ordered.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * The pub_sig of the lobby's own discovery anchor (its sid is the lobbyId).
+ * The first correctly signed one in DAG order wins.
+ * @private
+ */
+async function findDiscoveryPubSig(records, lobbyId, verifySignature, warnings) {
+  const signers = [];
+  for (const raw of records) {
+    const record = normalizePayloadRecord(raw);
+    const parsed = record && parseKKTPPayload(record.payload);
+    const anchor = parsed?.type === "anchor" ? parsed.anchor : null;
+    if (anchor?.type !== "discovery" || anchor.sid !== lobbyId) continue;
+    try {
+      validateAnchorOrThrow(anchor);
+      if (!(await verifyAnchorSignature(anchor, verifySignature))) continue;
+    } catch {
+      continue;
+    }
+    if (!signers.includes(anchor.pub_sig)) signers.push(anchor.pub_sig);
+  }
+  if (signers.length > 1) {
+    warnings.push(`${signers.length} keys published this lobby's discovery; using the first`);
+  }
+  return signers[0] ?? null;
+}
+
+/**
+ * Reconstruct and check a lobby's roster timeline from its anchored roots
+ * and the roster logs members disclose (exportRosterLog). A root whose
+ * recomputed value matches proves exactly who was in the lobby at that
+ * epoch; disclosures cannot make a false roster match.
+ *
+ * The epoch 0 root must be signed by the key that published the lobby's
+ * discovery, and later roots by the previous signer or by someone who was
+ * a member at the previous epoch. Roots from anyone else are skipped.
+ * @param {Array<string|Object>} records - Payloads in DAG order (see normalizePayloadRecord)
+ * @param {Object} options
+ * @param {string} options.lobbyId - Lobby to reconstruct
+ * @param {string} [options.hostPubSig] - The lobby discovery's pub_sig; looked up in records if omitted
+ * @param {Array<Object>} [options.events=[]] - Disclosed { eventType, pubSig, timestamp } entries, from any number of members
+ * @param {(pubKeyHex: string, body: string, sigHex: string) => Promise<boolean>} [options.verifySignature=verifyKaspaMessage]
+ * @returns {Promise<{ lobbyId: string, verdict: string, epochs: Object[], memberships: Object<string, number[]>, errors: string[], warnings: string[], ignored: number }>}
+ */
+export async function verifyLobbyHistory(records, options = {}) {
+  const { lobbyId, events = [], verifySignature = verifyKaspaMessage } = options;
+  if (!lobbyId) {
+    throw new Error("lobbyId is required");
+  }
+
+  const errors = [];
+  const warnings = [];
+  let ignored = 0;
+
+  // Every well-formed, correctly signed root of this lobby
+  const roots = [];
+  for (const raw of records) {
+    const record = normalizePayloadRecord(raw);
+    const root = record && parseLobbyRootPayload(record.payload);
+    if (!root || root.lobbyId !== lobbyId) {
+      ignored++;
+      continue;
+    }
+    const label = `root ${truncate(record.txid) || "(no txid)"}`;
+    try {
+      validateLobbyRoot(root);
+    } catch (err) {
+      errors.push(`${label}: ${err.message}`);
+      continue;
+    }
+    if (!record.txid) {
+      warnings.push(`epoch ${root.epoch} root has no txid and cannot be linked`);
+      continue;
+    }
+    if (!(await verifySignature(root.hostPubSig, lobbyRootSigningBody(root), root.sig))) {
+      errors.push(`${label}: signature invalid`);
+      continue;
+    }
+    roots.push({ root, record });
+  }
+
+  // Anyone can sign a root for any lobbyId; only the discovery key starts the chain
+  const genesisSigner =
+    options.hostPubSig ?? (await findDiscoveryPubSig(records, lobbyId, verifySignature, warnings));
+  if (roots.length && !genesisSigner) {
+    errors.push("lobby discovery not found; pass options.hostPubSig");
+  }
+
+  const children = new Map();
+  for (const entry of roots) {
+    const key = entry.root.prevTxid;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(entry);
+  }
+
+  // Follow prevTxid links from the genesis root, replaying disclosures up
+  // to each root's timestamp and recomputing it
+  const disclosures = orderDisclosures(events, warnings);
+  const roster = new Set();
+  let cursor = 0;
+  const epochs = [];
+  const memberships = {};
+  let linked = 0;
+
+  let candidates = (children.get(null) ?? []).filter(
+    ({ root }) => genesisSigner && root.hostPubSig === genesisSigner,
+  );
+  if (roots.length && genesisSigner && !candidates.length) {
+    errors.push("no epoch 0 root signed by the lobby's discovery key");
+  }
+  while (candidates.length) {
+    // Only the current host, or a member taking over, extends the chain
+    const previous = epochs.at(-1);
+    const eligible = candidates.filter(({ root }) => {
+      if (!previous || root.hostPubSig === previous.hostPubSig) return true;
+      if (!previous.members) {
+        warnings.push(`host change at epoch ${root.epoch} could not be checked`);
+        return true;
+      }
+      if (previous.members.includes(root.hostPubSig)) return true;
+      warnings.push(
+        `epoch ${root.epoch} root by ${truncate(root.hostPubSig)} skipped: not a member`,
+      );
+      return false;
+    });
+    if (!eligible.length) break;
+    if (eligible.length > 1) {
+      errors.push(
+        `${eligible.length} roots claim to follow ${previous ? `epoch ${previous.epoch}` : "genesis"}`,
+      );
+    }
+
+    const { root, record } = eligible[0];
+    if (previous && root.epoch !== previous.epoch + 1) {
+      errors.push(`epoch ${root.epoch} follows epoch ${previous.epoch}`);
+    }
+    linked++;
+
+    while (cursor < disclosures.length && disclosures[cursor].timestamp <= root.timestamp) {
+      const { eventType, pubSig } = disclosures[cursor++];
+      if (eventType === "join") roster.add(pubSig);
+      else roster.delete(pubSig);
+    }
+
+    const members = [...roster].sort();
+    const recomputed = computeStateRoot({
+      lobbyId,
+      keyVersion: root.keyVersion,
+      members: new Map(members.map((pubSig) => [pubSig, true])),
+    });
+    const reconstructed = recomputed === root.stateRoot;
+
+    if (reconstructed) {
+      for (const pubSig of members) (memberships[pubSig] ??= []).push(root.epoch);
+    }
+    epochs.push({
+      epoch: root.epoch,
+      reason: root.reason,
+      txid: record.txid,
+      blockHash: record.blockHash,
+      blockTime: record.timestamp,
+      timestamp: root.timestamp,
+      hostPubSig: root.hostPubSig,
+      keyVersion: root.keyVersion,
+      memberCount: root.memberCount,
+      stateRoot: root.stateRoot,
+      members: reconstructed ? members : null,
+    });
+    candidates = children.get(record.txid) ?? [];
+  }
+  const unlinked = roots.length - linked;
+  if (unlinked > 0) warnings.push(`${unlinked} root(s) not on the chain`);
+
+  let verdict = LOBBY_HISTORY_VERDICTS.VERIFIED;
+  if (errors.length || !epochs.length) {
+    verdict = LOBBY_HISTORY_VERDICTS.INVALID;
+    if (!epochs.length && !errors.length) errors.push("no roots found for this lobby");
+  } else if (epochs.some((e) => !e.members)) {
+    verdict = LOBBY_HISTORY_VERDICTS.PARTIAL;
+  }
+
+  return { lobbyId, verdict, epochs, memberships, errors, warnings, ignored };
+}
@@ -4,12 +4,15 @@ import { hexToBytes } from "../utils/conversions.js";
 /**
  * Constructs the Associated Data (AAD) buffer for XChaCha20-Poly1305.
  * Following KKTP Spec Section 6.6: AAD = mailbox_id || direction || seq
+ * Ratcheted packets (§7.7.1) bind the epoch too:
+ * AAD = mailbox_id || direction || epoch (u32BE) || seq
  * @param {string|Uint8Array} mailboxId - The raw hash bytes or hex string of the mailbox ID.
  * @param {string} direction - MUST be exactly "AtoB" or "BtoA".
  * @param {number|bigint} seq - The current sequence number (Unsigned 64-bit).
+ * @param {number} [epoch] - Ratchet epoch (Unsigned 32-bit); omitted when not ratcheting.
  * @returns {Uint8Array} The concatenated AAD buffer.
  */
-export function constructAAD(mailboxId, direction, seq) {
+export function constructAAD(mailboxId, direction, seq, epoch) {
   // 1. Validate Direction (Section 3 & 6.6)
   if (direction !== "AtoB" && direction !== "BtoA") {
     throw new Error(
@@ -40,15 +43,56 @@ export function constructAAD(mailboxId, direction, seq) {
   const view = new DataView(seqBytes.buffer);
   view.setBigUint64(0, seqBig, false); // false = Big Endian per Spec
 
+  // 4b. Encode Epoch (u32BE) - Section 7.7.1, only when present
+  let epochBytes = new Uint8Array(0);
+  if (epoch !== undefined && epoch !== null) {
+    if (!Number.isInteger(epoch) || epoch < 0 || epoch > 0xffffffff) {
+      throw new Error("Ratchet epoch out of range for unsigned 32-bit integer.");
+    }
+    epochBytes = new Uint8Array(4);
+    new DataView(epochBytes.buffer).setUint32(0, epoch, false);
+  }
+
   // 5. Final Assembly
-  // Total = 32 (ID) + 4 (Dir) + 8 (Seq) = 44 bytes
+  // Total = 32 (ID) + 4 (Dir) + [4 (Epoch)] + 8 (Seq) = 44 or 48 bytes
   const aad = new Uint8Array(
-    mailboxBytes.length + dirBytes.length + seqBytes.length,
+    mailboxBytes.length + dirBytes.length + epochBytes.length + seqBytes.length,
   );
 
-  aad.set(mailboxBytes, 0);
-  aad.set(dirBytes, mailboxBytes.length);
-  aad.set(seqBytes, mailboxBytes.length + dirBytes.length);
+  let offset = 0;
+  for (const part of [mailboxBytes, dirBytes, epochBytes, seqBytes]) {
+    aad.set(part, offset);
+    offset += part.length;
+  }
+
+  return aad;
+}
+
+/**
+ * Constructs the AAD for KKTP control frames (§7.2.1 Retransmission).
+ * AAD = mailbox_id || direction || type || ctl_seq
+ * Binding the frame type keeps control ciphertexts from being replayed as
+ * `msg` packets (whose AAD is always exactly 44 bytes) or as another type.
+ * @param {string|Uint8Array} mailboxId - The raw hash bytes or hex string of the mailbox ID.
+ * @param {string} direction - MUST be exactly "AtoB" or "BtoA".
+ * @param {string} type - Control frame type (e.g. "retransmit_request").
+ * @param {number|bigint} ctlSeq - Per-direction control counter (Unsigned 64-bit).
+ * @returns {Uint8Array} The concatenated AAD buffer.
+ */
+export function constructControlAAD(mailboxId, direction, type, ctlSeq) {
+  if (typeof type !== "string" || type.length === 0) {
+    throw new Error("Invalid KKTP control frame type.");
+  }
+
+  // Reuse the msg AAD for validation, then splice the type in before ctl_seq
+  const base = constructAAD(mailboxId, direction, ctlSeq);
+  const typeBytes = new TextEncoder().encode(type);
+  const headerLength = base.length - 8;
+
+  const aad = new Uint8Array(base.length + typeBytes.length);
+  aad.set(base.subarray(0, headerLength), 0);
+  aad.set(typeBytes, headerLength);
+  aad.set(base.subarray(headerLength), headerLength + typeBytes.length);
 
   return aad;
 }
@@ -84,11 +84,36 @@ export class AnchorFactory {
       expected_uptime_seconds: meta.expected_uptime_seconds || meta.upTime || 3600,
     };
 
-    // Preserve lobby fields (lobby, lobby_name, max_members) for group sessions
+    // Preserve lobby fields (lobby, lobby_name, max_members, lobby_access) for group sessions
     if (meta.lobby) {
       normalizedMeta.lobby = true;
       normalizedMeta.lobby_name = meta.lobby_name || "Unnamed Lobby";
       normalizedMeta.max_members = meta.max_members || 16;
+      if (meta.lobby_access && meta.lobby_access !== "open") {
+        normalizedMeta.lobby_access = meta.lobby_access;
+      }
+      if (Array.isArray(meta.match_tickets) && meta.match_sig) {
+        normalizedMeta.match_tickets = [...meta.match_tickets];
+        normalizedMeta.match_sig = meta.match_sig;
+      }
+    } else if (meta.matchmaking) {
+      // Matchmaking ticket: short-lived "seeking match" discovery
+      normalizedMeta.matchmaking = true;
+      normalizedMeta.match_mode = meta.match_mode || "default";
+      normalizedMeta.rating_bucket = meta.rating_bucket ?? 0;
+    }
+
+    // Padding offer (§6.6.1); omitted entirely when padding is off
+    if (Array.isArray(meta.padding)) {
+      normalizedMeta.padding = [...meta.padding];
+    }
+
+    // Capability offer and region tags (§6.1.1)
+    if (Array.isArray(meta.capabilities)) {
+      normalizedMeta.capabilities = [...meta.capabilities];
+    }
+    if (Array.isArray(meta.regions) && meta.regions.length > 0) {
+      normalizedMeta.regions = [...meta.regions];
     }
 
     const anchor = {
@@ -126,8 +151,9 @@ export class AnchorFactory {
    * Section 6.2: Response Anchor
    * Per §5.3: Response anchors do NOT include meta
    * Per §5.3: Response MUST echo initiator's keys for cryptographic binding
+   * Per §6.1.1: `capabilities` (signed) is set only when the discovery offered some
    */
-  async createResponse(discovery, { sig, dh }) {
+  async createResponse(discovery, { sig, dh, capabilities = null }) {
     const response = {
       type: "response",
       version: 1,
@@ -141,6 +167,10 @@ export class AnchorFactory {
       sig_resp: null, // Set by kktpProtocol.signAnchor()
     };
 
+    if (Array.isArray(capabilities)) {
+      response.capabilities = [...capabilities];
+    }
+
     const vrfInputHash = computeVrfInputHash(
       discovery.pub_sig,
       discovery.pub_dh,
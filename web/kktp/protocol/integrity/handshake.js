@@ -14,7 +14,7 @@ import { hkdf } from "https://esm.sh/@noble/hashes@1.3.0/hkdf";
  * @param {...string} hexStrings - Hex-encoded key components
  * @returns {Uint8Array} 32-byte Blake2b hash
  */
-function computeVrfInputHash(...hexStrings) {
+export function computeVrfInputHash(...hexStrings) {
   // Calculate total byte length
   const totalLen = hexStrings.reduce((sum, h) => sum + h.length / 2, 0);
   const combined = new Uint8Array(totalLen);
@@ -30,6 +30,51 @@ function computeVrfInputHash(...hexStrings) {
   return blake2b(combined, { dkLen: 32 });
 }
 
+/**
+ * Derives K_session per §6.2:
+ * HKDF-BLAKE2b(salt = sid, IKM = shared secret, info = pub_sig_A || pub_sig_B, L = 32)
+ * @param {Uint8Array} sharedSecretBytes - Raw DH shared secret
+ * @param {string} sidHex - Session ID
+ * @param {string} pubSigAHex - Initiator signing key
+ * @param {string} pubSigBHex - Responder signing key
+ * @returns {Uint8Array} 32-byte session key
+ */
+export function deriveSessionKey(sharedSecretBytes, sidHex, pubSigAHex, pubSigBHex) {
+  const pubSigA = hexToBytes(pubSigAHex);
+  const pubSigB = hexToBytes(pubSigBHex);
+
+  // Construct info = pub_sig_A || pub_sig_B (raw bytes, not hex strings)
+  const info = new Uint8Array(pubSigA.length + pubSigB.length);
+  info.set(pubSigA, 0);
+  info.set(pubSigB, pubSigA.length);
+
+  // HKDF with Blake2b: Extract phase uses sid as salt, Expand uses info
+  // @noble/hashes hkdf(hash, salt, ikm, info, length) handles Extract+Expand
+  return hkdf(blake2b, hexToBytes(sidHex), sharedSecretBytes, info, 32);
+}
+
+/**
+ * Derives mailbox_id per §6.3: BLAKE2b-256(pub_sig_A || pub_sig_B || sid)
+ * @param {string} pubSigAHex - Initiator signing key
+ * @param {string} pubSigBHex - Responder signing key
+ * @param {string} sidHex - Session ID
+ * @returns {string} Hex-encoded mailbox_id
+ */
+export function deriveMailboxId(pubSigAHex, pubSigBHex, sidHex) {
+  const pubSigA = hexToBytes(pubSigAHex);
+  const pubSigB = hexToBytes(pubSigBHex);
+  const sidBytes = hexToBytes(sidHex);
+
+  const mailboxInput = new Uint8Array(
+    pubSigA.length + pubSigB.length + sidBytes.length,
+  );
+  mailboxInput.set(pubSigA, 0);
+  mailboxInput.set(pubSigB, pubSigA.length);
+  mailboxInput.set(sidBytes, pubSigA.length + pubSigB.length);
+
+  return bytesToHex(blake2b(mailboxInput, { dkLen: 32 }));
+}
+
 /**
  * Establishes a session with mandatory VRF binding verification.
  * Follows KKTP Spec Sections 6.1, 6.2, 6.3, and 7.3.
@@ -163,18 +208,12 @@ export async function establishSession(
 
   // 4. Session Key Derivation (§6.2)
   // K_session = HKDF-Expand(HKDF-Extract(salt=sid, IKM=K), info=pub_sig_A||pub_sig_B, L=32)
-  const pubSigA = hexToBytes(discovery.pub_sig);
-  const pubSigB = hexToBytes(response.pub_sig_resp);
-  const sidBytes = hexToBytes(discovery.sid);
-
-  // Construct info = pub_sig_A || pub_sig_B (raw bytes, not hex strings)
-  const info = new Uint8Array(pubSigA.length + pubSigB.length);
-  info.set(pubSigA, 0);
-  info.set(pubSigB, pubSigA.length);
-
-  // HKDF with Blake2b: Extract phase uses sid as salt, Expand uses info
-  // @noble/hashes hkdf(hash, salt, ikm, info, length) handles Extract+Expand
-  const kSessionBytes = hkdf(blake2b, sidBytes, sharedSecretBytes, info, 32);
+  const kSessionBytes = deriveSessionKey(
+    sharedSecretBytes,
+    discovery.sid,
+    discovery.pub_sig,
+    response.pub_sig_resp,
+  );
 
   // Validate output is exactly 32 bytes (256-bit key)
   if (!(kSessionBytes instanceof Uint8Array) || kSessionBytes.length !== 32) {
@@ -191,15 +230,12 @@ export async function establishSession(
 
   session.setSessionKey(kSessionBytes);
 
-  // 5. Mailbox ID Derivation
-  const mailboxInput = new Uint8Array(
-    pubSigA.length + pubSigB.length + sidBytes.length,
+  // 5. Mailbox ID Derivation (§6.3)
+  const mailboxId = deriveMailboxId(
+    discovery.pub_sig,
+    response.pub_sig_resp,
+    discovery.sid,
   );
-  mailboxInput.set(pubSigA, 0);
-  mailboxInput.set(pubSigB, pubSigA.length);
-  mailboxInput.set(sidBytes, pubSigA.length + pubSigB.length);
-
-  const mailboxId = bytesToHex(blake2b(mailboxInput, { dkLen: 32 }));
 
   return { session, mailboxId, sessionKey: kSessionBytes };
 }
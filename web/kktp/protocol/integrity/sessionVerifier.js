@@ -0,0 +1,431 @@
+// kktp/protocol/integrity/sessionVerifier.js
+// Keyless, offline verification of KKTP sessions from public payloads (§7.4.1, I4)
+
+import { blake2b } from "https://esm.sh/@noble/hashes@1.3.0/blake2b";
+import { schnorr } from "https://esm.sh/@noble/curves@1.4.0/secp256k1";
+import { canonicalize, prepareForSigning } from "./canonical.js";
+import { computeVrfInputHash, deriveMailboxId } from "./handshake.js";
+import {
+  parseKKTPPayload,
+  validateAnchorOrThrow,
+} from "../sessions/smHelpers.js";
+import {
+  mailboxMessageValidator,
+  controlFrameValidator,
+} from "./validator.js";
+import { bytesToHex, hexToBytes, hexToString } from "../utils/conversions.js";
+
+/**
+ * VRF status of one anchor. Only a verifyVrf callback can make it
+ * "verified"; a matching seed alone proves nothing about the proof.
+ */
+export const VRF_STATUS = {
+  VERIFIED: "verified", // proof checked by verifyVrf for the expected input
+  UNCHECKED: "unchecked", // proof names the expected input, but was not checked
+  ABSENT: "absent", // anchor carries no VRF
+  UNBOUND: "unbound", // proof is for another input
+  INVALID: "invalid", // half missing, or rejected by verifyVrf
+};
+
+/** Per-session verdicts. */
+export const SESSION_VERDICTS = {
+  VERIFIED: "verified", // both anchors valid and bound to each other
+  UNANSWERED: "unanswered", // discovery without a valid response
+  INVALID: "invalid", // an anchor failed schema, signature or binding
+};
+
+const PERSONAL_MESSAGE_KEY = new TextEncoder().encode("PersonalMessageSigningHash");
+
+/**
+ * Verify a Kaspa personal-message signature (the wallet's signMessage):
+ * BIP-340 Schnorr over keyed BLAKE2b-256("PersonalMessageSigningHash", msg).
+ * @param {string} publicKeyHex - 33-byte compressed or 32-byte x-only key
+ * @param {string} message - UTF-8 message
+ * @param {string} signatureHex - 64-byte Schnorr signature
+ * @returns {Promise<boolean>}
+ */
+export async function verifyKaspaMessage(publicKeyHex, message, signatureHex) {
+  try {
+    const key = hexToBytes(publicKeyHex);
+    const xOnly = key.length === 33 ? key.subarray(1) : key;
+    const hash = blake2b(new TextEncoder().encode(message), {
+      dkLen: 32,
+      key: PERSONAL_MESSAGE_KEY,
+    });
+    return schnorr.verify(hexToBytes(signatureHex), hash, xOnly);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read the seed a VRF proof was computed for. Real proofs carry it in their
+ * config/evidence, simulated ones as seedInput.
+ * @returns {string|null}
+ */
+function proofSeed(proofHex) {
+  try {
+    const proof = JSON.parse(hexToString(proofHex));
+    const seed =
+      proof?.config?.seed ??
+      proof?.seed ??
+      proof?.evidence?.seed ??
+      proof?.seedInput ??
+      proof?.qrng?.seedValue;
+    return typeof seed === "string" ? seed.toLowerCase() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check an anchor's VRF binding (§7.3): the proof must be for
+ * H(keys || sid). Only a verifyVrf callback checks the proof itself.
+ * @returns {Promise<string>} One of VRF_STATUS
+ */
+async function checkVrf(anchor, expectedInputHex, verifyVrf) {
+  if (anchor.vrf_value == null && anchor.vrf_proof == null) return VRF_STATUS.ABSENT;
+  if (anchor.vrf_value == null || anchor.vrf_proof == null) return VRF_STATUS.INVALID;
+
+  if (proofSeed(anchor.vrf_proof) !== expectedInputHex) return VRF_STATUS.UNBOUND;
+  if (!verifyVrf) return VRF_STATUS.UNCHECKED;
+  const ok = await verifyVrf(anchor.vrf_value, anchor.vrf_proof, expectedInputHex);
+  return ok ? VRF_STATUS.VERIFIED : VRF_STATUS.INVALID;
+}
+
+/**
+ * Session-level VRF status: the weakest of its two anchors.
+ * @private
+ */
+function sessionVrf(discoveryVrf, responseVrf) {
+  const order = [
+    VRF_STATUS.INVALID,
+    VRF_STATUS.UNBOUND,
+    VRF_STATUS.ABSENT,
+    VRF_STATUS.UNCHECKED,
+    VRF_STATUS.VERIFIED,
+  ];
+  return order[Math.min(order.indexOf(discoveryVrf), order.indexOf(responseVrf))];
+}
+
+/**
+ * Normalize one input record. Accepts a raw payload string, or an object
+ * with `decodedPayload` / `payload` (text or hex) plus optional location.
+ * @returns {{ payload: string, txid: string|null, blockHash: string|null, timestamp: number|null, blueScore: number|null }|null}
+ */
+export function normalizePayloadRecord(record) {
+  if (typeof record === "string") record = { payload: record };
+  if (!record || typeof record !== "object") return null;
+
+  let payload = record.decodedPayload ?? record.payload;
+  if (typeof payload !== "string") return null;
+  if (!payload.startsWith("KKTP:")) {
+    try {
+      payload = hexToString(payload);
+    } catch {
+      return null;
+    }
+  }
+  if (!payload.startsWith("KKTP:")) return null;
+
+  const num = (v) => (v === undefined || v === null ? null : Number(v));
+  return {
+    payload,
+    txid: record.txid ?? record.txId ?? record.transactionId ?? null,
+    blockHash: record.blockHash ?? null,
+    timestamp: num(record.timestamp ?? record.blockTime),
+    blueScore: num(record.blueScore),
+  };
+}
+
+function where(record) {
+  return {
+    txid: record.txid,
+    blockHash: record.blockHash,
+    timestamp: record.timestamp,
+  };
+}
+
+/**
+ * Check an anchor's own signature: sig over a discovery or session end,
+ * sig_resp over a response.
+ * @param {Object} anchor - Parsed anchor
+ * @param {(pubKeyHex: string, body: string, sigHex: string) => Promise<boolean>} verifySignature
+ * @returns {Promise<boolean>}
+ */
+export async function verifyAnchorSignature(anchor, verifySignature) {
+  const isResponse = anchor.type === "response";
+  const sigField = isResponse ? "sig_resp" : "sig";
+  const pubKey = isResponse ? anchor.pub_sig_resp : anchor.pub_sig;
+  const body = canonicalize(
+    prepareForSigning(anchor, { omitKeys: [sigField], excludeMeta: true }),
+  );
+  return Boolean(await verifySignature(pubKey, body, anchor[sigField]));
+}
+
+/**
+ * Seq statistics for one direction: distinct packets, highest seq, and the
+ * missing ranges below it.
+ */
+function seqReport(seqs) {
+  const distinct = [...new Set(seqs)].sort((a, b) => a - b);
+  const gaps = [];
+  let expected = 0;
+  for (const seq of distinct) {
+    if (seq > expected) gaps.push([expected, seq - 1]);
+    expected = seq + 1;
+  }
+  return {
+    count: distinct.length,
+    duplicates: seqs.length - distinct.length,
+    maxSeq: distinct.length ? distinct[distinct.length - 1] : null,
+    gaps,
+  };
+}
+
+/**
+ * Reconstruct and verify every session visible in a set of KKTP payloads.
+ * Needs no keys: message contents stay encrypted, only envelopes are read.
+ * @param {Array<string|Object>} records - Payloads in DAG order (see normalizePayloadRecord)
+ * @param {Object} [options]
+ * @param {string} [options.sid] - Only report this session
+ * @param {(pubKeyHex: string, body: string, sigHex: string) => Promise<boolean>} [options.verifySignature=verifyKaspaMessage]
+ * @param {(value: string, proof: string, expectedInputHex: string) => Promise<boolean>} [options.verifyVrf] - Full VRF check, if the deployment has one; without it VRFs are at best "unchecked"
+ * @returns {Promise<{ sessions: Object[], ignored: number }>} A session's verdict covers
+ *   signatures and bindings; its `vrf` field reports randomness separately (VRF_STATUS)
+ */
+export async function verifySessions(records, options = {}) {
+  const { sid: onlySid, verifySignature = verifyKaspaMessage, verifyVrf } = options;
+
+  const discoveries = new Map(); // sid -> [{ anchor, record }]
+  const responses = new Map(); // sid -> [{ anchor, record }]
+  const ends = new Map(); // sid -> [{ anchor, record }]
+  const packets = new Map(); // mailbox_id -> [{ packet, record }]
+  let ignored = 0;
+
+  const push = (map, key, value) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(value);
+  };
+
+  const normalized = records.map(normalizePayloadRecord).filter(Boolean);
+  ignored += records.length - normalized.length;
+  const ordered = normalized
+    .map((record, index) => ({ record, index }))
+    .sort(
+      (a, b) =>
+        (a.record.blueScore ?? 0) - (b.record.blueScore ?? 0) || a.index - b.index,
+    );
+
+  for (const { record } of ordered) {
+    const parsed = parseKKTPPayload(record.payload);
+    if (parsed?.type === "anchor") {
+      const anchor = parsed.anchor;
+      if (onlySid && anchor?.sid !== onlySid) continue;
+      if (anchor?.type === "discovery") push(discoveries, anchor.sid, { anchor, record });
+      else if (anchor?.type === "response") push(responses, anchor.sid, { anchor, record });
+      else if (anchor?.type === "session_end") push(ends, anchor.sid, { anchor, record });
+      else ignored++;
+    } else if (parsed?.type === "message" && parsed.mailboxId !== "GROUP") {
+      push(packets, parsed.mailboxId, { packet: parsed.message, record });
+    } else {
+      ignored++;
+    }
+  }
+
+  const sessions = [];
+  for (const [sid, found] of discoveries) {
+    const { anchor: discovery, record } = found[0];
+    const errors = [];
+    const warnings = [];
+    if (found.length > 1) {
+      warnings.push(`discovery published ${found.length} times; using the first`);
+    }
+
+    let discoveryValid = true;
+    try {
+      validateAnchorOrThrow(discovery);
+    } catch (err) {
+      discoveryValid = false;
+      errors.push(`discovery schema: ${err.message}`);
+    }
+    const discoverySig =
+      discoveryValid && (await verifyAnchorSignature(discovery, verifySignature));
+    if (discoveryValid && !discoverySig) errors.push("discovery signature invalid");
+    const discoveryVrf = await checkVrf(
+      discovery,
+      bytesToHex(computeVrfInputHash(discovery.pub_sig, discovery.pub_dh, sid)),
+      verifyVrf,
+    );
+    if (discoveryVrf === VRF_STATUS.UNBOUND || discoveryVrf === VRF_STATUS.INVALID) {
+      errors.push(`discovery VRF ${discoveryVrf}`);
+    }
+
+    const base = {
+      sid,
+      lobby: discovery.meta?.lobby === true,
+      meta: discovery.meta ?? null,
+      discovery: {
+        ...where(record),
+        pubSig: discovery.pub_sig,
+        signature: discoverySig ? "valid" : "invalid",
+        vrf: discoveryVrf,
+      },
+    };
+
+    const candidates = responses.get(sid) || [];
+    const answered = [];
+    for (const { anchor: response, record: respRecord } of candidates) {
+      const respErrors = [];
+      try {
+        validateAnchorOrThrow(response);
+      } catch (err) {
+        respErrors.push(`response schema: ${err.message}`);
+      }
+      if (
+        response.initiator_pub_sig !== discovery.pub_sig ||
+        response.initiator_pub_dh !== discovery.pub_dh
+      ) {
+        respErrors.push("response does not echo the discovery keys (§5.3)");
+      }
+      const responseSig =
+        respErrors.length === 0 &&
+        (await verifyAnchorSignature(response, verifySignature));
+      if (respErrors.length === 0 && !responseSig) {
+        respErrors.push("response signature invalid");
+      }
+      const responseVrf = await checkVrf(
+        response,
+        bytesToHex(
+          computeVrfInputHash(
+            discovery.pub_sig,
+            discovery.pub_dh,
+            response.pub_sig_resp,
+            response.pub_dh_resp,
+            sid,
+          ),
+        ),
+        verifyVrf,
+      );
+      if (responseVrf === VRF_STATUS.UNBOUND || responseVrf === VRF_STATUS.INVALID) {
+        respErrors.push(`response VRF ${responseVrf}`);
+      }
+      if (respErrors.length && !base.lobby) {
+        // A forged response must not hide the genuine one (§7.6)
+        warnings.push(...respErrors);
+        continue;
+      }
+      answered.push({ response, record: respRecord, responseSig, responseVrf, respErrors });
+    }
+
+    if (answered.length === 0) {
+      sessions.push({
+        ...base,
+        verdict: errors.length ? SESSION_VERDICTS.INVALID : SESSION_VERDICTS.UNANSWERED,
+        vrf: discoveryVrf,
+        response: null,
+        mailboxId: null,
+        messages: null,
+        termination: null,
+        errors,
+        warnings,
+      });
+      continue;
+    }
+
+    // 1:1 sessions take the first valid response; lobbies have one per member
+    const accepted = base.lobby ? answered : answered.slice(0, 1);
+    if (!base.lobby && answered.length > 1) {
+      warnings.push(`${answered.length} valid responses; later ones are ignored (§7.6)`);
+    }
+
+    for (const { response, record: respRecord, responseSig, responseVrf, respErrors } of accepted) {
+      const mailboxId = deriveMailboxId(discovery.pub_sig, response.pub_sig_resp, sid);
+      const sessionErrors = [...errors, ...respErrors];
+      const parties = {
+        initiator: discovery.pub_sig,
+        responder: response.pub_sig_resp,
+      };
+
+      const seqs = { AtoB: [], BtoA: [] };
+      let control = 0;
+      let malformed = 0;
+      let lastActivity = respRecord.timestamp;
+      for (const { packet, record: pktRecord } of packets.get(mailboxId) || []) {
+        const isControl = packet?.type !== "msg";
+        try {
+          (isControl ? controlFrameValidator : mailboxMessageValidator).validate(packet);
+          if (packet.sid !== sid || packet.mailbox_id !== mailboxId) {
+            throw new Error("sid/mailbox mismatch");
+          }
+        } catch {
+          malformed++;
+          continue;
+        }
+        if (isControl) control++;
+        else seqs[packet.direction].push(packet.seq);
+        if (pktRecord.timestamp != null) {
+          lastActivity = Math.max(lastActivity ?? 0, pktRecord.timestamp);
+        }
+      }
+      if (malformed) warnings.push(`${malformed} malformed packet(s) in mailbox`);
+
+      let termination = {
+        state: "open",
+        reason: null,
+        by: null,
+        txid: null,
+        blockHash: null,
+        timestamp: null,
+      };
+      for (const { anchor: end, record: endRecord } of ends.get(sid) || []) {
+        let by = null;
+        if (end.pub_sig === parties.initiator) by = "initiator";
+        else if (end.pub_sig === parties.responder) by = "responder";
+        if (!by) continue; // another lobby member's session, or a forgery
+
+        let valid = false;
+        try {
+          validateAnchorOrThrow(end);
+          valid = await verifyAnchorSignature(end, verifySignature);
+        } catch {
+          valid = false;
+        }
+        if (!valid) {
+          sessionErrors.push(`session_end by ${by} has an invalid signature`);
+          continue;
+        }
+        termination = { state: "ended", reason: end.reason, by, ...where(endRecord) };
+        break;
+      }
+
+      sessions.push({
+        ...base,
+        verdict: sessionErrors.length ? SESSION_VERDICTS.INVALID : SESSION_VERDICTS.VERIFIED,
+        vrf: sessionVrf(discoveryVrf, responseVrf),
+        response: {
+          ...where(respRecord),
+          pubSig: response.pub_sig_resp,
+          signature: responseSig ? "valid" : "invalid",
+          vrf: responseVrf,
+          capabilities: response.capabilities ?? null,
+        },
+        mailboxId,
+        messages: {
+          AtoB: seqReport(seqs.AtoB),
+          BtoA: seqReport(seqs.BtoA),
+          control,
+          lastActivity,
+        },
+        termination,
+        errors: sessionErrors,
+        warnings,
+      });
+    }
+  }
+
+  for (const sid of responses.keys()) {
+    if (!discoveries.has(sid)) ignored += responses.get(sid).length;
+  }
+  return { sessions, ignored };
+}
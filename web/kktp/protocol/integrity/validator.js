@@ -4,6 +4,7 @@ import discoverySchema from "../schemas/discovery.json" with { type: "json" };
 import responseSchema from "../schemas/response.json" with { type: "json" };
 import mailboxMessageSchema from "../schemas/message.json" with { type: "json" };
 import sessionEndSchema from "../schemas/sessionEnd.json" with { type: "json" };
+import controlFrameSchema from "../schemas/control.json" with { type: "json" };
 
 /**
  * Custom Error for KKTP Validation
@@ -174,3 +175,6 @@ export const sessionEndValidator = new KKTPValidator(sessionEndSchema, {
 export const mailboxMessageValidator = new KKTPValidator(mailboxMessageSchema, {
   name: "message",
 });
+export const controlFrameValidator = new KKTPValidator(controlFrameSchema, {
+  name: "control",
+});
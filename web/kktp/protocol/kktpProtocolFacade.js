@@ -10,7 +10,15 @@ import {
   toPlainJson as _toPlainJson,
   strictParseJson,
 } from "./integrity/canonical.js";
-import { KKTP_STATES } from "./sessions/stateMachine.js";
+import {
+  KKTP_STATES,
+  KKTP_TRANSITION_REASONS,
+} from "./sessions/stateMachine.js";
+import {
+  KKTP_CAPABILITIES,
+  selectCapabilities,
+} from "./sessions/discoveryFilter.js";
+import { normalizeBuckets } from "./sessions/padding.js";
 import { AnchorFactory } from "./integrity/anchorFactory.js";
 import { bytesToHex } from "./utils/conversions.js";
 
@@ -43,6 +51,17 @@ export class KKTPProtocol {
     this.sm.kktp.myDhPriv = keys.dh.privateKey;
     this.sm.kktp.myPrivSig = keys.sig.privateKey; // Store for SessionEnd signing (§5.5)
 
+    // §6.6.1: Offer our padding buckets to the responder
+    const { enabled, buckets } = this.sm.kktp.paddingConfig;
+    if (enabled) meta = { ...meta, padding: buckets };
+
+    // §6.1.1: Offer our optional features once the app opted into any;
+    // the responder picks the subset. Default discoveries stay legacy-valid.
+    const { localCapabilities, offerCapabilities } = this.sm.kktp;
+    if (localCapabilities && offerCapabilities) {
+      meta = { ...meta, capabilities: localCapabilities };
+    }
+
     const discovery = await this.anchorFactory.createDiscovery({
       meta,
       sig: keys.sig,
@@ -51,8 +70,9 @@ export class KKTPProtocol {
     discovery.sig = await this.signAnchor(discovery, keys.sig.privateKey);
     discoveryValidator.validate(discovery);
 
-    // Store for the Initiator's state
+    // Store for the Initiator's state (§6.8: INIT -> DISCOVERED)
     this.sm.kktp.discoveryAnchor = discovery;
+    this.sm.markDiscovered(discovery, true);
 
     return { discovery, dhPrivateKey: keys.dh.privateKey };
   }
@@ -73,6 +93,7 @@ export class KKTPProtocol {
     const response = await this.anchorFactory.createResponse(discovery, {
       sig: keys.sig,
       dh: keys.dh,
+      capabilities: this._selectCapabilities(discovery),
     });
     response.sig_resp = await this.signAnchor(response, keys.sig.privateKey);
     responseValidator.validate(response);
@@ -83,6 +104,27 @@ export class KKTPProtocol {
     return { response, dhPrivateKey: keys.dh.privateKey };
   }
 
+  /**
+   * §6.1.1: The subset of the initiator's offer we also support, or null to
+   * omit the field (no offer, or we don't negotiate). Padding is dropped
+   * when its bucket offer is unusable.
+   */
+  _selectCapabilities(discovery) {
+    const offered = discovery?.meta?.capabilities;
+    const local = this.sm.kktp.localCapabilities;
+    if (!Array.isArray(offered) || !local) return null;
+
+    return selectCapabilities(offered, local).filter((capability) => {
+      if (capability !== KKTP_CAPABILITIES.PADDING) return true;
+      try {
+        normalizeBuckets(discovery.meta.padding);
+        return true;
+      } catch {
+        return false;
+      }
+    });
+  }
+
   /**
    * PHASE 3: Communicate
    * Delegates to state machine for proper seq tracking (§6.6)
@@ -172,7 +214,7 @@ export class KKTPProtocol {
           );
         }
 
-        this.sm.terminate();
+        this.sm.terminate(KKTP_TRANSITION_REASONS.SESSION_END);
         return { type: "SESSION_CLOSED", data: anchor.reason };
 
       default:
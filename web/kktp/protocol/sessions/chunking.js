@@ -0,0 +1,256 @@
+// kktp/protocol/sessions/chunking.js
+// Application-layer chunking and reassembly for oversized messages (§6.4)
+
+import { canonicalize, strictParseJson } from "../integrity/canonical.js";
+import {
+  bytesToBase64,
+  base64ToBytes,
+  bytesToHex,
+} from "../utils/conversions.js";
+
+/** Kaspa payload ceiling for a single KKTP packet (§6.4). */
+export const KKTP_MAX_PAYLOAD_BYTES = 32 * 1024;
+
+/**
+ * Largest plaintext that fits one `msg` packet. The ciphertext is hex
+ * encoded (2x) and wrapped in the packet JSON, so leave headroom.
+ */
+export const MAX_SINGLE_PLAINTEXT_BYTES = 16 * 1024 - 256;
+
+export const CHUNK_ENVELOPE_TYPE = "kktp_chunk";
+export const CHUNK_ENVELOPE_VERSION = 1;
+
+/**
+ * Marks a plaintext as a chunk frame. It starts with a NUL character, and
+ * sendMessage() refuses application plaintexts that begin with it, so an
+ * ordinary message can never be mistaken for a fragment.
+ */
+export const CHUNK_FRAME_PREFIX = "\u0000KKTP:CHUNK:";
+
+/**
+ * Largest fragment whose frame still fits one packet: base64 grows the
+ * bytes by 4/3, and the prefix and envelope fields need the rest.
+ */
+export const MAX_CHUNK_BYTES = Math.floor((MAX_SINGLE_PLAINTEXT_BYTES - 256) / 4) * 3;
+
+export const DEFAULT_CHUNK_CONFIG = {
+  chunkBytes: 8 * 1024, // Raw bytes per fragment (base64 inside the envelope)
+  maxMessageBytes: 1024 * 1024, // Reassembled size cap
+  maxChunks: 256,
+  maxPending: 8, // Partial messages held per session
+  timeoutMs: 120_000, // Drop partial messages older than this
+};
+
+/**
+ * UTF-8 byte length of a string.
+ * @param {string} text
+ * @returns {number}
+ */
+export function utf8Length(text) {
+  return new TextEncoder().encode(text).length;
+}
+
+/**
+ * Split a plaintext into chunk frames, each small enough for one packet.
+ * @param {string} plaintext
+ * @param {Object} [options]
+ * @param {number} [options.chunkBytes] - Raw bytes per fragment, at most MAX_CHUNK_BYTES
+ * @returns {{ messageId: string, chunks: string[] }}
+ */
+export function splitIntoChunks(plaintext, { chunkBytes } = {}) {
+  if (typeof plaintext !== "string") {
+    throw new Error("KKTP chunking: plaintext must be a string");
+  }
+
+  const size = chunkBytes ?? DEFAULT_CHUNK_CONFIG.chunkBytes;
+  if (!Number.isInteger(size) || size < 1 || size > MAX_CHUNK_BYTES) {
+    throw new Error(
+      `KKTP chunking: chunkBytes must be an integer from 1 to ${MAX_CHUNK_BYTES}`,
+    );
+  }
+  const bytes = new TextEncoder().encode(plaintext);
+  const total = Math.max(1, Math.ceil(bytes.length / size));
+  const messageId = bytesToHex(crypto.getRandomValues(new Uint8Array(16)));
+
+  const chunks = [];
+  for (let index = 0; index < total; index++) {
+    const slice = bytes.subarray(index * size, (index + 1) * size);
+    const envelope = canonicalize({
+      type: CHUNK_ENVELOPE_TYPE,
+      v: CHUNK_ENVELOPE_VERSION,
+      id: messageId,
+      index,
+      total,
+      size: bytes.length,
+      data: bytesToBase64(slice),
+    });
+    chunks.push(CHUNK_FRAME_PREFIX + envelope);
+  }
+
+  return { messageId, chunks };
+}
+
+/**
+ * Whether a plaintext is framed as a chunk (see CHUNK_FRAME_PREFIX).
+ * @param {string} plaintext
+ * @returns {boolean}
+ */
+export function isChunkFrame(plaintext) {
+  return typeof plaintext === "string" && plaintext.startsWith(CHUNK_FRAME_PREFIX);
+}
+
+/**
+ * Parse a plaintext as a chunk frame.
+ * @param {string} plaintext
+ * @returns {Object|null} Envelope, or null if this is an ordinary message
+ *   (a frame with an unreadable envelope yields {} so it is dropped as malformed)
+ */
+export function parseChunk(plaintext) {
+  if (!isChunkFrame(plaintext)) return null;
+
+  let env;
+  try {
+    env = strictParseJson(plaintext.slice(CHUNK_FRAME_PREFIX.length));
+  } catch {
+    return {};
+  }
+  return env && typeof env === "object" && env.type === CHUNK_ENVELOPE_TYPE ? env : {};
+}
+
+/**
+ * Reassembles chunk envelopes into logical messages for one session.
+ * Ordinary plaintexts pass straight through.
+ */
+export class ChunkAssembler {
+  /**
+   * @param {Partial<typeof DEFAULT_CHUNK_CONFIG>} [config]
+   */
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_CHUNK_CONFIG, ...config };
+    this._pending = new Map();
+  }
+
+  /**
+   * Feed one delivered plaintext.
+   * @param {string} plaintext
+   * @param {number} [now=Date.now()]
+   * @returns {{ type: "message", plaintext: string, messageId?: string }
+   *   | { type: "pending", messageId: string }
+   *   | { type: "dropped", messageId?: string, reason: string }}
+   */
+  accept(plaintext, now = Date.now()) {
+    this.prune(now);
+
+    const env = parseChunk(plaintext);
+    if (!env) return { type: "message", plaintext };
+
+    const { id, index, total, size, data } = env;
+    const { maxChunks, maxMessageBytes, maxPending } = this.config;
+
+    if (
+      env.v !== CHUNK_ENVELOPE_VERSION ||
+      typeof id !== "string" ||
+      typeof data !== "string" ||
+      !Number.isInteger(total) ||
+      !Number.isInteger(index) ||
+      !Number.isInteger(size) ||
+      total < 1 ||
+      total > maxChunks ||
+      index < 0 ||
+      index >= total ||
+      size < 0
+    ) {
+      return { type: "dropped", messageId: id, reason: "malformed" };
+    }
+    if (size > maxMessageBytes) {
+      this._pending.delete(id);
+      return { type: "dropped", messageId: id, reason: "too_large" };
+    }
+
+    let entry = this._pending.get(id);
+    if (!entry) {
+      // Refuse rather than evict: the partials already held keep their slots
+      if (this._pending.size >= maxPending) {
+        return { type: "dropped", messageId: id, reason: "too_many_pending" };
+      }
+      entry = {
+        total,
+        size,
+        parts: new Array(total),
+        received: 0,
+        bytes: 0,
+        firstSeenAt: now,
+      };
+      this._pending.set(id, entry);
+    }
+
+    if (entry.total !== total || entry.size !== size) {
+      this._pending.delete(id);
+      return { type: "dropped", messageId: id, reason: "inconsistent" };
+    }
+    if (entry.parts[index]) return { type: "pending", messageId: id };
+
+    let bytes;
+    try {
+      bytes = base64ToBytes(data);
+    } catch {
+      this._pending.delete(id);
+      return { type: "dropped", messageId: id, reason: "malformed" };
+    }
+
+    entry.bytes += bytes.length;
+    if (entry.bytes > entry.size) {
+      this._pending.delete(id);
+      return { type: "dropped", messageId: id, reason: "too_large" };
+    }
+
+    entry.parts[index] = bytes;
+    entry.received++;
+    if (entry.received < entry.total) {
+      return { type: "pending", messageId: id };
+    }
+
+    this._pending.delete(id);
+    if (entry.bytes !== entry.size) {
+      return { type: "dropped", messageId: id, reason: "size_mismatch" };
+    }
+
+    const joined = new Uint8Array(entry.size);
+    let offset = 0;
+    for (const part of entry.parts) {
+      joined.set(part, offset);
+      offset += part.length;
+    }
+
+    return {
+      type: "message",
+      plaintext: new TextDecoder().decode(joined),
+      messageId: id,
+    };
+  }
+
+  /**
+   * Drop partial messages older than timeoutMs.
+   * @param {number} [now=Date.now()]
+   * @returns {string[]} Ids of dropped messages
+   */
+  prune(now = Date.now()) {
+    const dropped = [];
+    for (const [id, entry] of this._pending.entries()) {
+      if (now - entry.firstSeenAt > this.config.timeoutMs) {
+        this._pending.delete(id);
+        dropped.push(id);
+      }
+    }
+    return dropped;
+  }
+
+  /** Number of partially received messages. */
+  get pendingCount() {
+    return this._pending.size;
+  }
+
+  clear() {
+    this._pending.clear();
+  }
+}
@@ -0,0 +1,290 @@
+// kktp/protocol/sessions/discoveryFilter.js
+// Discovery filtering (semver, capabilities, uptime, region) and capability selection (§6.1.1)
+
+import { getExpectedEndMs } from "./smHelpers.js";
+
+/**
+ * Optional protocol features a peer can advertise in discovery
+ * `meta.capabilities` and a responder can select in its response.
+ */
+export const KKTP_CAPABILITIES = {
+  CHUNKING: "chunking", // §6.4.1
+  PADDING: "padding", // §6.6.1
+  RETRANSMIT: "retransmit", // §7.2.1
+  ACKS: "acks", // §7.2.2
+  RATCHET: "ratchet", // §7.7.1
+};
+
+const KNOWN_CAPABILITIES = new Set(Object.values(KKTP_CAPABILITIES));
+
+// ─────────────────────────────────────────────────────────────
+// Semver
+// ─────────────────────────────────────────────────────────────
+
+const SEMVER_RE =
+  /^v?(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const PARTIAL_RE = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?$/;
+
+/**
+ * Parse a full semantic version ("1.4.0", "2.0.0-beta.1").
+ * @param {string} version
+ * @returns {{ major: number, minor: number, patch: number, prerelease: string[] }|null}
+ */
+export function parseSemver(version) {
+  const m = typeof version === "string" ? SEMVER_RE.exec(version.trim()) : null;
+  if (!m) return null;
+  return {
+    major: Number(m[1]),
+    minor: Number(m[2]),
+    patch: Number(m[3]),
+    prerelease: m[4] ? m[4].split(".") : [],
+  };
+}
+
+/**
+ * Compare two parsed versions by semver precedence.
+ * @returns {number} Negative, zero or positive
+ */
+export function compareSemver(a, b) {
+  for (const key of ["major", "minor", "patch"]) {
+    if (a[key] !== b[key]) return a[key] - b[key];
+  }
+  // A release ranks above any of its prereleases
+  if (!a.prerelease.length || !b.prerelease.length) {
+    return b.prerelease.length - a.prerelease.length;
+  }
+  const n = Math.max(a.prerelease.length, b.prerelease.length);
+  for (let i = 0; i < n; i++) {
+    const x = a.prerelease[i];
+    const y = b.prerelease[i];
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    if (x === y) continue;
+    const xn = /^\d+$/.test(x);
+    const yn = /^\d+$/.test(y);
+    if (xn && yn) return Number(x) - Number(y);
+    if (xn !== yn) return xn ? -1 : 1;
+    return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+const version = (major, minor = 0, patch = 0, prerelease = []) => ({
+  major,
+  minor,
+  patch,
+  prerelease,
+});
+
+/**
+ * Expand one range token ("^1.2", "~1.2.3", ">=1.0.0", "1.x") into
+ * primitive comparators { op, v }.
+ */
+function expandComparator(token) {
+  const m = /^(>=|<=|>|<|=|\^|~)?\s*(.*)$/.exec(token);
+  const op = m[1] || "";
+  const p = PARTIAL_RE.exec(m[2]);
+  if (!p) throw new Error(`Invalid semver range token: ${token}`);
+
+  const isX = (s) => s === undefined || /^[xX*]$/.test(s);
+  const major = isX(p[1]) ? null : Number(p[1]);
+  const minor = major === null || isX(p[2]) ? null : Number(p[2]);
+  const patch = minor === null || isX(p[3]) ? null : Number(p[3]);
+  const pre = p[4] && patch !== null ? p[4].split(".") : [];
+
+  if (major === null) {
+    return op === "<" || op === ">" ? [{ op: "<", v: version(0) }] : [];
+  }
+  const low = version(major, minor ?? 0, patch ?? 0, pre);
+  const nextMinor = version(major, (minor ?? 0) + 1);
+  const nextMajor = version(major + 1);
+
+  switch (op) {
+    case "^": {
+      let high = nextMajor;
+      if (major === 0 && minor !== null) {
+        high = minor === 0 && patch !== null ? version(0, 0, patch + 1) : nextMinor;
+      }
+      return [{ op: ">=", v: low }, { op: "<", v: high }];
+    }
+    case "~":
+      return [
+        { op: ">=", v: low },
+        { op: "<", v: minor === null ? nextMajor : nextMinor },
+      ];
+    case ">":
+      if (patch !== null) return [{ op: ">", v: low }];
+      return [{ op: ">=", v: minor === null ? nextMajor : nextMinor }];
+    case "<=":
+      if (patch !== null) return [{ op: "<=", v: low }];
+      return [{ op: "<", v: minor === null ? nextMajor : nextMinor }];
+    case ">=":
+    case "<":
+      return [{ op, v: low }];
+    default:
+      if (patch !== null) return [{ op: "=", v: low }];
+      return [
+        { op: ">=", v: low },
+        { op: "<", v: minor === null ? nextMajor : nextMinor },
+      ];
+  }
+}
+
+/**
+ * Parse a range such as "^1.2.0", ">=1.0.0 <2.0.0", "1.x || 2.1.x".
+ * @param {string} range
+ * @returns {Array<Array<{ op: string, v: Object }>>} OR of AND-sets
+ * @throws {Error} If the range is malformed
+ */
+export function parseSemverRange(range) {
+  if (typeof range !== "string") {
+    throw new Error("Semver range must be a string");
+  }
+  return range.split("||").map((part) => {
+    const text = part.trim();
+    const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(text);
+    if (hyphen) {
+      return [
+        ...expandComparator(`>=${hyphen[1]}`),
+        ...expandComparator(`<=${hyphen[2]}`),
+      ];
+    }
+    if (!text) return [];
+    return text
+      .replace(/(>=|<=|>|<|=|\^|~)\s+/g, "$1")
+      .split(/\s+/)
+      .flatMap(expandComparator);
+  });
+}
+
+/**
+ * Whether a version satisfies a range. Prereleases only match a set that
+ * names a prerelease of the same major.minor.patch (npm semantics).
+ * @param {string} versionText
+ * @param {string} range
+ * @returns {boolean}
+ */
+export function satisfiesRange(versionText, range) {
+  const v = parseSemver(versionText);
+  if (!v) return false;
+
+  return parseSemverRange(range).some((set) => {
+    const ok = set.every(({ op, v: bound }) => {
+      const c = compareSemver(v, bound);
+      if (op === ">=") return c >= 0;
+      if (op === "<=") return c <= 0;
+      if (op === ">") return c > 0;
+      if (op === "<") return c < 0;
+      return c === 0;
+    });
+    if (!ok || v.prerelease.length === 0) return ok;
+    return set.some(
+      ({ v: bound }) =>
+        bound.prerelease.length > 0 &&
+        bound.major === v.major &&
+        bound.minor === v.minor &&
+        bound.patch === v.patch,
+    );
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// Capabilities
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Responder's selection: the known capabilities both sides support,
+ * sorted so both peers record the identical list.
+ * @param {string[]} offered - Initiator's meta.capabilities
+ * @param {string[]} supported - Our own capabilities
+ * @returns {string[]}
+ */
+export function selectCapabilities(offered, supported) {
+  const ours = new Set(supported || []);
+  return [...new Set(offered || [])]
+    .filter((c) => KNOWN_CAPABILITIES.has(c) && ours.has(c))
+    .sort();
+}
+
+// ─────────────────────────────────────────────────────────────
+// Discovery Matching
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Validate and normalize a discovery filter.
+ * @param {Object} [filters]
+ * @param {string} [filters.game] - Exact meta.game
+ * @param {string} [filters.version] - Semver range over meta.version
+ * @param {string[]} [filters.capabilities] - All must be advertised
+ * @param {number} [filters.minUptimeSeconds] - Remaining advertised uptime
+ * @param {string[]} [filters.regions] - Any one must be advertised
+ * @param {boolean} [filters.lobby] - Only lobbies (true) or only 1:1 (false)
+ * @returns {Object}
+ * @throws {Error} On a malformed filter
+ */
+export function normalizeDiscoveryFilters(filters = {}) {
+  const out = { ...filters };
+  if (out.version !== undefined) parseSemverRange(out.version);
+  for (const key of ["capabilities", "regions"]) {
+    if (out[key] === undefined) continue;
+    if (!Array.isArray(out[key]) || out[key].some((s) => typeof s !== "string")) {
+      throw new Error(`Discovery filter ${key} must be an array of strings`);
+    }
+  }
+  if (out.regions) out.regions = out.regions.map((r) => r.toLowerCase());
+  if (
+    out.minUptimeSeconds !== undefined &&
+    !(Number.isFinite(out.minUptimeSeconds) && out.minUptimeSeconds >= 0)
+  ) {
+    throw new Error("Discovery filter minUptimeSeconds must be >= 0");
+  }
+  return out;
+}
+
+/**
+ * Evaluate a discovery anchor against a normalized filter.
+ * @param {Object} anchor - Discovery anchor
+ * @param {Object} filters - Output of normalizeDiscoveryFilters()
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()]
+ * @param {number} [options.observedAt] - Block/tx time, for uptime
+ * @returns {{ matched: boolean, reason: string|null }}
+ */
+export function matchDiscovery(anchor, filters, { now = Date.now(), observedAt } = {}) {
+  const fail = (reason) => ({ matched: false, reason });
+  if (anchor?.type !== "discovery") return fail("type");
+
+  const meta = anchor.meta || {};
+  if (filters.lobby !== undefined && (meta.lobby === true) !== filters.lobby) {
+    return fail("lobby");
+  }
+  if (filters.game !== undefined && meta.game !== filters.game) {
+    return fail("game");
+  }
+  if (filters.version !== undefined && !satisfiesRange(meta.version, filters.version)) {
+    return fail("version");
+  }
+
+  if (filters.capabilities?.length) {
+    const advertised = new Set(meta.capabilities || []);
+    if (!filters.capabilities.every((c) => advertised.has(c))) {
+      return fail("capabilities");
+    }
+  }
+
+  if (filters.minUptimeSeconds > 0) {
+    const endMs = getExpectedEndMs(anchor, observedAt);
+    if (!endMs || endMs - now < filters.minUptimeSeconds * 1000) {
+      return fail("uptime");
+    }
+  }
+
+  if (filters.regions?.length) {
+    const advertised = (meta.regions || []).map((r) => String(r).toLowerCase());
+    if (!filters.regions.some((r) => advertised.includes(r))) {
+      return fail("region");
+    }
+  }
+
+  return { matched: true, reason: null };
+}
@@ -9,10 +9,52 @@ export { HandoverEngine } from "./handoverEngine.js";
 // Persistence
 export { SessionPersistence } from "./sessionPersistence.js";
 
+// Chunking (§6.4)
+export {
+  ChunkAssembler,
+  splitIntoChunks,
+  parseChunk,
+  isChunkFrame,
+  utf8Length,
+  KKTP_MAX_PAYLOAD_BYTES,
+  MAX_SINGLE_PLAINTEXT_BYTES,
+  MAX_CHUNK_BYTES,
+  DEFAULT_CHUNK_CONFIG,
+} from "./chunking.js";
+
+// Padding (§6.6.1)
+export {
+  normalizeBuckets,
+  padPlaintext,
+  unpadPlaintext,
+  PADDED_MSG_VERSION,
+  MAX_PADDED_PLAINTEXT_BYTES,
+  DEFAULT_PADDING_CONFIG,
+} from "./padding.js";
+
+// Discovery filtering and capabilities (§6.1.1)
+export {
+  KKTP_CAPABILITIES,
+  parseSemver,
+  compareSemver,
+  parseSemverRange,
+  satisfiesRange,
+  selectCapabilities,
+  normalizeDiscoveryFilters,
+  matchDiscovery,
+} from "./discoveryFilter.js";
+
+// Ratchet (§7.7.1)
+export { SymmetricRatchet, DEFAULT_RATCHET_CONFIG } from "./ratchet.js";
+
 // Helpers
 export {
+  KKTP_MESSAGE_STATUS,
+  advanceMessageStatus,
+  isMessageDelivered,
   normalizeEpochMs,
   getExpectedEndMs,
+  walkRecentBlocks,
   buildAnchorPayload,
   parseKKTPPayload,
   validateAnchorOrThrow,
@@ -0,0 +1,122 @@
+// kktp/protocol/sessions/padding.js
+// Length-hiding padding of msg plaintexts into fixed size buckets (§6.6.1)
+
+import { MAX_SINGLE_PLAINTEXT_BYTES } from "./chunking.js";
+
+/** `msg` packet version whose AEAD plaintext is padded. */
+export const PADDED_MSG_VERSION = 2;
+
+/** u32BE plaintext length in front of the padded bytes. */
+export const PADDING_LENGTH_PREFIX_BYTES = 4;
+
+/** Largest plaintext that still fits one packet once framed and padded. */
+export const MAX_PADDED_PLAINTEXT_BYTES =
+  MAX_SINGLE_PLAINTEXT_BYTES - PADDING_LENGTH_PREFIX_BYTES;
+
+export const DEFAULT_PADDING_CONFIG = {
+  enabled: false,
+  buckets: [64, 256, 1024, 4096],
+};
+
+const MIN_BUCKET_BYTES = 16;
+const MAX_BUCKETS = 8;
+
+/**
+ * Validate a bucket list from config or a peer's discovery `meta.padding`.
+ * @param {number[]} buckets
+ * @returns {number[]} The same sizes, as a fresh array
+ * @throws {Error} If the list is empty, unsorted, or out of range
+ */
+export function normalizeBuckets(buckets) {
+  if (!Array.isArray(buckets) || buckets.length === 0) {
+    throw new Error("KKTP padding: buckets must be a non-empty array");
+  }
+  if (buckets.length > MAX_BUCKETS) {
+    throw new Error(`KKTP padding: at most ${MAX_BUCKETS} buckets`);
+  }
+  let previous = 0;
+  for (const size of buckets) {
+    if (
+      !Number.isInteger(size) ||
+      size < MIN_BUCKET_BYTES ||
+      size > MAX_SINGLE_PLAINTEXT_BYTES ||
+      size <= previous
+    ) {
+      throw new Error(
+        `KKTP padding: invalid bucket ${size} (ascending integers ${MIN_BUCKET_BYTES}-${MAX_SINGLE_PLAINTEXT_BYTES})`,
+      );
+    }
+    previous = size;
+  }
+  return [...buckets];
+}
+
+/**
+ * Padded size for a framed plaintext: the smallest bucket that fits, or
+ * the next multiple of the largest bucket, capped at one packet.
+ * @param {number} framedLength - Plaintext bytes plus the length prefix
+ * @param {number[]} buckets - Normalized bucket list
+ * @returns {number}
+ */
+export function paddedSize(framedLength, buckets) {
+  const bucket = buckets.find((size) => size >= framedLength);
+  if (bucket !== undefined) return bucket;
+
+  const largest = buckets[buckets.length - 1];
+  return Math.min(
+    Math.ceil(framedLength / largest) * largest,
+    MAX_SINGLE_PLAINTEXT_BYTES,
+  );
+}
+
+/**
+ * Frame and pad: u32BE(length) || plaintext || 0x00...
+ * @param {Uint8Array} bytes - UTF-8 plaintext
+ * @param {number[]} buckets - Normalized bucket list
+ * @returns {Uint8Array}
+ */
+export function padPlaintext(bytes, buckets) {
+  if (bytes.length > MAX_PADDED_PLAINTEXT_BYTES) {
+    throw new Error(
+      `KKTP padding: plaintext exceeds ${MAX_PADDED_PLAINTEXT_BYTES} bytes`,
+    );
+  }
+  const framedLength = PADDING_LENGTH_PREFIX_BYTES + bytes.length;
+  const out = new Uint8Array(paddedSize(framedLength, buckets));
+  new DataView(out.buffer).setUint32(0, bytes.length, false);
+  out.set(bytes, PADDING_LENGTH_PREFIX_BYTES);
+  return out;
+}
+
+/**
+ * Strictly reverse padPlaintext(). The total size must be exactly what the
+ * sender would have produced and every padding byte must be zero, so there
+ * is one valid encoding per plaintext.
+ * @param {Uint8Array} padded
+ * @param {number[]} buckets - Normalized bucket list
+ * @returns {Uint8Array} UTF-8 plaintext
+ * @throws {Error} On any framing mismatch
+ */
+export function unpadPlaintext(padded, buckets) {
+  if (padded.length < PADDING_LENGTH_PREFIX_BYTES) {
+    throw new Error("KKTP padding: frame shorter than its length prefix");
+  }
+  const view = new DataView(padded.buffer, padded.byteOffset, padded.length);
+  const length = view.getUint32(0, false);
+  const end = PADDING_LENGTH_PREFIX_BYTES + length;
+
+  if (end > padded.length) {
+    throw new Error("KKTP padding: length prefix exceeds frame");
+  }
+  if (padded.length !== paddedSize(end, buckets)) {
+    throw new Error(
+      `KKTP padding: frame of ${padded.length} bytes is not the bucket for ${length}`,
+    );
+  }
+  for (let i = end; i < padded.length; i++) {
+    if (padded[i] !== 0) {
+      throw new Error("KKTP padding: non-zero padding byte");
+    }
+  }
+  return padded.subarray(PADDING_LENGTH_PREFIX_BYTES, end);
+}
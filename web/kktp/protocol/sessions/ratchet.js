@@ -0,0 +1,300 @@
+// kktp/protocol/sessions/ratchet.js
+// Optional symmetric ratchet: per-epoch message keys within one session (§7.7.1)
+
+import { blake2b } from "https://esm.sh/@noble/hashes@1.3.0/blake2b";
+import { hkdf } from "https://esm.sh/@noble/hashes@1.3.0/hkdf";
+import { bytesToHex, hexToBytes } from "../utils/conversions.js";
+
+export const RATCHET_LABEL = "KKTP-ratchet-v1";
+
+export const DEFAULT_RATCHET_CONFIG = {
+  enabled: false,
+  epochMessages: 100, // Rotate after this many packets in one direction
+  epochMs: 10 * 60 * 1000, // ...or after this long, whichever comes first
+  graceMs: 2 * 60 * 1000, // Keep retired epoch keys for late/reordered packets
+  maxSkip: 1024, // Refuse to jump further ahead than this in one packet
+};
+
+const DIRECTIONS = ["AtoB", "BtoA"];
+
+/**
+ * HKDF-BLAKE2b(salt = sid, IKM = key, info = RATCHET_LABEL || ":" || label, L = 32)
+ */
+function expand(key, sidBytes, label) {
+  const info = new TextEncoder().encode(`${RATCHET_LABEL}:${label}`);
+  return hkdf(blake2b, sidBytes, key, info, 32);
+}
+
+/**
+ * One direction's chain. The chain key only moves forward, so a key captured
+ * today cannot decrypt epochs that were already zeroized.
+ */
+class EpochChain {
+  constructor({ sidBytes, chainKey, epoch = 0, startedAt, count = 0, keys = null }) {
+    this._sidBytes = sidBytes;
+    this._chainKey = chainKey;
+    this.epoch = epoch;
+    this.startedAt = startedAt;
+    this.count = count;
+    // epoch -> { key, retiredAt }
+    this.keys =
+      keys ||
+      new Map([[epoch, { key: expand(chainKey, sidBytes, "msg"), retiredAt: null }]]);
+  }
+
+  /** Step to epoch + 1 and retire the current key. */
+  advance(now) {
+    this.adopt(this.derive(this.epoch + 1), now);
+  }
+
+  /**
+   * Derive the chain and message keys up to `epoch` without touching this
+   * chain, so an inbound packet can be tried before the chain moves.
+   * @returns {{ epoch: number, chainKey: Uint8Array, keys: Array<[number, Uint8Array]> }}
+   */
+  derive(epoch) {
+    let chainKey = this._chainKey;
+    const keys = [];
+    for (let e = this.epoch + 1; e <= epoch; e++) {
+      const next = expand(chainKey, this._sidBytes, "chain");
+      if (chainKey !== this._chainKey) chainKey.fill(0);
+      chainKey = next;
+      keys.push([e, expand(chainKey, this._sidBytes, "msg")]);
+    }
+    return { epoch, chainKey, keys };
+  }
+
+  /** Move to a derive() result; every earlier epoch retires at `now`. */
+  adopt({ epoch, chainKey, keys }, now) {
+    const current = this.keys.get(this.epoch);
+    if (current) current.retiredAt = now;
+
+    this._chainKey.fill(0);
+    this._chainKey = chainKey;
+    for (const [e, key] of keys) {
+      this.keys.set(e, { key, retiredAt: e < epoch ? now : null });
+    }
+
+    this.epoch = epoch;
+    this.startedAt = now;
+    this.count = 0;
+  }
+
+  /** Zeroize retired keys once their grace window has passed. */
+  prune(now, graceMs) {
+    for (const [epoch, entry] of this.keys) {
+      if (entry.retiredAt === null || now - entry.retiredAt < graceMs) continue;
+      entry.key.fill(0);
+      this.keys.delete(epoch);
+    }
+  }
+
+  zeroize() {
+    for (const entry of this.keys.values()) entry.key.fill(0);
+    this.keys.clear();
+    this._chainKey?.fill(0);
+    this._chainKey = null;
+  }
+
+  exportState() {
+    return {
+      epoch: this.epoch,
+      startedAt: this.startedAt,
+      count: this.count,
+      chainKey: bytesToHex(this._chainKey),
+      keys: Array.from(this.keys, ([epoch, { key, retiredAt }]) => ({
+        epoch,
+        key: bytesToHex(key),
+        retiredAt,
+      })),
+    };
+  }
+
+  static importState(state, sidBytes) {
+    const keys = new Map(
+      (state.keys || []).map(({ epoch, key, retiredAt }) => [
+        epoch,
+        { key: hexToBytes(key), retiredAt },
+      ]),
+    );
+    return new EpochChain({
+      sidBytes,
+      chainKey: hexToBytes(state.chainKey),
+      epoch: state.epoch,
+      startedAt: state.startedAt,
+      count: state.count,
+      keys,
+    });
+  }
+}
+
+/**
+ * SymmetricRatchet - per-direction epoch keys derived from K_session.
+ *
+ * Each direction has its own chain so the sender can rotate on its own
+ * counter and clock; the receiver follows the epoch carried in the packet.
+ * K_session is consumed at setup and replaced by a derived control-frame key.
+ */
+export class SymmetricRatchet {
+  constructor(sid, config = {}, chains = {}) {
+    this.sid = sid;
+    this.config = { ...DEFAULT_RATCHET_CONFIG, ...config };
+    this._chains = chains;
+  }
+
+  /**
+   * Derive both chains and the control key from K_session (§7.7.1).
+   * The caller MUST zeroize K_session afterwards.
+   * @param {Uint8Array} sessionKey - 32-byte K_session
+   * @param {string} sid - Session ID (hex)
+   * @param {Object} [config]
+   * @param {number} [now=Date.now()]
+   * @returns {{ ratchet: SymmetricRatchet, controlKey: Uint8Array }}
+   */
+  static fromSessionKey(sessionKey, sid, config = {}, now = Date.now()) {
+    if (!(sessionKey instanceof Uint8Array) || sessionKey.length !== 32) {
+      throw new Error("KKTP ratchet: K_session must be 32 bytes");
+    }
+    const sidBytes = hexToBytes(sid);
+    const chains = {};
+    for (const direction of DIRECTIONS) {
+      chains[direction] = new EpochChain({
+        sidBytes,
+        chainKey: expand(sessionKey, sidBytes, direction),
+        startedAt: now,
+      });
+    }
+    const controlKey = expand(sessionKey, sidBytes, "ctl");
+    return { ratchet: new SymmetricRatchet(sid, config, chains), controlKey };
+  }
+
+  /**
+   * Key for the next packet we send, rotating first if the epoch is spent.
+   * @param {"AtoB"|"BtoA"} direction
+   * @param {number} [now=Date.now()]
+   * @returns {{ epoch: number, key: Uint8Array }}
+   */
+  keyForSend(direction, now = Date.now()) {
+    const chain = this._chain(direction);
+    const { epochMessages, epochMs } = this.config;
+
+    if (chain.count >= epochMessages || now - chain.startedAt >= epochMs) {
+      chain.advance(now);
+    }
+    chain.count++;
+    this.prune(now);
+
+    return { epoch: chain.epoch, key: chain.keys.get(chain.epoch).key };
+  }
+
+  /**
+   * Key for an inbound packet's epoch. A future epoch is derived on the
+   * side: the chain only moves when the caller commits after the packet
+   * authenticates, so a forged epoch cannot skip it ahead.
+   * @param {"AtoB"|"BtoA"} direction
+   * @param {number} epoch
+   * @param {number} [now=Date.now()]
+   * @returns {{ key: Uint8Array, commit: Function, discard: Function }}
+   * @throws {Error} If the epoch key was already zeroized or is too far ahead
+   */
+  keyForReceive(direction, epoch, now = Date.now()) {
+    const chain = this._chain(direction);
+    if (!Number.isInteger(epoch) || epoch < 0) {
+      throw new Error(`KKTP ratchet: invalid epoch ${epoch}`);
+    }
+    if (epoch - chain.epoch > this.config.maxSkip) {
+      throw new Error(
+        `KKTP ratchet: epoch ${epoch} is more than ${this.config.maxSkip} ahead of ${chain.epoch}`,
+      );
+    }
+
+    if (epoch > chain.epoch) {
+      const candidate = chain.derive(epoch);
+      let settled = false;
+      return {
+        key: candidate.keys.at(-1)[1],
+        commit: () => {
+          if (settled) return;
+          settled = true;
+          chain.adopt(candidate, now);
+        },
+        discard: () => {
+          if (settled) return;
+          settled = true;
+          candidate.chainKey.fill(0);
+          for (const [, key] of candidate.keys) key.fill(0);
+        },
+      };
+    }
+
+    const entry = chain.keys.get(epoch);
+    if (!entry) {
+      throw new Error(`KKTP ratchet: key for ${direction} epoch ${epoch} has expired`);
+    }
+    return { key: entry.key, commit: () => {}, discard: () => {} };
+  }
+
+  /**
+   * Current epoch per direction.
+   * @returns {{ AtoB: number, BtoA: number }}
+   */
+  get epochs() {
+    return {
+      AtoB: this._chain("AtoB").epoch,
+      BtoA: this._chain("BtoA").epoch,
+    };
+  }
+
+  /**
+   * Zeroize retired epoch keys older than the grace window.
+   * @param {number} [now=Date.now()]
+   */
+  prune(now = Date.now()) {
+    for (const direction of DIRECTIONS) {
+      this._chains[direction]?.prune(now, this.config.graceMs);
+    }
+  }
+
+  zeroize() {
+    for (const direction of DIRECTIONS) {
+      this._chains[direction]?.zeroize();
+    }
+    this._chains = {};
+  }
+
+  /**
+   * Serialize for resume persistence. Contains live key material.
+   * @returns {Object}
+   */
+  exportState() {
+    return {
+      version: 1,
+      sid: this.sid,
+      AtoB: this._chain("AtoB").exportState(),
+      BtoA: this._chain("BtoA").exportState(),
+    };
+  }
+
+  /**
+   * @param {Object} state - Output of exportState()
+   * @param {Object} [config]
+   * @returns {SymmetricRatchet}
+   */
+  static importState(state, config = {}) {
+    if (state?.version !== 1) {
+      throw new Error(`KKTP ratchet: unsupported state version ${state?.version}`);
+    }
+    const sidBytes = hexToBytes(state.sid);
+    const chains = {};
+    for (const direction of DIRECTIONS) {
+      chains[direction] = EpochChain.importState(state[direction], sidBytes);
+    }
+    return new SymmetricRatchet(state.sid, config, chains);
+  }
+
+  _chain(direction) {
+    const chain = this._chains[direction];
+    if (!chain) throw new Error(`KKTP ratchet: no chain for ${direction}`);
+    return chain;
+  }
+}
@@ -2,7 +2,11 @@
 // Session Facade - Slim public API delegating to internal services
 
 import { KKTPProtocol } from "../kktpProtocolFacade.js";
-import { KKTPStateMachine } from "./stateMachine.js";
+import {
+  KKTPStateMachine,
+  KKTP_CONTROL_TYPES,
+  KKTP_TRANSITION_REASONS,
+} from "./stateMachine.js";
 import { canonicalize, prepareForSigning } from "../integrity/canonical.js";
 import { Logger, LogModule } from "../../core/logger.js";
 
@@ -12,6 +16,22 @@ import {
   SessionVault,
   HandoverEngine,
   SessionPersistence,
+  ChunkAssembler,
+  splitIntoChunks,
+  isChunkFrame,
+  utf8Length,
+  MAX_SINGLE_PLAINTEXT_BYTES,
+  MAX_CHUNK_BYTES,
+  DEFAULT_CHUNK_CONFIG,
+  normalizeBuckets,
+  MAX_PADDED_PLAINTEXT_BYTES,
+  DEFAULT_PADDING_CONFIG,
+  KKTP_MESSAGE_STATUS,
+  advanceMessageStatus,
+  KKTP_CAPABILITIES,
+  normalizeDiscoveryFilters,
+  matchDiscovery,
+  walkRecentBlocks,
   buildAnchorPayload,
   parseKKTPPayload,
   validateAnchorOrThrow,
@@ -19,6 +39,12 @@ import {
 
 const log = Logger.create(LogModule.protocol.sessions.sessionFacade);
 
+// §6.1.1: Features every session accepts unless configured off
+const DEFAULT_CAPABILITIES = [
+  KKTP_CAPABILITIES.CHUNKING,
+  KKTP_CAPABILITIES.RETRANSMIT,
+];
+
 /**
  * SessionFacade - Clean public API for KKTP session management.
  * Delegates to internal services for modularity and testability.
@@ -71,6 +97,31 @@ export class SessionFacade {
     // Protocol instance for signing/verification helpers (uses adapter via SM)
     const sm = new KKTPStateMachine(this._adapter, true, 0);
     this.kktpProtocol = new KKTPProtocol(sm);
+
+    // §7.2.1: Watchdog for sessions stuck in a seq gap
+    this._retransmitTimer = null;
+    this._retransmitCheckMs = 5000;
+
+    // §6.4: Per-session reassembly of chunked messages
+    this._chunkConfig = { ...DEFAULT_CHUNK_CONFIG };
+    this._assemblers = new Map();
+
+    // §6.8: State transition listeners
+    this._transitionListeners = new Set();
+    this._vault.setTransitionHandler((event) => this._emitTransition(event));
+
+    // §7.2.2: Delivery acknowledgements
+    this._ackConfig = { enabled: false, delayMs: 2000, timeoutMs: 30000 };
+    this._ackTimers = new Map(); // mailboxId -> pending ack timer
+    this._ackWaiters = new Map(); // messageId -> { mailboxId, resolve, reject, timer }
+    this._statusListeners = new Set();
+
+    // §6.1.1: Optional features we accept; the configure* methods below
+    // keep this in step with what is actually enabled. Discoveries offer
+    // it only once it differs from these defaults, since responders that
+    // predate capabilities reject unknown meta keys.
+    this._capabilities = new Set(DEFAULT_CAPABILITIES);
+    this._syncCapabilities();
   }
 
   /**
@@ -93,6 +144,54 @@ export class SessionFacade {
     return await this.kktpProtocol.signAnchor(anchor, sig.privateKey);
   }
 
+  /**
+   * Sign an application payload with the key behind one of our session
+   * identities, so peers can attribute it to that pub_sig (e.g. lobby
+   * group messages). The private key never leaves the vault.
+   * @param {string} pubSig - Our discovery pub_sig or response pub_sig_resp
+   * @param {string} message
+   * @returns {Promise<string>} Signature hex
+   */
+  async signAsIdentity(pubSig, message) {
+    const privateKey = this._vault.findOwnSigningKey(pubSig);
+    if (!privateKey) {
+      throw new Error("KKTP: no signing key for this identity");
+    }
+    return await this._adapter.signMessage(privateKey, message);
+  }
+
+  /**
+   * Verify a signature made with signAsIdentity().
+   * @param {string} pubSig
+   * @param {string} message
+   * @param {string} signature
+   * @returns {Promise<boolean>}
+   */
+  async verifyIdentitySignature(pubSig, message, signature) {
+    try {
+      return Boolean(await this._adapter.verifyMessage(pubSig, message, signature));
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * ECDH between one of our session identities and a peer's pub_sig, so
+   * lobby members can seal keys to each other without a DM session.
+   * Both sides derive the same secret; the private key never leaves the vault.
+   * @param {string} pubSig - Our discovery pub_sig or response pub_sig_resp
+   * @param {string} peerPubSig - The peer's public signing key
+   * @returns {Promise<Uint8Array>} Raw shared secret
+   */
+  async deriveIdentitySecret(pubSig, peerPubSig) {
+    const privateKey = this._vault.findOwnSigningKey(pubSig);
+    if (!privateKey) {
+      throw new Error("KKTP: no signing key for this identity");
+    }
+    const session = await this._adapter.startSession(0, privateKey);
+    return session.deriveSharedSecret(peerPubSig);
+  }
+
   prepareForVerification(anchor) {
     return this.kktpProtocol.prepareForVerification(anchor);
   }
@@ -238,16 +337,212 @@ export class SessionFacade {
     return { response, mailboxId, payload };
   }
 
+  /**
+   * Encrypt and broadcast one message (§6.6).
+   * @param {string} mailboxId
+   * @param {string} plaintext
+   * @param {Object} [options]
+   * @param {string} [options.amount="1"]
+   * @param {string} [options.toAddress]
+   * @param {boolean} [options.awaitAck=false] - Resolve only once the peer acks it (§7.2.2)
+   * @param {number} [options.timeoutMs] - Reject if no ack arrives in time
+   * @returns {Promise<{ payload: string, messageId: string, seq: number, status: string }>}
+   */
   async sendMessage(mailboxId, plaintext, options = {}) {
-    const { amount = "1", toAddress } = options;
+    const {
+      amount = "1",
+      toAddress,
+      awaitAck = false,
+      timeoutMs = this._ackConfig.timeoutMs,
+    } = options;
 
     const session = this._vault.getSession(mailboxId);
     if (!session) {
       throw new Error(`KKTP: No session found for mailboxId ${mailboxId}`);
     }
+    if (awaitAck) this._requireCapability(session, KKTP_CAPABILITIES.ACKS);
+
+    // §6.4: Refuse before a seq is consumed rather than fail on broadcast
+    const maxBytes = session.sm.kktp.padding
+      ? MAX_PADDED_PLAINTEXT_BYTES
+      : MAX_SINGLE_PLAINTEXT_BYTES;
+    if (utf8Length(plaintext) > maxBytes) {
+      throw new Error(
+        `KKTP: message exceeds ${maxBytes} bytes; use sendChunkedMessage()`,
+      );
+    }
+    if (isChunkFrame(plaintext)) {
+      throw new Error("KKTP: plaintext starts with the reserved chunk frame prefix");
+    }
 
+    const seq = session.sm.kktp.outboundSeq;
     const canonicalMessage = session.protocol.createMessageAnchor(plaintext);
-    const payload = `KKTP:${mailboxId}:${canonicalMessage}`;
+
+    // Recorded before broadcast so our own echo can never outrun the entry
+    session.messages = session.messages || [];
+    const entry = {
+      id: crypto.randomUUID(),
+      direction: session.sm.isInitiator ? "AtoB" : "BtoA",
+      plaintext,
+      seq,
+      timestamp: Date.now(),
+      status: KKTP_MESSAGE_STATUS.QUEUED,
+      isOutbound: true,
+    };
+    session.messages.push(entry);
+
+    const payload = await this._sendMailboxPacket(mailboxId, canonicalMessage, {
+      amount,
+      toAddress,
+    });
+    this._setMessageStatus(mailboxId, entry, KKTP_MESSAGE_STATUS.SUBMITTED);
+
+    this._vault.schedulePersist(mailboxId);
+
+    if (awaitAck) await this._waitForAck(mailboxId, entry, timeoutMs);
+
+    return { payload, messageId: entry.id, seq, status: entry.status };
+  }
+
+  /**
+   * Send a plaintext of any size as numbered fragments (§6.4).
+   * All fragments are packed up front so they occupy consecutive seq values;
+   * the receiver delivers them as one logical message.
+   * @param {string} mailboxId
+   * @param {string} plaintext
+   * @param {Object} [options]
+   * @param {number} [options.chunkBytes] - Raw bytes per fragment, at most MAX_CHUNK_BYTES
+   * @param {string} [options.amount="1"]
+   * @param {string} [options.toAddress]
+   * @param {boolean} [options.awaitAck=false] - Resolve only once the peer acks the last fragment
+   * @param {number} [options.timeoutMs] - Reject if no ack arrives in time
+   * @returns {Promise<{ messageId: string, total: number, payloads: string[], status: string }>}
+   */
+  async sendChunkedMessage(mailboxId, plaintext, options = {}) {
+    const {
+      amount = "1",
+      toAddress,
+      awaitAck = false,
+      timeoutMs = this._ackConfig.timeoutMs,
+    } = options;
+    const chunkBytes = options.chunkBytes ?? this._chunkConfig.chunkBytes;
+
+    const session = this._vault.getSession(mailboxId);
+    if (!session) {
+      throw new Error(`KKTP: No session found for mailboxId ${mailboxId}`);
+    }
+    this._requireCapability(session, KKTP_CAPABILITIES.CHUNKING);
+    if (awaitAck) this._requireCapability(session, KKTP_CAPABILITIES.ACKS);
+
+    if (utf8Length(plaintext) > this._chunkConfig.maxMessageBytes) {
+      throw new Error(
+        `KKTP: message exceeds maxMessageBytes (${this._chunkConfig.maxMessageBytes})`,
+      );
+    }
+
+    const { messageId, chunks } = splitIntoChunks(plaintext, { chunkBytes });
+    if (chunks.length > this._chunkConfig.maxChunks) {
+      throw new Error(
+        `KKTP: message needs ${chunks.length} chunks, max is ${this._chunkConfig.maxChunks}`,
+      );
+    }
+
+    const seq = session.sm.kktp.outboundSeq;
+    const packets = chunks.map((chunk) =>
+      session.protocol.createMessageAnchor(chunk),
+    );
+
+    session.messages = session.messages || [];
+    const entry = {
+      id: crypto.randomUUID(),
+      direction: session.sm.isInitiator ? "AtoB" : "BtoA",
+      plaintext,
+      seq,
+      lastSeq: seq + packets.length - 1,
+      chunkId: messageId,
+      chunkCount: chunks.length,
+      timestamp: Date.now(),
+      status: KKTP_MESSAGE_STATUS.QUEUED,
+      isOutbound: true,
+    };
+    session.messages.push(entry);
+
+    const payloads = [];
+    for (const packet of packets) {
+      payloads.push(
+        await this._sendMailboxPacket(mailboxId, packet, { amount, toAddress }),
+      );
+    }
+    this._setMessageStatus(mailboxId, entry, KKTP_MESSAGE_STATUS.SUBMITTED);
+
+    this._vault.schedulePersist(mailboxId);
+
+    log.info(
+      `KKTP: sent chunked message id=${messageId.slice(0, 8)}... chunks=${chunks.length} mailbox=${mailboxId?.slice(0, 8)}...`,
+    );
+
+    if (awaitAck) await this._waitForAck(mailboxId, entry, timeoutMs);
+
+    return {
+      messageId,
+      total: chunks.length,
+      payloads,
+      status: entry.status,
+    };
+  }
+
+  /**
+   * Configure chunk size and reassembly limits (§6.4).
+   * @param {Partial<typeof DEFAULT_CHUNK_CONFIG>} [options]
+   * @returns {Object} The applied config
+   */
+  configureChunking(options = {}) {
+    const { chunkBytes } = options;
+    if (
+      chunkBytes !== undefined &&
+      !(Number.isInteger(chunkBytes) && chunkBytes >= 1 && chunkBytes <= MAX_CHUNK_BYTES)
+    ) {
+      throw new Error(`KKTP: chunkBytes must be an integer from 1 to ${MAX_CHUNK_BYTES}`);
+    }
+    this._chunkConfig = { ...this._chunkConfig, ...options };
+    for (const assembler of this._assemblers.values()) {
+      assembler.config = { ...this._chunkConfig };
+    }
+    return this._chunkConfig;
+  }
+
+  /**
+   * Run a delivered plaintext through the session's chunk assembler.
+   * Dropped chunked messages are appended to `dropped` for the caller.
+   * @private
+   * @returns {string|null} Complete plaintext, or null while fragments are pending
+   */
+  _assemble(mailboxId, plaintext, dropped) {
+    let assembler = this._assemblers.get(mailboxId);
+    if (!assembler) {
+      assembler = new ChunkAssembler(this._chunkConfig);
+      this._assemblers.set(mailboxId, assembler);
+    }
+
+    const result = assembler.accept(plaintext);
+    if (result.type === "message") return result.plaintext;
+
+    if (result.type === "dropped") {
+      log.warn(
+        `KKTP: dropped chunked message id=${result.messageId?.slice(0, 8)}... reason=${result.reason}`,
+      );
+      dropped.push({ messageId: result.messageId ?? null, reason: result.reason });
+    }
+    return null;
+  }
+
+  /**
+   * Embed a canonical mailbox packet (msg or control frame) and broadcast it.
+   * @private
+   */
+  async _sendMailboxPacket(mailboxId, canonicalPacket, options = {}) {
+    const { amount = "1", toAddress } = options;
+    const payload = `KKTP:${mailboxId}:${canonicalPacket}`;
 
     const address = toAddress ?? (await this._adapter.getAddress());
     const fromAddress = await this._adapter.getAddressWithLargestUtxo();
@@ -261,22 +556,525 @@ export class SessionFacade {
       toAddress: address,
       amount,
       payload,
-      privateKeys
+      privateKeys,
     });
 
-    session.messages = session.messages || [];
-    session.messages.push({
-      id: crypto.randomUUID(),
-      direction: session.sm.isInitiator ? "AtoB" : "BtoA",
-      plaintext,
-      timestamp: Date.now(),
-      status: "pending",
-      isOutbound: true,
+    return payload;
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Session State (§6.8)
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Subscribe to state transitions of every session and pending discovery.
+   * @param {(event: { from: string, to: string, reason: string, detail: string|null, sid: string|null, mailboxId: string|null, isInitiator: boolean, at: number }) => void} callback
+   * @returns {Function} Unsubscribe
+   */
+  onStateTransition(callback) {
+    this._transitionListeners.add(callback);
+    return () => this._transitionListeners.delete(callback);
+  }
+
+  /**
+   * Current state of a session (by mailboxId) or pending discovery (by sid).
+   * @param {string} id - mailboxId or sid
+   * @returns {string|null} One of KKTP_STATES, or null if unknown
+   */
+  getSessionState(id) {
+    const session =
+      this._vault.getSession(id) || this._vault.getPendingDiscovery(id);
+    return session?.sm?.state ?? null;
+  }
+
+  /** @private */
+  _emitTransition(event) {
+    log.info(
+      `KKTP: ${event.from} -> ${event.to} (${event.reason}) sid=${event.sid?.slice(0, 8)}...`,
+    );
+    for (const listener of this._transitionListeners) {
+      try {
+        listener(event);
+      } catch (err) {
+        log.warn(`KKTP: transition listener failed: ${err?.message || err}`);
+      }
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Discovery Query & Capabilities (§6.1.1)
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Find discoveries that match a filter, first in recent DAG history and
+   * then live from the scanner. Each sid is reported once, and only after
+   * its signature verifies.
+   * @param {Object} [filters] - { game, version, capabilities, minUptimeSeconds, regions, lobby }
+   * @param {Object} [options]
+   * @param {number} [options.historyBlocks=0] - Walk this many recent blocks first
+   * @param {boolean} [options.live=true] - Keep matching new scanner results
+   * @param {(result: { sid: string, discovery: Object, meta: Object, observedAt: number|undefined, blockHash: string|undefined, txid: string|undefined, source: "history"|"live", match: Object }) => void} [options.onDiscovery]
+   * @param {(err: Error) => void} [options.onError]
+   * @returns {Promise<{ stop: Function, getResults: Function }>} Controller
+   * @throws {Error} If a filter is malformed
+   */
+  async queryDiscoveries(filters = {}, options = {}) {
+    const { historyBlocks = 0, live = true, onDiscovery, onError } = options;
+    const criteria = normalizeDiscoveryFilters(filters);
+    const prefix = "KKTP:ANCHOR:";
+    const seen = new Map();
+
+    const consider = async (match, source) => {
+      try {
+        const parsed = parseKKTPPayload(match?.decodedPayload);
+        const anchor = parsed?.type === "anchor" ? parsed.anchor : null;
+        if (anchor?.type !== "discovery" || seen.has(anchor.sid)) return;
+
+        const observedAt = match.timestamp;
+        if (!matchDiscovery(anchor, criteria, { observedAt }).matched) return;
+
+        validateAnchorOrThrow(anchor);
+        if (!(await this._verifyAnchorSignature(anchor))) {
+          throw new Error(
+            `KKTP: invalid discovery signature sid=${anchor.sid?.slice(0, 8)}...`,
+          );
+        }
+        if (seen.has(anchor.sid)) return;
+
+        const result = {
+          sid: anchor.sid,
+          discovery: anchor,
+          meta: anchor.meta,
+          observedAt,
+          blockHash: match.blockHash,
+          txid: match.txid,
+          source,
+          match,
+        };
+        seen.set(anchor.sid, result);
+        onDiscovery?.(result);
+      } catch (err) {
+        onError?.(err);
+      }
+    };
+
+    let unsubscribe = null;
+    if (live) {
+      // Subscribe before walking so nothing lands between the two
+      unsubscribe = this._adapter.onNewTransactionMatch((match) => {
+        void consider(match, "live");
+      });
+      this._adapter.addPrefix(prefix);
+    }
+
+    if (historyBlocks > 0) {
+      try {
+        await walkRecentBlocks(this._adapter, {
+          blocks: historyBlocks,
+          prefixes: [prefix],
+          onMatch: (match) => consider(match, "history"),
+        });
+      } catch (err) {
+        onError?.(err);
+      }
+    }
+
+    return {
+      // The anchor prefix stays subscribed: sessions share it
+      stop: () => {
+        if (typeof unsubscribe === "function") unsubscribe();
+        unsubscribe = null;
+      },
+      getResults: () => Array.from(seen.values()),
+    };
+  }
+
+  /**
+   * Capability set agreed in the handshake (§6.1.1).
+   * @param {string} mailboxId
+   * @returns {string[]|null} null for unknown or legacy (un-negotiated) sessions
+   */
+  getSessionCapabilities(mailboxId) {
+    const capabilities = this._vault.getSession(mailboxId)?.sm?.kktp?.capabilities;
+    return capabilities ? [...capabilities] : null;
+  }
+
+  /**
+   * Capabilities new sessions select (responder) or, once any feature was
+   * opted into, advertise (initiator).
+   * @returns {string[]}
+   */
+  getLocalCapabilities() {
+    return [...this._capabilities].sort();
+  }
+
+  /**
+   * Capabilities our discoveries offer; empty until the app opts in.
+   * @returns {string[]}
+   */
+  getAdvertisedCapabilities() {
+    return this._isDefaultCapabilities() ? [] : this.getLocalCapabilities();
+  }
+
+  /** @private */
+  _toggleCapability(capability, enabled) {
+    if (enabled) this._capabilities.add(capability);
+    else this._capabilities.delete(capability);
+    this._syncCapabilities();
+  }
+
+  /** @private */
+  _syncCapabilities() {
+    this._vault.configureCapabilities(this.getLocalCapabilities(), {
+      offer: !this._isDefaultCapabilities(),
+    });
+  }
+
+  /** @private */
+  _isDefaultCapabilities() {
+    return (
+      this._capabilities.size === DEFAULT_CAPABILITIES.length &&
+      DEFAULT_CAPABILITIES.every((c) => this._capabilities.has(c))
+    );
+  }
+
+  /**
+   * Refuse a feature the peer did not agree to (§6.1.1).
+   * @private
+   */
+  _requireCapability(session, capability) {
+    if (!session.sm.hasCapability(capability)) {
+      throw new Error(`KKTP: peer did not negotiate ${capability}`);
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Padding (§6.6.1)
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Pad message plaintexts to size buckets for sessions created from now on.
+   * As initiator the buckets are offered in the discovery meta; as responder
+   * we pad only when the discovery offered them. Responders that predate
+   * padding reject a discovery carrying `meta.padding`, so enable this only
+   * when every peer you advertise to supports it.
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled=true]
+   * @param {number[]} [options.buckets=[64, 256, 1024, 4096]] - Ascending sizes in bytes
+   * @returns {Object} The applied config
+   */
+  configurePadding({
+    enabled = true,
+    buckets = DEFAULT_PADDING_CONFIG.buckets,
+  } = {}) {
+    const config = this._vault.configurePadding({
+      enabled,
+      buckets: normalizeBuckets(buckets),
+    });
+    this._toggleCapability(KKTP_CAPABILITIES.PADDING, enabled);
+    return config;
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Ratchet (§7.7.1)
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Enable per-epoch keys for sessions established from now on. Peers that
+   * negotiate capabilities (§6.1.1) ratchet only if both enabled it; with a
+   * legacy peer both must use the same setting or the first message faults.
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled=true]
+   * @param {number} [options.epochMessages=100] - Rotate after N packets per direction
+   * @param {number} [options.epochMs=600000] - ...or after this long
+   * @param {number} [options.graceMs=120000] - Keep retired keys this long
+   * @returns {Object} The applied config
+   */
+  configureRatchet({ enabled = true, ...options } = {}) {
+    const config = this._vault.configureRatchet({ ...options, enabled });
+    this._toggleCapability(KKTP_CAPABILITIES.RATCHET, enabled);
+    return config;
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Delivery Acknowledgements (§7.2.2)
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Configure acks for all sessions. When enabled we ack the peer's
+   * messages; awaitAck only resolves if the peer has acks enabled too.
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled=true] - Send acks for received messages
+   * @param {number} [options.delayMs=2000] - Coalesce acks over this window
+   * @param {number} [options.timeoutMs=30000] - Default awaitAck timeout
+   * @returns {Object} The applied config
+   */
+  configureAcks({ enabled = true, ...options } = {}) {
+    this._ackConfig = { ...this._ackConfig, ...options, enabled };
+    this._toggleCapability(KKTP_CAPABILITIES.ACKS, enabled);
+    return this._ackConfig;
+  }
+
+  /**
+   * Subscribe to outbound message status changes
+   * (queued -> submitted -> confirmed -> acknowledged).
+   * @param {(event: { mailboxId: string, messageId: string, seq: number|undefined, status: string, at: number }) => void} callback
+   * @returns {Function} Unsubscribe
+   */
+  onMessageStatus(callback) {
+    this._statusListeners.add(callback);
+    return () => this._statusListeners.delete(callback);
+  }
+
+  /**
+   * Current status of an outbound message.
+   * @param {string} mailboxId
+   * @param {string} messageId - messageId returned by sendMessage()
+   * @returns {string|null} One of KKTP_MESSAGE_STATUS, or null if unknown
+   */
+  getMessageStatus(mailboxId, messageId) {
+    const session = this._vault.getSession(mailboxId);
+    const entry = session?.messages?.find((m) => m.id === messageId);
+    return entry?.status ?? null;
+  }
+
+  /** @private */
+  _setMessageStatus(mailboxId, entry, status) {
+    if (!advanceMessageStatus(entry, status)) return;
+
+    const event = {
+      mailboxId,
+      messageId: entry.id,
+      seq: entry.lastSeq ?? entry.seq,
+      status,
+      at: Date.now(),
+    };
+    for (const listener of this._statusListeners) {
+      try {
+        listener(event);
+      } catch (err) {
+        log.warn(`KKTP: status listener failed: ${err?.message || err}`);
+      }
+    }
+
+    if (status === KKTP_MESSAGE_STATUS.ACKNOWLEDGED) {
+      const waiter = this._ackWaiters.get(entry.id);
+      if (waiter) {
+        clearTimeout(waiter.timer);
+        this._ackWaiters.delete(entry.id);
+        waiter.resolve();
+      }
+    }
+  }
+
+  /** @private */
+  _waitForAck(mailboxId, entry, timeoutMs) {
+    if (entry.status === KKTP_MESSAGE_STATUS.ACKNOWLEDGED) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._ackWaiters.delete(entry.id);
+        reject(
+          new Error(
+            `KKTP: no ack for seq ${entry.lastSeq ?? entry.seq} within ${timeoutMs}ms`,
+          ),
+        );
+      }, timeoutMs);
+      this._ackWaiters.set(entry.id, { mailboxId, resolve, reject, timer });
     });
+  }
+
+  /**
+   * Reject ack waiters and drop the pending ack of a session that ended.
+   * @private
+   */
+  _clearAcks(mailboxId) {
+    clearTimeout(this._ackTimers.get(mailboxId));
+    this._ackTimers.delete(mailboxId);
+
+    for (const [messageId, waiter] of this._ackWaiters) {
+      if (waiter.mailboxId !== mailboxId) continue;
+      clearTimeout(waiter.timer);
+      this._ackWaiters.delete(messageId);
+      waiter.reject(new Error("KKTP: session closed before ack"));
+    }
+  }
 
+  /**
+   * Ack the peer's messages once the coalescing window passes.
+   * @private
+   */
+  _scheduleAck(mailboxId) {
+    if (!this._ackConfig.enabled || this._ackTimers.has(mailboxId)) return;
+    const sm = this._vault.getSession(mailboxId)?.sm;
+    if (sm && !sm.hasCapability(KKTP_CAPABILITIES.ACKS)) return;
+
+    const timer = setTimeout(async () => {
+      this._ackTimers.delete(mailboxId);
+      const session = this._vault.getSession(mailboxId);
+      if (!session) return;
+      try {
+        const frame = await session.sm.createAck();
+        if (frame) await this._sendMailboxPacket(mailboxId, frame);
+      } catch (err) {
+        log.warn(
+          `KKTP: ack failed mailbox=${mailboxId?.slice(0, 8)}...`,
+          err?.message || err,
+        );
+      }
+    }, this._ackConfig.delayMs);
+    this._ackTimers.set(mailboxId, timer);
+  }
+
+  /**
+   * Mark every outbound message up to the acked seq as acknowledged.
+   * @private
+   */
+  _applyAck(mailboxId, session, ackSeq) {
+    for (const entry of session.messages || []) {
+      if (!entry.isOutbound || entry.seq === undefined) continue;
+      if ((entry.lastSeq ?? entry.seq) > ackSeq) continue;
+      this._setMessageStatus(mailboxId, entry, KKTP_MESSAGE_STATUS.ACKNOWLEDGED);
+    }
     this._vault.schedulePersist(mailboxId);
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Retransmission (§7.2.1)
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Configure gap recovery for sessions created from now on and existing ones.
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled=true] - Request retransmits instead of faulting
+   * @param {number} [options.maxAttempts=3] - Requests per gap before giving up
+   * @param {number} [options.intervalMs=15000] - Delay between requests
+   * @param {number} [options.checkMs=5000] - Watchdog poll interval
+   */
+  configureRetransmit({
+    enabled = true,
+    maxAttempts = 3,
+    intervalMs = 15000,
+    checkMs = 5000,
+  } = {}) {
+    this._retransmitCheckMs = checkMs;
+    this._toggleCapability(KKTP_CAPABILITIES.RETRANSMIT, enabled);
+    return this._vault.configureRetransmit({ enabled, maxAttempts, intervalMs });
+  }
 
-    return { payload };
+  /** @private */
+  _ensureRetransmitWatchdog() {
+    if (this._retransmitTimer) return;
+    this._retransmitTimer = setInterval(() => {
+      void this._pollAllRetransmits();
+    }, this._retransmitCheckMs);
+  }
+
+  /** @private */
+  _stopRetransmitWatchdog() {
+    if (!this._retransmitTimer) return;
+    clearInterval(this._retransmitTimer);
+    this._retransmitTimer = null;
+  }
+
+  /** @private */
+  async _pollAllRetransmits() {
+    let anyGap = false;
+    for (const [mailboxId, session] of this._vault.sessions.entries()) {
+      if (!session?.sm?.hasInboundGap()) continue;
+      anyGap = true;
+      await this._pollRetransmit(mailboxId, session);
+    }
+    if (!anyGap) this._stopRetransmitWatchdog();
+  }
+
+  /**
+   * Send whatever retransmits the state machine says are due.
+   * @private
+   */
+  async _pollRetransmit(mailboxId, session) {
+    let due;
+    try {
+      due = session.sm.pollRetransmit();
+    } catch (err) {
+      log.warn(
+        `KKTP: gap unrecoverable mailbox=${mailboxId?.slice(0, 8)}...`,
+        err?.message || err,
+      );
+      return;
+    }
+
+    for (const { direction, fromSeq, toSeq, local } of due) {
+      try {
+        if (local) {
+          // Our own packet never confirmed - re-broadcast it from history
+          const { packets } = session.sm.getRetransmitPackets(fromSeq, toSeq);
+          for (const packet of packets) {
+            await this._sendMailboxPacket(mailboxId, packet);
+          }
+        } else {
+          const frame = await session.sm.createRetransmitRequest(
+            fromSeq,
+            toSeq,
+          );
+          await this._sendMailboxPacket(mailboxId, frame);
+        }
+        log.info(
+          `KKTP: retransmit ${local ? "resent" : "requested"} ${direction} seq ${fromSeq}-${toSeq} mailbox=${mailboxId?.slice(0, 8)}...`,
+        );
+      } catch (err) {
+        log.warn(
+          `KKTP: retransmit failed mailbox=${mailboxId?.slice(0, 8)}...`,
+          err?.message || err,
+        );
+      }
+    }
+  }
+
+  /**
+   * Handle an incoming retransmit_request / retransmit_response / ack.
+   * @private
+   */
+  async _handleControlFrame(mailboxId, session, frame) {
+    try {
+      const control = await session.sm.receiveControlFrame(frame);
+      if (!control) return { type: "control_ignored", mailboxId };
+
+      const { type, body } = control;
+
+      if (type === KKTP_CONTROL_TYPES.RETRANSMIT_REQUEST) {
+        const { packets, unavailable } = session.sm.getRetransmitPackets(
+          body.from_seq,
+          body.to_seq,
+        );
+        for (const packet of packets) {
+          await this._sendMailboxPacket(mailboxId, packet);
+        }
+        const response = await session.sm.createRetransmitResponse(
+          body.from_seq,
+          body.to_seq,
+          unavailable,
+        );
+        await this._sendMailboxPacket(mailboxId, response);
+        log.info(
+          `KKTP: retransmitted seq ${body.from_seq}-${body.to_seq} (${packets.length} resent, ${unavailable.length} unavailable) mailbox=${mailboxId?.slice(0, 8)}...`,
+        );
+      } else if (type === KKTP_CONTROL_TYPES.RETRANSMIT_RESPONSE) {
+        session.sm.applyRetransmitResponse(body);
+      } else if (type === KKTP_CONTROL_TYPES.ACK) {
+        const ackSeq = session.sm.applyAck(body);
+        if (ackSeq !== null) this._applyAck(mailboxId, session, ackSeq);
+      }
+
+      return { type, mailboxId };
+    } catch (err) {
+      log.warn(
+        `KKTP: control frame rejected mailbox=${mailboxId?.slice(0, 8)}...`,
+        err?.message || err,
+      );
+      return { type: "control_rejected", mailboxId, reason: err?.message };
+    }
   }
 
   // ─────────────────────────────────────────────────────────────
@@ -311,6 +1109,8 @@ export class SessionFacade {
   }
 
   closeSession(mailboxId) {
+    this._assemblers.delete(mailboxId);
+    this._clearAcks(mailboxId);
     return this._vault.closeSession(mailboxId);
   }
 
@@ -499,8 +1299,10 @@ export class SessionFacade {
 
       if (sessionEntry) {
         const [mailboxId, session] = sessionEntry;
-        session.sm.terminate();
+        session.sm.terminate(KKTP_TRANSITION_REASONS.SESSION_END);
         this._vault.deleteSession(mailboxId);
+        this._assemblers.delete(mailboxId);
+        this._clearAcks(mailboxId);
         return {
           type: "session_end",
           mailboxId,
@@ -528,45 +1330,69 @@ export class SessionFacade {
       return { type: "message_ignored", mailboxId };
     }
 
+    if (Object.values(KKTP_CONTROL_TYPES).includes(msgObject?.type)) {
+      return this._handleControlFrame(mailboxId, session, msgObject);
+    }
+
     const plaintexts = session.sm.receiveMessage(msgObject);
+    const delivered = [];
+    const droppedChunks = [];
+
+    // §7.2.1: A gap may need a retransmit now or later
+    if (session.sm.hasInboundGap()) {
+      this._ensureRetransmitWatchdog();
+      void this._pollRetransmit(mailboxId, session);
+    }
     if (plaintexts && plaintexts.length > 0) {
       session.messages = session.messages || [];
+      const direction = msgObject.direction;
+      // Plaintexts are contiguous and end just below the next expected seq
+      let seq = session.sm.kktp.inboundSeq[direction] - plaintexts.length;
+
+      for (const raw of plaintexts) {
+        const rawSeq = seq++;
 
-      for (const plaintext of plaintexts) {
-        // If this is our own outbound message confirming, upgrade the pending entry
-        const pendingIndex = session.messages.findIndex(
+        // §6.4: Fragments are held until their message is complete
+        const plaintext = this._assemble(mailboxId, raw, droppedChunks);
+        if (plaintext === null) continue;
+        delivered.push(plaintext);
+
+        // If this is our own outbound message confirming, upgrade its entry
+        const own = session.messages.find(
           (m) =>
             m.isOutbound === true &&
-            m.status === "pending" &&
-            m.plaintext === plaintext &&
-            m.direction === msgObject.direction,
+            m.direction === direction &&
+            (m.seq !== undefined
+              ? (m.lastSeq ?? m.seq) === rawSeq
+              : m.status === "pending" && m.plaintext === plaintext),
         );
 
-        if (pendingIndex >= 0) {
-          const pending = session.messages[pendingIndex];
-          session.messages[pendingIndex] = {
-            ...pending,
-            status: "confirmed",
-            timestamp: pending.timestamp || Date.now(),
-          };
+        if (own) {
+          this._setMessageStatus(mailboxId, own, KKTP_MESSAGE_STATUS.CONFIRMED);
           continue;
         }
 
         // Otherwise, add as a new inbound message
         session.messages.push({
           id: crypto.randomUUID(),
-          direction: msgObject.direction,
+          direction,
           plaintext,
+          seq: rawSeq,
           timestamp: Date.now(),
-          status: "confirmed",
+          status: KKTP_MESSAGE_STATUS.CONFIRMED,
           isOutbound: false,
         });
       }
 
+      // §7.2.2: Ack the peer's direction (our own echoes need no ack)
+      if (direction === session.sm.peerDirection) this._scheduleAck(mailboxId);
+
       this._vault.schedulePersist(mailboxId);
     }
 
-    return { type: "messages", mailboxId, messages: plaintexts || [] };
+    const event = { type: "messages", mailboxId, messages: delivered };
+    if (droppedChunks.length) event.droppedChunks = droppedChunks;
+    return event;
   }
 
   // ─────────────────────────────────────────────────────────────
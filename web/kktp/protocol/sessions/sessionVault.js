@@ -10,7 +10,8 @@ import {
   zeroOutSessionKey,
 } from "./smHelpers.js";
 import { KKTPProtocol } from "../kktpProtocolFacade.js";
-import { KKTPStateMachine, KKTP_STATES } from "./stateMachine.js";
+import { KKTPStateMachine } from "./stateMachine.js";
+import { KKTP_CAPABILITIES } from "./discoveryFilter.js";
 import { Logger, LogModule } from "../../core/logger.js";
 
 const log = Logger.create(LogModule.protocol.sessions.sessionVault);
@@ -41,6 +42,10 @@ export class SessionVault {
     this._orphanResponses = new Map();
     this._keyIndex = 0;
 
+    // Own identity keys by pub_sig, kept after the session that introduced
+    // them closes (a lobby DM can end while the lobby identity stays in use)
+    this._ownSigningKeys = new Map();
+
     // Persistence
     this._persistConfig = null;
     this._persistQueue = new Set();
@@ -48,6 +53,22 @@ export class SessionVault {
 
     // Lobby manager reference (set by setLobbyManager)
     this._lobbyManager = null;
+
+    // Retransmit overrides applied to every state machine (§7.2.1)
+    this._retransmitConfig = null;
+
+    // Ratchet settings for state machines created from now on (§7.7.1)
+    this._ratchetConfig = null;
+
+    // Padding settings for state machines created from now on (§6.6.1)
+    this._paddingConfig = null;
+
+    // Capabilities selected (and, once opted in, offered) by new state machines (§6.1.1)
+    this._capabilities = null;
+    this._offerCapabilities = false;
+
+    // §6.8: Receives every state machine's transition events
+    this._transitionHandler = null;
   }
 
   // ─────────────────────────────────────────────────────────────
@@ -86,6 +107,7 @@ export class SessionVault {
 
   setSession(mailboxId, session) {
     this._sessions.set(mailboxId, session);
+    this._rememberOwnSigningKey(session);
     this._schedulePersist(mailboxId);
   }
 
@@ -140,10 +162,85 @@ export class SessionVault {
     if (idx >= this._keyIndex) this._keyIndex = idx + 1;
 
     const sm = new KKTPStateMachine(this._adapter, isInitiator, idx);
+    sm.onTransition((event) => this._transitionHandler?.(event));
+    if (this._retransmitConfig) {
+      Object.assign(sm.kktp.retransmit, this._retransmitConfig);
+    }
+    if (this._ratchetConfig) {
+      sm.configureRatchet(this._ratchetConfig);
+    }
+    if (this._paddingConfig) {
+      sm.configurePadding(this._paddingConfig);
+    }
+    if (this._capabilities) {
+      sm.kktp.localCapabilities = [...this._capabilities];
+      sm.kktp.offerCapabilities = this._offerCapabilities;
+    }
     const protocol = new KKTPProtocol(sm);
     return { sm, protocol, keyIndex: idx };
   }
 
+  /**
+   * Override retransmit settings for new and existing sessions.
+   * @param {{ enabled: boolean, maxAttempts: number, intervalMs: number }} config
+   * @returns {Object} The applied config
+   */
+  configureRetransmit(config) {
+    this._retransmitConfig = { ...config };
+    for (const session of this._sessions.values()) {
+      if (session?.sm?.kktp) {
+        Object.assign(session.sm.kktp.retransmit, this._retransmitConfig);
+        // §6.1.1: A peer that did not agree to retransmit never answers
+        if (!session.sm.hasCapability(KKTP_CAPABILITIES.RETRANSMIT)) {
+          session.sm.kktp.retransmit.enabled = false;
+        }
+      }
+    }
+    return this._retransmitConfig;
+  }
+
+  /**
+   * Set the handler for state transition events from every context (§6.8).
+   * @param {Function|null} handler
+   */
+  setTransitionHandler(handler) {
+    this._transitionHandler = handler;
+  }
+
+  /**
+   * Ratchet settings for sessions created from now on (§7.7.1).
+   * Established sessions keep their mode; both peers must agree.
+   * @param {Object} config
+   * @returns {Object} The applied config
+   */
+  configureRatchet(config) {
+    this._ratchetConfig = { ...config };
+    return this._ratchetConfig;
+  }
+
+  /**
+   * Padding settings applied to every state machine created from now on.
+   * @param {{ enabled: boolean, buckets?: number[] }} config
+   * @returns {Object} The applied config
+   */
+  configurePadding(config) {
+    this._paddingConfig = { ...config };
+    return this._paddingConfig;
+  }
+
+  /**
+   * Capabilities new state machines select and, if offered, advertise (§6.1.1).
+   * @param {string[]|null} capabilities - null disables negotiation
+   * @param {Object} [options]
+   * @param {boolean} [options.offer=false] - Put them in discovery meta
+   * @returns {string[]|null}
+   */
+  configureCapabilities(capabilities, { offer = false } = {}) {
+    this._capabilities = capabilities ? [...capabilities] : null;
+    this._offerCapabilities = Boolean(capabilities && offer);
+    return this._capabilities;
+  }
+
   // ─────────────────────────────────────────────────────────────
   // Persistence Configuration
   // ─────────────────────────────────────────────────────────────
@@ -209,6 +306,42 @@ export class SessionVault {
     return null;
   }
 
+  /**
+   * Find the private signing key behind one of our own identities: the
+   * discovery pub_sig we advertised or the pub_sig_resp we answered with.
+   * @param {string} pubSig
+   * @returns {string|null} Hex private key
+   */
+  findOwnSigningKey(pubSig) {
+    if (!pubSig) return null;
+    const entries = [
+      ...this._sessions.values(),
+      ...this._pendingDiscoveries.values(),
+    ];
+    for (const entry of entries) {
+      const known = this._rememberOwnSigningKey(entry);
+      if (known?.pubSig === pubSig) return known.privateKey;
+    }
+    return this._ownSigningKeys.get(pubSig) ?? null;
+  }
+
+  /**
+   * Record the identity key a session or pending discovery signs with.
+   * @param {Object} entry
+   * @returns {{ pubSig: string, privateKey: string }|null}
+   */
+  _rememberOwnSigningKey(entry) {
+    const pubSig =
+      entry?.isInitiator === false
+        ? entry.response?.pub_sig_resp
+        : entry?.discovery?.pub_sig;
+    const priv = entry?.sm?.kktp?.myPrivSig;
+    if (!pubSig || !priv) return null;
+    const privateKey = priv instanceof Uint8Array ? bytesToHex(priv) : priv;
+    this._ownSigningKeys.set(pubSig, privateKey);
+    return { pubSig, privateKey };
+  }
+
   isSessionExpired(mailboxId, nowMs = Date.now()) {
     const s = this._sessions.get(mailboxId);
     if (!s) return true;
@@ -438,6 +571,11 @@ export class SessionVault {
       this._orphanResponses.delete(s.discovery.sid);
     }
 
+    // §6.8: Still waiting for a response -> DISCOVERED
+    if (!s.response) {
+      ctx.sm.markDiscovered(s.discovery, true);
+    }
+
     if (s.response) {
       // If we have valid resume state with session key, use it directly
       if (resumeState?.K_session) {
@@ -459,7 +597,7 @@ export class SessionVault {
         }
 
         // CRITICAL: Set state to ACTIVE since we have valid session keys
-        ctx.sm.state = KKTP_STATES.ACTIVE;
+        ctx.sm.resume();
 
         log.info("KKTP: applied resume state (initiator)", {
           hasSessionKey: !!ctx.sm.kktp.sessionKey,
@@ -550,7 +688,7 @@ export class SessionVault {
 
         // CRITICAL: Set state to ACTIVE since we have valid session keys
         // Without this, sendMessage() will throw "Cannot send in state: INIT"
-        ctx.sm.state = KKTP_STATES.ACTIVE;
+        ctx.sm.resume();
 
         log.info("KKTP: applied resume state (responder)", {
           hasSessionKey: !!ctx.sm.kktp.sessionKey,
@@ -14,6 +14,53 @@ import {
   bytesToHex,
   hexToBytes,
 } from "../utils/conversions.js";
+import { SymmetricRatchet } from "./ratchet.js";
+import { KKTP_CAPABILITIES } from "./discoveryFilter.js";
+
+/**
+ * Lifecycle of an outbound message in session history (§7.2.2).
+ * Inbound messages are stored as CONFIRMED.
+ */
+export const KKTP_MESSAGE_STATUS = {
+  QUEUED: "queued", // Packed, seq consumed, not yet broadcast
+  SUBMITTED: "submitted", // Transaction accepted by the node
+  CONFIRMED: "confirmed", // Our own packet observed in the DAG
+  ACKNOWLEDGED: "acknowledged", // Peer acked a seq at or past this one
+};
+
+const MESSAGE_STATUS_RANK = {
+  [KKTP_MESSAGE_STATUS.QUEUED]: 0,
+  pending: 1, // Histories persisted before status tracking
+  [KKTP_MESSAGE_STATUS.SUBMITTED]: 1,
+  [KKTP_MESSAGE_STATUS.CONFIRMED]: 2,
+  [KKTP_MESSAGE_STATUS.ACKNOWLEDGED]: 3,
+};
+
+/**
+ * Move a history entry forward in the status lifecycle. Never moves back,
+ * since confirmation and ack can arrive in either order.
+ * @param {Object} entry - Entry in session.messages
+ * @param {string} status - One of KKTP_MESSAGE_STATUS
+ * @returns {boolean} True if the status changed
+ */
+export function advanceMessageStatus(entry, status) {
+  const current = MESSAGE_STATUS_RANK[entry?.status] ?? -1;
+  if (!entry || MESSAGE_STATUS_RANK[status] <= current) return false;
+  entry.status = status;
+  return true;
+}
+
+/**
+ * Whether a history entry is known to be in the DAG.
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+export function isMessageDelivered(entry) {
+  return (
+    (MESSAGE_STATUS_RANK[entry?.status] ?? -1) >=
+    MESSAGE_STATUS_RANK[KKTP_MESSAGE_STATUS.CONFIRMED]
+  );
+}
 
 /**
  * Normalize epoch milliseconds from various formats.
@@ -47,6 +94,36 @@ export function getExpectedEndMs(anchor, createdAtMs) {
   return base + uptimeSeconds * 1000;
 }
 
+/**
+ * Walk forward through the last `blocks` blocks, oldest first, for
+ * payloads matching `prefixes` (e.g. discovery history, §6.1.1).
+ * @param {Object} adapter - Needs getKaspaBlocks() and walkDagRange()
+ * @param {Object} options
+ * @param {number} options.blocks - How far back to start
+ * @param {string[]} options.prefixes
+ * @param {Function} options.onMatch - Receives each matching tx
+ * @param {number} [options.maxSeconds=10]
+ * @returns {Promise<void>}
+ */
+export async function walkRecentBlocks(
+  adapter,
+  { blocks, prefixes, onMatch, maxSeconds = 10 },
+) {
+  if (!adapter?.getKaspaBlocks || !adapter?.walkDagRange) {
+    throw new Error("KKTP: adapter cannot walk DAG history");
+  }
+  const recent = await adapter.getKaspaBlocks(blocks);
+  const oldest = recent?.[recent.length - 1]; // newest first
+  if (!oldest?.hash) return;
+
+  await adapter.walkDagRange({
+    startHash: oldest.hash,
+    prefixes,
+    onMatch,
+    maxSeconds,
+  });
+}
+
 /**
  * Build a KKTP anchor payload string.
  * @param {Object} anchor
@@ -141,6 +218,15 @@ export function extractResumeState(session) {
     outboundSeq,
     inboundSeq_AtoB: inboundSeqAtoB,
     inboundSeq_BtoA: inboundSeqBtoA,
+    // §7.2.1: Control counters must survive a reload or the peer drops our frames
+    ctlSeq: kktp.ctlSeq ?? 0,
+    ctlInboundSeq: kktp.ctlInboundSeq ? { ...kktp.ctlInboundSeq } : null,
+    // §7.7.1: With a ratchet, K_session above is the derived control key
+    ratchet: kktp.ratchet ? kktp.ratchet.exportState() : null,
+    // §6.6.1: Negotiated buckets and whether we already pad
+    padding: kktp.padding ? { ...kktp.padding } : null,
+    // §6.1.1: Capability set agreed in the response
+    capabilities: kktp.capabilities ? [...kktp.capabilities] : null,
     keyIndex: session?.keyIndex ?? null,
     remote_pub_sig: session?.peerPubSig || null,
     isInitiator: !!session?.isInitiator,
@@ -160,11 +246,11 @@ export function deriveSeqFromMessages(messages = []) {
   const outboundSeq = messages.filter((m) => m?.isOutbound).length;
 
   const inboundSeqAtoB = messages.filter(
-    (m) => m?.direction === "AtoB" && m?.status === "confirmed",
+    (m) => m?.direction === "AtoB" && isMessageDelivered(m),
   ).length;
 
   const inboundSeqBtoA = messages.filter(
-    (m) => m?.direction === "BtoA" && m?.status === "confirmed",
+    (m) => m?.direction === "BtoA" && isMessageDelivered(m),
   ).length;
 
   return {
@@ -210,6 +296,31 @@ export function applyResumeState(ctx, resume) {
     }
   }
 
+  // Restore control counters (§7.2.1)
+  if (resume.ctlSeq != null) kktp.ctlSeq = resume.ctlSeq;
+  if (resume.ctlInboundSeq) {
+    kktp.ctlInboundSeq = { ...kktp.ctlInboundSeq, ...resume.ctlInboundSeq };
+  }
+
+  // Restore negotiated padding (§6.6.1)
+  if (resume.padding) kktp.padding = { ...resume.padding };
+
+  // Restore the agreed capability set (§6.1.1)
+  if (Array.isArray(resume.capabilities)) {
+    kktp.capabilities = [...resume.capabilities];
+    if (!kktp.capabilities.includes(KKTP_CAPABILITIES.RETRANSMIT)) {
+      kktp.retransmit.enabled = false;
+    }
+  }
+
+  // Restore ratchet chains (§7.7.1)
+  if (resume.ratchet) {
+    kktp.ratchet = SymmetricRatchet.importState(
+      resume.ratchet,
+      kktp.ratchetConfig,
+    );
+  }
+
   // Restore identity keys if present
   if (resume.my_pub_sig) kktp.myPubSig = resume.my_pub_sig;
   if (resume.remote_pub_sig) kktp.peerPubSig = resume.remote_pub_sig;
@@ -227,4 +338,6 @@ export function zeroOutSessionKey(session) {
     kktp.sessionKey.fill(0);
   }
   kktp.sessionKey = null;
+  kktp.ratchet?.zeroize();
+  kktp.ratchet = null;
 }
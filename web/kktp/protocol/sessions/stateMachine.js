@@ -1,14 +1,100 @@
 // kktp/protocol/sessions/stateMachine.js
 import { establishSession } from "../integrity/handshake.js";
-import { pack, unpack } from "../utils/kktpCodec.js";
+import { canonicalize, prepareForSigning } from "../integrity/canonical.js";
+import { controlFrameValidator } from "../integrity/validator.js";
+import { bytesToHex } from "../utils/conversions.js";
+import { SymmetricRatchet, DEFAULT_RATCHET_CONFIG } from "./ratchet.js";
+import {
+  DEFAULT_PADDING_CONFIG,
+  PADDED_MSG_VERSION,
+  normalizeBuckets,
+} from "./padding.js";
+import { KKTP_CAPABILITIES } from "./discoveryFilter.js";
+import {
+  pack,
+  unpack,
+  packControl,
+  unpackControl,
+} from "../utils/kktpCodec.js";
 
 export const KKTP_STATES = {
   INIT: "INIT",
+  DISCOVERED: "DISCOVERED", // Section 6.8: discovery published or observed
+  HANDSHAKE: "HANDSHAKE", // Section 6.8: response observed, verifying/deriving
   ACTIVE: "ACTIVE",
   FAULTED: "FAULTED", // Section 6.8
   CLOSED: "CLOSED", // Section 7.7
 };
 
+/**
+ * Allowed transitions (Section 6.8). INIT -> ACTIVE is only used when a
+ * session is restored from persisted keys.
+ */
+export const KKTP_TRANSITIONS = {
+  [KKTP_STATES.INIT]: [
+    KKTP_STATES.DISCOVERED,
+    KKTP_STATES.ACTIVE,
+    KKTP_STATES.FAULTED,
+    KKTP_STATES.CLOSED,
+  ],
+  [KKTP_STATES.DISCOVERED]: [
+    KKTP_STATES.HANDSHAKE,
+    KKTP_STATES.FAULTED,
+    KKTP_STATES.CLOSED,
+  ],
+  [KKTP_STATES.HANDSHAKE]: [
+    KKTP_STATES.ACTIVE,
+    KKTP_STATES.FAULTED,
+    KKTP_STATES.CLOSED,
+  ],
+  [KKTP_STATES.ACTIVE]: [KKTP_STATES.FAULTED, KKTP_STATES.CLOSED],
+  [KKTP_STATES.FAULTED]: [KKTP_STATES.ACTIVE, KKTP_STATES.CLOSED],
+  [KKTP_STATES.CLOSED]: [],
+};
+
+/**
+ * Why a transition happened; carried on every transition event.
+ */
+export const KKTP_TRANSITION_REASONS = {
+  DISCOVERY_PUBLISHED: "discovery_published",
+  DISCOVERY_OBSERVED: "discovery_observed",
+  RESPONSE_OBSERVED: "response_observed",
+  KEYS_DERIVED: "keys_derived",
+  HANDSHAKE_FAILED: "handshake_failed",
+  RESUMED: "resumed",
+  BUFFER_OVERFLOW: "buffer_overflow",
+  INTEGRITY_VIOLATION: "integrity_violation",
+  RATCHET_VIOLATION: "ratchet_violation",
+  PADDING_VIOLATION: "padding_violation",
+  GAP_TIMEOUT: "gap_timeout",
+  GAP_REPAIRED: "gap_repaired",
+  RETRANSMIT_UNAVAILABLE: "retransmit_unavailable",
+  SESSION_END: "session_end",
+  LOCAL_CLOSE: "local_close",
+};
+
+/**
+ * Thrown when code asks for a transition Section 6.8 does not allow.
+ */
+export class KKTPStateTransitionError extends Error {
+  constructor(from, to, reason) {
+    super(`Invalid KKTP transition ${from} -> ${to} (${reason})`);
+    this.name = "KKTPStateTransitionError";
+    this.from = from;
+    this.to = to;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Control frame types (Section 7.2.1, 7.2.2)
+ */
+export const KKTP_CONTROL_TYPES = {
+  RETRANSMIT_REQUEST: "retransmit_request",
+  RETRANSMIT_RESPONSE: "retransmit_response",
+  ACK: "ack",
+};
+
 /**
  * KKTPStateMachine - Manages KKTP session state transitions.
  *
@@ -27,7 +113,8 @@ export class KKTPStateMachine {
     this.adapter = adapter;
     this.isInitiator = isInitiator;
     this.keyIndex = keyIndex;
-    this.state = KKTP_STATES.INIT;
+    this._state = KKTP_STATES.INIT;
+    this._onTransition = null;
 
     this.kktp = {
       session: null, // K_session + metadata
@@ -73,15 +160,275 @@ export class KKTPStateMachine {
         BtoA: null,
       },
       gapTimeoutMs: 60000,
+
+      // Section 7.2.1: Bounded history of our own sent packets for retransmit
+      outboundHistory: [],
+      maxOutboundHistory: 256,
+
+      // Section 7.2.1: Control frame counters (independent of msg seq)
+      ctlSeq: 0,
+      ctlInboundSeq: {
+        AtoB: -1,
+        BtoA: -1,
+      },
+
+      // Section 7.2.1: Gap recovery bookkeeping per direction
+      retransmit: {
+        enabled: true,
+        maxAttempts: 3,
+        intervalMs: 15000,
+        maxBatch: 32,
+        recovering: { AtoB: false, BtoA: false },
+        attempts: { AtoB: 0, BtoA: 0 },
+        lastRequestAt: { AtoB: null, BtoA: null },
+      },
+
+      // Section 7.2.2: Highest contiguous seq we acked / the peer acked
+      ack: {
+        lastSent: -1,
+        peerAcked: -1,
+      },
+
+      // Section 7.7.1: Optional in-session ratchet (both peers must enable,
+      // or agree on it via capabilities, Section 6.1.1)
+      ratchetConfig: { ...DEFAULT_RATCHET_CONFIG },
+      ratchet: null,
+
+      // Section 6.6.1: Optional length padding, negotiated via discovery meta
+      paddingConfig: { ...DEFAULT_PADDING_CONFIG },
+      padding: null, // { buckets, sending, peerSince } once negotiated
+
+      // Section 6.1.1: Capabilities we support (null = don't negotiate),
+      // whether a discovery offers them, and the set both peers agreed on
+      localCapabilities: null,
+      offerCapabilities: false,
+      capabilities: null,
     };
   }
 
+  /** Current Section 6.8 state. Change it through transition(). */
+  get state() {
+    return this._state;
+  }
+
   /**
-   * Transition: INIT -> ACTIVE (Section 6.1 & 6.2)
+   * Register the transition listener (one per state machine).
+   * @param {(event: { from: string, to: string, reason: string, detail: string|null, sid: string|null, mailboxId: string|null, isInitiator: boolean, at: number }) => void} callback
    */
-  async connect(discovery, response) {
+  onTransition(callback) {
+    this._onTransition = callback;
+  }
+
+  /**
+   * Move to a new state if Section 6.8 allows it, then notify the listener.
+   * Re-entering the current state is a no-op.
+   * @param {string} to - One of KKTP_STATES
+   * @param {string} reason - One of KKTP_TRANSITION_REASONS
+   * @param {string|null} [detail] - Human-readable context (e.g. error message)
+   * @throws {KKTPStateTransitionError} If the transition is not allowed
+   */
+  transition(to, reason, detail = null) {
+    const from = this._state;
+    if (from === to) return;
+    if (!KKTP_TRANSITIONS[from]?.includes(to)) {
+      throw new KKTPStateTransitionError(from, to, reason);
+    }
+    this._state = to;
+
+    try {
+      this._onTransition?.({
+        from,
+        to,
+        reason,
+        detail,
+        sid: this.kktp.sid ?? this.kktp.discoveryAnchor?.sid ?? null,
+        mailboxId: this.kktp.mailboxId,
+        isInitiator: this.isInitiator,
+        at: Date.now(),
+      });
+    } catch {
+      // A listener must never break the protocol path
+    }
+  }
+
+  /**
+   * Transition: INIT -> DISCOVERED (Section 6.8)
+   * @param {Object} discovery - Discovery anchor we published or observed
+   * @param {boolean} [published=false] - True when we are the initiator
+   */
+  markDiscovered(discovery, published = false) {
+    this.kktp.discoveryAnchor = this.kktp.discoveryAnchor || discovery;
+    this.transition(
+      KKTP_STATES.DISCOVERED,
+      published
+        ? KKTP_TRANSITION_REASONS.DISCOVERY_PUBLISHED
+        : KKTP_TRANSITION_REASONS.DISCOVERY_OBSERVED,
+    );
+  }
+
+  /**
+   * Transition: INIT -> ACTIVE for a session restored from persisted keys.
+   */
+  resume() {
+    this.transition(KKTP_STATES.ACTIVE, KKTP_TRANSITION_REASONS.RESUMED);
+  }
+
+  /**
+   * Fault the session and return the error for the caller to throw.
+   * @returns {Error}
+   */
+  _fault(reason, message) {
+    this.transition(KKTP_STATES.FAULTED, reason, message);
+    return new Error(message);
+  }
+
+  /** Direction of packets we send. */
+  get myDirection() {
+    return this.isInitiator ? "AtoB" : "BtoA";
+  }
+
+  /** Direction of packets the peer sends. */
+  get peerDirection() {
+    return this.isInitiator ? "BtoA" : "AtoB";
+  }
+
+  /**
+   * True while FAULTED by a gap timeout that retransmission may still repair.
+   * @returns {boolean}
+   */
+  get isRecovering() {
+    const { recovering } = this.kktp.retransmit;
+    return (
+      this.state === KKTP_STATES.FAULTED &&
+      (recovering.AtoB || recovering.BtoA)
+    );
+  }
+
+  /**
+   * Configure the symmetric ratchet (§7.7.1). Must happen before connect():
+   * switching mid-session would desync the peers' keys.
+   * @param {Partial<typeof DEFAULT_RATCHET_CONFIG>} config
+   * @returns {Object} The applied config
+   */
+  configureRatchet(config = {}) {
+    if (
+      this.state !== KKTP_STATES.INIT &&
+      this.state !== KKTP_STATES.DISCOVERED
+    ) {
+      throw new Error(`Cannot configure ratchet in state: ${this.state}`);
+    }
+    this.kktp.ratchetConfig = { ...this.kktp.ratchetConfig, ...config };
+    return this.kktp.ratchetConfig;
+  }
+
+  /**
+   * Configure length padding (§6.6.1). An initiator advertises its buckets
+   * in the discovery, so this must happen before the discovery is built.
+   * @param {Partial<typeof DEFAULT_PADDING_CONFIG>} config
+   * @returns {Object} The applied config
+   */
+  configurePadding(config = {}) {
+    if (this.state !== KKTP_STATES.INIT) {
+      throw new Error(`Cannot configure padding in state: ${this.state}`);
+    }
+    const next = { ...this.kktp.paddingConfig, ...config };
+    next.buckets = normalizeBuckets(next.buckets);
+    this.kktp.paddingConfig = next;
+    return next;
+  }
+
+  /**
+   * Agree on padding from the initiator's discovery offer (§6.6.1).
+   * The responder pads at once; the initiator waits for the peer's first
+   * padded packet so an unpadding (older) responder never sees version 2.
+   * An initiator honours its own published offer even if its config changed.
+   */
+  _negotiatePadding(discovery) {
+    this.kktp.padding = null;
+    const offered = discovery?.meta?.padding;
+    if (!offered) return;
+
+    // §6.1.1: An agreed set settles it for both sides, so neither waits and
+    // any unpadded packet from the peer is a downgrade
+    const agreed = this.kktp.capabilities;
+    if (agreed && !agreed.includes(KKTP_CAPABILITIES.PADDING)) return;
+    if (!agreed && !this.isInitiator && !this.kktp.paddingConfig.enabled) return;
+
     try {
+      this.kktp.padding = {
+        buckets: normalizeBuckets(offered),
+        sending: Boolean(agreed) || !this.isInitiator,
+        peerSince: agreed ? -1 : null,
+      };
+    } catch {
+      // A malformed offer falls back to unpadded version 1 packets
+    }
+  }
+
+  /**
+   * Record the capability set the response selected (§6.1.1). Both peers
+   * read it from the same signed response, so they agree by construction.
+   * Without one (a legacy peer) every feature keeps its local config.
+   * @throws {Error} If the response selected something that was not offered
+   */
+  _negotiateCapabilities(discovery, response) {
+    this.kktp.capabilities = null;
+    if (!Array.isArray(response?.capabilities)) return;
+
+    const offered = new Set(discovery?.meta?.capabilities || []);
+    const stray = response.capabilities.find((c) => !offered.has(c));
+    if (stray !== undefined) {
+      throw new Error(`Response selected capability not offered: ${stray}`);
+    }
+    this.kktp.capabilities = [...response.capabilities];
+    if (!this.kktp.capabilities.includes(KKTP_CAPABILITIES.RETRANSMIT)) {
+      this.kktp.retransmit.enabled = false;
+    }
+  }
+
+  /**
+   * Whether an optional feature is on for this session (§6.1.1). Legacy
+   * sessions without a negotiated set report the fallback.
+   * @param {string} capability - A KKTP_CAPABILITIES value
+   * @param {boolean} [fallback=true]
+   * @returns {boolean}
+   */
+  hasCapability(capability, fallback = true) {
+    const agreed = this.kktp.capabilities;
+    return agreed ? agreed.includes(capability) : fallback;
+  }
+
+  /**
+   * Replace K_session with ratchet chains and a control-frame key (§7.7.1).
+   * K_session is zeroized so a later compromise cannot reach past epochs.
+   */
+  _startRatchet(now = Date.now()) {
+    const sessionKey = this.kktp.sessionKey;
+    const { ratchet, controlKey } = SymmetricRatchet.fromSessionKey(
+      sessionKey,
+      this.kktp.sid,
+      this.kktp.ratchetConfig,
+      now,
+    );
+    sessionKey.fill(0);
+    this.kktp.ratchet = ratchet;
+    this.kktp.sessionKey = controlKey;
+  }
 
+  /**
+   * Transition: DISCOVERED -> HANDSHAKE -> ACTIVE (Section 6.1 & 6.2)
+   * A state machine still in INIT is moved to DISCOVERED first.
+   */
+  async connect(discovery, response) {
+    if (this.state === KKTP_STATES.INIT) {
+      this.markDiscovered(discovery, this.isInitiator);
+    }
+    this.transition(
+      KKTP_STATES.HANDSHAKE,
+      KKTP_TRANSITION_REASONS.RESPONSE_OBSERVED,
+    );
+
+    try {
       const dhPriv = this.kktp?.myDhPriv;
       if (!dhPriv) {
         throw new Error("Missing DH private key for session establishment.");
@@ -101,6 +448,14 @@ export class KKTPStateMachine {
       this.kktp.mailboxId = mailboxId;
       this.kktp.sid = discovery.sid;
 
+      this._negotiateCapabilities(discovery, response);
+      const ratchetOn = this.hasCapability(
+        KKTP_CAPABILITIES.RATCHET,
+        this.kktp.ratchetConfig.enabled,
+      );
+      if (ratchetOn) this._startRatchet();
+      this._negotiatePadding(discovery);
+
       // Map identities for Section 7.4 Signature Verification
       this.kktp.myPubSig = this.isInitiator
         ? discovery.pub_sig
@@ -109,10 +464,14 @@ export class KKTPStateMachine {
         ? response.pub_sig_resp
         : discovery.pub_sig;
 
-      this.state = KKTP_STATES.ACTIVE;
+      this.transition(KKTP_STATES.ACTIVE, KKTP_TRANSITION_REASONS.KEYS_DERIVED);
       return true;
     } catch (err) {
-      this.state = KKTP_STATES.FAULTED;
+      this.transition(
+        KKTP_STATES.FAULTED,
+        KKTP_TRANSITION_REASONS.HANDSHAKE_FAILED,
+        err?.message || String(err),
+      );
       throw err;
     }
   }
@@ -146,13 +505,32 @@ export class KKTPStateMachine {
     if (this.state !== KKTP_STATES.ACTIVE)
       throw new Error(`Cannot send in state: ${this.state}`);
 
-    const direction = this.isInitiator ? "AtoB" : "BtoA";
+    const direction = this.myDirection;
     const seq = this.kktp.outboundSeq;
 
     // Increment AFTER use (first message has seq=0)
     this.kktp.outboundSeq++;
 
-    return pack(this.kktp, plaintext, direction, seq);
+    // §7.7.1: Ratcheted sessions encrypt under the current epoch key
+    const options = this.kktp.ratchet
+      ? this.kktp.ratchet.keyForSend(direction)
+      : {};
+    // §6.6.1: Pad once both peers are known to unpad
+    if (this.kktp.padding?.sending) options.padding = this.kktp.padding.buckets;
+    const packet = pack(this.kktp, plaintext, direction, seq, options);
+    this._rememberOutbound(seq, packet);
+    return packet;
+  }
+
+  /**
+   * Keep a sent packet so it can be re-broadcast verbatim (§7.2.1)
+   */
+  _rememberOutbound(seq, packet) {
+    const history = this.kktp.outboundHistory;
+    history.push({ seq, packet });
+    if (history.length > this.kktp.maxOutboundHistory) {
+      history.shift();
+    }
   }
 
   /**
@@ -160,7 +538,7 @@ export class KKTPStateMachine {
    * Per-direction replay protection, nonce tracking, gap timeout, and buffering
    */
   receiveMessage(msg) {
-    if (this.state !== KKTP_STATES.ACTIVE) return [];
+    if (this.state !== KKTP_STATES.ACTIVE && !this.isRecovering) return [];
 
     // §7.6: Enforce session uniqueness - reject messages with wrong sid
     if (msg.sid !== this.kktp.sid) return [];
@@ -185,16 +563,20 @@ export class KKTPStateMachine {
     if (msg.seq > expectedSeq) {
       if (this.kktp.gapSince[direction] === null) {
         this.kktp.gapSince[direction] = now;
-      } else if (now - this.kktp.gapSince[direction] > this.kktp.gapTimeoutMs) {
-        this.state = KKTP_STATES.FAULTED;
-        throw new Error("Gap timeout: missing sequence exceeded timeout.");
+      } else if (
+        !this.kktp.retransmit.recovering[direction] &&
+        now - this.kktp.gapSince[direction] > this.kktp.gapTimeoutMs
+      ) {
+        this._onGapTimeout(direction);
       }
     }
 
     // 3. Buffer Limit: Prevent memory DoS (§7.2)
     if (buffer.length >= this.kktp.maxBufferSize) {
-      this.state = KKTP_STATES.FAULTED;
-      throw new Error("Buffer overflow: Potential DoS or massive gap.");
+      throw this._fault(
+        KKTP_TRANSITION_REASONS.BUFFER_OVERFLOW,
+        "Buffer overflow: Potential DoS or massive gap.",
+      );
     }
 
     // 4. Add to reassembly buffer (dedupe) and sort
@@ -214,18 +596,27 @@ export class KKTPStateMachine {
       const next = buffer.shift();
       this.kktp.pendingNonces[direction].delete(next.nonce);
 
+      const padding = this._inboundPadding(next);
+      const epochKey = this._inboundKey(next, now);
+
       try {
         // Section 6.6: AAD must include direction and seq
-        const plain = unpack(this.kktp, next);
+        const plain = unpack(this.kktp, next, { key: epochKey?.key, padding });
+        if (plain === null) epochKey?.discard();
+        else epochKey?.commit();
+        this._notePeerPadding(next);
         if (plain) {
           readyPlaintexts.push(plain);
           this._recordNonce(direction, next.nonce);
         }
         this.kktp.inboundSeq[direction]++;
       } catch (e) {
+        epochKey?.discard();
         // Section 7.11: AEAD failure marks session as FAULTED
-        this.state = KKTP_STATES.FAULTED;
-        throw new Error("Integrity violation: AEAD decryption failed.");
+        throw this._fault(
+          KKTP_TRANSITION_REASONS.INTEGRITY_VIOLATION,
+          "Integrity violation: AEAD decryption failed.",
+        );
       }
     }
 
@@ -235,16 +626,391 @@ export class KKTPStateMachine {
       buffer[0].seq === this.kktp.inboundSeq[direction]
     ) {
       this.kktp.gapSince[direction] = null;
+      this._onGapClosed(direction);
     }
 
+    this.kktp.ratchet?.prune(now);
     return readyPlaintexts;
   }
 
+  /**
+   * Epoch key for an inbound packet, or undefined when not ratcheting. The
+   * caller commits it once the packet decrypts, or discards it.
+   * A packet whose epoch presence does not match the session mode is a
+   * downgrade (or misconfigured peer) and faults the session (§7.7.1).
+   */
+  _inboundKey(msg, now) {
+    const ratchet = this.kktp.ratchet;
+    try {
+      if (!ratchet) {
+        if (msg.epoch !== undefined) {
+          throw new Error("epoch present but ratchet is disabled");
+        }
+        return undefined;
+      }
+      if (msg.epoch === undefined) {
+        throw new Error("missing epoch in ratcheted session");
+      }
+      return ratchet.keyForReceive(msg.direction, msg.epoch, now);
+    } catch (e) {
+      throw this._fault(
+        KKTP_TRANSITION_REASONS.RATCHET_VIOLATION,
+        `Ratchet violation: ${e.message}`,
+      );
+    }
+  }
+
+  /**
+   * Buckets for an inbound packet, or undefined for version 1. Once the peer
+   * has sent a padded packet, a later unpadded one is a downgrade (§6.6.1).
+   */
+  _inboundPadding(msg) {
+    const padding = this.kktp.padding;
+    if (msg.version === PADDED_MSG_VERSION) {
+      if (!padding) {
+        throw this._fault(
+          KKTP_TRANSITION_REASONS.PADDING_VIOLATION,
+          "Padding violation: padded packet but padding was not negotiated.",
+        );
+      }
+      return padding.buckets;
+    }
+
+    if (
+      padding?.peerSince != null &&
+      msg.direction === this.peerDirection &&
+      msg.seq > padding.peerSince
+    ) {
+      throw this._fault(
+        KKTP_TRANSITION_REASONS.PADDING_VIOLATION,
+        `Padding violation: unpadded seq ${msg.seq} after padded seq ${padding.peerSince}.`,
+      );
+    }
+    return undefined;
+  }
+
+  /**
+   * The peer's first padded packet proves it unpads too: start padding
+   * our own packets (the initiator's version bump, §6.6.1).
+   */
+  _notePeerPadding(msg) {
+    const padding = this.kktp.padding;
+    if (!padding || msg.version !== PADDED_MSG_VERSION) return;
+    if (msg.direction !== this.peerDirection || padding.peerSince != null) return;
+    padding.peerSince = msg.seq;
+    padding.sending = true;
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Retransmission (Section 7.2.1)
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Gap outlasted gapTimeoutMs: fault, but stay recoverable when allowed.
+   * @throws {Error} If retransmission is disabled
+   */
+  _onGapTimeout(direction) {
+    if (!this.kktp.retransmit.enabled) {
+      throw this._fault(
+        KKTP_TRANSITION_REASONS.GAP_TIMEOUT,
+        "Gap timeout: missing sequence exceeded timeout.",
+      );
+    }
+    // Mark recovering first so listeners see a repairable fault
+    this.kktp.retransmit.recovering[direction] = true;
+    this.transition(
+      KKTP_STATES.FAULTED,
+      KKTP_TRANSITION_REASONS.GAP_TIMEOUT,
+      `Recovering ${direction} via retransmit`,
+    );
+  }
+
+  /**
+   * Gap filled: clear recovery for the direction and return to ACTIVE
+   * once no direction is still waiting on a retransmit.
+   */
+  _onGapClosed(direction) {
+    const rt = this.kktp.retransmit;
+    if (!rt.recovering[direction]) return;
+
+    rt.recovering[direction] = false;
+    rt.attempts[direction] = 0;
+    rt.lastRequestAt[direction] = null;
+
+    if (
+      this.state === KKTP_STATES.FAULTED &&
+      !rt.recovering.AtoB &&
+      !rt.recovering.BtoA
+    ) {
+      this.transition(KKTP_STATES.ACTIVE, KKTP_TRANSITION_REASONS.GAP_REPAIRED);
+    }
+  }
+
+  /**
+   * Missing seq range in front of the reassembly buffer.
+   * @param {"AtoB"|"BtoA"} direction
+   * @returns {{ fromSeq: number, toSeq: number }|null}
+   */
+  getMissingRange(direction) {
+    const buffer = this.kktp.buffer[direction];
+    const expected = this.kktp.inboundSeq[direction];
+    if (!buffer?.length || buffer[0].seq <= expected) return null;
+
+    const toSeq = Math.min(
+      buffer[0].seq - 1,
+      expected + this.kktp.retransmit.maxBatch - 1,
+    );
+    return { fromSeq: expected, toSeq };
+  }
+
+  /**
+   * True if either direction is waiting on a missing seq that can still arrive.
+   * @returns {boolean}
+   */
+  hasInboundGap() {
+    if (this.state !== KKTP_STATES.ACTIVE && !this.isRecovering) return false;
+    return (
+      this.kktp.gapSince.AtoB !== null || this.kktp.gapSince.BtoA !== null
+    );
+  }
+
+  /**
+   * Check gap timers and decide which retransmits are due (§7.2.1).
+   * A gap in our own direction is repaired locally from outboundHistory
+   * (`local: true`); a gap in the peer's direction needs a retransmit_request.
+   *
+   * @param {number} [now=Date.now()]
+   * @returns {Array<{ direction: string, fromSeq: number, toSeq: number, local: boolean }>}
+   * @throws {Error} If a gap is still open after maxAttempts requests
+   */
+  pollRetransmit(now = Date.now()) {
+    if (this.state !== KKTP_STATES.ACTIVE && !this.isRecovering) return [];
+
+    const rt = this.kktp.retransmit;
+    const due = [];
+
+    for (const direction of ["AtoB", "BtoA"]) {
+      const gapSince = this.kktp.gapSince[direction];
+      if (gapSince === null) continue;
+
+      if (!rt.recovering[direction]) {
+        if (now - gapSince <= this.kktp.gapTimeoutMs) continue;
+        this._onGapTimeout(direction);
+      }
+
+      const last = rt.lastRequestAt[direction];
+      if (last !== null && now - last < rt.intervalMs) continue;
+
+      const range = this.getMissingRange(direction);
+      if (!range) continue;
+
+      if (rt.attempts[direction] >= rt.maxAttempts) {
+        rt.recovering[direction] = false;
+        throw new Error(
+          `Gap timeout: retransmission exhausted for ${direction} seq ${range.fromSeq}.`,
+        );
+      }
+
+      rt.attempts[direction]++;
+      rt.lastRequestAt[direction] = now;
+      due.push({
+        direction,
+        ...range,
+        local: direction === this.myDirection,
+      });
+    }
+
+    return due;
+  }
+
+  /**
+   * Look up previously sent packets for a retransmit (§7.2.1).
+   * @param {number} fromSeq
+   * @param {number} toSeq
+   * @returns {{ packets: string[], unavailable: number[] }}
+   */
+  getRetransmitPackets(fromSeq, toSeq) {
+    const packets = [];
+    const unavailable = [];
+    const last = Math.min(toSeq, fromSeq + this.kktp.retransmit.maxBatch - 1);
+
+    for (let seq = fromSeq; seq <= last; seq++) {
+      const entry = this.kktp.outboundHistory.find((h) => h.seq === seq);
+      if (entry) packets.push(entry.packet);
+      else unavailable.push(seq);
+    }
+    return { packets, unavailable };
+  }
+
+  /**
+   * Build a signed retransmit_request for the peer's missing range.
+   * @returns {Promise<string>} Canonical control frame
+   */
+  async createRetransmitRequest(fromSeq, toSeq) {
+    return await this._createControlFrame(
+      KKTP_CONTROL_TYPES.RETRANSMIT_REQUEST,
+      { direction: this.peerDirection, from_seq: fromSeq, to_seq: toSeq },
+    );
+  }
+
+  /**
+   * Build a signed retransmit_response describing what was re-sent.
+   * @returns {Promise<string>} Canonical control frame
+   */
+  async createRetransmitResponse(fromSeq, toSeq, unavailable = []) {
+    return await this._createControlFrame(
+      KKTP_CONTROL_TYPES.RETRANSMIT_RESPONSE,
+      {
+        direction: this.myDirection,
+        from_seq: fromSeq,
+        to_seq: toSeq,
+        unavailable,
+      },
+    );
+  }
+
+  /**
+   * Verify, replay-check and decrypt an incoming control frame (§7.2.1).
+   * Frames in our own direction are our echoes and are ignored.
+   * @param {Object} frame
+   * @returns {Promise<{ type: string, body: Object }|null>}
+   */
+  async receiveControlFrame(frame) {
+    if (this.state !== KKTP_STATES.ACTIVE && !this.isRecovering) return null;
+    if (frame?.sid !== this.kktp.sid) return null;
+
+    controlFrameValidator.validate(frame);
+
+    const direction = frame.direction;
+    if (direction !== this.peerDirection) return null;
+
+    // Replay protection: strictly increasing ctl_seq, fresh nonce
+    if (frame.ctl_seq <= this.kktp.ctlInboundSeq[direction]) return null;
+    if (this.kktp.nonceCache[direction].has(frame.nonce)) return null;
+
+    // §7.4: Reject control frames not signed by the session peer
+    const body = canonicalize(prepareForSigning(frame, { omitKeys: ["sig"] }));
+    const isValid = await this.adapter.verifyMessage(
+      this.kktp.peerPubSig,
+      body,
+      frame.sig,
+    );
+    if (!isValid) {
+      throw new Error("Invalid control frame signature.");
+    }
+
+    const decoded = unpackControl(this.kktp, frame);
+    if (!decoded) return null;
+
+    this.kktp.ctlInboundSeq[direction] = frame.ctl_seq;
+    this._recordNonce(direction, frame.nonce);
+
+    return { type: frame.type, body: decoded };
+  }
+
+  /**
+   * Apply a peer's retransmit_response. Seqs the peer no longer holds can
+   * never arrive, so the gap is unrecoverable.
+   * @param {Object} body - Decrypted response body
+   * @throws {Error} If a seq we still need is unavailable
+   */
+  applyRetransmitResponse(body) {
+    const direction = body?.direction;
+    if (direction !== this.peerDirection) return;
+
+    const needed = this.kktp.inboundSeq[direction];
+    const lost = (body.unavailable || []).filter((seq) => seq >= needed);
+    if (lost.length === 0) return;
+
+    this.kktp.retransmit.recovering[direction] = false;
+    throw this._fault(
+      KKTP_TRANSITION_REASONS.RETRANSMIT_UNAVAILABLE,
+      `Gap timeout: peer cannot retransmit seq ${lost.join(", ")}.`,
+    );
+  }
+
+  /**
+   * Build a signed ack for the highest contiguous seq received from the
+   * peer (§7.2.2). Returns null when nothing new arrived since the last ack.
+   * @returns {Promise<string|null>} Canonical control frame
+   */
+  async createAck() {
+    const direction = this.peerDirection;
+    const ackSeq = this.kktp.inboundSeq[direction] - 1;
+    if (ackSeq <= this.kktp.ack.lastSent) return null;
+
+    const frame = await this._createControlFrame(KKTP_CONTROL_TYPES.ACK, {
+      direction,
+      ack_seq: ackSeq,
+    });
+    this.kktp.ack.lastSent = ackSeq;
+    return frame;
+  }
+
+  /**
+   * Apply a peer's ack of our outbound direction (§7.2.2). Acked packets
+   * can no longer be requested, so they leave the retransmit history.
+   * @param {Object} body - Decrypted ack body
+   * @returns {number|null} The new highest acked seq, or null if stale
+   * @throws {Error} If the peer acks a seq we never sent
+   */
+  applyAck(body) {
+    if (body?.direction !== this.myDirection) return null;
+
+    const ackSeq = body.ack_seq;
+    if (!Number.isInteger(ackSeq) || ackSeq >= this.kktp.outboundSeq) {
+      throw new Error(`Invalid ack: seq ${ackSeq} was never sent.`);
+    }
+    if (ackSeq <= this.kktp.ack.peerAcked) return null;
+
+    this.kktp.ack.peerAcked = ackSeq;
+    this.kktp.outboundHistory = this.kktp.outboundHistory.filter(
+      (h) => h.seq > ackSeq,
+    );
+    return ackSeq;
+  }
+
+  async _createControlFrame(type, body) {
+    if (this.state !== KKTP_STATES.ACTIVE && !this.isRecovering) {
+      throw new Error(`Cannot send control frame in state: ${this.state}`);
+    }
+
+    const ctlSeq = this.kktp.ctlSeq;
+    this.kktp.ctlSeq++;
+
+    const frame = packControl(this.kktp, type, body, this.myDirection, ctlSeq);
+    const privSig = await this._getSigningKey();
+    frame.sig = await this.adapter.signMessage(
+      privSig,
+      canonicalize(prepareForSigning(frame, { omitKeys: ["sig"] })),
+    );
+
+    controlFrameValidator.validate(frame);
+    return canonicalize(frame);
+  }
+
+  /**
+   * Signing key for this session, re-derived if it was not restored.
+   */
+  async _getSigningKey() {
+    let priv = this.kktp.myPrivSig;
+    if (!priv || (typeof priv !== "string" && !(priv instanceof Uint8Array))) {
+      const keys = this.kktp.prederivedKeys
+        ? this.kktp.prederivedKeys
+        : await this.adapter.generateIdentityKeys(this.keyIndex);
+      priv = keys.sig.privateKey;
+    }
+    if (priv instanceof Uint8Array) priv = bytesToHex(priv);
+    this.kktp.myPrivSig = priv;
+    return priv;
+  }
+
   /**
    * Section 7.7: Secure Termination
+   * @param {string} [reason] - One of KKTP_TRANSITION_REASONS
    */
-  terminate() {
-    this.state = KKTP_STATES.CLOSED;
+  terminate(reason = KKTP_TRANSITION_REASONS.LOCAL_CLOSE) {
+    this.transition(KKTP_STATES.CLOSED, reason);
 
     // ZEROIZE: Securely erase keys from memory (§7.7)
     if (this.kktp.session?.zeroize) {
@@ -258,6 +1024,10 @@ export class KKTPStateMachine {
     }
     this.kktp.sessionKey = null;
 
+    // §7.7.1: Epoch keys and chain keys
+    this.kktp.ratchet?.zeroize();
+    this.kktp.ratchet = null;
+
     // Clear DH private key
     this.kktp.myDhPriv = null;
     this.kktp.myPrivSig = null;
@@ -268,5 +1038,7 @@ export class KKTPStateMachine {
     this.kktp.nonceQueue = { AtoB: [], BtoA: [] };
     this.kktp.pendingNonces = { AtoB: new Set(), BtoA: new Set() };
     this.kktp.gapSince = { AtoB: null, BtoA: null };
+    this.kktp.outboundHistory = [];
+    this.kktp.retransmit.recovering = { AtoB: false, BtoA: false };
   }
 }
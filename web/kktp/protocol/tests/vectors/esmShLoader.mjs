@@ -0,0 +1,46 @@
+// kktp-core/tests/vectors/esmShLoader.mjs
+// Node module hooks so the browser-first protocol modules (which import
+// @noble/* straight from https://esm.sh) can run headless.
+// Usage: node --import ./esmShLoader.mjs runVectors.mjs
+import { register } from "node:module";
+
+/**
+ * Registered via data: URL so this file is the only thing to --import.
+ * Remote modules are fetched once per process; esm.sh's nested imports are
+ * absolute paths that resolve against the parent https URL.
+ */
+const hooks = `
+const cache = new Map();
+
+export async function resolve(specifier, context, next) {
+  const parent = context.parentURL || "";
+  if (specifier.startsWith("https://")) {
+    return { url: specifier, shortCircuit: true };
+  }
+  if (parent.startsWith("https://") && /^(\\/|\\.\\.?\\/)/.test(specifier)) {
+    return { url: new URL(specifier, parent).href, shortCircuit: true };
+  }
+  return next(specifier, context);
+}
+
+export async function load(url, context, next) {
+  if (!url.startsWith("https://")) {
+    if (url.startsWith("file:") && url.endsWith(".js")) {
+      return next(url, { ...context, format: "module" });
+    }
+    return next(url, context);
+  }
+  if (!cache.has(url)) {
+    const target = new URL(url);
+    if (target.hostname === "esm.sh" && !target.searchParams.has("target")) {
+      target.searchParams.set("target", "es2022");
+    }
+    const res = await fetch(target);
+    if (!res.ok) throw new Error("esm.sh fetch failed: " + res.status + " " + url);
+    cache.set(url, await res.text());
+  }
+  return { format: "module", source: cache.get(url), shortCircuit: true };
+}
+`;
+
+register("data:text/javascript," + encodeURIComponent(hooks));
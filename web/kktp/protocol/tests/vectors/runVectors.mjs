@@ -0,0 +1,233 @@
+// kktp-core/tests/vectors/runVectors.mjs
+// Checks this implementation against the KKTP conformance vectors.
+// Usage: node --import ./esmShLoader.mjs runVectors.mjs [path/to/vectors.json ...]
+// With no path, runs every vectors file shipped here. v1 is frozen; later
+// protocol features get their own file.
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import * as secp from "https://esm.sh/@noble/secp256k1@2.1.0";
+import { canonicalize, strictParseJson } from "../../integrity/canonical.js";
+import {
+  computeVrfInputHash,
+  deriveSessionKey,
+  deriveMailboxId,
+} from "../../integrity/handshake.js";
+import { constructAAD, constructControlAAD } from "../../integrity/aad.js";
+import { pack, unpack } from "../../utils/kktpCodec.js";
+import { bytesToHex, hexToBytes } from "../../utils/conversions.js";
+
+const DEFAULT_VECTORS = ["./kktp-vectors-v1.json", "./kktp-vectors-v2.json"].map(
+  (file) => fileURLToPath(new URL(file, import.meta.url)),
+);
+
+const results = [];
+
+function check(group, name, fn) {
+  try {
+    fn();
+    results.push({ group, name, ok: true });
+  } catch (e) {
+    results.push({ group, name, ok: false, error: e?.message || String(e) });
+  }
+}
+
+function expectEqual(actual, expected, label = "value") {
+  if (actual !== expected) {
+    throw new Error(`${label} mismatch: expected ${expected}, got ${actual}`);
+  }
+}
+
+function expectThrows(fn, label) {
+  let threw = false;
+  try {
+    fn();
+  } catch {
+    threw = true;
+  }
+  if (!threw) throw new Error(`${label}: expected rejection`);
+}
+
+function runKeys(v) {
+  for (const [name, pair] of Object.entries(v.keys)) {
+    check("keys", name, () =>
+      expectEqual(bytesToHex(secp.getPublicKey(pair.priv, true)), pair.pub, "pub"),
+    );
+  }
+}
+
+function runJcs(v) {
+  for (const c of v.jcs) {
+    check("jcs", c.name, () => {
+      const input = c.input_json !== undefined ? JSON.parse(c.input_json) : c.input;
+      expectEqual(canonicalize(input), c.canonical, "canonical");
+    });
+  }
+  for (const c of v.strict_parse) {
+    check("strict_parse", c.name, () =>
+      expectEqual(strictParseJson(c.text) !== null, c.accept, "accept"),
+    );
+  }
+}
+
+function runDerivations(v) {
+  for (const c of v.vrf_input_hash) {
+    check("vrf_input_hash", c.name, () =>
+      expectEqual(bytesToHex(computeVrfInputHash(...c.inputs)), c.expected),
+    );
+  }
+
+  for (const c of v.k_session) {
+    check("k_session", c.name, () => {
+      if (c.dh_priv_initiator) {
+        // Both sides of the ECDH must land on the same compressed point
+        const fromA = secp.getSharedSecret(c.dh_priv_initiator, c.dh_pub_responder, true);
+        const fromB = secp.getSharedSecret(c.dh_priv_responder, c.dh_pub_initiator, true);
+        expectEqual(bytesToHex(fromA), c.shared_secret, "shared_secret (A)");
+        expectEqual(bytesToHex(fromB), c.shared_secret, "shared_secret (B)");
+      }
+      const key = deriveSessionKey(
+        hexToBytes(c.shared_secret),
+        c.sid,
+        c.pub_sig_a,
+        c.pub_sig_b,
+      );
+      expectEqual(bytesToHex(key), c.k_session, "k_session");
+    });
+  }
+
+  for (const c of v.mailbox_id) {
+    check("mailbox_id", c.name, () =>
+      expectEqual(deriveMailboxId(c.pub_sig_a, c.pub_sig_b, c.sid), c.mailbox_id),
+    );
+  }
+}
+
+function runAad(v) {
+  for (const c of v.aad.valid) {
+    check("aad", c.name, () =>
+      expectEqual(
+        bytesToHex(constructAAD(c.mailbox_id, c.direction, BigInt(c.seq))),
+        c.aad,
+      ),
+    );
+  }
+  for (const c of v.aad.invalid) {
+    check("aad", c.name, () =>
+      expectThrows(() => constructAAD(c.mailbox_id, c.direction, BigInt(c.seq)), c.name),
+    );
+  }
+  for (const c of v.control_aad) {
+    check("control_aad", c.name, () =>
+      expectEqual(
+        bytesToHex(
+          constructControlAAD(c.mailbox_id, c.direction, c.type, BigInt(c.ctl_seq)),
+        ),
+        c.aad,
+      ),
+    );
+  }
+}
+
+function runPackets(v) {
+  const { session, valid, invalid } = v.msg_packets;
+  const state = {
+    sid: session.sid,
+    mailboxId: session.mailbox_id,
+    sessionKey: hexToBytes(session.k_session),
+  };
+
+  for (const c of valid) {
+    check("msg_packets", c.name, () => {
+      const packet = pack(state, c.plaintext, c.direction, c.seq, { nonce: c.nonce });
+      expectEqual(packet, c.packet, "packet");
+      const msg = strictParseJson(c.packet);
+      if (!msg) throw new Error("packet is not canonical JSON");
+      expectEqual(msg.ciphertext, c.ciphertext, "ciphertext");
+      expectEqual(unpack(state, msg), c.plaintext, "plaintext");
+    });
+  }
+
+  for (const c of invalid) {
+    check("msg_packets", c.name, () => {
+      let plaintext = null;
+      try {
+        const msg = strictParseJson(c.packet);
+        plaintext = msg ? unpack(state, msg) : null;
+      } catch {
+        plaintext = null;
+      }
+      if (plaintext !== null) throw new Error("tampered packet was accepted");
+    });
+  }
+}
+
+function runPaddedPackets(v) {
+  const { buckets, valid, invalid } = v.padded_packets;
+  const { session } = v;
+  const state = {
+    sid: session.sid,
+    mailboxId: session.mailbox_id,
+    sessionKey: hexToBytes(session.k_session),
+  };
+
+  for (const c of valid) {
+    check("padded_packets", c.name, () => {
+      const packet = pack(state, c.plaintext, c.direction, c.seq, {
+        nonce: c.nonce,
+        padding: buckets,
+      });
+      expectEqual(packet, c.packet, "packet");
+      const msg = strictParseJson(c.packet);
+      if (!msg) throw new Error("packet is not canonical JSON");
+      // Poly1305 tag is 16 bytes
+      expectEqual(msg.ciphertext.length / 2 - 16, c.padded_length, "padded length");
+      expectEqual(unpack(state, msg, { padding: buckets }), c.plaintext, "plaintext");
+    });
+  }
+
+  for (const c of invalid) {
+    check("padded_packets", c.name, () => {
+      expectThrows(
+        () => unpack(state, strictParseJson(c.packet), { padding: buckets }),
+        "malformed padding",
+      );
+    });
+  }
+}
+
+async function runFile(path) {
+  const v = JSON.parse(await readFile(path, "utf8"));
+  switch (v.kktp_vectors_version) {
+    case 1:
+      runKeys(v);
+      runJcs(v);
+      runDerivations(v);
+      runAad(v);
+      runPackets(v);
+      break;
+    case 2:
+      runPaddedPackets(v);
+      break;
+    default:
+      throw new Error(`Unsupported vectors version: ${v.kktp_vectors_version}`);
+  }
+}
+
+async function main() {
+  const paths = process.argv.length > 2 ? process.argv.slice(2) : DEFAULT_VECTORS;
+  for (const path of paths) await runFile(path);
+
+  const failed = results.filter((r) => !r.ok);
+  for (const r of failed) {
+    console.error(`FAIL ${r.group}/${r.name}: ${r.error}`);
+  }
+  console.log(
+    `KKTP vectors: ${results.length - failed.length}/${results.length} passed`,
+  );
+  process.exitCode = failed.length ? 1 : 0;
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exitCode = 1;
+});
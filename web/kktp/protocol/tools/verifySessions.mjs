@@ -0,0 +1,178 @@
+// kktp-core/tools/verifySessions.mjs
+// Offline KKTP session verifier: reconstructs sessions from public payloads
+// and proves who established them and how they ended. Needs no keys.
+// Usage:
+//   node --import ../tests/vectors/esmShLoader.mjs verifySessions.mjs --dump payloads.json
+//   node --import ../tests/vectors/esmShLoader.mjs verifySessions.mjs --from <hash> [--to <hash>]
+import { readFile } from "node:fs/promises";
+import { verifySessions } from "../integrity/sessionVerifier.js";
+
+const USAGE = `Usage: verifySessions.mjs (--dump <file.json> | --from <blockHash> [--to <blockHash>])
+  --dump <file>       JSON array of payloads: "KKTP:..." strings, or objects with
+                      payload/decodedPayload and optional txid, blockHash, timestamp, blueScore
+  --from <hash>       Walk the DAG from this block (inclusive)
+  --to <hash>         Stop after this block (default: tip)
+  --api <url>         Kaspa REST API (default: https://api.kaspa.org)
+  --max-blocks <n>    Stop walking after n blocks (default: 20000)
+  --sid <sid>         Only report this session
+  --json              Print the report as JSON`;
+
+function parseArgs(argv) {
+  const args = { api: "https://api.kaspa.org", maxBlocks: 20000, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${flag} needs a value`);
+      return argv[++i];
+    };
+    if (flag === "--dump") args.dump = value();
+    else if (flag === "--from") args.from = value();
+    else if (flag === "--to") args.to = value();
+    else if (flag === "--api") args.api = value().replace(/\/+$/, "");
+    else if (flag === "--max-blocks") args.maxBlocks = Number(value());
+    else if (flag === "--sid") args.sid = value().toLowerCase();
+    else if (flag === "--json") args.json = true;
+    else if (flag === "--help" || flag === "-h") args.help = true;
+    else throw new Error(`Unknown option ${flag}`);
+  }
+  if (!args.help && !args.dump === !args.from) {
+    throw new Error("Give exactly one of --dump or --from");
+  }
+  return args;
+}
+
+async function readDump(path) {
+  const data = JSON.parse(await readFile(path, "utf8"));
+  const records = Array.isArray(data) ? data : data?.records ?? data?.payloads;
+  if (!Array.isArray(records)) {
+    throw new Error("Dump must be an array (or { records: [...] })");
+  }
+  return records;
+}
+
+/**
+ * Collect KKTP payloads from a block range via the REST API. Blocks come
+ * back oldest first from lowHash; each page restarts at its last block.
+ */
+async function readBlockRange({ api, from, to, maxBlocks }) {
+  const records = [];
+  const seen = new Set();
+  let lowHash = from;
+
+  while (seen.size < maxBlocks) {
+    const url = `${api}/blocks?lowHash=${lowHash}&includeBlocks=true&includeTransactions=true`;
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`GET ${url} failed: ${res.status}`);
+    const blocks = (await res.json())?.blocks ?? [];
+
+    let fresh = 0;
+    for (const block of blocks) {
+      const hash = block.verboseData?.hash ?? block.header?.hash;
+      if (!hash || seen.has(hash)) continue;
+      seen.add(hash);
+      fresh++;
+
+      const blueScore = Number(block.verboseData?.blueScore ?? block.header?.blueScore ?? 0);
+      const timestamp = Number(block.header?.timestamp ?? 0);
+      for (const tx of block.transactions ?? []) {
+        // "KKTP:" in hex
+        if (!(tx.payload || "").toLowerCase().startsWith("4b4b54503a")) continue;
+        records.push({
+          payload: tx.payload,
+          txid: tx.verboseData?.transactionId ?? null,
+          blockHash: hash,
+          timestamp: Number(tx.verboseData?.blockTime ?? timestamp),
+          blueScore,
+        });
+      }
+      if (to && hash === to) return records;
+    }
+
+    if (fresh === 0) break;
+    const last = blocks[blocks.length - 1];
+    lowHash = last.verboseData?.hash ?? last.header?.hash;
+    process.stderr.write(`\r${seen.size} blocks, ${records.length} KKTP payloads`);
+  }
+  process.stderr.write("\n");
+  return records;
+}
+
+const short = (hex) => (hex ? `${hex.slice(0, 16)}...` : "-");
+const when = (ms) => (ms ? new Date(ms).toISOString() : "-");
+
+function describeDirection(label, stats) {
+  const gaps = stats.gaps.map(([a, b]) => (a === b ? `${a}` : `${a}-${b}`));
+  return (
+    `    ${label}: ${stats.count} msg(s), max seq ${stats.maxSeq ?? "-"}` +
+    (gaps.length ? `, missing ${gaps.join(", ")}` : "") +
+    (stats.duplicates ? `, ${stats.duplicates} duplicate(s)` : "")
+  );
+}
+
+function printReport({ sessions, ignored }) {
+  for (const s of sessions) {
+    console.log(
+      `\nsession ${s.sid}  [${s.verdict.toUpperCase()}, vrf ${s.vrf}]${s.lobby ? " (lobby)" : ""}`,
+    );
+    console.log(
+      `  discovery  ${when(s.discovery.timestamp)} tx ${short(s.discovery.txid)} ` +
+        `by ${short(s.discovery.pubSig)} sig ${s.discovery.signature}, vrf ${s.discovery.vrf}`,
+    );
+    if (s.response) {
+      console.log(
+        `  response   ${when(s.response.timestamp)} tx ${short(s.response.txid)} ` +
+          `by ${short(s.response.pubSig)} sig ${s.response.signature}, vrf ${s.response.vrf}`,
+      );
+      console.log(`  mailbox    ${s.mailboxId}`);
+      console.log(describeDirection("A->B", s.messages.AtoB));
+      console.log(describeDirection("B->A", s.messages.BtoA));
+      if (s.messages.control) console.log(`    control frames: ${s.messages.control}`);
+      const t = s.termination;
+      console.log(
+        t.state === "ended"
+          ? `  ended      ${when(t.timestamp)} by ${t.by} tx ${short(t.txid)}: "${t.reason}"`
+          : `  open       last activity ${when(s.messages.lastActivity)}`,
+      );
+    }
+    for (const e of s.errors) console.log(`  ERROR   ${e}`);
+    for (const w of s.warnings) console.log(`  warning ${w}`);
+  }
+  const count = (v) => sessions.filter((s) => s.verdict === v).length;
+  const vrf = (v) => sessions.filter((s) => s.vrf === v).length;
+  console.log(
+    `\n${sessions.length} session(s): ${count("verified")} verified, ` +
+      `${count("unanswered")} unanswered, ${count("invalid")} invalid; ${ignored} payload(s) ignored`,
+  );
+  // This tool has no VRF engine: proofs are matched to their input, not checked
+  console.log(
+    `VRF: ${vrf("unchecked")} unchecked, ${vrf("absent")} absent ` +
+      `(proofs are matched to their input, not verified; see verifySessions({ verifyVrf }))`,
+  );
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const records = args.dump ? await readDump(args.dump) : await readBlockRange(args);
+  const report = await verifySessions(records, { sid: args.sid });
+
+  if (args.json) console.log(JSON.stringify(report, null, 2));
+  else printReport(report);
+
+  if (report.sessions.some((s) => s.verdict === "invalid")) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err?.message || err);
+  process.exit(2);
+});
@@ -1,23 +1,53 @@
 // kktp-core/messenger.js
-import { constructAAD } from "../integrity/aad.js";
-import { mailboxMessageValidator } from "../integrity/validator.js";
-import { canonicalize } from "../integrity/canonical.js";
+import { constructAAD, constructControlAAD } from "../integrity/aad.js";
+import {
+  mailboxMessageValidator,
+  controlFrameValidator,
+} from "../integrity/validator.js";
+import { canonicalize, strictParseJson } from "../integrity/canonical.js";
 import { bytesToHex, hexToBytes, normalizeKey } from "./conversions.js";
+import {
+  PADDED_MSG_VERSION,
+  padPlaintext,
+  unpadPlaintext,
+} from "../sessions/padding.js";
 import { xchacha20poly1305 } from "https://esm.sh/@noble/ciphers/chacha";
 
 /**
  * Packs a plaintext message into a protocol-compliant Mailbox Message (Section 5.4)
+ * @param {Object} [options]
+ * @param {string|Uint8Array} [options.nonce] - Fixed 24-byte nonce. Conformance
+ *   vectors only; a live session MUST use a fresh CSPRNG nonce (§10.1).
+ * @param {number} [options.epoch] - Ratchet epoch (§7.7.1); bound into the AAD
+ * @param {Uint8Array} [options.key] - Epoch key used instead of K_session
+ * @param {number[]} [options.padding] - Negotiated buckets; emits a version 2
+ *   packet with a padded plaintext (§6.6.1)
  */
-export function pack(kktpState, plaintext, direction, seq) {
-  const { sessionKey, mailboxId, sid } = kktpState;
+export function pack(
+  kktpState,
+  plaintext,
+  direction,
+  seq,
+  { nonce, epoch, key, padding } = {},
+) {
+  const { mailboxId, sid } = kktpState;
+  const sessionKey = key ?? kktpState.sessionKey;
 
   // 1. Section 4 & 6.6: Generate a 192-bit (24-byte) CSPRNG Nonce
-  const nonceBytes = crypto.getRandomValues(new Uint8Array(24));
+  const nonceBytes =
+    nonce === undefined
+      ? crypto.getRandomValues(new Uint8Array(24))
+      : typeof nonce === "string"
+        ? hexToBytes(nonce)
+        : nonce;
+  if (nonceBytes.length !== 24) {
+    throw new Error("Invalid nonce length: expected 24 bytes.");
+  }
   const nonceHex = bytesToHex(nonceBytes);
 
   // 2. Section 6.6: Construct AAD
-  // AAD = mailbox_id (raw) || direction (UTF-8) || seq (u64BE)
-  const aad = constructAAD(mailboxId, direction, seq);
+  // AAD = mailbox_id (raw) || direction (UTF-8) || [epoch (u32BE)] || seq (u64BE)
+  const aad = constructAAD(mailboxId, direction, seq, epoch);
 
   // 3. Encrypt using XChaCha20-Poly1305 (Section 4)
   // The session wrapper must handle the actual AEAD primitive
@@ -31,7 +61,8 @@ export function pack(kktpState, plaintext, direction, seq) {
   }
 
   const chacha = xchacha20poly1305(keyBytes, nonceBytes, aad);
-  const plaintextBytes = new TextEncoder().encode(plaintext);
+  const encoded = new TextEncoder().encode(plaintext);
+  const plaintextBytes = padding ? padPlaintext(encoded, padding) : encoded;
 
   // Encrypt only takes the plaintext (and an optional output buffer)
   const ciphertext = chacha.encrypt(plaintextBytes);
@@ -39,7 +70,7 @@ export function pack(kktpState, plaintext, direction, seq) {
   // 4. Construct object per Section 5.4
   const msgObj = {
     type: "msg",
-    version: 1,
+    version: padding ? PADDED_MSG_VERSION : 1,
     sid: sid,
     mailbox_id: mailboxId,
     direction: direction,
@@ -47,6 +78,7 @@ export function pack(kktpState, plaintext, direction, seq) {
     nonce: nonceHex,
     ciphertext: bytesToHex(ciphertext),
   };
+  if (epoch !== undefined) msgObj.epoch = epoch;
 
   // 5. CANONICAL OUTPUT (Section 7.9 & 6.4)
   // We return the canonical string so the Adapter doesn't have to guess.
@@ -55,19 +87,31 @@ export function pack(kktpState, plaintext, direction, seq) {
 
 /**
  * Unpacks and verifies an incoming message (Section 6.6 & 7.5)
+ * @param {Object} [options]
+ * @param {Uint8Array} [options.key] - Epoch key for a ratcheted packet (§7.7.1)
+ * @param {number[]} [options.padding] - Negotiated buckets for version 2 packets
  */
-export function unpack(kktpState, msg) {
+export function unpack(kktpState, msg, { key, padding } = {}) {
   // 1. Validation: Ensure the object matches the schema before processing
   mailboxMessageValidator.validate(msg);
 
-  const { sessionKey, mailboxId, sid } = kktpState;
+  // 1b. Version 2 carries a padded plaintext and needs negotiated buckets (§6.6.1)
+  if (msg.version !== 1 && msg.version !== PADDED_MSG_VERSION) {
+    throw new Error(`Unsupported msg version: ${msg.version}`);
+  }
+  if (msg.version === PADDED_MSG_VERSION && !padding) {
+    throw new Error("Padded msg without negotiated padding buckets.");
+  }
+
+  const { mailboxId, sid } = kktpState;
+  const sessionKey = key ?? kktpState.sessionKey;
 
   // 2. Filter: Ignore if it doesn't belong to this mailbox or session (§7.6)
   if (msg.mailbox_id !== mailboxId) return null;
   if (msg.sid !== sid) return null;
 
   // 3. Reconstruction: Build AAD for decryption/integrity check
-  const aad = constructAAD(mailboxId, msg.direction, msg.seq);
+  const aad = constructAAD(mailboxId, msg.direction, msg.seq, msg.epoch);
   const nonceBytes = hexToBytes(msg.nonce);
   const ciphertextBytes = hexToBytes(msg.ciphertext);
 
@@ -88,16 +132,105 @@ export function unpack(kktpState, msg) {
     );
   }
 
+  let plaintextBytes;
   try {
     // 1. Bind AAD here, just like in pack()
     const chacha = xchacha20poly1305(keyBytes, nonceBytes, aad);
 
     // 2. Decrypt only takes the ciphertext
-    const plaintextBytes = chacha.decrypt(ciphertextBytes);
-
-    return new TextDecoder().decode(plaintextBytes);
+    plaintextBytes = chacha.decrypt(ciphertextBytes);
   } catch (e) {
     // Section 7.5: Decryption failures are protocol violations
     throw new Error(`KKTP Integrity Violation: ${e.message}`);
   }
+
+  // 5. Strict unpadding: one valid encoding per plaintext (§6.6.1)
+  if (msg.version === PADDED_MSG_VERSION) {
+    plaintextBytes = unpadPlaintext(plaintextBytes, padding);
+  }
+  return new TextDecoder().decode(plaintextBytes);
+}
+
+/**
+ * Packs a control frame body (§7.2.1). Returns the UNSIGNED frame object;
+ * the caller signs the canonical form with its session identity key and
+ * attaches `sig` before embedding.
+ */
+export function packControl(kktpState, type, body, direction, ctlSeq) {
+  const { sessionKey, mailboxId, sid } = kktpState;
+
+  const nonceBytes = crypto.getRandomValues(new Uint8Array(24));
+  const aad = constructControlAAD(mailboxId, direction, type, ctlSeq);
+
+  const keyBytes = normalizeKey(sessionKey);
+  if (!(keyBytes instanceof Uint8Array) || keyBytes.length !== 32) {
+    throw new Error(
+      `Invalid sessionKey length: expected 32, got ${keyBytes?.length}`,
+    );
+  }
+
+  const chacha = xchacha20poly1305(keyBytes, nonceBytes, aad);
+  const ciphertext = chacha.encrypt(
+    new TextEncoder().encode(canonicalize(body)),
+  );
+
+  return {
+    type,
+    version: 1,
+    sid,
+    mailbox_id: mailboxId,
+    direction,
+    ctl_seq: ctlSeq,
+    nonce: bytesToHex(nonceBytes),
+    ciphertext: bytesToHex(ciphertext),
+  };
+}
+
+/**
+ * Decrypts a control frame body (§7.2.1). Signature verification is the
+ * caller's job and MUST happen before this is called.
+ * @returns {Object|null} Parsed body, or null if the frame is for another session
+ */
+export function unpackControl(kktpState, frame) {
+  controlFrameValidator.validate(frame);
+
+  const { sessionKey, mailboxId, sid } = kktpState;
+
+  if (frame.mailbox_id !== mailboxId) return null;
+  if (frame.sid !== sid) return null;
+
+  const nonceBytes = hexToBytes(frame.nonce);
+  if (nonceBytes.length !== 24) {
+    throw new Error("Invalid nonce length: expected 24 bytes.");
+  }
+
+  const keyBytes = normalizeKey(sessionKey);
+  if (!(keyBytes instanceof Uint8Array) || keyBytes.length !== 32) {
+    throw new Error(
+      `Invalid sessionKey length: expected 32, got ${keyBytes?.length}`,
+    );
+  }
+
+  const aad = constructControlAAD(
+    mailboxId,
+    frame.direction,
+    frame.type,
+    frame.ctl_seq,
+  );
+
+  let plaintext;
+  try {
+    const chacha = xchacha20poly1305(keyBytes, nonceBytes, aad);
+    plaintext = new TextDecoder().decode(
+      chacha.decrypt(hexToBytes(frame.ciphertext)),
+    );
+  } catch (e) {
+    throw new Error(`KKTP Integrity Violation: ${e.message}`);
+  }
+
+  const body = strictParseJson(plaintext);
+  if (!body || typeof body !== "object") {
+    throw new Error("KKTP control frame body is not canonical JSON.");
+  }
+  return body;
 }